@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Mews Connector API stub
+ * Replays recorded responses from fixtures/mews/<scenario>/ so the Mews connector can be
+ * exercised without a Mews account. Each scenario is "what changed since the last pull":
+ *   initial - first pull (new reservations and customers)
+ *   update  - a changed reservation, an updated customer and a cancellation
+ *
+ * Usage:
+ *   node mews-stub-server.js                 (listens on MEWS_STUB_PORT, default 4010)
+ *   MEWS_API_URL=http://localhost:4010 MEWS_CLIENT_TOKEN=stub npm run dev
+ *   curl -X POST localhost:4010/stub/scenario -d '{"scenario":"update"}'
+ *
+ * UpdatedUtc windows are not applied (recorded timestamps are fixed); cursors and
+ * Limitation.Count are, so paging behaves like the real API.
+ */
+
+const PORT = process.env.MEWS_STUB_PORT || 4010;
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'mews');
+let scenario = process.env.MEWS_STUB_SCENARIO || 'initial';
+
+function loadFixture(name) {
+    const file = path.join(FIXTURES_DIR, scenario, `${name}.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+}
+
+// Page through `items` the way Mews does: the cursor is the id of the last item returned
+function paginate(items, limitation = {}) {
+    const start = limitation.Cursor ? items.findIndex(item => item.Id === limitation.Cursor) + 1 : 0;
+    const page = items.slice(start, start + (limitation.Count || 1000));
+    return { page, cursor: page.length > 0 ? page[page.length - 1].Id : null };
+}
+
+const endpoints = {
+    'reservations/getAll/2023-06-06': (body) => {
+        const { page, cursor } = paginate(loadFixture('reservations').Reservations || [], body.Limitation);
+        return { Reservations: page, Cursor: cursor };
+    },
+    'customers/getAll': (body) => {
+        const ids = new Set(body.CustomerIds || []);
+        const customers = (loadFixture('customers').Customers || []).filter(c => ids.size === 0 || ids.has(c.Id));
+        const { page, cursor } = paginate(customers, body.Limitation);
+        return { Customers: page, Cursor: cursor };
+    },
+    'resources/getAll': () => loadFixture('resources')
+};
+
+function send(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        let body;
+        try {
+            body = raw ? JSON.parse(raw) : {};
+        } catch {
+            return send(res, 400, { Message: 'Invalid JSON' });
+        }
+
+        if (req.method === 'POST' && req.url === '/stub/scenario') {
+            if (!body.scenario || !fs.existsSync(path.join(FIXTURES_DIR, body.scenario))) {
+                return send(res, 404, { Message: `Unknown scenario: ${body.scenario}` });
+            }
+            scenario = body.scenario;
+            console.log(`🎬 Scenario: ${scenario}`);
+            return send(res, 200, { scenario });
+        }
+
+        const endpoint = req.url.replace(/^\/api\/connector\/v1\//, '');
+        const handler = req.method === 'POST' && endpoints[endpoint];
+        if (!handler) {
+            return send(res, 404, { Message: `Unknown endpoint: ${req.url}` });
+        }
+        if (!body.ClientToken || !body.AccessToken) {
+            return send(res, 401, { Message: 'Invalid ClientToken or AccessToken' });
+        }
+
+        console.log(`📨 ${endpoint} (${scenario})`);
+        send(res, 200, handler(body));
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`🧪 Mews stub listening on http://localhost:${PORT} (scenario: ${scenario})`);
+});
@@ -1,6 +1,7 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const guestSearchIndex = require('./guestSearchIndex');
 
 // Ensure data directory exists
 const dataDir = path.join(__dirname, '../../data');
@@ -66,7 +67,22 @@ db.exec(`
 
   CREATE INDEX IF NOT EXISTS idx_research_guest ON research_results(guest_id);
 
-  -- Deal suggestions table (for future AI integration)
+  -- Research revisions (append-only snapshots of research_results, see services/researchRevisions.js)
+  CREATE TABLE IF NOT EXISTS research_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guest_id INTEGER REFERENCES guests(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL,
+    source TEXT NOT NULL,
+    author TEXT,
+    note TEXT,
+    snapshot TEXT NOT NULL,
+    restored_from INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_research_revisions_guest ON research_revisions(guest_id, revision_number);
+
+  -- Deal suggestions table (filled by services/dealSuggestions.js)
   CREATE TABLE IF NOT EXISTS deal_suggestions (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     guest_id INTEGER REFERENCES guests(id) ON DELETE CASCADE,
@@ -88,6 +104,9 @@ db.exec(`
     total_amount DECIMAL,
     products TEXT,
     booking_status TEXT,
+    notes TEXT,
+    guest_notes TEXT,
+    preferences TEXT,
     import_batch_id TEXT,
     imported_at DATETIME DEFAULT CURRENT_TIMESTAMP
   );
@@ -147,6 +166,322 @@ db.exec(`
   CREATE INDEX IF NOT EXISTS idx_serpapi_cache_hash ON serpapi_cache(query_hash);
   CREATE INDEX IF NOT EXISTS idx_serpapi_cache_expires ON serpapi_cache(expires_at);
 
+  -- Users (roles: front_desk < manager < admin)
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    display_name TEXT,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'front_desk' CHECK(role IN ('front_desk', 'manager', 'admin')),
+    active INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_login_at DATETIME
+  );
+
+  -- Login sessions (only a hash of the bearer token is stored)
+  CREATE TABLE IF NOT EXISTS sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at);
+
+  -- Audit log of every mutating API call
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    username TEXT,
+    role TEXT,
+    method TEXT NOT NULL,
+    path TEXT NOT NULL,
+    action TEXT,
+    entity_type TEXT,
+    entity_id TEXT,
+    status_code INTEGER,
+    details TEXT,
+    ip TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(user_id);
+  CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+  CREATE INDEX IF NOT EXISTS idx_audit_log_date ON audit_log(created_at);
+
+  -- Properties (hotels) within the group
+  CREATE TABLE IF NOT EXISTS properties (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    notification_email TEXT,
+    settings TEXT,
+    active INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Which properties a guest has been seen at (one guest row per person across the group)
+  CREATE TABLE IF NOT EXISTS guest_properties (
+    guest_id INTEGER REFERENCES guests(id) ON DELETE CASCADE,
+    property_id INTEGER REFERENCES properties(id) ON DELETE CASCADE,
+    first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (guest_id, property_id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_guest_properties_property ON guest_properties(property_id);
+
+  -- Pre-arrival briefing runs (one row per scheduled or manual run, with its own log)
+  CREATE TABLE IF NOT EXISTS briefing_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    property_id INTEGER REFERENCES properties(id) ON DELETE CASCADE,
+    run_date DATE NOT NULL,
+    trigger TEXT DEFAULT 'schedule',
+    status TEXT DEFAULT 'running',
+    arrival_from DATE,
+    arrival_to DATE,
+    guests_total INTEGER DEFAULT 0,
+    researched INTEGER DEFAULT 0,
+    research_errors INTEGER DEFAULT 0,
+    recipients TEXT,
+    email_sent INTEGER DEFAULT 0,
+    error TEXT,
+    log TEXT,
+    started_by TEXT,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_briefing_runs_property ON briefing_runs(property_id, run_date);
+
+  -- Guest pairs reviewed as "not a duplicate" (guest_id_a < guest_id_b)
+  CREATE TABLE IF NOT EXISTS guest_duplicate_dismissals (
+    guest_id_a INTEGER REFERENCES guests(id) ON DELETE CASCADE,
+    guest_id_b INTEGER REFERENCES guests(id) ON DELETE CASCADE,
+    dismissed_by TEXT,
+    dismissed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (guest_id_a, guest_id_b)
+  );
+
+  -- Mews PMS connection per property (the access token is never returned by the API)
+  CREATE TABLE IF NOT EXISTS mews_connections (
+    property_id INTEGER PRIMARY KEY REFERENCES properties(id) ON DELETE CASCADE,
+    access_token TEXT,
+    enabled INTEGER DEFAULT 0,
+    interval_minutes INTEGER DEFAULT 15,
+    synced_until TEXT,
+    last_sync_at DATETIME,
+    last_error TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Mews sync runs (one row per scheduled or manual pull, with its own log)
+  CREATE TABLE IF NOT EXISTS mews_sync_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    property_id INTEGER REFERENCES properties(id) ON DELETE CASCADE,
+    trigger TEXT DEFAULT 'schedule',
+    status TEXT DEFAULT 'running',
+    window_start TEXT,
+    window_end TEXT,
+    reservations_seen INTEGER DEFAULT 0,
+    reservations_created INTEGER DEFAULT 0,
+    reservations_updated INTEGER DEFAULT 0,
+    reservations_cancelled INTEGER DEFAULT 0,
+    guests_created INTEGER DEFAULT 0,
+    guests_updated INTEGER DEFAULT 0,
+    import_batch_id TEXT,
+    error TEXT,
+    log TEXT,
+    started_by TEXT,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_mews_sync_runs_property ON mews_sync_runs(property_id, started_at);
+
+  -- GDPR data-subject requests (export / erase); no guest details, so the log survives erasure
+  CREATE TABLE IF NOT EXISTS gdpr_requests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guest_id INTEGER,
+    type TEXT NOT NULL CHECK(type IN ('export', 'erase')),
+    status TEXT DEFAULT 'completed',
+    note TEXT,
+    summary TEXT,
+    error TEXT,
+    requested_by TEXT,
+    property_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_gdpr_requests_guest ON gdpr_requests(guest_id);
+
+  -- Mews customers of erased guests: the sync keeps their stays on the anonymized guest
+  -- instead of matching them again by email or name and writing their details back
+  CREATE TABLE IF NOT EXISTS gdpr_erased_customers (
+    mews_customer_id TEXT PRIMARY KEY,
+    guest_id INTEGER,
+    erased_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Metered outbound API calls (one row per provider call, with estimated cost)
+  CREATE TABLE IF NOT EXISTS api_usage (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    provider TEXT NOT NULL,
+    operation TEXT,
+    model TEXT,
+    requests INTEGER DEFAULT 1,
+    input_tokens INTEGER DEFAULT 0,
+    output_tokens INTEGER DEFAULT 0,
+    cost REAL DEFAULT 0,
+    guest_id INTEGER,
+    queue_id TEXT,
+    property_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_api_usage_created ON api_usage(created_at);
+  CREATE INDEX IF NOT EXISTS idx_api_usage_guest ON api_usage(guest_id);
+  CREATE INDEX IF NOT EXISTS idx_api_usage_queue ON api_usage(queue_id);
+
+  -- Monthly spend budgets per provider ('total' covers all providers)
+  CREATE TABLE IF NOT EXISTS api_budgets (
+    provider TEXT PRIMARY KEY,
+    monthly_budget REAL NOT NULL,
+    updated_by TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Enrichment jobs: one row per guest in a queue, leased by the worker that processes it
+  CREATE TABLE IF NOT EXISTS enrichment_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    queue_id TEXT NOT NULL,
+    guest_id INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'running', 'completed', 'skipped', 'dead')),
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 3,
+    force_refresh INTEGER DEFAULT 0,
+    skip_requested INTEGER DEFAULT 0,
+    next_attempt_at DATETIME,
+    locked_by TEXT,
+    locked_until DATETIME,
+    last_error TEXT,
+    started_at DATETIME,
+    finished_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (queue_id) REFERENCES enrichment_queues(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_enrichment_jobs_queue ON enrichment_jobs(queue_id, status, position);
+  CREATE INDEX IF NOT EXISTS idx_enrichment_jobs_lease ON enrichment_jobs(status, locked_until);
+
+  -- Outbound webhooks (property_id NULL = events of all properties)
+  CREATE TABLE IF NOT EXISTS webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    property_id INTEGER REFERENCES properties(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    events TEXT NOT NULL DEFAULT '[]',
+    description TEXT,
+    active INTEGER DEFAULT 1,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- One row per event sent to a webhook, with the outcome of the last attempt
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id INTEGER NOT NULL,
+    event TEXT NOT NULL,
+    event_id TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    response_status INTEGER,
+    response_body TEXT,
+    error TEXT,
+    duration_ms INTEGER,
+    delivered_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+
+  -- Free tags on guests (lowercase), used by the guest filters
+  CREATE TABLE IF NOT EXISTS guest_tags (
+    guest_id INTEGER NOT NULL,
+    tag TEXT NOT NULL,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (guest_id, tag),
+    FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_guest_tags_tag ON guest_tags(tag);
+
+  -- Saved guest filter combinations; shared segments are visible to colleagues
+  CREATE TABLE IF NOT EXISTS guest_segments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    description TEXT,
+    filters TEXT NOT NULL DEFAULT '{}',
+    property_id INTEGER REFERENCES properties(id) ON DELETE CASCADE,
+    shared INTEGER DEFAULT 0,
+    created_by TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Saved column mappings for reservation exports of other PMS systems, recognised by their headers
+  CREATE TABLE IF NOT EXISTS import_profiles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    property_id INTEGER REFERENCES properties(id) ON DELETE CASCADE,
+    fingerprint TEXT NOT NULL,
+    headers TEXT NOT NULL DEFAULT '[]',
+    mapping TEXT NOT NULL DEFAULT '{}',
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_import_profiles_fingerprint ON import_profiles(fingerprint);
+
+  -- Background file imports: progress, row errors and result per run (status: running, completed, cancelled, failed)
+  CREATE TABLE IF NOT EXISTS import_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    batch_id TEXT NOT NULL,
+    property_id INTEGER REFERENCES properties(id) ON DELETE CASCADE,
+    source TEXT DEFAULT 'excel',
+    filename TEXT,
+    status TEXT DEFAULT 'running',
+    total_rows INTEGER DEFAULT 0,
+    processed_rows INTEGER DEFAULT 0,
+    new_guests INTEGER DEFAULT 0,
+    updated_guests INTEGER DEFAULT 0,
+    recognized_guests INTEGER DEFAULT 0,
+    skipped_rows INTEGER DEFAULT 0,
+    error_count INTEGER DEFAULT 0,
+    errors TEXT DEFAULT '[]',
+    result TEXT,
+    cancel_requested INTEGER DEFAULT 0,
+    error TEXT,
+    started_by TEXT,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_import_jobs_property ON import_jobs(property_id);
+
   -- Page views table (landing page analytics)
   CREATE TABLE IF NOT EXISTS page_views (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -308,6 +643,15 @@ try {
     console.log('✅ booking_status column added successfully');
   }
 
+  // Reservation remarks from imports, with the preferences extracted from them (JSON)
+  for (const column of ['notes', 'guest_notes', 'preferences']) {
+    if (!reservationInfo.some(col => col.name === column)) {
+      console.log(`🔄 Adding ${column} column to reservations...`);
+      db.prepare(`ALTER TABLE reservations ADD COLUMN ${column} TEXT`).run();
+      console.log(`✅ ${column} column added successfully`);
+    }
+  }
+
   // AI Research Assistant columns (custom input and undo/restore functionality)
   const hasCustomResearchInput = researchInfo.some(col => col.name === 'custom_research_input');
   const hasPreviousFullReport = researchInfo.some(col => col.name === 'previous_full_report');
@@ -405,6 +749,215 @@ try {
     console.log('✅ company_ownership_label column added successfully');
   }
 
+  // Field-level provenance (source, provider, confidence per attribute)
+  const hasFieldProvenance = researchInfo.some(col => col.name === 'field_provenance');
+  if (!hasFieldProvenance) {
+    console.log('🔄 Adding field_provenance column to research_results...');
+    db.prepare("ALTER TABLE research_results ADD COLUMN field_provenance TEXT").run();
+    console.log('✅ field_provenance column added successfully');
+  }
+
+  // Deal suggestion workflow columns
+  const dealInfo = db.prepare("PRAGMA table_info(deal_suggestions)").all();
+  const hasDealStatus = dealInfo.some(col => col.name === 'status');
+  const hasDealReason = dealInfo.some(col => col.name === 'reason');
+  const hasDealPriority = dealInfo.some(col => col.name === 'priority');
+  const hasDealDecidedAt = dealInfo.some(col => col.name === 'decided_at');
+  const hasDealKey = dealInfo.some(col => col.name === 'suggestion_key');
+
+  if (!hasDealStatus) {
+    console.log('🔄 Adding status column to deal_suggestions...');
+    db.prepare("ALTER TABLE deal_suggestions ADD COLUMN status TEXT DEFAULT 'open'").run();
+    console.log('✅ status column added successfully');
+  }
+
+  if (!hasDealReason) {
+    console.log('🔄 Adding reason column to deal_suggestions...');
+    db.prepare("ALTER TABLE deal_suggestions ADD COLUMN reason TEXT").run();
+    console.log('✅ reason column added successfully');
+  }
+
+  if (!hasDealPriority) {
+    console.log('🔄 Adding priority column to deal_suggestions...');
+    db.prepare("ALTER TABLE deal_suggestions ADD COLUMN priority INTEGER DEFAULT 1").run();
+    console.log('✅ priority column added successfully');
+  }
+
+  if (!hasDealDecidedAt) {
+    console.log('🔄 Adding decided_at column to deal_suggestions...');
+    db.prepare("ALTER TABLE deal_suggestions ADD COLUMN decided_at DATETIME").run();
+    console.log('✅ decided_at column added successfully');
+  }
+
+  // Stable key per kind of suggestion: the text changes with nights and room category
+  if (!hasDealKey) {
+    console.log('🔄 Adding suggestion_key column to deal_suggestions...');
+    db.prepare("ALTER TABLE deal_suggestions ADD COLUMN suggestion_key TEXT").run();
+    db.prepare(`
+      UPDATE deal_suggestions SET suggestion_key = CASE
+        WHEN suggestion_text LIKE 'Gast verblijft al%' THEN 'late_checkout'
+        WHEN suggestion_type = 'upgrade' THEN 'room_upgrade'
+        WHEN suggestion_text LIKE 'Ontbijt%' THEN 'breakfast'
+        WHEN suggestion_text LIKE 'Reserveer een tafel%' THEN 'restaurant'
+        WHEN suggestion_text LIKE 'Plaats een welkomstattentie%' THEN 'welcome_gift'
+        WHEN suggestion_type IN ('spa', 'transfer') THEN suggestion_type
+      END
+    `).run();
+    console.log('✅ suggestion_key column added successfully');
+  }
+
+  // Move the old single-slot backups (previous_full_report) into research_revisions
+  const legacyBackups = db.prepare(`
+    SELECT guest_id, previous_full_report, previous_vip_score FROM research_results
+    WHERE previous_full_report IS NOT NULL
+      AND guest_id NOT IN (SELECT DISTINCT guest_id FROM research_revisions)
+  `).all();
+  if (legacyBackups.length > 0) {
+    console.log(`🔄 Moving ${legacyBackups.length} legacy research backups to research_revisions...`);
+    const insertRevision = db.prepare(`
+      INSERT INTO research_revisions (guest_id, revision_number, source, author, note, snapshot)
+      VALUES (?, 1, 'legacy_backup', 'system', 'Vorig rapport (oude backup)', ?)
+    `);
+    db.transaction(() => {
+      for (const backup of legacyBackups) {
+        insertRevision.run(backup.guest_id, JSON.stringify({
+          full_report: backup.previous_full_report,
+          vip_score: backup.previous_vip_score
+        }));
+      }
+      db.prepare('UPDATE research_results SET previous_full_report = NULL, previous_vip_score = NULL').run();
+    })();
+    console.log('✅ Legacy research backups moved successfully');
+  }
+
+  // Multi-property: every property-owned table gets a property_id
+  const propertyScopedTables = ['reservations', 'import_batches', 'enrichment_queues', 'users', 'audit_log'];
+  for (const table of propertyScopedTables) {
+    const info = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!info.some(col => col.name === 'property_id')) {
+      console.log(`🔄 Adding property_id column to ${table}...`);
+      db.prepare(`ALTER TABLE ${table} ADD COLUMN property_id INTEGER REFERENCES properties(id)`).run();
+      console.log('✅ property_id column added successfully');
+    }
+  }
+  db.prepare("CREATE INDEX IF NOT EXISTS idx_reservations_property ON reservations(property_id)").run();
+  db.prepare("CREATE INDEX IF NOT EXISTS idx_import_batches_property ON import_batches(property_id)").run();
+
+  // Single-hotel installs become the default property; existing data is assigned to it
+  const propertyCount = db.prepare('SELECT COUNT(*) as count FROM properties').get().count;
+  if (propertyCount === 0) {
+    console.log('🔄 Creating default property...');
+    db.prepare(`
+      INSERT INTO properties (code, name, notification_email) VALUES (?, ?, ?)
+    `).run(
+      process.env.DEFAULT_PROPERTY_CODE || 'main',
+      process.env.DEFAULT_PROPERTY_NAME || 'Hoofdhotel',
+      process.env.NOTIFICATION_EMAIL || null
+    );
+    console.log('✅ Default property created');
+  }
+
+  const defaultPropertyId = db.prepare('SELECT MIN(id) as id FROM properties').get().id;
+  db.transaction(() => {
+    db.prepare('UPDATE reservations SET property_id = ? WHERE property_id IS NULL').run(defaultPropertyId);
+    db.prepare('UPDATE import_batches SET property_id = ? WHERE property_id IS NULL').run(defaultPropertyId);
+    db.prepare('UPDATE enrichment_queues SET property_id = ? WHERE property_id IS NULL').run(defaultPropertyId);
+    // Guests without any property link belong to the property of their reservations, or the default
+    db.prepare(`
+      INSERT OR IGNORE INTO guest_properties (guest_id, property_id, first_seen_at, last_seen_at)
+      SELECT r.guest_id, r.property_id, MIN(r.check_in_date), MAX(r.check_in_date)
+      FROM reservations r WHERE r.guest_id IS NOT NULL
+      GROUP BY r.guest_id, r.property_id
+    `).run();
+    db.prepare(`
+      INSERT OR IGNORE INTO guest_properties (guest_id, property_id, first_seen_at, last_seen_at)
+      SELECT g.id, ?, COALESCE(g.first_seen, g.created_at), COALESCE(g.last_stay, g.created_at)
+      FROM guests g
+      WHERE NOT EXISTS (SELECT 1 FROM guest_properties gp WHERE gp.guest_id = g.id)
+    `).run(defaultPropertyId);
+  })();
+
+  // Mews connector: customers are matched by their Mews id, reservations by number per property
+  const guestColumnsMews = db.prepare("PRAGMA table_info(guests)").all();
+  if (!guestColumnsMews.some(col => col.name === 'mews_customer_id')) {
+    console.log('🔄 Adding mews_customer_id column to guests...');
+    db.prepare("ALTER TABLE guests ADD COLUMN mews_customer_id TEXT").run();
+    console.log('✅ mews_customer_id column added successfully');
+  }
+  db.prepare("CREATE INDEX IF NOT EXISTS idx_guests_mews_customer ON guests(mews_customer_id)").run();
+  db.prepare("CREATE INDEX IF NOT EXISTS idx_reservations_mews ON reservations(property_id, mews_reservation_id)").run();
+
+  // GDPR: erased guests keep their stays but are marked anonymised
+  const guestColumnsGdpr = db.prepare("PRAGMA table_info(guests)").all();
+  if (!guestColumnsGdpr.some(col => col.name === 'anonymized_at')) {
+    console.log('🔄 Adding anonymized_at column to guests...');
+    db.prepare("ALTER TABLE guests ADD COLUMN anonymized_at DATETIME").run();
+    console.log('✅ anonymized_at column added successfully');
+  }
+
+  // Queues paused by the system (e.g. budget exceeded) keep the reason
+  const queueColumnsUsage = db.prepare("PRAGMA table_info(enrichment_queues)").all();
+  if (!queueColumnsUsage.some(col => col.name === 'pause_reason')) {
+    console.log('🔄 Adding pause_reason column to enrichment_queues...');
+    db.prepare("ALTER TABLE enrichment_queues ADD COLUMN pause_reason TEXT").run();
+    console.log('✅ pause_reason column added successfully');
+  }
+
+  // Durable enrichment queues: concurrency is kept so a resumed queue runs as it was started
+  const queueColumnsJobs = db.prepare("PRAGMA table_info(enrichment_queues)").all();
+  for (const [column, type] of [['concurrency', 'INTEGER DEFAULT 1'], ['started_by', 'TEXT'], ['completed_at', 'DATETIME']]) {
+    if (!queueColumnsJobs.some(col => col.name === column)) {
+      console.log(`🔄 Adding ${column} column to enrichment_queues...`);
+      db.prepare(`ALTER TABLE enrichment_queues ADD COLUMN ${column} ${type}`).run();
+      console.log(`✅ ${column} column added successfully`);
+    }
+  }
+
+  // Queues from before the job table get their jobs from the next_index snapshot
+  const queuesWithoutJobs = db.prepare(`
+    SELECT * FROM enrichment_queues q
+    WHERE q.status IN ('running', 'paused', 'stopped')
+      AND NOT EXISTS (SELECT 1 FROM enrichment_jobs j WHERE j.queue_id = q.id)
+  `).all();
+  if (queuesWithoutJobs.length > 0) {
+    console.log(`🔄 Creating enrichment jobs for ${queuesWithoutJobs.length} existing queue(s)...`);
+    const insertJob = db.prepare(`
+      INSERT INTO enrichment_jobs (queue_id, guest_id, position, status, finished_at)
+      VALUES (?, ?, ?, ?, CASE WHEN ? = 'completed' THEN CURRENT_TIMESTAMP END)
+    `);
+    db.transaction(() => {
+      for (const queue of queuesWithoutJobs) {
+        JSON.parse(queue.guest_ids || '[]').forEach((guestId, position) => {
+          const status = position < (queue.next_index || 0) ? 'completed' : 'pending';
+          insertJob.run(queue.id, guestId, position, status, status);
+        });
+      }
+    })();
+    console.log('✅ Enrichment jobs created successfully');
+  }
+
+  // Configurable VIP scoring: the AI score is kept apart so scores can be recalculated without new searches
+  const researchColumnsScoring = db.prepare("PRAGMA table_info(research_results)").all();
+  for (const [column, type] of [['score_breakdown', 'TEXT'], ['ai_vip_score', 'INTEGER']]) {
+    if (!researchColumnsScoring.some(col => col.name === column)) {
+      console.log(`🔄 Adding ${column} column to research_results...`);
+      db.prepare(`ALTER TABLE research_results ADD COLUMN ${column} ${type}`).run();
+      console.log(`✅ ${column} column added successfully`);
+
+      if (column === 'ai_vip_score') {
+        // Earlier scores came from the AI when it gave one, so they count as the AI score;
+        // a score set by staff stays as it is when everyone is re-scored
+        db.prepare('UPDATE research_results SET ai_vip_score = vip_score WHERE vip_score IS NOT NULL').run();
+        db.prepare(`
+          UPDATE research_results SET score_breakdown = json_object('method', 'manual', 'score', vip_score)
+          WHERE CASE WHEN json_valid(field_provenance)
+            THEN json_extract(field_provenance, '$.vip_score.source') = 'staff' AND json_extract(field_provenance, '$.vip_score.provider') IS NULL
+          END
+        `).run();
+      }
+    }
+  }
+
   // CRITICAL: Clean up duplicate research results to prevent lists from showing double entries
   console.log('🔄 Cleaning up any duplicate research results...');
   db.prepare(`
@@ -422,6 +975,9 @@ try {
     console.warn('⚠️ Could not create unique index on guest_id:', indexError.message);
   }
 
+  // Full-text search over guests, research, notes and bios (kept in sync by triggers)
+  guestSearchIndex.install(db);
+
 } catch (error) {
   console.error('Migration error:', error);
 }
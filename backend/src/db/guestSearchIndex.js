@@ -0,0 +1,108 @@
+/**
+ * Full-text index over guests (FTS5 table guest_search, rowid = guest id).
+ *
+ * One document per guest with six columns: name, work (company, job title, industry), contact,
+ * notes (including reservation remarks), bio (social bios) and research (notable info, report, press
+ * mentions). JSON reports are indexed by their text values only. Triggers on guests, research_results
+ * and reservations keep the index in sync on every write; anonymised guests are left out.
+ *
+ * Bump INDEX_VERSION when the document changes: the index is rebuilt once on the next start.
+ */
+
+const INDEX_VERSION = 2;
+
+const COLUMNS = ['name', 'work', 'contact', 'notes', 'bio', 'research'];
+
+// Text values of a JSON column, or the column itself when it is plain text
+const text = (column) => `CASE WHEN json_valid(${column})
+    THEN (SELECT group_concat(value, ' ') FROM json_tree(${column}) WHERE type = 'text')
+    ELSE ${column} END`;
+
+// Remarks of all reservations of the guest
+const reservationNotes = `(SELECT group_concat(COALESCE(res.notes, '') || ' ' || COALESCE(res.guest_notes, ''), ' ')
+    FROM reservations res WHERE res.guest_id = g.id)`;
+
+const join = (...parts) => parts.map(part => `COALESCE(${part}, '')`).join(" || ' ' || ");
+
+const DOCUMENT = `
+    SELECT g.id,
+        g.full_name,
+        ${join('g.company', 'g.job_title', 'r.company_name', 'r.job_title', 'r.industry')},
+        ${join('g.email', 'g.phone', 'g.country', 'g.address')},
+        ${join('g.notes', 'r.custom_research_input', reservationNotes)},
+        ${join('r.twitter_bio', 'r.instagram_bio')},
+        ${join('r.notable_info', text('r.full_report'), text('r.press_mentions'))}
+    FROM guests g
+    LEFT JOIN research_results r ON r.guest_id = g.id
+    WHERE g.anonymized_at IS NULL`;
+
+const refresh = (guestId) => `
+    DELETE FROM guest_search WHERE rowid = ${guestId};
+    INSERT INTO guest_search (rowid, ${COLUMNS.join(', ')}) ${DOCUMENT} AND g.id = ${guestId};`;
+
+const GUEST_COLUMNS = 'full_name, company, job_title, email, phone, country, address, notes, anonymized_at';
+const RESEARCH_COLUMNS = 'guest_id, job_title, company_name, industry, custom_research_input, twitter_bio, instagram_bio, notable_info, full_report, press_mentions';
+const RESERVATION_COLUMNS = 'guest_id, notes, guest_notes';
+
+function rebuild(db) {
+    db.transaction(() => {
+        db.prepare('DELETE FROM guest_search').run();
+        db.prepare(`INSERT INTO guest_search (rowid, ${COLUMNS.join(', ')}) ${DOCUMENT}`).run();
+    })();
+}
+
+/**
+ * Create the index and its triggers (recreated on every start so they follow the document),
+ * and fill it when it is new or out of date
+ */
+function install(db) {
+    db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS guest_search USING fts5(
+            ${COLUMNS.join(', ')},
+            tokenize = 'unicode61 remove_diacritics 2'
+        );
+
+        DROP TRIGGER IF EXISTS guest_search_guest_insert;
+        DROP TRIGGER IF EXISTS guest_search_guest_update;
+        DROP TRIGGER IF EXISTS guest_search_guest_delete;
+        DROP TRIGGER IF EXISTS guest_search_research_insert;
+        DROP TRIGGER IF EXISTS guest_search_research_update;
+        DROP TRIGGER IF EXISTS guest_search_research_delete;
+        DROP TRIGGER IF EXISTS guest_search_reservation_insert;
+        DROP TRIGGER IF EXISTS guest_search_reservation_update;
+        DROP TRIGGER IF EXISTS guest_search_reservation_delete;
+
+        CREATE TRIGGER guest_search_guest_insert AFTER INSERT ON guests BEGIN ${refresh('NEW.id')} END;
+        CREATE TRIGGER guest_search_guest_update AFTER UPDATE OF ${GUEST_COLUMNS} ON guests BEGIN ${refresh('NEW.id')} END;
+        CREATE TRIGGER guest_search_guest_delete AFTER DELETE ON guests BEGIN
+            DELETE FROM guest_search WHERE rowid = OLD.id;
+        END;
+
+        CREATE TRIGGER guest_search_research_insert AFTER INSERT ON research_results BEGIN ${refresh('NEW.guest_id')} END;
+        CREATE TRIGGER guest_search_research_update AFTER UPDATE OF ${RESEARCH_COLUMNS} ON research_results BEGIN
+            ${refresh('OLD.guest_id')}
+            ${refresh('NEW.guest_id')}
+        END;
+        CREATE TRIGGER guest_search_research_delete AFTER DELETE ON research_results BEGIN ${refresh('OLD.guest_id')} END;
+
+        -- Only reservations with remarks change the document
+        CREATE TRIGGER guest_search_reservation_insert AFTER INSERT ON reservations
+            WHEN NEW.notes IS NOT NULL OR NEW.guest_notes IS NOT NULL BEGIN ${refresh('NEW.guest_id')} END;
+        CREATE TRIGGER guest_search_reservation_update AFTER UPDATE OF ${RESERVATION_COLUMNS} ON reservations
+            WHEN OLD.notes IS NOT NULL OR OLD.guest_notes IS NOT NULL OR NEW.notes IS NOT NULL OR NEW.guest_notes IS NOT NULL BEGIN
+            ${refresh('OLD.guest_id')}
+            ${refresh('NEW.guest_id')}
+        END;
+        CREATE TRIGGER guest_search_reservation_delete AFTER DELETE ON reservations
+            WHEN OLD.notes IS NOT NULL OR OLD.guest_notes IS NOT NULL BEGIN ${refresh('OLD.guest_id')} END;
+    `);
+
+    if (db.pragma('user_version', { simple: true }) < INDEX_VERSION) {
+        console.log('🔄 Building full-text search index...');
+        rebuild(db);
+        db.pragma(`user_version = ${INDEX_VERSION}`);
+        console.log('✅ Full-text search index built');
+    }
+}
+
+module.exports = { install, rebuild, COLUMNS };
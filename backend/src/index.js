@@ -6,15 +6,44 @@ const path = require('path');
 // Routes
 const importRoutes = require('./routes/import');
 const guestRoutes = require('./routes/guests');
-const { router: researchRoutes, resumeActiveQueues } = require('./routes/research');
+const { router: researchRoutes } = require('./routes/research');
 const reportRoutes = require('./routes/reports');
 const analyticsRoutes = require('./routes/analytics');
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const propertyRoutes = require('./routes/properties');
+const usageRoutes = require('./routes/usage');
+const webhookRoutes = require('./routes/webhooks');
+const eventRoutes = require('./routes/events');
+const scoringRoutes = require('./routes/scoring');
+const segmentRoutes = require('./routes/segments');
+const searchRoutes = require('./routes/search');
+
+// Auth
+const { authenticate, requireRole, auditTrail } = require('./middleware/auth');
+const authService = require('./services/authService');
+const propertyService = require('./services/propertyService');
+const briefingScheduler = require('./services/briefingScheduler');
+const mewsConnector = require('./services/mewsConnector');
+const importJobs = require('./services/importJobs');
+const enrichmentQueue = require('./services/enrichmentQueue');
+const webhookService = require('./services/webhookService');
 
 // Database
 const db = require('./db/database');
 
+// Create the first admin account on a fresh database
+authService.ensureAdminUser();
+authService.purgeExpiredSessions();
+
 // Resume any abandoned background tasks
-resumeActiveQueues();
+enrichmentQueue.start();
+briefingScheduler.failInterruptedRuns();
+briefingScheduler.start();
+mewsConnector.failInterruptedRuns();
+mewsConnector.start();
+importJobs.failInterruptedJobs();
+webhookService.start();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -56,20 +85,31 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept-Language', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept-Language', 'X-Requested-With', 'X-Property-Id']
 }));
 
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Static files for uploads
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+// Static files for uploads (original import files contain guest data)
+app.use('/uploads', authenticate, requireRole('manager'), express.static(path.join(__dirname, '../uploads')));
 
 // API Routes
-app.use('/api/import', importRoutes);
-app.use('/api/guests', guestRoutes);
-app.use('/api/research', researchRoutes);
-app.use('/api/reports', reportRoutes);
+// Every route except login, health and landing page tracking requires a session;
+// mutating calls are written to the audit log
+app.use('/api/auth', authRoutes);
+app.use('/api/import', authenticate, auditTrail, importRoutes);
+app.use('/api/guests', authenticate, auditTrail, guestRoutes);
+app.use('/api/research', authenticate, auditTrail, researchRoutes);
+app.use('/api/reports', authenticate, auditTrail, reportRoutes);
+app.use('/api/users', authenticate, requireRole('admin'), auditTrail, userRoutes);
+app.use('/api/properties', authenticate, auditTrail, propertyRoutes);
+app.use('/api/usage', authenticate, requireRole('manager'), auditTrail, usageRoutes);
+app.use('/api/webhooks', authenticate, requireRole('admin'), auditTrail, webhookRoutes);
+app.use('/api/events', authenticate, eventRoutes);
+app.use('/api/scoring', authenticate, auditTrail, scoringRoutes);
+app.use('/api/segments', authenticate, auditTrail, segmentRoutes);
+app.use('/api/search', authenticate, auditTrail, searchRoutes);
 app.use('/api/analytics', analyticsRoutes);
 
 // Health check
@@ -78,19 +118,24 @@ app.get('/api/health', (req, res) => {
 });
 
 // Dashboard stats
-app.get('/api/dashboard/stats', (req, res) => {
+app.get('/api/dashboard/stats', authenticate, (req, res) => {
   try {
+    const scope = propertyService.guestScope(req.propertyId);
     const stats = {
-      totalGuests: db.prepare('SELECT COUNT(*) as count FROM guests').get().count,
-      vipGuests: db.prepare('SELECT COUNT(*) as count FROM research_results WHERE vip_score >= 7').get().count,
+      totalGuests: db.prepare(`SELECT COUNT(*) as count FROM guests g WHERE 1=1${scope.sql}`).get(...scope.params).count,
+      vipGuests: db.prepare(`
+        SELECT COUNT(*) as count FROM research_results r
+        JOIN guests g ON g.id = r.guest_id
+        WHERE r.vip_score >= 7${scope.sql}
+      `).get(...scope.params).count,
       pendingResearch: db.prepare(`
         SELECT COUNT(*) as count FROM guests g 
-        WHERE NOT EXISTS (SELECT 1 FROM research_results r WHERE r.guest_id = g.id)
-      `).get().count,
+        WHERE NOT EXISTS (SELECT 1 FROM research_results r WHERE r.guest_id = g.id)${scope.sql}
+      `).get(...scope.params).count,
       recentImports: db.prepare(`
         SELECT COUNT(DISTINCT guest_id) as count FROM reservations 
-        WHERE imported_at >= datetime('now', '-7 days')
-      `).get().count
+        WHERE imported_at >= datetime('now', '-7 days')${req.propertyId ? ' AND property_id = ?' : ''}
+      `).get(...(req.propertyId ? [req.propertyId] : [])).count
     };
     res.json(stats);
   } catch (error) {
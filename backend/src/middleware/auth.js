@@ -0,0 +1,101 @@
+const authService = require('../services/authService');
+const auditLog = require('../services/auditLog');
+const propertyService = require('../services/propertyService');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Router mount path -> audited entity type
+const ENTITY_TYPES = {
+    '/api/guests': 'guest',
+    '/api/research': 'guest',
+    '/api/reports': 'guest',
+    '/api/import': 'import_batch',
+    '/api/users': 'user',
+    '/api/properties': 'property',
+    '/api/usage': 'api_budget',
+    '/api/webhooks': 'webhook',
+    '/api/scoring': 'scoring_rules',
+    '/api/segments': 'segment'
+};
+
+function getToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+function getIp(req) {
+    return (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket?.remoteAddress || null;
+}
+
+/**
+ * Require a valid session; sets req.user and req.propertyId.
+ * Group-level users pick a property with the X-Property-Id header (none = all properties).
+ */
+function authenticate(req, res, next) {
+    const user = authService.getSessionUser(getToken(req));
+    if (!user) {
+        return res.status(401).json({ error: 'Niet ingelogd of sessie verlopen' });
+    }
+    req.user = user;
+    req.propertyId = propertyService.resolveForUser(user, req.headers['x-property-id']);
+    next();
+}
+
+/**
+ * Require at least the given role (front_desk < manager < admin)
+ */
+function requireRole(minimumRole) {
+    return (req, res, next) => {
+        if (!req.user || !authService.hasRole(req.user.role, minimumRole)) {
+            return res.status(403).json({ error: 'Onvoldoende rechten voor deze actie' });
+        }
+        next();
+    };
+}
+
+/**
+ * router.param handler: guests outside the current property are reported as not found
+ */
+function guestAccess(req, res, next, guestId) {
+    if (!propertyService.canAccessGuest(parseInt(guestId), req.propertyId)) {
+        return res.status(404).json({ error: 'Gast niet gevonden' });
+    }
+    next();
+}
+
+/**
+ * Write every mutating request to the audit log once the response is sent
+ */
+function auditTrail(req, res, next) {
+    if (!MUTATING_METHODS.includes(req.method)) return next();
+
+    res.on('finish', () => {
+        const params = req.params || {};
+        const routePath = (req.route?.path ? `${req.baseUrl}${req.route.path}` : req.baseUrl || req.path).replace(/(.)\/$/, '$1');
+        const body = req.body && typeof req.body === 'object' ? req.body : null;
+
+        auditLog.record({
+            user: req.user,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            action: `${req.method} ${routePath}`,
+            entityType: ENTITY_TYPES[req.baseUrl] || null,
+            entityId: params.guestId || params.id || null,
+            statusCode: res.statusCode,
+            details: body,
+            ip: getIp(req),
+            propertyId: req.propertyId || null
+        });
+    });
+
+    next();
+}
+
+module.exports = {
+    authenticate,
+    requireRole,
+    auditTrail,
+    guestAccess,
+    getToken,
+    getIp
+};
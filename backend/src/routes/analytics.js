@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
 const db = require('../db/database');
+const { authenticate, requireRole } = require('../middleware/auth');
 
 // Helper: Generate anonymous visitor hash from IP
 function getVisitorHash(req) {
@@ -57,8 +58,8 @@ router.post('/event', (req, res) => {
     }
 });
 
-// Get dashboard stats
-router.get('/stats', (req, res) => {
+// Get dashboard stats (tracking endpoints above stay public for the landing page)
+router.get('/stats', authenticate, requireRole('admin'), (req, res) => {
     try {
         // Total page views
         const totalViews = db.prepare('SELECT COUNT(*) as count FROM page_views').get().count;
@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+const authService = require('../services/authService');
+const auditLog = require('../services/auditLog');
+const { authenticate, getToken, getIp } = require('../middleware/auth');
+
+// POST /api/auth/login - Log in with username + password, returns a bearer token
+router.post('/login', (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        if (!username || !password) {
+            return res.status(400).json({ error: 'Gebruikersnaam en wachtwoord zijn verplicht' });
+        }
+
+        const session = authService.login(username, password);
+
+        auditLog.record({
+            user: session?.user || null,
+            method: 'POST',
+            path: '/api/auth/login',
+            action: session ? 'login' : 'login_failed',
+            entityType: 'user',
+            entityId: session?.user.id || null,
+            statusCode: session ? 200 : 401,
+            details: session ? null : { username },
+            ip: getIp(req)
+        });
+
+        if (!session) {
+            return res.status(401).json({ error: 'Ongeldige gebruikersnaam of wachtwoord' });
+        }
+
+        res.json(session);
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/auth/logout - End the current session
+router.post('/logout', authenticate, (req, res) => {
+    try {
+        authService.logout(getToken(req));
+
+        auditLog.record({
+            user: req.user,
+            method: 'POST',
+            path: '/api/auth/logout',
+            action: 'logout',
+            entityType: 'user',
+            entityId: req.user.id,
+            statusCode: 200,
+            ip: getIp(req)
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/auth/me - Current user
+router.get('/me', authenticate, (req, res) => {
+    res.json(req.user);
+});
+
+// PUT /api/auth/me/password - Change own password
+router.put('/me/password', authenticate, (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!authService.checkPassword(req.user.id, currentPassword)) {
+            return res.status(400).json({ error: 'Huidig wachtwoord is onjuist' });
+        }
+
+        // Changing the password ends all sessions, including the one just created to verify it
+        authService.updateUser(req.user.id, { password: newPassword });
+
+        auditLog.record({
+            user: req.user,
+            method: 'PUT',
+            path: '/api/auth/me/password',
+            action: 'password_changed',
+            entityType: 'user',
+            entityId: req.user.id,
+            statusCode: 200,
+            ip: getIp(req)
+        });
+
+        res.json({ success: true, ...authService.login(req.user.username, newPassword) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+module.exports = router;
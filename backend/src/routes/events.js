@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const eventBus = require('../services/eventBus');
+const enrichmentQueue = require('../services/enrichmentQueue');
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// GET /api/events - Server-sent events for live updates of the selected property
+// (Last-Event-ID header or ?lastEventId resumes after a reconnect)
+router.get('/', (req, res) => {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    // Proxies (nginx, Render) must not buffer the stream
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+
+    const send = (event) => {
+        if (!eventBus.isVisible(event, req.propertyId)) return;
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`);
+    };
+
+    // Catch up on what was missed while disconnected
+    const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId);
+    if (lastEventId) eventBus.since(lastEventId).forEach(send);
+
+    // Current queue, so pages need no separate request on load
+    const queue = enrichmentQueue.getActive(req.propertyId);
+    res.write(`event: queue.updated\ndata: ${JSON.stringify(queue ? { active: true, ...queue } : { active: false })}\n\n`);
+
+    const unsubscribe = eventBus.subscribe(send);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+module.exports = router;
@@ -1,14 +1,81 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db/database');
+const { requireRole, guestAccess, getIp } = require('../middleware/auth');
 const researchController = require('../services/researchController');
+const dealSuggestions = require('../services/dealSuggestions');
+const provenance = require('../services/provenance');
+const researchRevisions = require('../services/researchRevisions');
+const vipScorer = require('../services/vipScorer');
+const propertyService = require('../services/propertyService');
+const guestDeduplication = require('../services/guestDeduplication');
+const gdprService = require('../services/gdprService');
+const eventBus = require('../services/eventBus');
+const guestFilters = require('../services/guestFilters');
+const segmentService = require('../services/segmentService');
+const stayAnalytics = require('../services/stayAnalytics');
+const reservationNotes = require('../services/reservationNotes');
+const guestExport = require('../services/guestExport');
+const auditLog = require('../services/auditLog');
+
+// Guests outside the selected property are not visible
+router.param('id', guestAccess);
+
+const SORT_ORDERS = {
+    oldest: 'g.created_at ASC',
+    newest: 'g.created_at DESC',
+    name_asc: 'g.full_name COLLATE NOCASE ASC',
+    name_desc: 'g.full_name COLLATE NOCASE DESC',
+    vip_high: 'COALESCE(r.vip_score, 0) DESC, g.created_at DESC',
+    vip_low: 'COALESCE(r.vip_score, 0) ASC, g.created_at DESC',
+    company_asc: 'COALESCE(r.company_name, g.company, "") COLLATE NOCASE ASC, g.full_name COLLATE NOCASE ASC',
+    company_desc: 'COALESCE(r.company_name, g.company, "") COLLATE NOCASE DESC, g.full_name COLLATE NOCASE ASC',
+    country_asc: 'COALESCE(g.country, "") COLLATE NOCASE ASC, g.full_name COLLATE NOCASE ASC',
+    country_desc: 'COALESCE(g.country, "") COLLATE NOCASE DESC, g.full_name COLLATE NOCASE ASC',
+    stays_high: 'COALESCE(g.total_stays, 0) DESC, g.full_name COLLATE NOCASE ASC',
+    last_stay: 'COALESCE(g.last_stay, "") DESC, g.full_name COLLATE NOCASE ASC'
+};
+
+// Own keys only: ?sort=constructor must not reach ORDER BY
+function sortOrder(sort, fallback) {
+    return Object.hasOwn(SORT_ORDERS, sort) ? SORT_ORDERS[sort] : SORT_ORDERS[fallback];
+}
+
+/**
+ * Filters of a list request: ?segmentId= applies a saved segment, query filters override it
+ * @returns {{ filters, scopeId }|null} null when the segment is not visible to the user
+ * @throws {Error} on invalid filter values
+ */
+function listFilters(req) {
+    let segmentFilters = {};
+    let scopeId = req.propertyId;
+    if (req.query.segmentId) {
+        const segment = segmentService.get(parseInt(req.query.segmentId));
+        if (!segmentService.canView(segment, req.user, req.propertyId)) return null;
+        segmentFilters = segmentService.getFilters(segment);
+        scopeId = segmentService.scopeFor(segment, req.propertyId);
+    }
+    return { filters: { ...segmentFilters, ...guestFilters.normalize(req.query) }, scopeId };
+}
 
-// GET /api/guests - List all guests with filters
+// GET /api/guests - List all guests with filters (see guestFilters; ?segmentId= applies a saved segment, query filters override it)
 router.get('/', (req, res) => {
     try {
-        const { search, country, hasResearch, vipOnly, sort = 'newest', limit = 100, offset = 0 } = req.query;
+        const { sort = 'newest', limit = 100, offset = 0 } = req.query;
+
+        let list;
+        try {
+            list = listFilters(req);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+        if (!list) return res.status(404).json({ error: 'Segment niet gevonden' });
+        const { filters, scopeId } = list;
+
+        const where = guestFilters.build(filters, scopeId);
+        const reservationScope = scopeId ? ' AND property_id = ?' : '';
 
-        let query = `
+        const query = `
       SELECT 
         g.*,
         r.vip_score,
@@ -31,120 +98,228 @@ router.get('/', (req, res) => {
         r.needs_linkedin_review,
         r.linkedin_candidates,
         r.raw_search_results,
-        (SELECT COUNT(*) FROM reservations WHERE guest_id = g.id) as reservation_count
+        (SELECT COUNT(*) FROM reservations WHERE guest_id = g.id${reservationScope}) as reservation_count,
+        (SELECT COUNT(*) FROM guest_properties WHERE guest_id = g.id) as property_count,
+        (SELECT GROUP_CONCAT(tag, ',') FROM guest_tags WHERE guest_id = g.id) as tags
       FROM guests g
       LEFT JOIN research_results r ON r.guest_id = g.id
-      WHERE 1=1
+      WHERE 1=1${where.sql}
+      ORDER BY ${sortOrder(sort, 'newest')} LIMIT ? OFFSET ?
     `;
+        const params = [...(scopeId ? [scopeId] : []), ...where.params, parseInt(limit), parseInt(offset)];
 
-        const params = [];
+        const guests = db.prepare(query).all(...params).map(guest => ({
+            ...guest,
+            tags: guest.tags ? guest.tags.split(',').sort() : []
+        }));
 
-        if (search) {
-            query += ` AND (g.full_name LIKE ? OR g.email LIKE ? OR g.company LIKE ? OR r.job_title LIKE ? OR r.company_name LIKE ?)`;
-            const searchTerm = `%${search}%`;
-            params.push(searchTerm, searchTerm, searchTerm, searchTerm, searchTerm);
-        }
+        res.json({
+            guests,
+            total: guestFilters.count(filters, scopeId, { includeAnonymized: true }),
+            filters,
+            limit: parseInt(limit),
+            offset: parseInt(offset)
+        });
 
-        if (country) {
-            query += ` AND g.country = ?`;
-            params.push(country);
-        }
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        if (hasResearch === 'true') {
-            query += ` AND r.id IS NOT NULL`;
-        } else if (hasResearch === 'false') {
-            query += ` AND r.id IS NULL`;
-        }
+// GET /api/guests/filter-options - Industries, tags and influence levels for the filter panel
+router.get('/filter-options', (req, res) => {
+    try {
+        res.json(guestFilters.getOptions(req.propertyId));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        if (req.query.minVipScore) {
-            query += ` AND r.vip_score >= ?`;
-            params.push(parseInt(req.query.minVipScore));
-        } else if (vipOnly === 'true') {
-            query += ` AND r.vip_score >= 7`;
-        }
+// GET /api/guests/export/columns - Columns to choose from for an export
+router.get('/export/columns', (req, res) => {
+    try {
+        res.json({ ...guestExport.getColumns(), formats: guestExport.getFormats() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        // Sortering met meerdere opties
-        let orderClause = '';
-        switch (sort) {
-            case 'oldest':
-                orderClause = 'g.created_at ASC';
-                break;
-            case 'newest':
-                orderClause = 'g.created_at DESC';
-                break;
-            case 'name_asc':
-                orderClause = 'g.full_name COLLATE NOCASE ASC';
-                break;
-            case 'name_desc':
-                orderClause = 'g.full_name COLLATE NOCASE DESC';
-                break;
-            case 'vip_high':
-                orderClause = 'COALESCE(r.vip_score, 0) DESC, g.created_at DESC';
-                break;
-            case 'vip_low':
-                orderClause = 'COALESCE(r.vip_score, 0) ASC, g.created_at DESC';
-                break;
-            case 'company_asc':
-                orderClause = 'COALESCE(r.company_name, g.company, "") COLLATE NOCASE ASC, g.full_name COLLATE NOCASE ASC';
-                break;
-            case 'company_desc':
-                orderClause = 'COALESCE(r.company_name, g.company, "") COLLATE NOCASE DESC, g.full_name COLLATE NOCASE ASC';
-                break;
-            case 'country_asc':
-                orderClause = 'COALESCE(g.country, "") COLLATE NOCASE ASC, g.full_name COLLATE NOCASE ASC';
-                break;
-            case 'country_desc':
-                orderClause = 'COALESCE(g.country, "") COLLATE NOCASE DESC, g.full_name COLLATE NOCASE ASC';
-                break;
-            default:
-                orderClause = 'g.created_at DESC';
+// GET /api/guests/export - Guest list as XLSX or CSV (?format=xlsx|csv&columns=a,b plus the filters and sort of GET /api/guests)
+router.get('/export', requireRole('manager'), (req, res) => {
+    try {
+        let list;
+        let options;
+        try {
+            list = listFilters(req);
+            options = guestExport.normalize(req.query);
+            if (list) guestExport.checkSize(list.filters, list.scopeId);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
         }
-        query += ` ORDER BY ${orderClause} LIMIT ? OFFSET ?`;
-        params.push(parseInt(limit), parseInt(offset));
+        if (!list) return res.status(404).json({ error: 'Segment niet gevonden' });
 
-        const guests = db.prepare(query).all(...params);
+        const file = guestExport.export(list.filters, list.scopeId, {
+            ...options,
+            orderBy: sortOrder(req.query.sort, 'name_asc')
+        });
 
-        // Get total count for pagination
-        let countQuery = `
-      SELECT COUNT(*) as total FROM guests g
-      LEFT JOIN research_results r ON r.guest_id = g.id
-      WHERE 1=1
-    `;
-        const countParams = [];
+        // Personal data leaves the system: log it like a change (the audit trail only sees mutating requests)
+        auditLog.record({
+            user: req.user,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            action: 'GET /api/guests/export',
+            entityType: 'guest',
+            statusCode: 200,
+            details: { format: options.format, columns: options.columns, filters: list.filters, rows: file.rows },
+            ip: getIp(req),
+            propertyId: req.propertyId || null
+        });
+
+        const date = new Date().toISOString().split('T')[0];
+        console.log(`📤 Export: ${file.rows} gasten (${options.format}) door ${req.user.username}`);
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="gasten-${date}.${options.format}"`);
+        res.send(file.buffer);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        if (search) {
-            countQuery += ` AND (g.full_name LIKE ? OR g.email LIKE ? OR g.company LIKE ? OR r.job_title LIKE ? OR r.company_name LIKE ?)`;
-            const searchTerm = `%${search}%`;
-            countParams.push(searchTerm, searchTerm, searchTerm, searchTerm, searchTerm);
+// GET /api/guests/duplicates - Possible duplicate guests for review
+router.get('/duplicates', (req, res) => {
+    try {
+        const candidates = guestDeduplication.findCandidates({
+            propertyId: req.propertyId,
+            limit: req.query.limit
+        });
+        res.json(candidates);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/guests/duplicates/dismiss - Mark two guests as "not a duplicate"
+router.post('/duplicates/dismiss', requireRole('manager'), (req, res) => {
+    try {
+        const { guestIds } = req.body;
+
+        if (!Array.isArray(guestIds) || guestIds.length !== 2) {
+            return res.status(400).json({ error: 'Selecteer precies twee gasten' });
+        }
+        const [idA, idB] = guestIds.map(id => parseInt(id));
+        if (!propertyService.canAccessGuest(idA, req.propertyId) || !propertyService.canAccessGuest(idB, req.propertyId)) {
+            return res.status(404).json({ error: 'Gast niet gevonden' });
         }
 
-        if (country) {
-            countQuery += ` AND g.country = ?`;
-            countParams.push(country);
+        guestDeduplication.dismiss(idA, idB, req.user.username);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/guests/merge - Merge a duplicate guest into the primary guest
+router.post('/merge', requireRole('manager'), (req, res) => {
+    try {
+        const primaryId = parseInt(req.body.primaryId);
+        const duplicateId = parseInt(req.body.duplicateId);
+        const { keepResearch = 'primary' } = req.body;
+
+        if (!primaryId || !duplicateId) {
+            return res.status(400).json({ error: 'primaryId en duplicateId zijn verplicht' });
+        }
+        if (!['primary', 'duplicate'].includes(keepResearch)) {
+            return res.status(400).json({ error: 'keepResearch moet primary of duplicate zijn' });
+        }
+        if (!propertyService.canAccessGuest(primaryId, req.propertyId) || !propertyService.canAccessGuest(duplicateId, req.propertyId)) {
+            return res.status(404).json({ error: 'Gast niet gevonden' });
         }
 
-        if (hasResearch === 'true') {
-            countQuery += ` AND r.id IS NOT NULL`;
-        } else if (hasResearch === 'false') {
-            countQuery += ` AND r.id IS NULL`;
+        let guest;
+        try {
+            guest = guestDeduplication.merge(primaryId, duplicateId, { author: req.user.username, keepResearch });
+        } catch (mergeError) {
+            return res.status(400).json({ error: mergeError.message });
         }
 
-        if (req.query.minVipScore) {
-            countQuery += ` AND r.vip_score >= ?`;
-            countParams.push(parseInt(req.query.minVipScore));
-        } else if (vipOnly === 'true') {
-            countQuery += ` AND r.vip_score >= 7`;
+        eventBus.publish('guest.deleted', { guestId: duplicateId, mergedInto: primaryId, by: req.user.username }, { guestId: primaryId });
+        eventBus.publish('guest.updated', { guestId: primaryId, name: guest.full_name, by: req.user.username, action: 'merge' }, { guestId: primaryId });
+
+        res.json({ success: true, guest });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/guests/gdpr/requests - Log of GDPR export/erase requests (?guestId, ?limit)
+router.get('/gdpr/requests', requireRole('admin'), (req, res) => {
+    try {
+        res.json(gdprService.listRequests({
+            propertyId: req.propertyId,
+            guestId: req.query.guestId,
+            limit: req.query.limit
+        }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/guests/:id/gdpr-export - Everything stored about a guest as a JSON archive
+router.get('/:id/gdpr-export', requireRole('manager'), (req, res) => {
+    const guestId = parseInt(req.params.id);
+    try {
+        const archive = gdprService.export(guestId, {
+            requestedBy: req.user.username,
+            propertyId: req.propertyId,
+            note: req.query.note || null
+        });
+        if (!archive) {
+            return res.status(404).json({ error: 'Gast niet gevonden' });
         }
 
-        const { total } = db.prepare(countQuery).get(...countParams);
+        res.setHeader('Content-Disposition', `attachment; filename="gdpr-export-gast-${guestId}.json"`);
+        res.json(archive);
+    } catch (error) {
+        gdprService.logRequest({ guestId, type: 'export', status: 'failed', error: error.message, requestedBy: req.user.username, propertyId: req.propertyId });
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        res.json({
-            guests,
-            total,
-            limit: parseInt(limit),
-            offset: parseInt(offset)
+// POST /api/guests/:id/gdpr-erase - Anonymise a guest (keeps stay statistics)
+router.post('/:id/gdpr-erase', requireRole('admin'), (req, res) => {
+    const guestId = parseInt(req.params.id);
+    try {
+        const guest = db.prepare('SELECT anonymized_at FROM guests WHERE id = ?').get(guestId);
+        if (!guest) {
+            return res.status(404).json({ error: 'Gast niet gevonden' });
+        }
+        if (guest.anonymized_at) {
+            return res.status(400).json({ error: 'Gast is al geanonimiseerd' });
+        }
+
+        const result = gdprService.erase(guestId, {
+            requestedBy: req.user.username,
+            propertyId: req.propertyId,
+            note: req.body.note || null
         });
+        eventBus.publish('guest.updated', { guestId, by: req.user.username, action: 'erase' }, { guestId });
 
+        res.json({ success: true, ...result });
+    } catch (error) {
+        gdprService.logRequest({ guestId, type: 'erase', status: 'failed', error: error.message, requestedBy: req.user.username, propertyId: req.propertyId });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/guests/:id/duplicates - Possible duplicates of one guest
+router.get('/:id/duplicates', (req, res) => {
+    try {
+        const candidates = guestDeduplication.findCandidates({
+            propertyId: req.propertyId,
+            guestIds: [parseInt(req.params.id)]
+        });
+        res.json(candidates);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -168,10 +343,16 @@ router.get('/:id', (req, res) => {
       SELECT * FROM research_results WHERE guest_id = ?
     `).get(id);
 
-        // Get reservations
+        // Get reservations (only the selected property's when scoped)
         const reservations = db.prepare(`
-      SELECT * FROM reservations WHERE guest_id = ? ORDER BY check_in_date DESC
-    `).all(id);
+      SELECT r.*, p.name as property_name FROM reservations r
+      LEFT JOIN properties p ON p.id = r.property_id
+      WHERE r.guest_id = ?${req.propertyId ? ' AND r.property_id = ?' : ''}
+      ORDER BY r.check_in_date DESC
+    `).all(...(req.propertyId ? [id, req.propertyId] : [id]));
+
+        // Every property in the group that knows this guest
+        const properties = propertyService.getGuestProperties(id);
 
         // Get deal suggestions
         const suggestions = db.prepare(`
@@ -182,7 +363,12 @@ router.get('/:id', (req, res) => {
             ...guest,
             research,
             reservations,
-            suggestions
+            suggestions,
+            properties,
+            other_properties: properties.filter(p => p.id !== req.propertyId),
+            tags: guestFilters.getTags(id),
+            lifetime: stayAnalytics.getGuestLifetime(id, req.propertyId),
+            stay_notes: reservationNotes.getForGuest(id, req.propertyId)
         });
 
     } catch (error) {
@@ -199,6 +385,23 @@ router.post('/', (req, res) => {
             return res.status(400).json({ error: 'Naam is verplicht' });
         }
 
+        const propertyId = req.propertyId || propertyService.getDefaultId();
+
+        // A guest already known at another property of the group is recognised and linked
+        const known = db.prepare(`
+            SELECT id FROM guests WHERE LOWER(full_name) = LOWER(?) ${email ? 'OR email = ?' : ''}
+        `).get(...(email ? [full_name.trim(), email] : [full_name.trim()]));
+        if (req.propertyId && known && !propertyService.canAccessGuest(known.id, req.propertyId)) {
+            propertyService.linkGuest(known.id, propertyId);
+            const guest = db.prepare('SELECT * FROM guests WHERE id = ?').get(known.id);
+            eventBus.publish('guest.created', { guestId: guest.id, name: guest.full_name, by: req.user.username }, { propertyId });
+            return res.status(200).json({
+                ...guest,
+                recognized: true,
+                properties: propertyService.getGuestProperties(known.id)
+            });
+        }
+
         // Check if guest with same name exists (case-insensitive)
         const existingByName = db.prepare('SELECT id, full_name FROM guests WHERE LOWER(full_name) = LOWER(?)').get(full_name.trim());
         if (existingByName) {
@@ -224,14 +427,17 @@ router.post('/', (req, res) => {
       VALUES (?, ?, ?, ?, ?, ?)
     `).run(full_name.trim(), email || null, phone || null, country || null, company || null, notes || null);
 
+        propertyService.linkGuest(result.lastInsertRowid, propertyId);
+
         const guest = db.prepare('SELECT * FROM guests WHERE id = ?').get(result.lastInsertRowid);
+        eventBus.publish('guest.created', { guestId: guest.id, name: guest.full_name, by: req.user.username }, { propertyId });
 
         // Automatically start research in background
         // We do NOT await this promise because we want to return the guest immediately to the UI
         try {
             const language = req.headers['accept-language'] || 'nl';
             console.log(`🚀 Triggering auto-research for new guest: ${guest.full_name} (${language})`);
-            researchController.performResearch(guest.id, { language })
+            researchController.performResearch(guest.id, { language, author: req.user.username, propertyId })
                 .then(() => console.log(`✅ Auto-research completed for guest ${guest.id}: ${guest.full_name}`))
                 .catch(err => console.error(`❌ Auto-research failed for guest ${guest.id}:`, err.message));
         } catch (researchError) {
@@ -272,14 +478,16 @@ router.put('/:id', (req, res) => {
         // Also update profile_photo_url if provided in body
         const { profile_photo_url } = req.body;
         if (profile_photo_url !== undefined) {
-            const hasResearch = db.prepare('SELECT id FROM research_results WHERE guest_id = ?').get(id);
-            if (hasResearch) {
+            const hasResearch = db.prepare('SELECT id, profile_photo_url FROM research_results WHERE guest_id = ?').get(id);
+            if (hasResearch && (hasResearch.profile_photo_url || '') !== (profile_photo_url || '')) {
+                researchRevisions.ensureBaseline(id, req.user.username);
                 db.prepare(`
                     UPDATE research_results 
                     SET profile_photo_url = ?, updated_at = CURRENT_TIMESTAMP
                     WHERE guest_id = ?
                 `).run(profile_photo_url, id);
-            } else if (profile_photo_url) {
+                researchRevisions.record(id, { source: 'manual_edit', author: req.user.username, note: 'Profielfoto aangepast' });
+            } else if (!hasResearch && profile_photo_url) {
                 db.prepare(`
                     INSERT INTO research_results (guest_id, profile_photo_url)
                     VALUES (?, ?)
@@ -290,6 +498,17 @@ router.put('/:id', (req, res) => {
 
         const guest = db.prepare('SELECT * FROM guests WHERE id = ?').get(id);
 
+        // Other users with this guest open see the change
+        const fields = ['full_name', 'email', 'phone', 'country', 'company', 'notes', 'profile_photo_url']
+            .filter(field => req.body[field] !== undefined);
+        eventBus.publish('guest.updated', {
+            guestId: guest.id,
+            name: guest.full_name,
+            fields,
+            by: req.user.username,
+            action: 'edit'
+        }, { guestId: guest.id });
+
         res.json(guest);
 
     } catch (error) {
@@ -298,18 +517,20 @@ router.put('/:id', (req, res) => {
 });
 
 // DELETE /api/guests/:id - Delete guest
-router.delete('/:id', (req, res) => {
+router.delete('/:id', requireRole('manager'), (req, res) => {
     try {
-        const { id } = req.params;
-
-        const existing = db.prepare('SELECT id FROM guests WHERE id = ?').get(id);
-        if (!existing) {
+        const outcome = propertyService.removeGuest(parseInt(req.params.id), req.propertyId);
+        if (!outcome) {
             return res.status(404).json({ error: 'Gast niet gevonden' });
         }
+        eventBus.publish('guest.deleted', { guestId: parseInt(req.params.id), outcome, by: req.user.username },
+            { propertyId: req.propertyId });
 
-        db.prepare('DELETE FROM guests WHERE id = ?').run(id);
-
-        res.json({ success: true, message: 'Gast verwijderd' });
+        res.json({
+            success: true,
+            outcome,
+            message: outcome === 'unlinked' ? 'Gast verwijderd bij dit hotel' : 'Gast verwijderd'
+        });
 
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -317,7 +538,7 @@ router.delete('/:id', (req, res) => {
 });
 
 // POST /api/guests/bulk-delete - Delete multiple guests at once
-router.post('/bulk-delete', (req, res) => {
+router.post('/bulk-delete', requireRole('manager'), (req, res) => {
     try {
         const { guestIds } = req.body;
 
@@ -334,6 +555,14 @@ router.post('/bulk-delete', (req, res) => {
         const deleteMany = db.transaction((ids) => {
             let deletedCount = 0;
             for (const id of ids) {
+                if (!propertyService.canAccessGuest(id, req.propertyId)) continue;
+
+                // Guests also known at other properties are only removed from this one
+                if (req.propertyId && propertyService.removeGuest(id, req.propertyId) === 'unlinked') {
+                    deletedCount++;
+                    continue;
+                }
+
                 // Delete related data first
                 deleteResearch.run(id);
                 deleteReservations.run(id);
@@ -346,6 +575,9 @@ router.post('/bulk-delete', (req, res) => {
         });
 
         const deletedCount = deleteMany(guestIds);
+        if (deletedCount > 0) {
+            eventBus.publish('guest.deleted', { guestIds, by: req.user.username }, { propertyId: req.propertyId });
+        }
 
         res.json({
             success: true,
@@ -359,7 +591,7 @@ router.post('/bulk-delete', (req, res) => {
 });
 
 // PUT /api/guests/:id/vip-score - Update VIP score manually
-router.put('/:id/vip-score', (req, res) => {
+router.put('/:id/vip-score', requireRole('manager'), (req, res) => {
     try {
         const { id } = req.params;
         const { vip_score } = req.body;
@@ -369,17 +601,22 @@ router.put('/:id/vip-score', (req, res) => {
         }
 
         // Check if research exists - only allow update if research already exists
-        const research = db.prepare('SELECT id FROM research_results WHERE guest_id = ?').get(id);
+        const research = db.prepare('SELECT id, vip_score, field_provenance FROM research_results WHERE guest_id = ?').get(id);
 
         if (!research) {
             return res.status(400).json({ error: 'Voer eerst onderzoek uit voordat je de VIP score kunt aanpassen' });
         }
 
+        researchRevisions.ensureBaseline(id, req.user.username);
         db.prepare(`
         UPDATE research_results 
-        SET vip_score = ?, updated_at = CURRENT_TIMESTAMP
+        SET vip_score = ?, field_provenance = ?, updated_at = CURRENT_TIMESTAMP
         WHERE guest_id = ?
-      `).run(vip_score, id);
+      `).run(vip_score, JSON.stringify(provenance.merge(research.field_provenance, { vip_score: provenance.entry('staff') })), id);
+        // Re-scoring everyone keeps a score set by staff
+        vipScorer.setManual(id, vip_score, req.user.username);
+        researchRevisions.record(id, { source: 'vip_score', author: req.user.username, note: `VIP score ${vip_score}` });
+        researchController.onScoreChanged(parseInt(id), research.vip_score, { source: 'vip_score' });
 
         const updatedResearch = db.prepare('SELECT * FROM research_results WHERE guest_id = ?').get(id);
 
@@ -390,14 +627,110 @@ router.put('/:id/vip-score', (req, res) => {
     }
 });
 
+// GET /api/guests/:id/score-breakdown - Itemised VIP score: how the stored score was set and what the current rules give
+router.get('/:id/score-breakdown', (req, res) => {
+    try {
+        const explanation = vipScorer.explain(parseInt(req.params.id));
+        if (!explanation) {
+            return res.status(404).json({ error: 'Geen onderzoek gevonden voor deze gast' });
+        }
+        res.json(explanation);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/guests/:id/tags - Replace the tags of a guest { tags: ['golf', 'stamgast'] }
+router.put('/:id/tags', (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const guest = db.prepare('SELECT id, full_name FROM guests WHERE id = ?').get(id);
+        if (!guest) {
+            return res.status(404).json({ error: 'Gast niet gevonden' });
+        }
+
+        let tags;
+        try {
+            tags = guestFilters.setTags(id, req.body.tags, req.user.username);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        eventBus.publish('guest.updated', {
+            guestId: id,
+            name: guest.full_name,
+            fields: ['tags'],
+            by: req.user.username,
+            action: 'edit'
+        }, { guestId: id });
+
+        res.json({ tags });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/guests/:id/suggestions - Deal suggestions for a guest
+router.get('/:id/suggestions', (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        res.json(dealSuggestions.getForGuest(id));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/guests/:id/suggestions/regenerate - Regenerate deal suggestions
+router.post('/:id/suggestions/regenerate', (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const suggestions = dealSuggestions.generateForGuest(id);
+        res.json({ success: true, suggestions });
+    } catch (error) {
+        if (error.message === 'Gast niet gevonden') {
+            return res.status(404).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/guests/:id/suggestions/:suggestionId/accept - Accept a deal suggestion
+// POST /api/guests/:id/suggestions/:suggestionId/dismiss - Dismiss a deal suggestion
+// POST /api/guests/:id/suggestions/:suggestionId/reopen - Put a suggestion back to open
+router.post('/:id/suggestions/:suggestionId/:action', (req, res) => {
+    try {
+        const statusByAction = { accept: 'accepted', dismiss: 'dismissed', reopen: 'open' };
+        const status = statusByAction[req.params.action];
+
+        if (!status) {
+            return res.status(400).json({ error: 'Ongeldige actie (accept, dismiss of reopen)' });
+        }
+
+        const suggestion = dealSuggestions.updateStatus(
+            parseInt(req.params.id),
+            parseInt(req.params.suggestionId),
+            status
+        );
+
+        if (!suggestion) {
+            return res.status(404).json({ error: 'Suggestie niet gevonden' });
+        }
+
+        res.json(suggestion);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // GET /api/guests/countries/list - Get list of all countries
 router.get('/countries/list', (req, res) => {
     try {
+        const scope = propertyService.guestScope(req.propertyId);
         const countries = db.prepare(`
-      SELECT DISTINCT country FROM guests 
-      WHERE country IS NOT NULL AND country != ''
+      SELECT DISTINCT country FROM guests g
+      WHERE country IS NOT NULL AND country != ''${scope.sql}
       ORDER BY country
-    `).all();
+    `).all(...scope.params);
 
         res.json(countries.map(c => c.country));
 
@@ -5,7 +5,18 @@ const csv = require('csv-parser');
 const fs = require('fs');
 const path = require('path');
 const db = require('../db/database');
-const XLSX = require('xlsx');
+const { requireRole, guestAccess } = require('../middleware/auth');
+const propertyService = require('../services/propertyService');
+const guestDeduplication = require('../services/guestDeduplication');
+const mewsConnector = require('../services/mewsConnector');
+const webhookService = require('../services/webhookService');
+const eventBus = require('../services/eventBus');
+const reservationNotes = require('../services/reservationNotes');
+const importMapping = require('../services/importMapping');
+const importReview = require('../services/importReview');
+const importRollback = require('../services/importRollback');
+const importJobs = require('../services/importJobs');
+const { Worker } = require('worker_threads');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -36,6 +47,10 @@ const upload = multer({
     }
 });
 
+// Rows per transaction of a background import; between chunks progress is published, a cancel
+// is picked up and other requests get their turn
+const IMPORT_CHUNK_SIZE = 250;
+
 // Generate simple batch ID
 function generateBatchId() {
     return `batch-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
@@ -73,30 +88,20 @@ function formatDate(date) {
     return date;
 }
 
-// Normalize guest name for matching
-function normalizeGuestName(name) {
-    if (!name) return '';
-    return name
-        .toLowerCase()
-        .trim()
-        .replace(/\s+/g, ' ')  // Multiple spaces to single
-        .replace(/[^\w\s]/g, ''); // Remove special chars
-}
-
-// Fuzzy name match (simple implementation)
-function fuzzyNameMatch(name1, name2) {
-    const n1 = normalizeGuestName(name1);
-    const n2 = normalizeGuestName(name2);
-
-    if (n1 === n2) return true;
-
-    // Check if all parts of shorter name are in longer name
-    const parts1 = n1.split(' ');
-    const parts2 = n2.split(' ');
-    const shorter = parts1.length < parts2.length ? parts1 : parts2;
-    const longer = parts1.length < parts2.length ? parts2 : parts1;
-
-    return shorter.every(part => longer.some(p => p.includes(part) || part.includes(p)));
+// Possible duplicates among newly created guests (e.g. "J. de Vries" next to "Jan de Vries").
+// These are left out of auto-enrichment so no research is paid twice before review.
+function detectPossibleDuplicates(newGuestIds, propertyId) {
+    if (newGuestIds.length === 0) return { possibleDuplicates: [], flaggedIds: new Set() };
+
+    const possibleDuplicates = guestDeduplication.findCandidates({ propertyId, guestIds: newGuestIds, limit: 500 });
+    const newIds = new Set(newGuestIds.map(Number));
+    const flaggedIds = new Set();
+    for (const candidate of possibleDuplicates) {
+        for (const guest of candidate.guests) {
+            if (newIds.has(guest.id)) flaggedIds.add(guest.id);
+        }
+    }
+    return { possibleDuplicates, flaggedIds };
 }
 
 // Track field changes for guest history
@@ -117,20 +122,29 @@ function trackFieldChanges(guestId, existingGuest, newData, batchId) {
     }
 }
 
-// Parse Excel file and return structured data
-function parseExcelFile(filePath) {
-    const workbook = XLSX.readFile(filePath);
+// Rows shown per file in the column mapping step
+const MAPPING_SAMPLE_ROWS = 5;
 
-    // Look for 'Reserveringen' sheet or use first sheet
-    const sheetName = workbook.SheetNames.includes('Reserveringen')
-        ? 'Reserveringen'
-        : workbook.SheetNames[0];
+// Record the visit fields as well, so rolling back the batch can restore them
+function trackStayChanges(guestId, existingGuest, lastStay, totalStays, batchId) {
+    const insertHistory = db.prepare(`
+        INSERT INTO guest_history (guest_id, field_name, old_value, new_value, import_batch_id)
+        VALUES (?, ?, ?, ?, ?)
+    `);
 
-    const sheet = workbook.Sheets[sheetName];
-    const rawData = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+    if ((existingGuest.last_stay || null) !== (lastStay || null)) {
+        insertHistory.run(guestId, 'last_stay', existingGuest.last_stay || null, lastStay || null, batchId);
+    }
+    if (existingGuest.total_stays !== totalStays) {
+        insertHistory.run(guestId, 'total_stays', existingGuest.total_stays, totalStays, batchId);
+    }
+}
 
+// Header row and data rows of a sheet (rows of cells).
+// With mapped the Mews-specific row filter is skipped: only empty and "Totaal" rows are dropped.
+function toTable(rawData, { mapped = false } = {}) {
     if (rawData.length < 2) {
-        return { headers: [], data: [], sheetName };
+        return { headers: [], data: [], headerRowIndex: 0 };
     }
 
     // Find the header row by looking for 'Voornaam' or 'Achternaam' or 'Nummer'
@@ -159,6 +173,7 @@ function parseExcelFile(filePath) {
     const filteredData = data.filter(row => {
         const firstCell = String(row[0] || '').toLowerCase();
         const secondCell = String(row[1] || '').toLowerCase();
+        if (mapped) return firstCell.trim() !== 'totaal';
         // Skip totaal rows and header-like rows
         return firstCell !== 'totaal' &&
             firstCell !== '' &&
@@ -166,16 +181,72 @@ function parseExcelFile(filePath) {
             secondCell !== 'groepsnaam';
     });
 
-    console.log(`📊 Excel parsed: ${sheetName}, headers at row ${headerRowIndex + 1}, ${filteredData.length} data rows`);
+    return { headers, data: filteredData, headerRowIndex };
+}
 
-    return { headers, data: filteredData, sheetName };
+// Parse Excel file and return structured data. The workbook is read in a worker thread,
+// so a large export does not block other requests.
+async function parseExcelFile(filePath, options = {}) {
+    const { sheetName, rows: rawData } = await new Promise((resolve, reject) => {
+        const worker = new Worker(path.join(__dirname, '../services/excelWorker.js'), { workerData: { filePath } });
+        worker.once('message', (message) => message.error ? reject(new Error(message.error)) : resolve(message));
+        worker.once('error', reject);
+    });
+    const { headers, data, headerRowIndex } = toTable(rawData, options);
+
+    console.log(`📊 Excel parsed: ${sheetName}, headers at row ${headerRowIndex + 1}, ${data.length} data rows`);
+
+    return { headers, data, sheetName };
+}
+
+// Separator of a CSV file: the most common of ; , and tab on the first line (European exports use ;)
+function detectSeparator(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    const buffer = Buffer.alloc(4096);
+    const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    fs.closeSync(fd);
+    const firstLine = buffer.toString('utf8', 0, bytes).split(/\r?\n/)[0];
+    const count = (char) => firstLine.split(char).length - 1;
+    return [';', '\t', ','].reduce((best, char) => count(char) > count(best) ? char : best, ',');
+}
+
+// Parse a CSV file as a stream, so a large export is not read into one string first.
+// Cells stay text, so dates are read with the chosen date format.
+async function parseCsvFile(filePath, options = {}) {
+    const rawData = [];
+    const separator = detectSeparator(filePath);
+    await new Promise((resolve, reject) => {
+        fs.createReadStream(filePath)
+            .pipe(csv({ headers: false, separator }))
+            .on('data', (row) => {
+                // Numeric keys keep the column order
+                rawData.push(Object.values(row));
+            })
+            .on('end', resolve)
+            .on('error', reject);
+    });
+    if (rawData.length > 0) rawData[0][0] = String(rawData[0][0]).replace(/^\uFEFF/, '');
+
+    const { headers, data, headerRowIndex } = toTable(rawData, options);
+    console.log(`📊 CSV parsed: headers at row ${headerRowIndex + 1}, ${data.length} data rows`);
+
+    return { headers, data, sheetName: null };
+}
+
+// Parse an uploaded import file (CSV or Excel) into headers and data rows
+function readImportFile(filePath, options = {}) {
+    return path.extname(filePath).toLowerCase() === '.csv'
+        ? parseCsvFile(filePath, options)
+        : parseExcelFile(filePath, options);
 }
 
 // Map Excel row to guest/reservation data
 function mapExcelRow(row, headers) {
     const get = (names) => {
         for (const name of names) {
-            const idx = headers.findIndex(h =>
+            // An exact header wins, so "Opmerkingen" does not pick up "Opmerkingen van gast"
+            const exact = headers.findIndex(h => h.toLowerCase() === name.toLowerCase());
+            const idx = exact !== -1 ? exact : headers.findIndex(h =>
                 h.toLowerCase().includes(name.toLowerCase())
             );
             if (idx !== -1 && row[idx] !== undefined && row[idx] !== '') {
@@ -219,70 +290,106 @@ function mapExcelRow(row, headers) {
     };
 }
 
-// POST /api/import/excel/preview - Preview Excel import
-router.post('/excel/preview', upload.single('file'), async (req, res) => {
+// Column mapping sent with an upload: a mapping (JSON) or a saved profile id, checked before the file is read
+// @throws {Error} on an invalid mapping or an unknown profile
+function requestedMapping(req) {
+    const { mapping, profileId } = req.body;
+    let profile = null;
+    if (profileId) {
+        profile = importMapping.get(parseInt(profileId));
+        if (!importMapping.canView(profile, req.propertyId)) throw new Error('Importprofiel niet gevonden');
+    }
+    return { mapping: mapping ? importMapping.normalize(mapping) : null, profile };
+}
+
+// Mapping for the headers of the file: the sent mapping, else the profile matched against the headers.
+// Null without either (the built-in Mews mapping).
+// @throws {Error} when the profile leaves no name column
+function resolveMapping(requested, headers) {
+    if (requested.mapping) return requested.mapping;
+    if (requested.profile) return importMapping.normalize(importMapping.resolve(requested.profile, headers));
+    return null;
+}
+
+// Row mapper for an upload: the chosen column mapping or the built-in Mews one
+function rowMapper(headers, mapping) {
+    return mapping
+        ? (row) => importMapping.applyMapping(row, headers, mapping)
+        : (row) => mapExcelRow(row, headers);
+}
+
+// POST /api/import/analyze - Headers and sample rows of an upload with the saved profile it matches
+// (or a suggested mapping), for the column mapping step
+router.post('/analyze', requireRole('manager'), upload.single('file'), async (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'Geen bestand geüpload' });
     }
 
     try {
-        const { headers, data, sheetName } = parseExcelFile(req.file.path);
+        const { headers, data, sheetName } = await readImportFile(req.file.path, { mapped: true });
+        fs.unlinkSync(req.file.path);
 
-        if (data.length === 0) {
-            fs.unlinkSync(req.file.path);
-            return res.status(400).json({ error: 'Geen data gevonden in Excel bestand' });
+        if (headers.filter(Boolean).length === 0) {
+            return res.status(400).json({ error: 'Geen kolomkoppen gevonden in het bestand' });
         }
 
-        // Check existing guests
-        const findGuestByEmail = db.prepare('SELECT id, full_name FROM guests WHERE email = ?');
-        const findGuestByName = db.prepare('SELECT id, full_name FROM guests WHERE full_name = ?');
+        const detected = importMapping.detect(headers, req.propertyId);
+        res.json({
+            filename: req.file.originalname,
+            sheetName,
+            totalRows: data.length,
+            headers,
+            sampleRows: data.slice(0, MAPPING_SAMPLE_ROWS),
+            profile: detected ? { id: detected.profile.id, name: detected.profile.name, match: detected.match } : null,
+            mapping: detected ? importMapping.resolve(detected.profile, headers) : importMapping.suggest(headers),
+            fields: importMapping.getFields(),
+            dateFormats: importMapping.getDateFormats(),
+            transforms: importMapping.getTransforms()
+        });
+    } catch (error) {
+        console.error('Import analyze error:', error);
+        if (req.file && fs.existsSync(req.file.path)) {
+            fs.unlinkSync(req.file.path);
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        let newGuests = 0;
-        let existingGuests = 0;
-        let skipped = 0;
-        const warnings = [];
-        const sampleGuests = [];
+// POST /api/import/excel/preview - Dry run of an Excel import: matched guest, match reason and field diff per row
+router.post('/excel/preview', requireRole('manager'), upload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'Geen bestand geüpload' });
+    }
 
-        for (let i = 0; i < data.length; i++) {
-            const mapped = mapExcelRow(data[i], headers);
+    try {
+        const mapped = !!(req.body.mapping || req.body.profileId);
+        const { headers, data, sheetName } = await readImportFile(req.file.path, { mapped });
 
-            if (!mapped.fullName || mapped.fullName.trim() === '') {
-                skipped++;
-                if (warnings.length < 5) {
-                    warnings.push(`Rij ${i + 2}: Geen naam gevonden`);
-                }
-                continue;
-            }
+        if (data.length === 0) {
+            fs.unlinkSync(req.file.path);
+            return res.status(400).json({ error: 'Geen data gevonden in Excel bestand' });
+        }
 
-            // Check if exists
-            let exists = false;
-            if (mapped.email) {
-                const byEmail = findGuestByEmail.get(mapped.email);
-                exists = !!byEmail;
-            }
-            if (!exists) {
-                const byName = findGuestByName.get(mapped.fullName);
-                exists = !!byName;
-            }
+        let mapRow;
+        try {
+            mapRow = rowMapper(headers, resolveMapping(requestedMapping(req), headers));
+        } catch (validationError) {
+            fs.unlinkSync(req.file.path);
+            return res.status(400).json({ error: validationError.message });
+        }
 
-            if (exists) {
-                existingGuests++;
-            } else {
-                newGuests++;
+        // Dry run: matched guest, match reason and field diff per row (across the whole group)
+        const propertyId = req.propertyId || propertyService.getDefaultId();
+        const mappedRows = data.map(row => mapRow(row));
+        const warnings = [];
+        mappedRows.forEach((row, i) => {
+            if ((!row.fullName || row.fullName.trim() === '') && warnings.length < 5) {
+                warnings.push(`Rij ${i + 2}: Geen naam gevonden`);
             }
+        });
 
-            // Collect all guests for preview
-            sampleGuests.push({
-                index: i,
-                fullName: mapped.fullName,
-                email: mapped.email,
-                country: mapped.country,
-                roomCategory: mapped.roomCategory,
-                checkIn: formatDate(mapped.checkIn),
-                totalAmount: mapped.totalAmount,
-                isNew: !exists
-            });
-        }
+        const review = importReview.dryRun(mappedRows, propertyId);
+        const sampleGuests = review.rows.map(row => ({ ...row, checkIn: formatDate(mappedRows[row.index].checkIn) }));
 
         // Clean up
         fs.unlinkSync(req.file.path);
@@ -292,9 +399,11 @@ router.post('/excel/preview', upload.single('file'), async (req, res) => {
             filename: req.file.originalname,
             sheetName,
             totalRows: data.length,
-            newGuests,
-            existingGuests,
-            skipped,
+            newGuests: review.summary.create,
+            existingGuests: review.summary.update,
+            recognizedGuests: review.summary.recognized,
+            skipped: review.summary.skip,
+            overwrites: review.summary.overwrites,
             warnings,
             sampleGuests
         });
@@ -308,403 +417,552 @@ router.post('/excel/preview', upload.single('file'), async (req, res) => {
     }
 });
 
-// POST /api/import/excel - Full Excel import
-router.post('/excel', upload.single('file'), async (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: 'Geen bestand geüpload' });
-    }
+// Import an upload as a background job: the file is read after the upload was answered, then the
+// rows are imported in one transaction per IMPORT_CHUNK_SIZE rows. The batch exists from the first
+// chunk (status running), so a cancelled or failed import keeps the chunks it committed as a batch
+// that can be rolled back.
+// Without a mapping or profile, Excel files use the built-in Mews mapping and CSV files the
+// mapping suggested from their headers.
+async function runImport(job, { filePath, requested, decisions, selectedIndices, autoEnrich, propertyId, filename, username, source }) {
+    const batchId = job.batch_id;
+    let data = [];
+    let mapRow = null;
+    let total = 0;
+
+    // Prepare statements
+    const findGuestByEmail = db.prepare('SELECT * FROM guests WHERE email = ?');
+    const findGuestByName = db.prepare('SELECT * FROM guests WHERE full_name = ?');
+
+    const insertGuest = db.prepare(`
+        INSERT INTO guests (full_name, email, phone, country, company, address, marketing_consent, import_batch_id, first_seen, last_stay)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
 
-    const batchId = generateBatchId();
-    const autoEnrich = req.body.autoEnrich === 'true' || req.body.autoEnrich === true;
-    const rawIndices = req.body.selectedIndices || req.body['selectedIndices[]'];
-    const selectedIndices = Array.isArray(rawIndices)
-        ? rawIndices.map(Number)
-        : (rawIndices ? [Number(rawIndices)] : null);
+    const updateGuest = db.prepare(`
+        UPDATE guests SET 
+            email = COALESCE(?, email),
+            phone = COALESCE(?, phone),
+            country = COALESCE(?, country),
+            company = COALESCE(?, company),
+            address = COALESCE(?, address),
+            last_stay = ?,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `);
 
-    try {
-        const { headers, data } = parseExcelFile(req.file.path);
+    const incrementStays = db.prepare('UPDATE guests SET total_stays = total_stays + 1 WHERE id = ?');
 
-        if (data.length === 0) {
-            fs.unlinkSync(req.file.path);
-            return res.status(400).json({ error: 'Geen data gevonden' });
+    const insertReservation = db.prepare(`
+        INSERT INTO reservations (
+            guest_id, mews_reservation_id, room_number, room_category,
+            check_in_date, check_out_date, number_of_guests,
+            total_amount, products, booking_status, notes, guest_notes, preferences,
+            import_batch_id, property_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const updateBatch = db.prepare(`
+        UPDATE import_batches SET new_guests = ?, updated_guests = ?, skipped_rows = ?, status = ? WHERE id = ?
+    `);
+
+    const stats = { processed: 0, newGuests: 0, updatedGuests: 0, recognizedGuests: 0, skipped: 0 };
+    const importedGuests = [];
+    const newGuestIds = [];
+    const createdByRow = new Map();
+    const errors = [];
+
+    // Each row runs in its own savepoint: a row that fails halfway (guest written, reservation not) leaves nothing behind
+    const writeRow = db.transaction((i, mapped) => {
+        if (!mapped.fullName || mapped.fullName.trim() === '') {
+            stats.skipped++;
+            return;
+        }
+
+        // Filter by selected indices if provided
+        if (selectedIndices && !selectedIndices.has(i)) {
+            stats.skipped++;
+            return;
+        }
+
+        let guestId = null;
+        let existingGuest = null;
+        let isNew = false;
+
+        // Try to find existing guest
+        if (mapped.email) {
+            existingGuest = findGuestByEmail.get(mapped.email);
+        }
+        if (!existingGuest) {
+            existingGuest = findGuestByName.get(mapped.fullName);
+        }
+
+        if (decisions) {
+            const approved = importReview.getRow(decisions, i);
+            if (!approved || !importReview.matchesApproval(approved, existingGuest, createdByRow)) {
+                errors.push({
+                    row: i + 2,
+                    name: mapped.fullName,
+                    error: approved
+                        ? 'Gevonden gast wijkt af van de controle; rij overgeslagen'
+                        : 'Rij niet gecontroleerd; overgeslagen'
+                });
+                stats.skipped++;
+                return;
+            }
         }
 
-        // Prepare statements
-        const findGuestByEmail = db.prepare('SELECT * FROM guests WHERE email = ?');
-        const findGuestByName = db.prepare('SELECT * FROM guests WHERE full_name = ?');
-
-        const insertGuest = db.prepare(`
-            INSERT INTO guests (full_name, email, phone, country, company, address, marketing_consent, import_batch_id, first_seen, last_stay)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `);
-
-        const updateGuest = db.prepare(`
-            UPDATE guests SET 
-                email = COALESCE(?, email),
-                phone = COALESCE(?, phone),
-                country = COALESCE(?, country),
-                company = COALESCE(?, company),
-                address = COALESCE(?, address),
-                last_stay = ?,
-                updated_at = CURRENT_TIMESTAMP
-            WHERE id = ?
-        `);
-
-        const incrementStays = db.prepare('UPDATE guests SET total_stays = total_stays + 1 WHERE id = ?');
-
-        const insertReservation = db.prepare(`
-            INSERT INTO reservations (
-                guest_id, mews_reservation_id, room_number, room_category,
-                check_in_date, check_out_date, number_of_guests,
-                total_amount, products, booking_status, import_batch_id
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `);
-
-        const insertBatch = db.prepare(`
-            INSERT INTO import_batches (id, filename, total_rows, new_guests, updated_guests, skipped_rows)
-            VALUES (?, ?, ?, ?, ?, ?)
-        `);
-
-        let newGuests = 0;
-        let updatedGuests = 0;
-        let skipped = 0;
-        const importedGuests = [];
-        const newGuestIds = [];
-        const errors = [];
-
-        // Process in transaction
-        const processImport = db.transaction(() => {
-            for (let i = 0; i < data.length; i++) {
-                try {
-                    const mapped = mapExcelRow(data[i], headers);
-
-                    if (!mapped.fullName || mapped.fullName.trim() === '') {
-                        skipped++;
-                        continue;
-                    }
-
-                    // Filter by selected indices if provided
-                    if (selectedIndices && !selectedIndices.includes(i)) {
-                        skipped++;
-                        continue;
-                    }
-
-                    let guestId = null;
-                    let existingGuest = null;
-                    let isNew = false;
-
-                    // Try to find existing guest
-                    if (mapped.email) {
-                        existingGuest = findGuestByEmail.get(mapped.email);
-                    }
-                    if (!existingGuest) {
-                        existingGuest = findGuestByName.get(mapped.fullName);
-                    }
-
-                    const checkInDate = formatDate(mapped.checkIn);
-
-                    if (existingGuest) {
-                        guestId = existingGuest.id;
-
-                        // Track changes before updating
-                        trackFieldChanges(guestId, existingGuest, mapped, batchId);
-
-                        // Only increment stays if this is a new visit (different date than last stay)
-                        // This handles multiple rooms for the same guest on the same day
-                        if (existingGuest.last_stay !== checkInDate) {
-                            incrementStays.run(guestId);
-                        }
-
-                        // Update guest metadata and last_stay
-                        updateGuest.run(
-                            mapped.email,
-                            mapped.phone,
-                            mapped.country,
-                            mapped.company,
-                            mapped.address,
-                            checkInDate,
-                            guestId
-                        );
-                        updatedGuests++;
-                    } else {
-                        // Create new guest
-                        const result = insertGuest.run(
-                            mapped.fullName,
-                            mapped.email,
-                            mapped.phone,
-                            mapped.country,
-                            mapped.company,
-                            mapped.address,
-                            mapped.marketingConsent ? 1 : 0,
-                            batchId,
-                            checkInDate, // first_seen
-                            checkInDate  // last_stay
-                        );
-                        guestId = result.lastInsertRowid;
-                        newGuests++;
-                        isNew = true;
-                        newGuestIds.push(guestId);
-                    }
-
-                    // Create reservation
-                    insertReservation.run(
-                        guestId,
-                        mapped.reservationId,
-                        mapped.roomNumber,
-                        mapped.roomCategory,
-                        checkInDate,
-                        formatDate(mapped.checkOut),
-                        mapped.numberOfGuests,
-                        mapped.totalAmount,
-                        mapped.products,
-                        mapped.status,
-                        batchId
-                    );
-
-                    importedGuests.push({
-                        id: guestId,
-                        full_name: mapped.fullName,
-                        email: mapped.email,
-                        country: mapped.country,
-                        room_category: mapped.roomCategory,
-                        check_in: checkInDate,
-                        total_amount: mapped.totalAmount,
-                        is_new: isNew
-                    });
-
-                } catch (rowError) {
-                    errors.push({ row: i + 2, error: rowError.message });
-                    skipped++;
-                }
+        const checkInDate = formatDate(mapped.checkIn);
+
+        if (existingGuest) {
+            guestId = existingGuest.id;
+
+            // First stay at this property for a guest known elsewhere in the group
+            if (!propertyService.canAccessGuest(guestId, propertyId)) {
+                stats.recognizedGuests++;
             }
 
-            // Save batch info
-            insertBatch.run(batchId, req.file.originalname, data.length, newGuests, updatedGuests, skipped);
+            // Existing values the reviewer chose to keep are left out of the update
+            const incoming = { ...mapped };
+            if (decisions) {
+                for (const field of importReview.keptFields(decisions, i)) incoming[field] = null;
+            }
+
+            // Track changes before updating
+            trackFieldChanges(guestId, existingGuest, incoming, batchId);
+
+            // Only increment stays if this is a new visit (different date than last stay)
+            // This handles multiple rooms for the same guest on the same day
+            const newVisit = existingGuest.last_stay !== checkInDate;
+            if (newVisit) {
+                incrementStays.run(guestId);
+            }
+            trackStayChanges(guestId, existingGuest, checkInDate, existingGuest.total_stays + (newVisit ? 1 : 0), batchId);
+
+            // Update guest metadata and last_stay
+            updateGuest.run(
+                incoming.email,
+                incoming.phone,
+                incoming.country,
+                incoming.company,
+                incoming.address,
+                checkInDate,
+                guestId
+            );
+            stats.updatedGuests++;
+        } else {
+            // Create new guest
+            const result = insertGuest.run(
+                mapped.fullName,
+                mapped.email,
+                mapped.phone,
+                mapped.country,
+                mapped.company,
+                mapped.address,
+                mapped.marketingConsent ? 1 : 0,
+                batchId,
+                checkInDate, // first_seen
+                checkInDate  // last_stay
+            );
+            guestId = result.lastInsertRowid;
+            stats.newGuests++;
+            isNew = true;
+            newGuestIds.push(guestId);
+            createdByRow.set(i, guestId);
+        }
+
+        // Create reservation, with the remarks and the preferences found in them
+        const remarks = reservationNotes.forReservation(mapped.notes, mapped.guestNotes);
+        insertReservation.run(
+            guestId,
+            mapped.reservationId,
+            mapped.roomNumber,
+            mapped.roomCategory,
+            checkInDate,
+            formatDate(mapped.checkOut),
+            mapped.numberOfGuests,
+            mapped.totalAmount,
+            mapped.products,
+            mapped.status,
+            remarks.notes,
+            remarks.guestNotes,
+            remarks.preferences,
+            batchId,
+            propertyId
+        );
+        propertyService.linkGuest(guestId, propertyId, checkInDate);
+
+        if (importedGuests.length < 50) {
+            importedGuests.push({
+                id: guestId,
+                full_name: mapped.fullName,
+                email: mapped.email,
+                country: mapped.country,
+                room_category: mapped.roomCategory,
+                check_in: checkInDate,
+                total_amount: mapped.totalAmount,
+                is_new: isNew
+            });
+        }
+    });
+
+    const importRow = (i) => {
+        let mapped = null;
+        // The savepoint undoes the row's writes; its counts and lists are reset to match
+        const counts = { ...stats };
+        const listed = { newGuests: newGuestIds.length, importedGuests: importedGuests.length };
+        try {
+            mapped = mapRow(data[i]);
+            writeRow(i, mapped);
+        } catch (rowError) {
+            Object.assign(stats, counts);
+            newGuestIds.length = listed.newGuests;
+            importedGuests.length = listed.importedGuests;
+            createdByRow.delete(i);
+            errors.push({ row: i + 2, name: mapped?.fullName || null, error: rowError.message });
+            stats.skipped++;
+        }
+    };
+
+    // A chunk commits as a whole, with the batch counters
+    const importChunk = db.transaction((start, end) => {
+        for (let i = start; i < end; i++) importRow(i);
+        updateBatch.run(stats.newGuests, stats.updatedGuests, stats.skipped, 'running', batchId);
+    });
+
+    let status = 'completed';
+    try {
+        const mapped = source === 'csv' || !!(requested.mapping || requested.profile);
+        const { headers, data: rows } = await readImportFile(filePath, { mapped });
+        if (rows.length === 0) throw new Error('Geen data gevonden');
+        data = rows;
+        total = rows.length;
+
+        const mapping = resolveMapping(requested, headers)
+            || (source === 'csv' ? importMapping.normalize(importMapping.suggest(headers)) : null);
+        mapRow = rowMapper(headers, mapping);
+        if (requested.profile) importMapping.markUsed(requested.profile.id);
+
+        importJobs.setTotal(job.id, total);
+        db.prepare(`
+            INSERT INTO import_batches (id, filename, total_rows, property_id, status)
+            VALUES (?, ?, ?, ?, 'running')
+        `).run(batchId, filename, total, propertyId);
+
+        eventBus.publish('import.started', {
+            batchId, jobId: job.id, source, filename, total, by: username
+        }, { propertyId });
+
+        for (let start = 0; start < total; start += IMPORT_CHUNK_SIZE) {
+            if (importJobs.isCancelRequested(job.id)) {
+                status = 'cancelled';
+                break;
+            }
+
+            const end = Math.min(start + IMPORT_CHUNK_SIZE, total);
+            importChunk(start, end);
+            stats.processed = end;
+            importJobs.progress(job.id, stats, errors.length);
+            eventBus.publish('import.progress', {
+                batchId, jobId: job.id, source, processed: end, total, by: username
+            }, { propertyId });
+
+            // Let other requests (and a cancel) through before the next chunk
+            await new Promise(resolve => setImmediate(resolve));
+        }
+
+        updateBatch.run(stats.newGuests, stats.updatedGuests, stats.skipped, status, batchId);
+
+        const { possibleDuplicates, flaggedIds } = detectPossibleDuplicates(newGuestIds, propertyId);
+        importJobs.finish(job.id, status, {
+            stats,
+            errors,
+            result: {
+                guests: importedGuests,
+                possibleDuplicates,
+                newGuestIds: autoEnrich ? newGuestIds.filter(id => !flaggedIds.has(id)) : []
+            }
         });
 
-        processImport();
+        webhookService.emit('import.completed', {
+            batch_id: batchId,
+            source,
+            filename,
+            status,
+            total_rows: total,
+            processed_rows: stats.processed,
+            new_guests: stats.newGuests,
+            updated_guests: stats.updatedGuests,
+            skipped: stats.skipped,
+            errors: errors.length,
+            new_guest_ids: newGuestIds,
+            imported_by: username
+        }, { propertyId });
 
-        // Clean up
+        console.log(`📥 Import ${batchId} ${status === 'cancelled' ? 'geannuleerd' : 'voltooid'}: ${stats.processed}/${total} rijen, ${stats.newGuests} nieuw, ${stats.updatedGuests} bijgewerkt, ${errors.length} fouten`);
+    } catch (error) {
+        status = 'failed';
+        console.error(`❌ Import ${batchId} mislukt:`, error);
+        updateBatch.run(stats.newGuests, stats.updatedGuests, stats.skipped, status, batchId);
+        importJobs.finish(job.id, status, { stats, errors, error: error.message });
+    } finally {
+        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    }
+
+    eventBus.publish('import.completed', {
+        batchId,
+        jobId: job.id,
+        source,
+        status,
+        total,
+        processed: stats.processed,
+        newGuests: stats.newGuests,
+        updatedGuests: stats.updatedGuests,
+        errors: errors.length,
+        by: username
+    }, { propertyId });
+}
+
+// Start the import of an upload as a background job and answer right away with the job id
+async function startImport(req, res, source) {
+    if (!req.file) {
+        return res.status(400).json({ error: 'Geen bestand geüpload' });
+    }
+
+    const propertyId = req.propertyId || propertyService.getDefaultId();
+    const autoEnrich = req.body.autoEnrich === 'true' || req.body.autoEnrich === true;
+    const rawIndices = req.body.selectedIndices || req.body['selectedIndices[]'];
+    const selectedIndices = Array.isArray(rawIndices)
+        ? new Set(rawIndices.map(Number))
+        : (rawIndices ? new Set([Number(rawIndices)]) : null);
+
+    let requested;
+    let decisions = null;
+    try {
+        requested = requestedMapping(req);
+        // Plan approved in the dry run: matched guest per row and keep/take per field
+        if (req.body.decisions) decisions = importReview.normalizeDecisions(req.body.decisions);
+    } catch (validationError) {
         fs.unlinkSync(req.file.path);
+        return res.status(400).json({ error: validationError.message });
+    }
 
-        res.json({
-            success: true,
+    try {
+        const batchId = generateBatchId();
+        const job = importJobs.create({
             batchId,
-            totalRows: data.length,
-            newGuests,
-            updatedGuests,
-            skipped,
-            errors: errors.length,
-            errorDetails: errors,
-            guests: importedGuests.slice(0, 50),
-            newGuestIds: autoEnrich ? newGuestIds : []
+            propertyId,
+            source,
+            filename: req.file.originalname,
+            startedBy: req.user.username
         });
 
+        // Runs in the background; failures (also an unreadable file) end up on the job
+        runImport(job, {
+            filePath: req.file.path,
+            requested,
+            decisions,
+            selectedIndices,
+            autoEnrich,
+            propertyId,
+            filename: req.file.originalname,
+            username: req.user.username,
+            source
+        }).catch(error => console.error('❌ Import job error:', error));
+
+        res.status(202).json({ success: true, jobId: job.id, batchId, status: job.status });
+
     } catch (error) {
+        console.error(`Import (${source}) error:`, error);
         if (req.file && fs.existsSync(req.file.path)) {
             fs.unlinkSync(req.file.path);
         }
         res.status(500).json({ error: error.message });
     }
+}
+
+// POST /api/import/excel - Start an import of an Excel (or CSV) file as a background job;
+// with decisions (from the dry run) only the approved plan is applied
+router.post('/excel', requireRole('manager'), upload.single('file'), (req, res) => startImport(req, res, 'excel'));
+
+// POST /api/import/csv - Start an import of a CSV file as a background job (columns recognised from the headers)
+router.post('/csv', requireRole('manager'), upload.single('file'), (req, res) => startImport(req, res, 'csv'));
+
+// Jobs of other properties are not visible
+router.param('jobId', (req, res, next, jobId) => {
+    const job = importJobs.get(parseInt(jobId));
+    if (!job || (req.propertyId && job.property_id !== req.propertyId)) {
+        return res.status(404).json({ error: 'Importtaak niet gevonden' });
+    }
+    req.importJob = job;
+    next();
 });
 
-// POST /api/import/csv - Upload and parse CSV (keep existing functionality)
-router.post('/csv', upload.single('file'), async (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: 'Geen bestand geüpload' });
+// GET /api/import/jobs - Recent import jobs
+router.get('/jobs', requireRole('manager'), (req, res) => {
+    try {
+        res.json({ jobs: importJobs.list({ propertyId: req.propertyId, limit: req.query.limit }) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
     }
+});
 
-    const results = [];
-    const errors = [];
-    const batchId = generateBatchId();
-    const autoEnrich = req.body.autoEnrich === 'true' || req.body.autoEnrich === true;
-    const newGuestIds = [];
+// GET /api/import/jobs/:jobId - Progress, counters and (when finished) the result of an import job
+router.get('/jobs/:jobId', requireRole('manager'), (req, res) => {
+    res.json(req.importJob);
+});
 
+// POST /api/import/jobs/:jobId/cancel - Stop an import after the current chunk; imported rows stay
+router.post('/jobs/:jobId/cancel', requireRole('manager'), (req, res) => {
     try {
-        // Parse CSV
-        await new Promise((resolve, reject) => {
-            fs.createReadStream(req.file.path)
-                .pipe(csv({
-                    mapHeaders: ({ header }) => header.trim().toLowerCase().replace(/\s+/g, '_')
-                }))
-                .on('data', (row) => {
-                    results.push(row);
-                })
-                .on('end', resolve)
-                .on('error', reject);
-        });
+        if (!importJobs.requestCancel(req.importJob.id)) {
+            return res.status(409).json({ error: 'Deze import loopt niet meer' });
+        }
+        res.json({ success: true, job: importJobs.get(req.importJob.id) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        // Map common column names
-        const columnMappings = {
-            'guest_name': ['guest_name', 'name', 'gast_naam', 'naam', 'customer_name', 'guest'],
-            'email': ['email', 'e-mail', 'e_mail', 'guest_email', 'customer_email'],
-            'phone': ['phone', 'telefoon', 'telephone', 'mobile', 'mobiel', 'guest_phone'],
-            'country': ['country', 'land', 'nationality', 'nationaliteit'],
-            'company': ['company', 'bedrijf', 'company_name', 'organization'],
-            'room_number': ['room', 'room_number', 'kamer', 'kamernummer'],
-            'check_in': ['check_in', 'check-in', 'arrival', 'aankomst', 'arrival_date', 'check_in_date'],
-            'check_out': ['check_out', 'check-out', 'departure', 'vertrek', 'departure_date', 'check_out_date'],
-            'guests_count': ['guests', 'number_of_guests', 'aantal_gasten', 'pax', 'persons']
-        };
-
-        const findColumn = (row, columnKeys) => {
-            for (const key of columnKeys) {
-                if (row[key] !== undefined && row[key] !== '') {
-                    return row[key];
-                }
-            }
-            return null;
-        };
-
-        const importedGuests = [];
-        const insertGuest = db.prepare(`
-            INSERT INTO guests (full_name, email, phone, country, company, import_batch_id)
-            VALUES (?, ?, ?, ?, ?, ?)
-        `);
-
-        const insertReservation = db.prepare(`
-            INSERT INTO reservations (guest_id, room_number, check_in_date, check_out_date, number_of_guests, import_batch_id)
-            VALUES (?, ?, ?, ?, ?, ?)
-        `);
-
-        const findGuestByEmail = db.prepare('SELECT * FROM guests WHERE email = ?');
-        const findGuestByName = db.prepare('SELECT * FROM guests WHERE full_name = ?');
-
-        const updateGuestMetadata = db.prepare(`
-            UPDATE guests SET 
-                email = COALESCE(?, email),
-                phone = COALESCE(?, phone),
-                country = COALESCE(?, country),
-                company = COALESCE(?, company),
-                last_stay = ?, 
-                updated_at = CURRENT_TIMESTAMP 
-            WHERE id = ?
-        `);
-
-        const incrementStays = db.prepare('UPDATE guests SET total_stays = total_stays + 1 WHERE id = ?');
-
-        const insertBatch = db.prepare(`
-            INSERT INTO import_batches (id, filename, total_rows, new_guests, updated_guests)
-            VALUES (?, ?, ?, ?, ?)
-        `);
-
-        let newCount = 0;
-        let updatedCount = 0;
-
-        for (let i = 0; i < results.length; i++) {
-            const row = results[i];
-
-            try {
-                const guestName = findColumn(row, columnMappings.guest_name);
-
-                if (!guestName) {
-                    errors.push({ row: i + 2, error: 'Geen gastnaam gevonden' });
-                    continue;
-                }
-
-                const email = findColumn(row, columnMappings.email);
-                const phone = findColumn(row, columnMappings.phone);
-                const country = findColumn(row, columnMappings.country);
-                const company = findColumn(row, columnMappings.company);
-                const roomNumber = findColumn(row, columnMappings.room_number);
-                const checkIn = findColumn(row, columnMappings.check_in);
-                const checkOut = findColumn(row, columnMappings.check_out);
-                const guestsCount = findColumn(row, columnMappings.guests_count);
-
-                let guestId;
-                let isReturning = false;
-
-                if (email) {
-                    const existing = findGuestByEmail.get(email);
-                    if (existing) {
-                        guestId = existing.id;
-                        isReturning = true;
-                        const stayDate = checkIn || new Date().toISOString().split('T')[0];
-
-                        // Only increment if new stay date
-                        if (existing.last_stay !== stayDate) {
-                            incrementStays.run(guestId);
-                        }
-
-                        updateGuestMetadata.run(email, phone, country, company, stayDate, guestId);
-                        updatedCount++;
-                    }
-                }
-
-                if (!guestId) {
-                    const existingByName = findGuestByName.get(guestName);
-                    if (existingByName) {
-                        guestId = existingByName.id;
-                        isReturning = true;
-                        const stayDate = checkIn || new Date().toISOString().split('T')[0];
-
-                        // Only increment if new stay date
-                        if (existingByName.last_stay !== stayDate) {
-                            incrementStays.run(guestId);
-                        }
-
-                        updateGuestMetadata.run(email, phone, country, company, stayDate, guestId);
-                        updatedCount++;
-                    }
-                }
-
-                if (!guestId) {
-                    const result = insertGuest.run(guestName, email, phone, country, company, batchId);
-                    guestId = result.lastInsertRowid;
-
-                    // Set both first_seen and last_stay for new guest
-                    const stayDate = checkIn || new Date().toISOString().split('T')[0];
-                    db.prepare('UPDATE guests SET first_seen = ?, last_stay = ? WHERE id = ?').run(stayDate, stayDate, guestId);
-
-                    newCount++;
-                    newGuestIds.push(guestId);
-                }
-
-                insertReservation.run(
-                    guestId,
-                    roomNumber,
-                    checkIn,
-                    checkOut,
-                    guestsCount ? parseInt(guestsCount) : null,
-                    batchId
-                );
-
-                importedGuests.push({
-                    id: guestId,
-                    full_name: guestName,
-                    email,
-                    country,
-                    company,
-                    room_number: roomNumber,
-                    check_in: checkIn,
-                    check_out: checkOut,
-                    is_returning: isReturning
-                });
+// GET /api/import/jobs/:jobId/errors - Row errors of an import job as CSV
+router.get('/jobs/:jobId/errors', requireRole('manager'), (req, res) => {
+    try {
+        const base = path.basename(req.importJob.filename || 'import', path.extname(req.importJob.filename || ''));
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${base.replace(/[^\w.-]+/g, '_')}-fouten.csv"`);
+        res.send(importJobs.errorReport(req.importJob.id));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-            } catch (rowError) {
-                errors.push({ row: i + 2, error: rowError.message });
-            }
+// Profiles of other properties are not visible
+router.param('profileId', (req, res, next, profileId) => {
+    const profile = importMapping.get(parseInt(profileId));
+    if (!importMapping.canView(profile, req.propertyId)) {
+        return res.status(404).json({ error: 'Importprofiel niet gevonden' });
+    }
+    req.importProfile = profile;
+    next();
+});
+
+// GET /api/import/profiles - Saved column mappings with the fields, date formats and transforms
+router.get('/profiles', requireRole('manager'), (req, res) => {
+    try {
+        res.json({
+            profiles: importMapping.list(req.propertyId),
+            fields: importMapping.getFields(),
+            dateFormats: importMapping.getDateFormats(),
+            transforms: importMapping.getTransforms()
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/import/profiles - Save a column mapping { name, headers, mapping }
+router.post('/profiles', requireRole('manager'), (req, res) => {
+    try {
+        const { name, headers, mapping } = req.body;
+        let profile;
+        try {
+            profile = importMapping.create({
+                name,
+                headers,
+                mapping,
+                propertyId: req.propertyId || null,
+                createdBy: req.user.username
+            });
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
         }
+        console.log(`🗂️ Importprofiel "${profile.name}" opgeslagen door ${req.user.username}`);
+        res.status(201).json(profile);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        // Save batch
-        insertBatch.run(batchId, req.file.originalname, results.length, newCount, updatedCount);
+// PUT /api/import/profiles/:profileId - Update name, headers or mapping
+router.put('/profiles/:profileId', requireRole('manager'), (req, res) => {
+    try {
+        const { name, headers, mapping } = req.body;
+        let profile;
+        try {
+            profile = importMapping.update(req.importProfile.id, { name, headers, mapping });
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+        res.json(profile);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        fs.unlinkSync(req.file.path);
+// DELETE /api/import/profiles/:profileId - Delete a saved column mapping
+router.delete('/profiles/:profileId', requireRole('manager'), (req, res) => {
+    try {
+        importMapping.remove(req.importProfile.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
+// GET /api/import/mews - Mews connection of the selected property with recent syncs
+router.get('/mews', requireRole('manager'), (req, res) => {
+    try {
+        const propertyId = req.propertyId || propertyService.getDefaultId();
         res.json({
-            success: true,
-            batchId,
-            imported: importedGuests.length,
-            errors: errors.length,
-            guests: importedGuests,
-            errorDetails: errors,
-            newGuestIds: autoEnrich ? newGuestIds : []
+            ...mewsConnector.getConnection(propertyId),
+            runs: mewsConnector.listRuns({ propertyId, limit: req.query.limit })
         });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
+// PUT /api/import/mews - Update connection { enabled, accessToken, intervalMinutes }
+router.put('/mews', requireRole('admin'), (req, res) => {
+    try {
+        const propertyId = req.propertyId || propertyService.getDefaultId();
+        const { enabled, accessToken, intervalMinutes } = req.body;
+        res.json(mewsConnector.updateConnection(propertyId, { enabled, accessToken, intervalMinutes }));
     } catch (error) {
-        if (req.file && fs.existsSync(req.file.path)) {
-            fs.unlinkSync(req.file.path);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// POST /api/import/mews/sync - Pull changes from Mews now (in the background)
+router.post('/mews/sync', requireRole('manager'), (req, res) => {
+    try {
+        const propertyId = req.propertyId || propertyService.getDefaultId();
+        const connection = mewsConnector.getConnection(propertyId);
+
+        if (!connection.client_configured || !connection.has_access_token) {
+            return res.status(400).json({ error: 'Mews koppeling is niet ingesteld' });
+        }
+        if (mewsConnector.running.has(propertyId)) {
+            return res.status(409).json({ error: 'Er loopt al een Mews synchronisatie voor dit hotel' });
         }
+
+        mewsConnector.sync(propertyId, { trigger: 'manual', startedBy: req.user.username })
+            .catch(err => console.error('Mews sync failed:', err.message));
+
+        res.status(202).json({ success: true, message: 'Synchronisatie gestart' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/import/mews/runs/:runId - Single sync run with its log
+router.get('/mews/runs/:runId', requireRole('manager'), (req, res) => {
+    try {
+        const run = mewsConnector.getRun(parseInt(req.params.runId));
+        if (!run || (req.propertyId && run.property_id !== req.propertyId)) {
+            return res.status(404).json({ error: 'Synchronisatie niet gevonden' });
+        }
+        res.json(run);
+    } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
@@ -721,11 +979,13 @@ router.get('/batches', (req, res) => {
                 new_guests as newGuests,
                 updated_guests as updatedGuests,
                 skipped_rows as skippedRows,
-                status
+                status,
+                property_id as propertyId
             FROM import_batches
+            ${req.propertyId ? 'WHERE property_id = ?' : ''}
             ORDER BY imported_at DESC
             LIMIT 50
-        `).all();
+        `).all(...(req.propertyId ? [req.propertyId] : []));
 
         res.json(batches);
     } catch (error) {
@@ -733,6 +993,17 @@ router.get('/batches', (req, res) => {
     }
 });
 
+// Batches of other properties are not visible
+router.param('id', (req, res, next, batchId) => {
+    const batch = db.prepare('SELECT property_id FROM import_batches WHERE id = ?').get(batchId);
+    if (batch && req.propertyId && batch.property_id !== req.propertyId) {
+        return res.status(404).json({ error: 'Batch niet gevonden' });
+    }
+    next();
+});
+
+router.param('guestId', guestAccess);
+
 // GET /api/import/batches/:id - Get batch details with guests
 router.get('/batches/:id', (req, res) => {
     try {
@@ -759,39 +1030,43 @@ router.get('/batches/:id', (req, res) => {
     }
 });
 
-// DELETE /api/import/batches/:id - Delete batch and all associated data
-router.delete('/batches/:id', (req, res) => {
+// GET /api/import/batches/:id/rollback - What rolling back the batch would change
+router.get('/batches/:id/rollback', requireRole('manager'), (req, res) => {
     try {
-        const batchId = req.params.id;
-
-        // Get guest IDs from this batch
-        const guestIds = db.prepare(`
-            SELECT DISTINCT g.id FROM guests g
-            LEFT JOIN reservations r ON r.guest_id = g.id
-            WHERE g.import_batch_id = ? OR r.import_batch_id = ?
-        `).all(batchId, batchId).map(g => g.id);
-
-        const deleteBatch = db.transaction(() => {
-            // Delete reservations from this batch
-            db.prepare('DELETE FROM reservations WHERE import_batch_id = ?').run(batchId);
+        const plan = importRollback.plan(req.params.id);
+        if (!plan) {
+            return res.status(404).json({ error: 'Batch niet gevonden' });
+        }
+        res.json(plan);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-            // Delete guests that were created in this batch AND have no other reservations
-            db.prepare(`
-                DELETE FROM guests 
-                WHERE import_batch_id = ? 
-                AND id NOT IN (SELECT DISTINCT guest_id FROM reservations WHERE guest_id IS NOT NULL)
-            `).run(batchId);
+// DELETE /api/import/batches/:id - Roll the batch back: remove its reservations and created guests,
+// restore the guest values it overwrote
+router.delete('/batches/:id', requireRole('manager'), (req, res) => {
+    try {
+        // A running import still writes to its batch
+        const batch = db.prepare('SELECT status FROM import_batches WHERE id = ?').get(req.params.id);
+        if (batch?.status === 'running') {
+            return res.status(409).json({ error: 'Deze import loopt nog; annuleer hem eerst' });
+        }
 
-            // Delete history for this batch
-            db.prepare('DELETE FROM guest_history WHERE import_batch_id = ?').run(batchId);
+        const plan = importRollback.rollback(req.params.id);
+        if (!plan) {
+            return res.status(404).json({ error: 'Batch niet gevonden' });
+        }
 
-            // Delete the batch
-            db.prepare('DELETE FROM import_batches WHERE id = ?').run(batchId);
+        res.json({
+            success: true,
+            deletedGuestIds: plan.deletedGuests.map(guest => guest.id),
+            restoredGuestIds: plan.restoredGuests.map(guest => guest.id),
+            removedGuests: plan.deletedGuests.length,
+            restoredGuests: plan.restoredGuests.length,
+            reservations: plan.reservations,
+            conflicts: plan.conflicts
         });
-
-        deleteBatch();
-
-        res.json({ success: true, deletedGuestIds: guestIds });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -817,7 +1092,7 @@ router.get('/history/:guestId', (req, res) => {
 });
 
 // GET /api/import/reservations/debug - Debug endpoint to check reservation data
-router.get('/reservations/debug', (req, res) => {
+router.get('/reservations/debug', requireRole('admin'), (req, res) => {
     try {
         const reservations = db.prepare(`
             SELECT 
@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/auth');
+const propertyService = require('../services/propertyService');
+
+// GET /api/properties - Properties visible to the current user (scoped users only see their own)
+router.get('/', (req, res) => {
+    try {
+        if (req.user.property_id) {
+            return res.json([propertyService.get(req.user.property_id)].filter(Boolean));
+        }
+        res.json(propertyService.list({ includeInactive: req.query.includeInactive === 'true' }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/properties - Create a property { code, name, notification_email, settings }
+router.post('/', requireRole('admin'), (req, res) => {
+    try {
+        const property = propertyService.create(req.body);
+        res.status(201).json(property);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// GET /api/properties/:id - Single property with its settings
+router.get('/:id', (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        if (req.user.property_id && req.user.property_id !== id) {
+            return res.status(404).json({ error: 'Hotel niet gevonden' });
+        }
+
+        const property = propertyService.get(id);
+        if (!property) {
+            return res.status(404).json({ error: 'Hotel niet gevonden' });
+        }
+
+        res.json(property);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/properties/:id - Update name, notification email, active flag or settings
+router.put('/:id', requireRole('admin'), (req, res) => {
+    try {
+        const property = propertyService.update(parseInt(req.params.id), req.body);
+        if (!property) {
+            return res.status(404).json({ error: 'Hotel niet gevonden' });
+        }
+
+        res.json(property);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+module.exports = router;
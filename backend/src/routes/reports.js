@@ -2,6 +2,23 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db/database');
 const pdfGenerator = require('../services/pdfGenerator');
+const propertyService = require('../services/propertyService');
+const briefingScheduler = require('../services/briefingScheduler');
+const segmentService = require('../services/segmentService');
+const stayAnalytics = require('../services/stayAnalytics');
+const reservationNotes = require('../services/reservationNotes');
+const { guestAccess, requireRole } = require('../middleware/auth');
+
+// Guests outside the selected property are not visible
+router.param('guestId', guestAccess);
+
+// Segment PDFs stop at this many guests
+const MAX_SEGMENT_PDF_GUESTS = 500;
+
+// Limit reservations (alias res) to the selected property
+function reservationScope(propertyId) {
+    return propertyId ? { sql: ' AND res.property_id = ?', params: [propertyId] } : { sql: '', params: [] };
+}
 
 // GET /api/reports/daily/pdf - Generate daily report for all guests arriving today (or all researched guests)
 router.get('/daily/pdf', async (req, res) => {
@@ -11,6 +28,8 @@ router.get('/daily/pdf', async (req, res) => {
 
         let guests;
         let reportTitle;
+        const guestScope = propertyService.guestScope(req.propertyId);
+        const resScope = reservationScope(req.propertyId);
 
         if (date === 'all') {
             // Get all guests with research results
@@ -20,8 +39,9 @@ router.get('/daily/pdf', async (req, res) => {
                      NULL as room_number, NULL as check_in_date, NULL as check_out_date
               FROM guests g
               INNER JOIN research_results r ON r.guest_id = g.id
+              WHERE 1=1${guestScope.sql}
               ORDER BY r.vip_score DESC NULLS LAST, g.full_name
-            `).all();
+            `).all(...guestScope.params);
             reportTitle = 'alle-gasten';
         } else {
             // Get guests arriving on specific date
@@ -32,15 +52,16 @@ router.get('/daily/pdf', async (req, res) => {
               FROM guests g
               INNER JOIN reservations res ON res.guest_id = g.id
               LEFT JOIN research_results r ON r.guest_id = g.id
-              WHERE res.check_in_date = ?
+              WHERE res.check_in_date = ?${resScope.sql}
               ORDER BY r.vip_score DESC NULLS LAST, g.full_name
-            `).all(targetDate);
+            `).all(targetDate, ...resScope.params);
             reportTitle = targetDate;
         }
 
         if (guests.length === 0) {
             return res.status(404).json({ error: date === 'all' ? 'Geen onderzochte gasten gevonden' : 'Geen gasten gevonden voor deze datum' });
         }
+        guests.forEach(guest => { guest.stay_notes = reservationNotes.getForGuest(guest.id, req.propertyId); });
 
         const pdfBuffer = await pdfGenerator.generateDailyReport(guests, reportTitle);
 
@@ -66,14 +87,15 @@ router.post('/selected/pdf', async (req, res) => {
         }
 
         const placeholders = guestIds.map(() => '?').join(',');
+        const scope = propertyService.guestScope(req.propertyId);
         const guests = db.prepare(`
             SELECT DISTINCT g.*, r.vip_score, r.job_title, r.company_name as research_company,
                    r.linkedin_url, r.influence_level, r.notable_info, r.full_report
             FROM guests g
             LEFT JOIN research_results r ON r.guest_id = g.id
-            WHERE g.id IN (${placeholders})
+            WHERE g.id IN (${placeholders})${scope.sql}
             ORDER BY r.vip_score DESC NULLS LAST, g.full_name
-        `).all(...guestIds);
+        `).all(...guestIds, ...scope.params);
 
         if (guests.length === 0) {
             return res.status(404).json({ error: 'Geen gasten gevonden voor deze selectie' });
@@ -97,6 +119,7 @@ router.post('/selected/pdf', async (req, res) => {
 router.get('/bulk/:batchId/pdf', async (req, res) => {
     try {
         const { batchId } = req.params;
+        const scope = reservationScope(req.propertyId);
 
         // Get all guests from this batch
         const guests = db.prepare(`
@@ -105,9 +128,9 @@ router.get('/bulk/:batchId/pdf', async (req, res) => {
       FROM guests g
       INNER JOIN reservations res ON res.guest_id = g.id
       LEFT JOIN research_results r ON r.guest_id = g.id
-      WHERE res.import_batch_id = ?
+      WHERE res.import_batch_id = ?${scope.sql}
       ORDER BY r.vip_score DESC NULLS LAST, g.full_name
-    `).all(batchId);
+    `).all(batchId, ...scope.params);
 
         if (guests.length === 0) {
             return res.status(404).json({ error: 'Geen gasten gevonden in deze batch' });
@@ -127,6 +150,104 @@ router.get('/bulk/:batchId/pdf', async (req, res) => {
     }
 });
 
+// GET /api/reports/segments/:segmentId/pdf - Generate PDF for the guests in a saved segment (highest VIP score first)
+router.get('/segments/:segmentId/pdf', async (req, res) => {
+    try {
+        const segment = segmentService.get(parseInt(req.params.segmentId));
+        if (!segmentService.canView(segment, req.user, req.propertyId)) {
+            return res.status(404).json({ error: 'Segment niet gevonden' });
+        }
+
+        const guestIds = segmentService.getGuestIds(segment, req.propertyId).slice(0, MAX_SEGMENT_PDF_GUESTS);
+        if (guestIds.length === 0) {
+            return res.status(404).json({ error: 'Geen gasten gevonden in dit segment' });
+        }
+
+        const guests = db.prepare(`
+            SELECT g.*, r.vip_score, r.job_title, r.company_name as research_company,
+                   r.linkedin_url, r.influence_level, r.notable_info, r.full_report
+            FROM guests g
+            LEFT JOIN research_results r ON r.guest_id = g.id
+            WHERE g.id IN (${guestIds.map(() => '?').join(',')})
+            ORDER BY r.vip_score DESC NULLS LAST, g.full_name
+        `).all(...guestIds);
+
+        const pdfBuffer = await pdfGenerator.generateBulkReport(guests, segment.name);
+
+        const slug = segment.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'segment';
+        const filename = `segment-${slug}-${Date.now()}.pdf`;
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(pdfBuffer);
+
+    } catch (error) {
+        console.error('Segment PDF generation error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/reports/briefings/config - Briefing schedule of the selected property
+router.get('/briefings/config', (req, res) => {
+    try {
+        const propertyId = req.propertyId || propertyService.getDefaultId();
+        res.json({ propertyId, ...briefingScheduler.getConfig(propertyId) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/reports/briefings/config - Update schedule { enabled, time, leadDays, recipients }
+router.put('/briefings/config', requireRole('manager'), (req, res) => {
+    try {
+        const propertyId = req.propertyId || propertyService.getDefaultId();
+        const { enabled, time, leadDays, recipients } = req.body;
+        const config = briefingScheduler.updateConfig(propertyId, { enabled, time, leadDays, recipients });
+        res.json({ propertyId, ...config });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// GET /api/reports/briefings/runs - Recent briefing runs (?limit)
+router.get('/briefings/runs', (req, res) => {
+    try {
+        res.json(briefingScheduler.listRuns({ propertyId: req.propertyId, limit: req.query.limit }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/reports/briefings/runs/:runId - Single run with its log
+router.get('/briefings/runs/:runId', (req, res) => {
+    try {
+        const run = briefingScheduler.getRun(parseInt(req.params.runId));
+        if (!run || (req.propertyId && run.property_id !== req.propertyId)) {
+            return res.status(404).json({ error: 'Briefing niet gevonden' });
+        }
+        res.json(run);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/reports/briefings/run - Run the briefing now (in the background)
+router.post('/briefings/run', requireRole('manager'), (req, res) => {
+    try {
+        const propertyId = req.propertyId || propertyService.getDefaultId();
+        if (briefingScheduler.running.has(propertyId)) {
+            return res.status(409).json({ error: 'Er loopt al een briefing voor dit hotel' });
+        }
+
+        briefingScheduler.run(propertyId, { trigger: 'manual', startedBy: req.user.username })
+            .catch(err => console.error('Briefing run failed:', err.message));
+
+        res.status(202).json({ success: true, message: 'Briefing gestart' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // GET /api/reports/:guestId/pdf - Generate PDF for single guest
 router.get('/:guestId/pdf', async (req, res) => {
     try {
@@ -139,8 +260,8 @@ router.get('/:guestId/pdf', async (req, res) => {
 
         const research = db.prepare('SELECT * FROM research_results WHERE guest_id = ?').get(guestId);
         const reservations = db.prepare(`
-      SELECT * FROM reservations WHERE guest_id = ? ORDER BY check_in_date DESC LIMIT 5
-    `).all(guestId);
+      SELECT * FROM reservations res WHERE guest_id = ?${reservationScope(req.propertyId).sql} ORDER BY check_in_date DESC LIMIT 5
+    `).all(guestId, ...reservationScope(req.propertyId).params);
         const suggestions = db.prepare(`
       SELECT * FROM deal_suggestions WHERE guest_id = ? ORDER BY generated_at DESC
     `).all(guestId);
@@ -149,7 +270,8 @@ router.get('/:guestId/pdf', async (req, res) => {
             guest,
             research,
             reservations,
-            suggestions
+            suggestions,
+            stayNotes: reservationNotes.getForGuest(guestId, req.propertyId)
         });
 
         const filename = `guest-report-${guest.full_name.replace(/[^a-zA-Z0-9]/g, '-')}-${Date.now()}.pdf`;
@@ -168,29 +290,35 @@ router.get('/:guestId/pdf', async (req, res) => {
 router.get('/stats', (req, res) => {
     try {
         const today = new Date().toISOString().split('T')[0];
+        const scope = reservationScope(req.propertyId);
+        const guestScope = propertyService.guestScope(req.propertyId);
 
         const stats = {
             arrivingToday: db.prepare(`
-        SELECT COUNT(DISTINCT guest_id) as count FROM reservations WHERE check_in_date = ?
-      `).get(today).count,
+        SELECT COUNT(DISTINCT guest_id) as count FROM reservations res WHERE check_in_date = ?${scope.sql}
+      `).get(today, ...scope.params).count,
 
             vipsToday: db.prepare(`
         SELECT COUNT(DISTINCT g.id) as count 
         FROM guests g
         INNER JOIN reservations res ON res.guest_id = g.id
         INNER JOIN research_results r ON r.guest_id = g.id
-        WHERE res.check_in_date = ? AND r.vip_score >= 7
-      `).get(today).count,
+        WHERE res.check_in_date = ? AND r.vip_score >= 7${scope.sql}
+      `).get(today, ...scope.params).count,
 
             pendingResearch: db.prepare(`
         SELECT COUNT(*) as count 
         FROM guests g
         INNER JOIN reservations res ON res.guest_id = g.id
         WHERE res.check_in_date = ? 
-        AND NOT EXISTS (SELECT 1 FROM research_results r WHERE r.guest_id = g.id)
-      `).get(today).count,
-
-            totalReports: db.prepare('SELECT COUNT(*) as count FROM research_results').get().count
+        AND NOT EXISTS (SELECT 1 FROM research_results r WHERE r.guest_id = g.id)${scope.sql}
+      `).get(today, ...scope.params).count,
+
+            totalReports: db.prepare(`
+        SELECT COUNT(*) as count FROM research_results r
+        JOIN guests g ON g.id = r.guest_id
+        WHERE 1=1${guestScope.sql}
+      `).get(...guestScope.params).count
         };
 
         res.json(stats);
@@ -200,4 +328,42 @@ router.get('/stats', (req, res) => {
     }
 });
 
+// GET /api/reports/stays - Revenue, nights, average rate, repeat-guest rate, monthly trend and room mix per VIP tier
+router.get('/stays', requireRole('manager'), (req, res) => {
+    try {
+        let filters;
+        try {
+            filters = { ...stayAnalytics.normalize(req.query), propertyId: req.propertyId };
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        res.json({
+            filters,
+            summary: stayAnalytics.getSummary(filters),
+            monthly: stayAnalytics.getMonthly(filters),
+            roomMix: stayAnalytics.getRoomMix(filters),
+            tiers: stayAnalytics.getTiers()
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/reports/stays/leaderboard - Highest-value guests (?from=&to=&country=&limit=)
+router.get('/stays/leaderboard', requireRole('manager'), (req, res) => {
+    try {
+        let filters;
+        try {
+            filters = { ...stayAnalytics.normalize(req.query), propertyId: req.propertyId };
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        res.json({ guests: stayAnalytics.getLeaderboard(filters, { limit: req.query.limit }) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 module.exports = router;
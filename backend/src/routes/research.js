@@ -1,23 +1,62 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db/database');
+const { requireRole, guestAccess } = require('../middleware/auth');
 const smartSearch = require('../services/smartSearch');
-const vipScorer = require('../services/vipScorer');
 const researchController = require('../services/researchController');
+const vipScorer = require('../services/vipScorer');
 const emailService = require('../services/emailService');
+const searchProviders = require('../services/searchProviders');
+const searchCache = require('../services/searchCache');
+const provenance = require('../services/provenance');
+const researchRevisions = require('../services/researchRevisions');
+const propertyService = require('../services/propertyService');
+const usageMeter = require('../services/usageMeter');
+const enrichmentQueue = require('../services/enrichmentQueue');
+const webhookService = require('../services/webhookService');
+const eventBus = require('../services/eventBus');
+const segmentService = require('../services/segmentService');
+
+// Guests outside the selected property are not visible
+router.param('guestId', guestAccess);
+
+
+// GET /api/research/cache/stats - Search cache usage per provider
+router.get('/cache/stats', requireRole('manager'), (req, res) => {
+    try {
+        res.json(searchCache.getStats());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
+// DELETE /api/research/cache - Purge search cache (?provider=brave&expiredOnly=true)
+router.delete('/cache', requireRole('admin'), (req, res) => {
+    try {
+        const { provider, expiredOnly } = req.query;
+        const removed = searchCache.purge({
+            provider: provider || null,
+            expiredOnly: expiredOnly === 'true'
+        });
+
+        res.json({ success: true, removed });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-// POST /api/research/:guestId - Start research for a single guest
 // POST /api/research/:guestId - Start research for a single guest
 router.post('/:guestId', async (req, res) => {
     try {
         const guestId = parseInt(req.params.guestId);
-        const { forceRefresh = false } = req.body;
+        const { forceRefresh = false, bypassCache = false } = req.body;
 
         // Get language preference from Accept-Language header
         const language = req.headers['accept-language'] || 'nl';
 
-        const result = await researchController.performResearch(guestId, { forceRefresh, language });
+        const result = await researchController.performResearch(guestId, {
+            forceRefresh, language, bypassCache, author: req.user.username, propertyId: req.propertyId
+        });
 
         res.json({
             success: true,
@@ -52,10 +91,12 @@ router.post('/:guestId', async (req, res) => {
 });
 
 // DELETE /api/research/:guestId - Clear research for a guest
-router.delete('/:guestId', (req, res) => {
+router.delete('/:guestId', requireRole('manager'), (req, res) => {
     try {
         const { guestId } = req.params;
 
+        // Deleted research stays restorable through the revision history
+        researchRevisions.ensureBaseline(guestId, req.user.username);
         const result = db.prepare('DELETE FROM research_results WHERE guest_id = ?').run(guestId);
 
         if (result.changes === 0) {
@@ -73,6 +114,24 @@ router.delete('/:guestId', (req, res) => {
     }
 });
 
+// Fields rewritten by the research assistant come from staff input + AI
+function buildCustomInputProvenance(existing, analysis) {
+    const scores = analysis.confidence_scores || {};
+    const fromStaffInput = (value, confidence) => value !== null && value !== undefined && value !== ''
+        ? provenance.entry('staff', { provider: 'openai', confidence: provenance.toConfidence(confidence, 0.8) })
+        : null;
+
+    return provenance.merge(existing, {
+        vip_score: fromStaffInput(analysis.vip_score, scores.vip_score),
+        industry: fromStaffInput(analysis.industry, scores.industry),
+        company_size: fromStaffInput(analysis.company_size, scores.company_size),
+        is_owner: fromStaffInput(analysis.is_owner, scores.is_owner),
+        employment_type: fromStaffInput(analysis.employment_type, scores.employment_type),
+        notable_info: fromStaffInput(analysis.notable_info),
+        net_worth: fromStaffInput(analysis.net_worth_estimate, scores.net_worth_estimate)
+    });
+}
+
 // POST /api/research/:guestId/ai-analyze - Perform manual AI analysis
 router.post('/:guestId/ai-analyze', async (req, res) => {
     try {
@@ -98,17 +157,13 @@ router.post('/:guestId/ai-analyze', async (req, res) => {
         // Get language preference
         const language = req.headers['accept-language'] || 'nl';
 
-        // 1. Save backup of current report
-        db.prepare(`
-            UPDATE research_results SET
-                previous_full_report = full_report,
-                previous_vip_score = vip_score,
-                custom_research_input = ?
-            WHERE guest_id = ?
-        `).run(customInput, guestId);
+        // 1. Keep the current report in the revision history
+        researchRevisions.ensureBaseline(guestId, req.user.username);
+        db.prepare('UPDATE research_results SET custom_research_input = ? WHERE guest_id = ?').run(customInput, guestId);
 
         // 2. Perform AI analysis with custom input
-        const analysis = await smartSearch.analyzeWithCustomInput(guest, research, customInput, language);
+        const analysis = await usageMeter.run({ guestId: guest.id, propertyId: req.propertyId }, () =>
+            smartSearch.analyzeWithCustomInput(guest, research, customInput, language));
 
         if (!analysis) {
             return res.status(500).json({ error: 'AI analyse is mislukt' });
@@ -126,6 +181,7 @@ router.post('/:guestId/ai-analyze', async (req, res) => {
                 influence_level = ?,
                 net_worth = ?,
                 full_report = ?,
+                field_provenance = ?,
                 no_results_found = 0,
                 updated_at = CURRENT_TIMESTAMP
             WHERE guest_id = ?
@@ -139,8 +195,18 @@ router.post('/:guestId/ai-analyze', async (req, res) => {
             analysis.influence_level,
             analysis.net_worth_estimate,
             JSON.stringify(analysis.full_report),
+            JSON.stringify(buildCustomInputProvenance(research.field_provenance, analysis)),
             guestId
         );
+        // The AI score counts like that of a research run: combined with the scoring rules
+        vipScorer.rescoreGuest(parseInt(guestId), { aiScore: analysis.vip_score, includeManual: true });
+
+        researchRevisions.record(guestId, {
+            source: 'ai_analyze',
+            author: req.user.username,
+            note: customInput.length > 200 ? `${customInput.substring(0, 200)}...` : customInput
+        });
+        researchController.onScoreChanged(parseInt(guestId), research.vip_score, { source: 'ai_analyze' });
 
         // Get updated research
         const updatedResearch = db.prepare('SELECT * FROM research_results WHERE guest_id = ?').get(guestId);
@@ -157,29 +223,18 @@ router.post('/:guestId/ai-analyze', async (req, res) => {
     }
 });
 
-// POST /api/research/:guestId/restore - Restore previous report
-router.post('/:guestId/restore', (req, res) => {
+// POST /api/research/:guestId/restore - Restore the previous revision (undo last change)
+router.post('/:guestId/restore', requireRole('manager'), (req, res) => {
     try {
         const { guestId } = req.params;
 
-        const research = db.prepare('SELECT * FROM research_results WHERE guest_id = ?').get(guestId);
+        const previous = researchRevisions.getPreviousRevision(guestId);
 
-        if (!research || !research.previous_full_report) {
-            return res.status(400).json({ error: 'Geen backup gevonden om te herstellen' });
+        if (!previous) {
+            return res.status(400).json({ error: 'Geen eerdere versie gevonden om te herstellen' });
         }
 
-        // Restore from backup and clear backup
-        db.prepare(`
-            UPDATE research_results SET
-                full_report = previous_full_report,
-                vip_score = COALESCE(previous_vip_score, vip_score),
-                previous_full_report = NULL,
-                previous_vip_score = NULL,
-                updated_at = CURRENT_TIMESTAMP
-            WHERE guest_id = ?
-        `).run(guestId);
-
-        const restoredResearch = db.prepare('SELECT * FROM research_results WHERE guest_id = ?').get(guestId);
+        const restoredResearch = researchRevisions.restore(guestId, previous.id, req.user.username);
 
         res.json({
             success: true,
@@ -193,12 +248,82 @@ router.post('/:guestId/restore', (req, res) => {
     }
 });
 
+// GET /api/research/:guestId/revisions - Revision history (newest first)
+router.get('/:guestId/revisions', (req, res) => {
+    try {
+        res.json(researchRevisions.getRevisions(req.params.guestId));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/research/:guestId/revisions/diff?from=&to= - Field-level diff between two revisions ('current' = live data)
+router.get('/:guestId/revisions/diff', (req, res) => {
+    try {
+        const { from, to = 'current' } = req.query;
+
+        if (!from) {
+            return res.status(400).json({ error: 'Parameter "from" is verplicht' });
+        }
+
+        res.json(researchRevisions.diff(req.params.guestId, from, to));
+    } catch (error) {
+        if (error.message.includes('niet gevonden')) {
+            return res.status(404).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/research/:guestId/revisions/:revisionId - Single revision with snapshot
+router.get('/:guestId/revisions/:revisionId', (req, res) => {
+    try {
+        const revision = researchRevisions.getRevision(req.params.guestId, req.params.revisionId);
+
+        if (!revision) {
+            return res.status(404).json({ error: 'Revisie niet gevonden' });
+        }
+
+        res.json(revision);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/research/:guestId/revisions/:revisionId/restore - Restore a chosen revision
+router.post('/:guestId/revisions/:revisionId/restore', requireRole('manager'), (req, res) => {
+    try {
+        const { guestId, revisionId } = req.params;
+
+        const guest = db.prepare('SELECT id FROM guests WHERE id = ?').get(guestId);
+        if (!guest) {
+            return res.status(404).json({ error: 'Gast niet gevonden' });
+        }
+
+        const research = researchRevisions.restore(guestId, revisionId, req.user.username);
+
+        res.json({
+            success: true,
+            message: 'Versie succesvol hersteld',
+            research
+        });
+    } catch (error) {
+        console.error('Restore revision error:', error);
+        if (error.message.includes('niet gevonden')) {
+            return res.status(404).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // POST /api/research/batch - Research multiple guests
-router.post('/batch', async (req, res) => {
+router.post('/batch', requireRole('manager'), async (req, res) => {
     try {
-        const { guestIds, skipExisting = true } = req.body;
+        const { skipExisting = true } = req.body;
+        const guestIds = (Array.isArray(req.body.guestIds) ? req.body.guestIds : [])
+            .filter(id => propertyService.canAccessGuest(id, req.propertyId));
 
-        if (!guestIds || !Array.isArray(guestIds) || guestIds.length === 0) {
+        if (guestIds.length === 0) {
             return res.status(400).json({ error: 'Geen gasten geselecteerd' });
         }
 
@@ -216,7 +341,9 @@ router.post('/batch', async (req, res) => {
 
                 const researchResult = await researchController.performResearch(guestId, {
                     forceRefresh: !skipExisting,
-                    language
+                    language,
+                    author: req.user.username,
+                    propertyId: req.propertyId
                 });
 
                 if (researchResult.cached) {
@@ -238,13 +365,26 @@ router.post('/batch', async (req, res) => {
             return guest && research ? { ...guest, ...research } : null;
         }).filter(Boolean);
 
-        emailService.notifyBatchComplete(`batch-${Date.now()}`, {
+        const batchId = `batch-${Date.now()}`;
+        emailService.notifyBatchComplete(batchId, {
             completed: results.completed,
             total: results.total,
             errors: results.errors,
-            guests: completedGuests
+            guests: completedGuests,
+            propertyId: req.propertyId
         }).catch(err => console.error('Batch email notification failed:', err.message));
 
+        webhookService.emit('queue.finished', {
+            queue_id: batchId,
+            total: results.total,
+            completed: results.completed,
+            skipped: results.skipped,
+            failed: results.errors.length,
+            errors: results.errors,
+            guest_ids: guestIds,
+            started_by: req.user.username
+        }, { propertyId: req.propertyId });
+
         res.json(results);
 
     } catch (error) {
@@ -252,140 +392,75 @@ router.post('/batch', async (req, res) => {
     }
 });
 
-// In-memory enrichment queue
-const enrichmentQueues = new Map();
+// Queues are rows in enrichment_queues with one enrichment_jobs row per guest; the worker in
+// services/enrichmentQueue processes them, these routes only create and control them
 
-// Helper to save queue to DB
-function saveQueueToDb(queueId, data) {
-    try {
-        const existing = db.prepare('SELECT id FROM enrichment_queues WHERE id = ?').get(queueId);
-        if (existing) {
-            db.prepare(`
-                UPDATE enrichment_queues SET 
-                    completed = ?, 
-                    next_index = ?, 
-                    status = ?, 
-                    errors = ?, 
-                    updated_at = CURRENT_TIMESTAMP 
-                WHERE id = ?
-            `).run(
-                data.completed,
-                data.nextIndex,
-                data.status,
-                JSON.stringify(data.errors || []),
-                queueId
-            );
-        } else {
-            db.prepare(`
-                INSERT INTO enrichment_queues (id, guest_ids, completed, next_index, status, errors, started_at)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
-            `).run(
-                queueId,
-                JSON.stringify(data.guestIds),
-                data.completed,
-                data.nextIndex,
-                data.status,
-                JSON.stringify(data.errors || []),
-                data.startedAt
-            );
-        }
-    } catch (error) {
-        console.error('Error saving queue to DB:', error);
-    }
+// Starting or resuming research is refused while a monthly API budget is exceeded
+function budgetError(res) {
+    const exceeded = usageMeter.getExceededBudgets();
+    if (exceeded.length === 0) return false;
+    res.status(409).json({ error: usageMeter.describeExceeded(exceeded) });
+    return true;
 }
 
-// Function to resume any active queues (called on startup)
-function resumeActiveQueues() {
+// POST /api/research/queue/start - Start async enrichment queue { guestIds } or { segmentId } (the segment's unresearched guests)
+router.post('/queue/start', requireRole('manager'), (req, res) => {
     try {
-        const activeQueues = db.prepare("SELECT * FROM enrichment_queues WHERE status IN ('running', 'paused')").all();
-        console.log(`🔄 Found ${activeQueues.length} active/paused queues to resume...`);
-
-        for (const q of activeQueues) {
-            const guestIds = JSON.parse(q.guest_ids);
-            const errors = JSON.parse(q.errors || '[]');
-
-            enrichmentQueues.set(q.id, {
-                total: guestIds.length,
-                completed: q.completed,
-                current: null,
-                currentName: null,
-                errors: errors,
-                status: q.status,
-                startedAt: q.started_at,
-                guestIds: guestIds,
-                nextIndex: q.next_index
-            });
-
-            if (q.status === 'running') {
-                console.log(`▶️ Resuming queue ${q.id} from index ${q.next_index}`);
-                processEnrichmentQueue(q.id, guestIds, q.next_index);
+        const { batchId, concurrency = 3, segmentId } = req.body;
+        let guestIds;
+        if (segmentId) {
+            // The segment's guests that have no research yet
+            const segment = segmentService.get(parseInt(segmentId));
+            if (!segmentService.canView(segment, req.user, req.propertyId)) {
+                return res.status(404).json({ error: 'Segment niet gevonden' });
+            }
+            guestIds = segmentService.getGuestIds(segment, req.propertyId, { unresearchedOnly: true });
+            if (guestIds.length === 0) {
+                return res.status(400).json({ error: 'Alle gasten in dit segment zijn al onderzocht' });
             }
+        } else {
+            guestIds = (Array.isArray(req.body.guestIds) ? req.body.guestIds : [])
+                .filter(id => propertyService.canAccessGuest(id, req.propertyId));
         }
-    } catch (error) {
-        console.error('Error resuming active queues:', error);
-    }
-}
-
-// POST /api/research/queue/start - Start async enrichment queue
-router.post('/queue/start', (req, res) => {
-    const { guestIds, batchId, concurrency = 3 } = req.body;
-
-    if (!guestIds || !Array.isArray(guestIds) || guestIds.length === 0) {
-        return res.status(400).json({ error: 'Geen gasten geselecteerd' });
-    }
 
-    // Limit concurrency to prevent overload (max 5)
-    const actualConcurrency = Math.min(Math.max(1, parseInt(concurrency) || 1), 5);
-
-    const queueId = batchId || `queue-${Date.now()}`;
-
-    const queueData = {
-        total: guestIds.length,
-        completed: 0,
-        current: null,
-        currentName: null,
-        currentProcessing: [], // Track multiple guests being processed
-        errors: [],
-        status: 'running',
-        startedAt: new Date().toISOString(),
-        guestIds: guestIds,
-        nextIndex: 0,
-        concurrency: actualConcurrency
-    };
-
-    // Initialize queue status
-    enrichmentQueues.set(queueId, queueData);
+        if (guestIds.length === 0) {
+            return res.status(400).json({ error: 'Geen gasten geselecteerd' });
+        }
+        if (budgetError(res)) return;
 
-    // Persist to DB
-    saveQueueToDb(queueId, queueData);
+        const queue = enrichmentQueue.create({
+            queueId: batchId || (segmentId ? `segment-${segmentId}-${Date.now()}` : undefined),
+            guestIds,
+            concurrency,
+            propertyId: req.propertyId,
+            startedBy: req.user.username
+        });
 
-    // Start async processing (parallel or sequential based on concurrency)
-    if (actualConcurrency > 1) {
-        console.log(`🚀 Starting parallel enrichment with concurrency: ${actualConcurrency}`);
-        processEnrichmentQueueParallel(queueId, guestIds, actualConcurrency);
-    } else {
-        processEnrichmentQueue(queueId, guestIds);
+        res.json({
+            success: true,
+            queueId: queue.queueId,
+            total: queue.total,
+            concurrency: queue.concurrency,
+            message: `Enrichment gestart${queue.concurrency > 1 ? ` (${queue.concurrency}x parallel)` : ''}`
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
     }
-
-    res.json({
-        success: true,
-        queueId,
-        total: guestIds.length,
-        concurrency: actualConcurrency,
-        message: `Enrichment gestart${actualConcurrency > 1 ? ` (${actualConcurrency}x parallel)` : ''}`
-    });
 });
 
 
 // POST /api/research/queue/start-pending - Start enrichment for all guests who don't have results
-router.post('/queue/start-pending', (req, res) => {
+router.post('/queue/start-pending', requireRole('manager'), (req, res) => {
     try {
         const { concurrency = 3 } = req.body || {};
 
+        if (budgetError(res)) return;
+
+        const scope = propertyService.guestScope(req.propertyId);
         const pendingGuests = db.prepare(`
             SELECT id FROM guests g
-            WHERE NOT EXISTS (SELECT 1 FROM research_results r WHERE r.guest_id = g.id)
-        `).all();
+            WHERE NOT EXISTS (SELECT 1 FROM research_results r WHERE r.guest_id = g.id)${scope.sql}
+        `).all(...scope.params);
 
         if (pendingGuests.length === 0) {
             return res.json({
@@ -395,46 +470,20 @@ router.post('/queue/start-pending', (req, res) => {
             });
         }
 
-        // Limit concurrency to prevent overload (max 5)
-        const actualConcurrency = Math.min(Math.max(1, parseInt(concurrency) || 1), 5);
-
-        const guestIds = pendingGuests.map(g => g.id);
-        const queueId = `pending-${Date.now()}`;
-
-        const queueData = {
-            total: guestIds.length,
-            completed: 0,
-            current: null,
-            currentName: null,
-            currentProcessing: [],
-            errors: [],
-            status: 'running',
-            startedAt: new Date().toISOString(),
-            guestIds: guestIds,
-            nextIndex: 0,
-            concurrency: actualConcurrency
-        };
-
-        // Initialize queue status
-        enrichmentQueues.set(queueId, queueData);
-
-        // Persist to DB
-        saveQueueToDb(queueId, queueData);
-
-        // Start async processing (parallel or sequential)
-        if (actualConcurrency > 1) {
-            console.log(`🚀 Starting parallel enrichment with concurrency: ${actualConcurrency}`);
-            processEnrichmentQueueParallel(queueId, guestIds, actualConcurrency);
-        } else {
-            processEnrichmentQueue(queueId, guestIds);
-        }
+        const queue = enrichmentQueue.create({
+            queueId: `pending-${Date.now()}`,
+            guestIds: pendingGuests.map(g => g.id),
+            concurrency,
+            propertyId: req.propertyId,
+            startedBy: req.user.username
+        });
 
         res.json({
             success: true,
-            queueId,
-            total: guestIds.length,
-            concurrency: actualConcurrency,
-            message: `Enrichment gestart voor ${guestIds.length} gasten${actualConcurrency > 1 ? ` (${actualConcurrency}x parallel)` : ''}`
+            queueId: queue.queueId,
+            total: queue.total,
+            concurrency: queue.concurrency,
+            message: `Enrichment gestart voor ${queue.total} gasten${queue.concurrency > 1 ? ` (${queue.concurrency}x parallel)` : ''}`
         });
 
     } catch (error) {
@@ -444,470 +493,93 @@ router.post('/queue/start-pending', (req, res) => {
 });
 
 
-// Async queue processor
-async function processEnrichmentQueue(queueId, guestIds, startIndex = 0) {
-    const queue = enrichmentQueues.get(queueId);
-    if (!queue) return;
-
-    for (let i = startIndex; i < guestIds.length; i++) {
-        // Update next index for potential resume
-        queue.nextIndex = i;
-        saveQueueToDb(queueId, queue);
-
-        // Handle stop
-        if (queue.status === 'stopped') {
-            console.log(`🛑 Queue ${queueId} stopped by user at index ${i}.`);
-            break;
-        }
-
-        // Handle pause
-        let wasPaused = false;
-        while (queue.status === 'paused') {
-            if (!wasPaused) {
-                saveQueueToDb(queueId, queue);
-                wasPaused = true;
-            }
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            if (queue.status === 'stopped') break;
-        }
-        if (wasPaused && queue.status === 'running') {
-            saveQueueToDb(queueId, queue);
-        }
-        if (queue.status === 'stopped') break;
-
-        const guestId = guestIds[i];
-        queue.current = guestId;
-
-        // Reset skip flag for current guest
-        queue.skipCurrent = false;
-
-        try {
-            const guest = db.prepare('SELECT * FROM guests WHERE id = ?').get(guestId);
-            if (!guest) {
-                queue.errors.push({ guestId, error: 'Gast niet gevonden' });
-                queue.completed++;
-                queue.nextIndex = i + 1;
-                continue;
-            }
-
-            queue.currentName = guest.full_name;
-
-            // Check existing research (Skip if already exists)
-            const existingResearch = db.prepare('SELECT id FROM research_results WHERE guest_id = ?').get(guestId);
-            if (existingResearch) {
-                console.log(`⏩ Skipping ${guest.full_name} (already researched)`);
-                queue.completed++;
-                queue.nextIndex = i + 1;
-                continue;
-            }
-
-            // Perform smart search with timeout
-            console.log(`🔍 Enriching ${guest.full_name} (${i + 1}/${guestIds.length})`);
-
-            // 60-second timeout for each guest
-            const researchPromise = smartSearch.searchGuest(guest);
-            const timeoutPromise = new Promise((_, reject) =>
-                setTimeout(() => reject(new Error('Research timeout (180s)')), 180000)
-            );
-
-            // Create a promise for manual skip
-            const skipPromise = new Promise((resolve) => {
-                const checkSkip = setInterval(() => {
-                    if (queue.skipCurrent || queue.status === 'stopped') {
-                        clearInterval(checkSkip);
-                        resolve('skipped');
-                    }
-                }, 500);
-            });
-
-            const result = await Promise.race([researchPromise, timeoutPromise, skipPromise]);
-
-            if (result === 'skipped') {
-                console.log(`⏭️ Skipped ${guest.full_name} by user.`);
-                queue.completed++;
-                queue.nextIndex = i + 1;
-                continue;
-            }
-
-            const searchResults = result;
-            const vipScore = searchResults.vipScore || vipScorer.calculate(searchResults);
-            const influenceLevel = researchController.normalizeInfluenceLevel(searchResults.influenceLevel || vipScorer.getInfluenceLevel(vipScore));
-
-            // Save results
-            db.prepare(`
-                INSERT INTO research_results (
-                    guest_id, profile_photo_url, job_title, company_name, company_size,
-                    industry, linkedin_url, linkedin_connections, 
-                    linkedin_candidates, needs_linkedin_review,
-                    instagram_handle, instagram_url, instagram_followers,
-                    twitter_handle, twitter_url, twitter_followers,
-                    website_url, notable_info, full_report, press_mentions,
-                    net_worth, followers_estimate, vip_score, influence_level, raw_search_results, no_results_found
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `).run(
-                guestId, searchResults.profilePhotoUrl, searchResults.jobTitle, searchResults.companyName,
-                searchResults.companySize, searchResults.industry, searchResults.linkedinUrl,
-                searchResults.linkedinConnections,
-                JSON.stringify(searchResults.linkedinCandidates || []),
-                searchResults.needsLinkedInReview ? 1 : 0,
-                searchResults.instagramHandle, searchResults.instagramUrl, searchResults.instagramFollowers,
-                searchResults.twitterHandle, searchResults.twitterUrl, searchResults.twitterFollowers,
-                searchResults.websiteUrl,
-                searchResults.notableInfo, JSON.stringify(searchResults.fullReport || null),
-                searchResults.pressMentions, searchResults.netWorthEstimate, searchResults.followersEstimate,
-                vipScore, influenceLevel,
-                JSON.stringify(searchResults.rawResults),
-                searchResults.noResultsFound ? 1 : 0
-            );
-
-            // UPDATE THE MAIN GUEST RECORD with research findings
-            researchController.updateGuestFromResearch(guestId, searchResults);
-
-            queue.completed++;
-            queue.nextIndex = i + 1;
-            saveQueueToDb(queueId, queue);
-            console.log(`✅ Completed ${guest.full_name} - VIP Score: ${vipScore}`);
-
-            // Small delay between requests
-            await new Promise(resolve => setTimeout(resolve, 1000));
-
-        } catch (err) {
-            console.error(`❌ Error enriching guest ${guestId} (${queue.currentName}):`, err.message);
-            queue.errors.push({
-                guestId,
-                name: queue.currentName,
-                error: err.message === 'Research timeout (60s)' ? 'Time-out bij onderzoek' : err.message
-            });
-
-            // Mark as "No data found" in DB to avoid retrying every time
-            try {
-                db.prepare(`
-                    INSERT OR IGNORE INTO research_results (
-                        guest_id, notable_info, vip_score, influence_level
-                    ) VALUES (?, ?, 0, 'Laag')
-                `).run(guestId, `Geen gegevens gevonden (${err.message})`);
-            } catch (dbErr) {
-                console.error(`Failed to save failure marker for guest ${guestId}:`, dbErr.message);
-            }
-
-            // Still increment completed so the queue moves on
-            queue.completed++;
-            queue.nextIndex = i + 1;
-            saveQueueToDb(queueId, queue);
-        }
-
-    }
-
-    if (queue.status !== 'stopped') {
-        queue.status = 'completed';
-        queue.current = null;
-        queue.currentName = null;
-        queue.completedAt = new Date().toISOString();
-        saveQueueToDb(queueId, queue);
-        console.log(`🎉 Enrichment queue ${queueId} completed: ${queue.completed}/${queue.total}`);
-
-        // Send email notification for batch completion
-        const completedGuests = guestIds.map(id => {
-            const guest = db.prepare('SELECT * FROM guests WHERE id = ?').get(id);
-            const research = db.prepare('SELECT * FROM research_results WHERE guest_id = ?').get(id);
-            return guest && research ? { ...guest, ...research } : null;
-        }).filter(Boolean);
-
-        emailService.notifyBatchComplete(queueId, {
-            completed: queue.completed,
-            total: queue.total,
-            errors: queue.errors,
-            guests: completedGuests
-        }).catch(err => console.error('Batch email notification failed:', err.message));
-    }
-}
-
-// Parallel queue processor - processes multiple guests at once
-async function processEnrichmentQueueParallel(queueId, guestIds, concurrency = 3) {
-    const queue = enrichmentQueues.get(queueId);
-    if (!queue) return;
-
-    console.log(`🚀 Starting parallel processing of ${guestIds.length} guests with concurrency ${concurrency}`);
-
-    // Helper function to process a single guest
-    async function processGuest(guestId, index) {
-        // Check if queue was stopped
-        if (queue.status === 'stopped') {
-            return { skipped: true };
-        }
-
-        // Wait if paused
-        while (queue.status === 'paused') {
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            if (queue.status === 'stopped') return { skipped: true };
-        }
-
-        try {
-            const guest = db.prepare('SELECT * FROM guests WHERE id = ?').get(guestId);
-            if (!guest) {
-                return { guestId, error: 'Gast niet gevonden' };
-            }
-
-            // Track current processing
-            queue.currentProcessing.push({ guestId, name: guest.full_name });
-
-            // Check existing research
-            const existingResearch = db.prepare('SELECT id FROM research_results WHERE guest_id = ?').get(guestId);
-            if (existingResearch) {
-                console.log(`⏩ Skipping ${guest.full_name} (already researched)`);
-                return { guestId, skipped: true, existing: true };
-            }
-
-            console.log(`🔍 [${index + 1}/${guestIds.length}] Enriching ${guest.full_name}`);
-
-            // Perform smart search with timeout
-            const researchPromise = smartSearch.searchGuest(guest);
-            const timeoutPromise = new Promise((_, reject) =>
-                setTimeout(() => reject(new Error('Research timeout (180s)')), 180000)
-            );
-
-            // Create a promise for manual skip/stop
-            const skipPromise = new Promise((resolve) => {
-                const checkStatus = setInterval(() => {
-                    if (queue.skipCurrent || queue.status === 'stopped') {
-                        clearInterval(checkStatus);
-                        resolve('skipped');
-                    }
-                }, 500);
-            });
-
-            const result = await Promise.race([researchPromise, timeoutPromise, skipPromise]);
-
-            if (result === 'skipped') {
-                console.log(`⏭️ Skipped ${guest.full_name} by user.`);
-                return { guestId, skipped: true };
-            }
-
-            const searchResults = result;
-            const vipScore = searchResults.vipScore || vipScorer.calculate(searchResults);
-            const influenceLevel = researchController.normalizeInfluenceLevel(searchResults.influenceLevel || vipScorer.getInfluenceLevel(vipScore));
-
-            // Save results
-            db.prepare(`
-                INSERT INTO research_results (
-                    guest_id, profile_photo_url, job_title, company_name, company_size,
-                    industry, linkedin_url, linkedin_connections, 
-                    linkedin_candidates, needs_linkedin_review,
-                    instagram_handle, instagram_url, instagram_followers,
-                    twitter_handle, twitter_url, twitter_followers,
-                    website_url, notable_info, full_report, press_mentions,
-                    net_worth, followers_estimate, vip_score, influence_level, raw_search_results
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `).run(
-                guestId, searchResults.profilePhotoUrl, searchResults.jobTitle, searchResults.companyName,
-                searchResults.companySize, searchResults.industry, searchResults.linkedinUrl,
-                searchResults.linkedinConnections,
-                JSON.stringify(searchResults.linkedinCandidates || []),
-                searchResults.needsLinkedInReview ? 1 : 0,
-                searchResults.instagramHandle, searchResults.instagramUrl, searchResults.instagramFollowers,
-                searchResults.twitterHandle, searchResults.twitterUrl, searchResults.twitterFollowers,
-                searchResults.websiteUrl,
-                searchResults.notableInfo, JSON.stringify(searchResults.fullReport || null),
-                searchResults.pressMentions, searchResults.netWorthEstimate, searchResults.followersEstimate,
-                vipScore, influenceLevel,
-                searchResults.rawResults ? JSON.stringify(searchResults.rawResults) : null
-            );
-
-            // UPDATE THE MAIN GUEST RECORD with research findings
-            researchController.updateGuestFromResearch(guestId, searchResults);
-
-            console.log(`✅ Completed ${guest.full_name} - VIP Score: ${vipScore}`);
-            return { guestId, success: true, vipScore };
-
-        } catch (err) {
-            console.error(`❌ Error enriching guest ${guestId}:`, err.message);
-
-            // Mark as "No data found" in DB
-            try {
-                db.prepare(`
-                    INSERT OR IGNORE INTO research_results (
-                        guest_id, notable_info, vip_score, influence_level
-                    ) VALUES (?, ?, 0, 'Laag')
-                `).run(guestId, `Geen gegevens gevonden (${err.message})`);
-            } catch (dbErr) {
-                // Ignore DB errors
-            }
-
-            return { guestId, error: err.message };
-        } finally {
-            // Remove from currentProcessing
-            queue.currentProcessing = queue.currentProcessing.filter(p => p.guestId !== guestId);
-        }
-    }
-
-    // Process guests in batches with controlled concurrency
-    const results = [];
-    for (let i = 0; i < guestIds.length; i += concurrency) {
-        if (queue.status === 'stopped') break;
-
-        const batch = guestIds.slice(i, i + concurrency);
-        const batchPromises = batch.map((guestId, batchIndex) =>
-            processGuest(guestId, i + batchIndex)
-        );
-
-        const batchResults = await Promise.all(batchPromises);
-
-        for (const result of batchResults) {
-            if (result.error) {
-                queue.errors.push({ guestId: result.guestId, error: result.error });
-            }
-            queue.completed++;
-        }
-
-        queue.nextIndex = Math.min(i + concurrency, guestIds.length);
-        saveQueueToDb(queueId, queue);
-
-        console.log(`📊 Progress: ${queue.completed}/${queue.total} (${Math.round(queue.completed / queue.total * 100)}%)`);
-
-        // Small delay between batches to be nice to APIs
-        if (i + concurrency < guestIds.length) {
-            await new Promise(resolve => setTimeout(resolve, 500));
-        }
-    }
-
-    if (queue.status !== 'stopped') {
-        queue.status = 'completed';
-        queue.currentProcessing = [];
-        queue.completedAt = new Date().toISOString();
-        saveQueueToDb(queueId, queue);
-        console.log(`🎉 Parallel enrichment completed: ${queue.completed}/${queue.total}`);
-
-        // Send email notification for batch completion
-        const completedGuests = guestIds.map(id => {
-            const guest = db.prepare('SELECT * FROM guests WHERE id = ?').get(id);
-            const research = db.prepare('SELECT * FROM research_results WHERE guest_id = ?').get(id);
-            return guest && research ? { ...guest, ...research } : null;
-        }).filter(Boolean);
-
-        emailService.notifyBatchComplete(queueId, {
-            completed: queue.completed,
-            total: queue.total,
-            errors: queue.errors,
-            guests: completedGuests
-        }).catch(err => console.error('Batch email notification failed:', err.message));
-    }
-}
-
-
 // GET /api/research/queue/active - Find any active queue
 router.get('/queue/active', (req, res) => {
-    let activeQueue = null;
-    let activeId = null;
-
-    // First look for running queues, then paused, then recently completed
-    for (const [id, queue] of enrichmentQueues.entries()) {
-        if (queue.status === 'running') {
-            activeQueue = queue;
-            activeId = id;
-            break;
-        }
-    }
-
-    // If no running queue, check for paused
-    if (!activeQueue) {
-        for (const [id, queue] of enrichmentQueues.entries()) {
-            if (queue.status === 'paused') {
-                activeQueue = queue;
-                activeId = id;
-                break;
-            }
+    try {
+        // Only queues of the selected property (group level sees all)
+        const queue = enrichmentQueue.getActive(req.propertyId);
+        if (!queue) {
+            return res.json({ active: false });
         }
-    }
 
-    // If still nothing, check for recently completed (within last 5 seconds)
-    if (!activeQueue) {
-        for (const [id, queue] of enrichmentQueues.entries()) {
-            if (queue.status === 'completed' && queue.completedAt) {
-                const completedAgo = Date.now() - new Date(queue.completedAt).getTime();
-                if (completedAgo < 5000) {
-                    activeQueue = queue;
-                    activeId = id;
-                    break;
-                }
-            }
-        }
+        res.json({ active: true, ...queue });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
     }
+});
 
-    if (!activeQueue) {
-        return res.json({ active: false });
+// Queues of other properties are not visible
+router.param('queueId', (req, res, next, queueId) => {
+    const queue = enrichmentQueue.get(queueId);
+    if (!queue || (req.propertyId && queue.property_id !== req.propertyId)) {
+        return res.status(404).json({ error: 'Queue niet gevonden' });
     }
-
-    res.json({
-        active: true,
-        queueId: activeId,
-        ...activeQueue,
-        progress: activeQueue.total > 0 ? Math.round((activeQueue.completed / activeQueue.total) * 100) : 0
-    });
+    next();
 });
 
 // POST /api/research/queue/:queueId/pause - Pause a running queue
-router.post('/queue/:queueId/pause', (req, res) => {
-    const queue = enrichmentQueues.get(req.params.queueId);
-    if (!queue) return res.status(404).json({ error: 'Queue niet gevonden' });
-
-    queue.status = 'paused';
-    saveQueueToDb(req.params.queueId, queue);
+router.post('/queue/:queueId/pause', requireRole('manager'), (req, res) => {
+    enrichmentQueue.pause(req.params.queueId);
     res.json({ success: true, status: 'paused' });
 });
 
 // POST /api/research/queue/:queueId/resume - Resume a paused or stopped queue
-router.post('/queue/:queueId/resume', (req, res) => {
-    const queue = enrichmentQueues.get(req.params.queueId);
-    if (!queue) return res.status(404).json({ error: 'Queue niet gevonden' });
-
-    const prevStatus = queue.status;
-    queue.status = 'running';
-
-    // If it was stopped, we need to restart the async processor
-    if (prevStatus === 'stopped') {
-        console.log(`▶️ Restarting stopped queue ${req.params.queueId} from index ${queue.nextIndex}`);
-        processEnrichmentQueue(req.params.queueId, queue.guestIds, queue.nextIndex);
-    }
+router.post('/queue/:queueId/resume', requireRole('manager'), (req, res) => {
+    if (budgetError(res)) return;
 
+    enrichmentQueue.resume(req.params.queueId);
     res.json({ success: true, status: 'running' });
-    saveQueueToDb(req.params.queueId, queue);
 });
 
 // POST /api/research/queue/:queueId/stop - Stop a queue completely
-router.post('/queue/:queueId/stop', (req, res) => {
-    const queue = enrichmentQueues.get(req.params.queueId);
-    if (!queue) return res.status(404).json({ error: 'Queue niet gevonden' });
-
-    queue.status = 'stopped';
-    saveQueueToDb(req.params.queueId, queue);
+router.post('/queue/:queueId/stop', requireRole('manager'), (req, res) => {
+    enrichmentQueue.stop(req.params.queueId);
     res.json({ success: true, status: 'stopped' });
 });
 
 // POST /api/research/queue/:queueId/skip - Skip current guest
-router.post('/queue/:queueId/skip', (req, res) => {
-    const queue = enrichmentQueues.get(req.params.queueId);
-    if (!queue) return res.status(404).json({ error: 'Queue niet gevonden' });
-
-    queue.skipCurrent = true;
+router.post('/queue/:queueId/skip', requireRole('manager'), (req, res) => {
+    enrichmentQueue.skipCurrent(req.params.queueId);
     res.json({ success: true, message: 'Overslaan geactiveerd' });
 });
 
+// GET /api/research/queue/:queueId/jobs - Jobs of a queue (?status=dead for the dead-letter list)
+router.get('/queue/:queueId/jobs', requireRole('manager'), (req, res) => {
+    try {
+        res.json(enrichmentQueue.listJobs(req.params.queueId, { status: req.query.status || null }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-// GET /api/research/queue/:queueId - Get queue status
-router.get('/queue/:queueId', (req, res) => {
-    const queue = enrichmentQueues.get(req.params.queueId);
+// POST /api/research/queue/:queueId/retry - Retry dead-lettered jobs ({ jobId } for a single job)
+router.post('/queue/:queueId/retry', requireRole('manager'), (req, res) => {
+    try {
+        if (budgetError(res)) return;
 
-    if (!queue) {
-        return res.status(404).json({ error: 'Queue niet gevonden' });
+        const jobId = req.body?.jobId ? parseInt(req.body.jobId) : null;
+        const requeued = enrichmentQueue.retryDead(req.params.queueId, jobId);
+        if (requeued === 0) {
+            return res.status(400).json({ error: 'Geen mislukte taken om opnieuw te proberen' });
+        }
+
+        res.json({ success: true, requeued });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
     }
+});
 
-    res.json({
-        ...queue,
-        progress: queue.total > 0 ? Math.round((queue.completed / queue.total) * 100) : 0
-    });
+// GET /api/research/queue/:queueId - Get queue status
+router.get('/queue/:queueId', (req, res) => {
+    try {
+        res.json(enrichmentQueue.getStatus(req.params.queueId));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
-// GET /api/research/queue/:queueId/stream - SSE stream for progress
+// GET /api/research/queue/:queueId/stream - SSE stream for progress of one queue
+// (the queue.updated events of GET /api/events, for clients that follow a single queue)
 router.get('/queue/:queueId/stream', (req, res) => {
     const queueId = req.params.queueId;
 
@@ -916,40 +588,38 @@ router.get('/queue/:queueId/stream', (req, res) => {
     res.setHeader('Connection', 'keep-alive');
     res.flushHeaders();
 
-    const sendStatus = () => {
-        const queue = enrichmentQueues.get(queueId);
-        if (!queue) {
-            res.write(`data: ${JSON.stringify({ error: 'Queue niet gevonden' })}\n\n`);
-            res.end();
-            return false;
-        }
-
-        res.write(`data: ${JSON.stringify({
-            ...queue,
-            progress: queue.total > 0 ? Math.round((queue.completed / queue.total) * 100) : 0
-        })}\n\n`);
-
-        return queue.status !== 'completed';
+    const send = (queue) => {
+        res.write(`data: ${JSON.stringify(queue)}\n\n`);
+        if (queue.status === 'completed') res.end();
     };
 
     // Send initial status
-    sendStatus();
-
-    // Poll and send updates
-    const interval = setInterval(() => {
-        const shouldContinue = sendStatus();
-        if (!shouldContinue) {
-            clearInterval(interval);
-            res.end();
-        }
-    }, 1000);
+    send(enrichmentQueue.getStatus(queueId));
+    if (res.writableEnded) return;
+
+    const unsubscribe = eventBus.subscribe(event => {
+        if (event.type === 'queue.updated' && event.data.queueId === queueId) send(event.data);
+    });
+
+    // Cleanup on disconnect or once the queue completed
+    res.on('close', unsubscribe);
+});
 
-    // Cleanup on disconnect
-    req.on('close', () => {
-        clearInterval(interval);
+
+// GET /api/research/providers/status - Health and priority of every search provider
+router.get('/providers/status', requireRole('manager'), (req, res) => {
+    res.json({
+        order: searchProviders.getOrder(),
+        providers: searchProviders.getStatus()
     });
 });
 
+// POST /api/research/providers/reset - Clear provider cooldowns (optionally for one provider)
+router.post('/providers/reset', requireRole('admin'), (req, res) => {
+    const { provider } = req.body || {};
+    searchProviders.reset(provider || null);
+    res.json({ success: true, providers: searchProviders.getStatus() });
+});
 
 // GET /api/research/:guestId - Get research results for a guest
 router.get('/:guestId', (req, res) => {
@@ -978,6 +648,27 @@ router.get('/:guestId', (req, res) => {
     }
 });
 
+// Staff picked (or typed) the LinkedIn profile; the analysis is re-run on that profile
+function buildLinkedInSelectionProvenance(existing, candidate, analysis, isManual) {
+    const scores = analysis.confidence_scores || {};
+    const linkedin = provenance.entry(isManual ? 'staff' : 'linkedin', { url: candidate.url, confidence: 1 });
+    const fromAnalysis = (value, confidence) => value !== null && value !== undefined && value !== ''
+        ? provenance.entry('ai_analysis', { url: candidate.url, provider: 'openai', confidence })
+        : null;
+
+    return provenance.merge(existing, {
+        linkedin_url: linkedin,
+        job_title: candidate.jobTitle ? linkedin : fromAnalysis(analysis.job_title),
+        company_name: candidate.company ? linkedin : fromAnalysis(analysis.company_name),
+        company_size: fromAnalysis(analysis.company_size, scores.company_size),
+        industry: fromAnalysis(analysis.industry, scores.industry),
+        is_owner: fromAnalysis(analysis.is_owner, scores.is_owner),
+        employment_type: fromAnalysis(analysis.employment_type, scores.employment_type),
+        notable_info: fromAnalysis(analysis.notable_info),
+        vip_score: fromAnalysis(analysis.vip_score, scores.vip_score)
+    });
+}
+
 // PUT /api/research/:guestId/select-linkedin - Select a LinkedIn profile from candidates
 router.put('/:guestId/select-linkedin', async (req, res) => {
     try {
@@ -1035,11 +726,13 @@ router.put('/:guestId/select-linkedin', async (req, res) => {
             needsReview: false
         };
 
-        const analysis = await smartSearch.analyzeWithAI(guest, linkedinInfo);
+        const analysis = await usageMeter.run({ guestId: guest.id, propertyId: req.propertyId }, () =>
+            smartSearch.analyzeWithAI(guest, linkedinInfo));
         const vipScore = analysis.vip_score || 5;
         const influenceLevel = analysis.influence_level || 'Gemiddeld';
 
         // Update research with selected LinkedIn profile AND new analysis
+        researchRevisions.ensureBaseline(guestId, req.user.username);
         db.prepare(`
             UPDATE research_results SET
                 linkedin_url = ?,
@@ -1054,6 +747,7 @@ router.put('/:guestId/select-linkedin', async (req, res) => {
                 full_report = ?,
                 vip_score = ?,
                 influence_level = ?,
+                field_provenance = ?,
                 needs_linkedin_review = 0,
                 no_results_found = 0,
                 updated_at = CURRENT_TIMESTAMP
@@ -1071,8 +765,17 @@ router.put('/:guestId/select-linkedin', async (req, res) => {
             JSON.stringify(analysis.full_report || null),
             vipScore,
             influenceLevel,
+            JSON.stringify(buildLinkedInSelectionProvenance(research.field_provenance, selectedCandidate, analysis, !!manualUrl)),
             guestId
         );
+        vipScorer.rescoreGuest(parseInt(guestId), { aiScore: analysis.vip_score, includeManual: true });
+
+        researchRevisions.record(guestId, {
+            source: 'linkedin_select',
+            author: req.user.username,
+            note: selectedCandidate.url
+        });
+        researchController.onScoreChanged(parseInt(guestId), research.vip_score, { source: 'linkedin_select' });
 
         // UPDATE THE MAIN GUEST RECORD with findings
         researchController.updateGuestFromResearch(guestId, {
@@ -1095,6 +798,5 @@ router.put('/:guestId/select-linkedin', async (req, res) => {
 
 
 module.exports = {
-    router,
-    resumeActiveQueues
+    router
 };
@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/auth');
+const propertyService = require('../services/propertyService');
+const vipScorer = require('../services/vipScorer');
+const researchController = require('../services/researchController');
+
+const RULE_FIELDS = ['base', 'minScore', 'maxScore', 'titleTiers', 'presence', 'followerTiers', 'connectionTiers',
+    'keywordRules', 'caps', 'blend', 'influenceLevels'];
+
+// GET /api/scoring/rules - VIP scoring rules of the selected property (with the defaults)
+router.get('/rules', (req, res) => {
+    try {
+        const propertyId = req.propertyId || propertyService.getDefaultId();
+        res.json({ propertyId, rules: vipScorer.getRules(propertyId), defaults: vipScorer.getDefaultRules() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/scoring/rules - Update the rules { base, titleTiers, presence, followerTiers, keywordRules, caps, blend, ... }
+router.put('/rules', requireRole('manager'), (req, res) => {
+    try {
+        const propertyId = req.propertyId || propertyService.getDefaultId();
+        const changes = {};
+        for (const field of RULE_FIELDS) {
+            if (req.body[field] !== undefined) changes[field] = req.body[field];
+        }
+
+        let rules;
+        try {
+            rules = vipScorer.updateRules(propertyId, changes, req.user.username);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+        res.json({ propertyId, rules, defaults: vipScorer.getDefaultRules() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /api/scoring/rules - Back to the default rules
+router.delete('/rules', requireRole('manager'), (req, res) => {
+    try {
+        const propertyId = req.propertyId || propertyService.getDefaultId();
+        const rules = vipScorer.updateRules(propertyId, null, req.user.username);
+        res.json({ propertyId, rules, defaults: vipScorer.getDefaultRules() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/scoring/rescore - Re-score all researched guests with the current rules, without new searches { includeManual }
+router.post('/rescore', requireRole('manager'), (req, res) => {
+    try {
+        const summary = vipScorer.rescoreAll({
+            propertyId: req.propertyId,
+            includeManual: !!req.body.includeManual,
+            author: req.user.username
+        });
+
+        // Live updates and guest.vip_detected webhooks for the guests whose score changed
+        for (const { guestId, previousScore } of summary.changed) {
+            researchController.onScoreChanged(guestId, previousScore, { source: 'rescore' });
+        }
+
+        console.log(`🎯 ${summary.rescored} gasten opnieuw gescoord, ${summary.changed.length} gewijzigd (${req.user.username})`);
+        res.json(summary);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/auth');
+const guestSearch = require('../services/guestSearch');
+
+// GET /api/search?q=...&limit=20 - Ranked full-text search over guests, research, notes and bios with snippets
+router.get('/', (req, res) => {
+    try {
+        const { q = '', limit, offset } = req.query;
+        let result;
+        try {
+            result = guestSearch.search(String(q), { propertyId: req.propertyId, limit, offset });
+        } catch (queryError) {
+            return res.status(400).json({ error: `Ongeldige zoekopdracht: ${queryError.message}` });
+        }
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/search/rebuild - Rebuild the search index (admin; normally kept in sync automatically)
+router.post('/rebuild', requireRole('admin'), (req, res) => {
+    try {
+        const indexed = guestSearch.rebuild();
+        console.log(`🔎 Zoekindex opnieuw opgebouwd: ${indexed} gasten (${req.user.username})`);
+        res.json({ success: true, indexed });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const segmentService = require('../services/segmentService');
+const guestFilters = require('../services/guestFilters');
+
+// Private segments of colleagues and segments of another property are not visible
+router.param('id', (req, res, next, id) => {
+    const segment = segmentService.get(parseInt(id));
+    if (!segmentService.canView(segment, req.user, req.propertyId)) {
+        return res.status(404).json({ error: 'Segment niet gevonden' });
+    }
+    req.segment = segment;
+    next();
+});
+
+function requireOwner(req, res, next) {
+    if (!segmentService.canEdit(req.segment, req.user)) {
+        return res.status(403).json({ error: 'Alleen de maker of een admin kan dit segment wijzigen' });
+    }
+    next();
+}
+
+// GET /api/segments - Own and shared segments with their guest counts, plus the available filters
+router.get('/', (req, res) => {
+    try {
+        res.json({
+            segments: segmentService.list(req.user.username, req.propertyId),
+            filters: guestFilters.getNames()
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/segments - Save a filter combination { name, description, filters, shared }
+router.post('/', (req, res) => {
+    try {
+        const { name, description = null, filters, shared = false } = req.body;
+        let segment;
+        try {
+            segment = segmentService.create({
+                name,
+                description,
+                filters,
+                shared,
+                propertyId: req.propertyId || null,
+                createdBy: req.user.username
+            });
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+        console.log(`🧩 Segment "${segment.name}" opgeslagen door ${req.user.username}${segment.shared ? ' (gedeeld)' : ''}`);
+        res.status(201).json(segment);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/segments/:id - One segment with its guest count
+router.get('/:id', (req, res) => {
+    try {
+        res.json(segmentService.format(req.segment, { propertyId: req.propertyId }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/segments/:id - Update name, description, filters or shared
+router.put('/:id', requireOwner, (req, res) => {
+    try {
+        const { name, description, filters, shared } = req.body;
+        let segment;
+        try {
+            segment = segmentService.update(req.segment.id, { name, description, filters, shared }, { propertyId: req.propertyId });
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+        res.json(segment);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /api/segments/:id - Remove a segment (the guests are not touched)
+router.delete('/:id', requireOwner, (req, res) => {
+    try {
+        segmentService.remove(req.segment.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
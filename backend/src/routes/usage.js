@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole, guestAccess } = require('../middleware/auth');
+const usageMeter = require('../services/usageMeter');
+
+// Guests outside the selected property are not visible
+router.param('guestId', guestAccess);
+
+// GET /api/usage/summary - Cost dashboard (?days=30): spend per day, provider, guest and queue
+router.get('/summary', (req, res) => {
+    try {
+        res.json(usageMeter.getSummary({ days: req.query.days, propertyId: req.propertyId }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/usage/budgets - Monthly budgets with month-to-date spend
+router.get('/budgets', (req, res) => {
+    try {
+        res.json(usageMeter.getBudgets());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/usage/budgets/:provider - Set a monthly budget { monthlyBudget } (null removes it)
+router.put('/budgets/:provider', requireRole('admin'), (req, res) => {
+    try {
+        const { monthlyBudget = null } = req.body;
+        try {
+            usageMeter.setBudget(req.params.provider, monthlyBudget, req.user.username);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+        res.json(usageMeter.getBudgets());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/usage/guests/:guestId - Research cost of one guest per provider
+router.get('/guests/:guestId', (req, res) => {
+    try {
+        res.json(usageMeter.getTotals({ guestId: parseInt(req.params.guestId) }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const authService = require('../services/authService');
+const auditLog = require('../services/auditLog');
+
+// Mounted behind authenticate + requireRole('admin') in index.js
+
+// GET /api/users - List all users
+router.get('/', (req, res) => {
+    try {
+        res.json(authService.listUsers());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/users - Create a user { username, password, role, display_name, property_id }
+router.post('/', (req, res) => {
+    try {
+        const user = authService.createUser(req.body);
+        res.status(201).json(user);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// GET /api/users/audit - Audit log (?userId&entityType&entityId&method&since&limit&offset)
+router.get('/audit', (req, res) => {
+    try {
+        res.json(auditLog.query(req.query));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/users/:id - Update role, display name, property, active flag or password
+router.put('/:id', (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+
+        if (id === req.user.id && (req.body.active === false || (req.body.role && req.body.role !== req.user.role))) {
+            return res.status(400).json({ error: 'Je kunt je eigen rol of account niet wijzigen' });
+        }
+
+        const user = authService.updateUser(id, req.body);
+        if (!user) {
+            return res.status(404).json({ error: 'Gebruiker niet gevonden' });
+        }
+
+        res.json(user);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+module.exports = router;
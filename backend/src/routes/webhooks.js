@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const propertyService = require('../services/propertyService');
+const webhookService = require('../services/webhookService');
+
+// Webhooks of another property are not visible while a property is selected
+router.param('id', (req, res, next, id) => {
+    const webhook = webhookService.get(parseInt(id));
+    if (!webhook || (req.propertyId && webhook.property_id && webhook.property_id !== req.propertyId)) {
+        return res.status(404).json({ error: 'Webhook niet gevonden' });
+    }
+    req.webhook = webhook;
+    next();
+});
+
+// GET /api/webhooks - Registered webhooks with delivery counts and the available events
+router.get('/', (req, res) => {
+    try {
+        res.json({
+            webhooks: webhookService.list(req.propertyId),
+            events: webhookService.getEvents()
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/webhooks - Register a webhook { url, events, description, propertyId } (returns the signing secret once)
+router.post('/', (req, res) => {
+    try {
+        const { url, events, description = null } = req.body;
+        const propertyId = req.body.propertyId !== undefined
+            ? (parseInt(req.body.propertyId) || null)
+            : (req.propertyId || null);
+        if (propertyId && !propertyService.get(propertyId)) {
+            return res.status(400).json({ error: 'Hotel niet gevonden' });
+        }
+
+        let webhook;
+        try {
+            webhook = webhookService.create({ url, events, description, propertyId, createdBy: req.user.username });
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+        res.status(201).json(webhook);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/webhooks/deliveries/:deliveryId/redeliver - Send a delivery again
+router.post('/deliveries/:deliveryId/redeliver', (req, res) => {
+    try {
+        const delivery = webhookService.getDelivery(parseInt(req.params.deliveryId));
+        const webhook = delivery && webhookService.get(delivery.webhook_id);
+        if (!webhook || (req.propertyId && webhook.property_id && webhook.property_id !== req.propertyId)) {
+            return res.status(404).json({ error: 'Levering niet gevonden' });
+        }
+
+        if (!webhookService.redeliver(delivery.id)) {
+            return res.status(409).json({ error: 'Deze levering staat al in de wachtrij' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/webhooks/:id - Update url, events, description or active
+router.put('/:id', (req, res) => {
+    try {
+        const { url, events, description, active } = req.body;
+        let webhook;
+        try {
+            webhook = webhookService.update(req.webhook.id, { url, events, description, active });
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+        res.json(webhook);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /api/webhooks/:id - Remove a webhook and its delivery log
+router.delete('/:id', (req, res) => {
+    try {
+        webhookService.remove(req.webhook.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/webhooks/:id/rotate-secret - New signing secret (the old one stops working immediately)
+router.post('/:id/rotate-secret', (req, res) => {
+    try {
+        res.json(webhookService.rotateSecret(req.webhook.id));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/webhooks/:id/test - Send a webhook.test event
+router.post('/:id/test', (req, res) => {
+    try {
+        const delivery = webhookService.sendTest(req.webhook.id);
+        res.json({ success: true, deliveryId: delivery.id });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/webhooks/:id/deliveries - Delivery log (?status=failed&limit=50)
+router.get('/:id/deliveries', (req, res) => {
+    try {
+        const { status = null, limit } = req.query;
+        if (status && !['pending', 'delivered', 'failed'].includes(status)) {
+            return res.status(400).json({ error: 'Ongeldige status' });
+        }
+        res.json(webhookService.listDeliveries(req.webhook.id, { status, limit }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const db = require('../db/database');
+
+/**
+ * Audit Log Service
+ * Records who changed what: every mutating API call is written to audit_log
+ * together with the user, role, route and the affected entity.
+ */
+
+// Request body keys that are never written to the log
+const REDACTED_KEYS = ['password', 'newPassword', 'currentPassword', 'token', 'accessToken', 'apiKey', 'secret'];
+const MAX_DETAILS_LENGTH = 2000;
+
+class AuditLogService {
+    redact(value) {
+        if (Array.isArray(value)) return value.map(v => this.redact(v));
+        if (!value || typeof value !== 'object') return value;
+
+        const result = {};
+        for (const [key, nested] of Object.entries(value)) {
+            result[key] = REDACTED_KEYS.includes(key) ? '[redacted]' : this.redact(nested);
+        }
+        return result;
+    }
+
+    serializeDetails(details) {
+        if (details === null || details === undefined) return null;
+        const json = JSON.stringify(this.redact(details));
+        if (!json || json === '{}') return null;
+        return json.length > MAX_DETAILS_LENGTH ? `${json.substring(0, MAX_DETAILS_LENGTH)}...` : json;
+    }
+
+    /**
+     * @param {Object} entry - { user, method, path, action, entityType, entityId, statusCode, details, ip, propertyId }
+     */
+    record({ user = null, method, path, action = null, entityType = null, entityId = null, statusCode = null, details = null, ip = null, propertyId = null }) {
+        try {
+            db.prepare(`
+                INSERT INTO audit_log (user_id, username, role, method, path, action, entity_type, entity_id, status_code, details, ip, property_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                user?.id || null,
+                user?.username || null,
+                user?.role || null,
+                method,
+                path,
+                action,
+                entityType,
+                entityId !== null && entityId !== undefined ? String(entityId) : null,
+                statusCode,
+                this.serializeDetails(details),
+                ip,
+                propertyId
+            );
+        } catch (error) {
+            console.error('⚠️ Audit log write error:', error.message);
+        }
+    }
+
+    /**
+     * @param {Object} filters - { userId, entityType, entityId, method, since, propertyId, limit, offset }
+     */
+    query({ userId, entityType, entityId, method, since, propertyId, limit = 100, offset = 0 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (userId) {
+            conditions.push('user_id = ?');
+            params.push(userId);
+        }
+        if (entityType) {
+            conditions.push('entity_type = ?');
+            params.push(entityType);
+        }
+        if (entityId) {
+            conditions.push('entity_id = ?');
+            params.push(String(entityId));
+        }
+        if (method) {
+            conditions.push('method = ?');
+            params.push(method.toUpperCase());
+        }
+        if (since) {
+            conditions.push('created_at >= ?');
+            params.push(since);
+        }
+        if (propertyId) {
+            conditions.push('property_id = ?');
+            params.push(parseInt(propertyId));
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const total = db.prepare(`SELECT COUNT(*) as count FROM audit_log ${where}`).get(...params).count;
+        const entries = db.prepare(`
+            SELECT * FROM audit_log ${where}
+            ORDER BY id DESC
+            LIMIT ? OFFSET ?
+        `).all(...params, Math.min(parseInt(limit) || 100, 500), parseInt(offset) || 0);
+
+        return { total, entries };
+    }
+}
+
+module.exports = new AuditLogService();
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const db = require('../db/database');
+
+/**
+ * Auth Service
+ * User accounts with roles and bearer-token sessions.
+ * Passwords are hashed with scrypt; sessions store only a SHA-256 hash of the token.
+ *
+ * Roles (ascending): front_desk < manager < admin
+ * Users with a property_id only see that property; admins always work at group level.
+ */
+
+const ROLES = ['front_desk', 'manager', 'admin'];
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS) || 12;
+const MIN_PASSWORD_LENGTH = 8;
+
+class AuthService {
+    constructor() {
+        this.roles = ROLES;
+    }
+
+    hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+        return `scrypt:${salt}:${hash}`;
+    }
+
+    verifyPassword(password, stored) {
+        const [scheme, salt, hash] = (stored || '').split(':');
+        if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+        const expected = Buffer.from(hash, 'hex');
+        const actual = crypto.scryptSync(password, salt, expected.length);
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Does the role meet the minimum role? (hasRole('admin', 'manager') === true)
+     */
+    hasRole(role, minimumRole) {
+        return ROLES.indexOf(role) >= ROLES.indexOf(minimumRole) && ROLES.includes(role);
+    }
+
+    toPublicUser(user) {
+        if (!user) return null;
+        return {
+            id: user.id,
+            username: user.username,
+            display_name: user.display_name,
+            role: user.role,
+            property_id: user.property_id || null,
+            active: user.active,
+            created_at: user.created_at,
+            last_login_at: user.last_login_at
+        };
+    }
+
+    validate({ username, password, role, property_id }, isNew) {
+        if (isNew && (!username || !username.trim())) {
+            throw new Error('Gebruikersnaam is verplicht');
+        }
+        if ((isNew || password !== undefined) && (!password || password.length < MIN_PASSWORD_LENGTH)) {
+            throw new Error(`Wachtwoord moet minstens ${MIN_PASSWORD_LENGTH} tekens bevatten`);
+        }
+        if (role !== undefined && !ROLES.includes(role)) {
+            throw new Error(`Ongeldige rol: ${role}`);
+        }
+        if (property_id && !db.prepare('SELECT id FROM properties WHERE id = ?').get(property_id)) {
+            throw new Error('Hotel niet gevonden');
+        }
+    }
+
+    createUser({ username, password, role = 'front_desk', display_name = null, property_id = null }) {
+        this.validate({ username, password, role, property_id }, true);
+
+        const normalized = username.trim().toLowerCase();
+        if (db.prepare('SELECT id FROM users WHERE username = ?').get(normalized)) {
+            throw new Error('Gebruikersnaam bestaat al');
+        }
+
+        const result = db.prepare(`
+            INSERT INTO users (username, display_name, password_hash, role, property_id)
+            VALUES (?, ?, ?, ?, ?)
+        `).run(normalized, display_name || username.trim(), this.hashPassword(password), role, role === 'admin' ? null : (property_id || null));
+
+        return this.getUser(result.lastInsertRowid);
+    }
+
+    getUser(id) {
+        return this.toPublicUser(db.prepare('SELECT * FROM users WHERE id = ?').get(id));
+    }
+
+    listUsers() {
+        return db.prepare('SELECT * FROM users ORDER BY username').all().map(u => this.toPublicUser(u));
+    }
+
+    /**
+     * Update role, display name, property, active flag and/or password.
+     * Deactivating a user or changing the password ends their sessions.
+     * property_id null means group level.
+     */
+    updateUser(id, { role, display_name, active, password, property_id }) {
+        const user = db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+        if (!user) return null;
+
+        this.validate({ password, role, property_id }, false);
+
+        const isLastAdmin = user.role === 'admin' &&
+            db.prepare("SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND active = 1").get().count <= 1;
+        if (isLastAdmin && ((role && role !== 'admin') || active === false || active === 0)) {
+            throw new Error('De laatste actieve beheerder kan niet worden gedegradeerd of gedeactiveerd');
+        }
+
+        db.prepare(`
+            UPDATE users SET
+                role = COALESCE(?, role),
+                display_name = COALESCE(?, display_name),
+                active = COALESCE(?, active),
+                password_hash = COALESCE(?, password_hash)
+            WHERE id = ?
+        `).run(
+            role || null,
+            display_name || null,
+            active === undefined ? null : (active ? 1 : 0),
+            password ? this.hashPassword(password) : null,
+            id
+        );
+
+        if (property_id !== undefined || role === 'admin') {
+            const newRole = role || user.role;
+            db.prepare('UPDATE users SET property_id = ? WHERE id = ?')
+                .run(newRole === 'admin' ? null : (property_id === undefined ? user.property_id : (property_id || null)), id);
+        }
+
+        if (password || active === false || active === 0) {
+            db.prepare('DELETE FROM sessions WHERE user_id = ?').run(id);
+        }
+
+        return this.getUser(id);
+    }
+
+    checkPassword(userId, password) {
+        const user = db.prepare('SELECT password_hash FROM users WHERE id = ?').get(userId);
+        return !!user && this.verifyPassword(password || '', user.password_hash);
+    }
+
+    /**
+     * @returns {{ token, user, expiresAt }|null} null on invalid credentials
+     */
+    login(username, password) {
+        const user = db.prepare('SELECT * FROM users WHERE username = ?').get((username || '').trim().toLowerCase());
+        if (!user || !user.active || !this.verifyPassword(password || '', user.password_hash)) {
+            return null;
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 3600 * 1000).toISOString();
+
+        db.prepare(`
+            INSERT INTO sessions (user_id, token_hash, expires_at) VALUES (?, ?, ?)
+        `).run(user.id, this.hashToken(token), expiresAt);
+        db.prepare('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?').run(user.id);
+
+        return { token, user: this.toPublicUser(user), expiresAt };
+    }
+
+    logout(token) {
+        db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(this.hashToken(token));
+    }
+
+    /**
+     * Resolve a bearer token to an active user (null when missing/expired)
+     */
+    getSessionUser(token) {
+        if (!token) return null;
+
+        const session = db.prepare(`
+            SELECT s.id as session_id, s.expires_at, u.*
+            FROM sessions s
+            JOIN users u ON u.id = s.user_id
+            WHERE s.token_hash = ?
+        `).get(this.hashToken(token));
+
+        if (!session || !session.active || new Date(session.expires_at) <= new Date()) {
+            return null;
+        }
+
+        db.prepare('UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?').run(session.session_id);
+        return this.toPublicUser(session);
+    }
+
+    purgeExpiredSessions() {
+        return db.prepare("DELETE FROM sessions WHERE expires_at <= ?").run(new Date().toISOString()).changes;
+    }
+
+    /**
+     * Create the first admin account when there are no users yet.
+     * Uses ADMIN_USERNAME / ADMIN_PASSWORD, or logs a generated password once.
+     */
+    ensureAdminUser() {
+        const count = db.prepare('SELECT COUNT(*) as count FROM users').get().count;
+        if (count > 0) return;
+
+        const username = process.env.ADMIN_USERNAME || 'admin';
+        let password = process.env.ADMIN_PASSWORD;
+        const generated = !password;
+        if (generated) {
+            password = crypto.randomBytes(9).toString('base64url');
+        }
+
+        this.createUser({ username, password, role: 'admin', display_name: 'Administrator' });
+        console.log(`👤 Admin account "${username}" aangemaakt`);
+        if (generated) {
+            console.log(`🔑 Tijdelijk wachtwoord: ${password} (stel ADMIN_PASSWORD in of wijzig dit na het inloggen)`);
+        }
+    }
+}
+
+module.exports = new AuthService();
@@ -4,10 +4,12 @@
  * Reference: https://api.search.brave.com/app/documentation/web-search/get-started
  */
 
+const usageMeter = require('./usageMeter');
+
 class BraveSearchService {
     constructor() {
         this.apiKey = null;
-        this.baseUrl = 'https://api.search.brave.com/res/v1/web/search';
+        this.baseUrl = process.env.BRAVE_SEARCH_BASE_URL || 'https://api.search.brave.com/res/v1/web/search';
         this.lastRequestTime = 0;
         this.minInterval = 100; // 100ms = 10 requests per second (Safe buffer for 20req/s key)
         this.requestQueue = Promise.resolve();
@@ -24,9 +26,13 @@ class BraveSearchService {
         return !!this.getApiKey();
     }
 
-    async search(query, count = 10, country = null) {
+    /**
+     * Raw search request - throws on errors (error.status holds the HTTP status)
+     * Used by the search provider chain so failures can be tracked per provider
+     */
+    async request(query, count = 10, country = null) {
         // Use a queue to strictly respect rate limits globally
-        return this.requestQueue = this.requestQueue.then(async () => {
+        const run = this.requestQueue.then(async () => {
             const now = Date.now();
             const timeSinceLast = now - this.lastRequestTime;
             if (timeSinceLast < this.minInterval) {
@@ -35,56 +41,65 @@ class BraveSearchService {
             this.lastRequestTime = Date.now();
 
             if (!this.isConfigured()) {
-                console.warn('⚠️ Brave Search API Key not configured');
-                return [];
+                throw new Error('Brave Search API Key not configured');
             }
 
             console.log(`🦁 Brave Search: "${query}"`);
 
-            try {
-                const params = new URLSearchParams({
-                    q: query,
-                    count: count.toString(),
-                    safesearch: 'off'
-                });
-
-                // Add country context if provided (e.g. 'BE', 'NL')
-                if (country) {
-                    params.append('country', country.toUpperCase());
-                }
+            const params = new URLSearchParams({
+                q: query,
+                count: count.toString(),
+                safesearch: 'off'
+            });
 
-                const response = await fetch(`${this.baseUrl}?${params}`, {
-                    headers: {
-                        'Accept': 'application/json',
-                        'Accept-Encoding': 'gzip',
-                        'X-Subscription-Token': this.getApiKey()
-                    },
-                    signal: AbortSignal.timeout(10000)
-                });
-
-                if (!response.ok) {
-                    if (response.status === 429) {
-                        console.error('🦁 Brave Search: Rate limit exceeded (1 req/sec)');
-                    } else if (response.status === 403) {
-                        console.error('🦁 Brave Search: Invalid API key or quota exhausted');
-                    }
-                    throw new Error(`Brave Search error: ${response.status}`);
-                }
+            // Add country context if provided (e.g. 'BE', 'NL')
+            if (country) {
+                params.append('country', country.toUpperCase());
+            }
 
-                const data = await response.json();
+            const response = await fetch(`${this.baseUrl}?${params}`, {
+                headers: {
+                    'Accept': 'application/json',
+                    'Accept-Encoding': 'gzip',
+                    'X-Subscription-Token': this.getApiKey()
+                },
+                signal: AbortSignal.timeout(10000)
+            });
+
+            if (!response.ok) {
+                if (response.status === 429) {
+                    console.error('🦁 Brave Search: Rate limit exceeded (1 req/sec)');
+                } else if (response.status === 403) {
+                    console.error('🦁 Brave Search: Invalid API key or quota exhausted');
+                }
+                const error = new Error(`Brave Search error: ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            usageMeter.record('brave', { operation: 'search' });
 
-                return (data.web?.results || []).map(r => ({
-                    link: r.url,
-                    title: r.title,
-                    snippet: r.description,
-                    source: 'brave'
-                }));
+            const data = await response.json();
 
-            } catch (error) {
-                console.error('🦁 Brave Search error:', error.message);
-                return [];
-            }
+            return (data.web?.results || []).map(r => ({
+                link: r.url,
+                title: r.title,
+                snippet: r.description,
+                source: 'brave'
+            }));
         });
+
+        // Keep the queue alive when a request fails
+        this.requestQueue = run.catch(() => { });
+        return run;
+    }
+
+    async search(query, count = 10, country = null) {
+        try {
+            return await this.request(query, count, country);
+        } catch (error) {
+            console.error('🦁 Brave Search error:', error.message);
+            return [];
+        }
     }
 
     /**
@@ -0,0 +1,264 @@
+const db = require('../db/database');
+const propertyService = require('./propertyService');
+const researchController = require('./researchController');
+const pdfGenerator = require('./pdfGenerator');
+const emailService = require('./emailService');
+const reservationNotes = require('./reservationNotes');
+
+/**
+ * Briefing Scheduler
+ * Every morning (per property) researches unresearched guests arriving within the lead time,
+ * builds the daily arrivals PDF and emails it. Each run is stored in briefing_runs with its own log.
+ *
+ * Configuration lives in properties.settings.briefing:
+ *   { enabled, time: 'HH:MM' (server local time), leadDays, recipients: [] }
+ */
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+const DEFAULT_CONFIG = {
+    enabled: false,
+    time: process.env.BRIEFING_TIME || '07:00',
+    leadDays: parseInt(process.env.BRIEFING_LEAD_DAYS) || 1,
+    recipients: []
+};
+const MAX_LEAD_DAYS = 14;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// YYYY-MM-DD in server local time (the schedule is local as well)
+function localDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function addDays(dateString, days) {
+    const date = new Date(`${dateString}T12:00:00`);
+    date.setDate(date.getDate() + days);
+    return localDate(date);
+}
+
+class BriefingScheduler {
+    constructor() {
+        this.timer = null;
+        this.running = new Set(); // property ids with a run in progress
+    }
+
+    start() {
+        if (this.timer || process.env.BRIEFING_SCHEDULER_ENABLED === 'false') return;
+        this.timer = setInterval(() => this.tick().catch(err =>
+            console.error('⚠️ Briefing scheduler error:', err.message)
+        ), CHECK_INTERVAL_MS);
+        this.timer.unref();
+        console.log('🗓️ Briefing scheduler gestart');
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    getConfig(propertyId) {
+        const property = propertyService.get(propertyId);
+        return { ...DEFAULT_CONFIG, ...(property?.settings?.briefing || {}) };
+    }
+
+    validateConfig({ time, leadDays, recipients }) {
+        if (time !== undefined && !TIME_PATTERN.test(time)) {
+            throw new Error('Ongeldig tijdstip (gebruik UU:MM)');
+        }
+        if (leadDays !== undefined && (!Number.isInteger(leadDays) || leadDays < 0 || leadDays > MAX_LEAD_DAYS)) {
+            throw new Error(`Vooruitkijken moet tussen 0 en ${MAX_LEAD_DAYS} dagen liggen`);
+        }
+        if (recipients !== undefined && (!Array.isArray(recipients) || recipients.some(r => !/^[^@\s]+@[^@\s]+$/.test(r)))) {
+            throw new Error('Ongeldige ontvangers');
+        }
+    }
+
+    /**
+     * Merge and store the briefing configuration of a property
+     */
+    updateConfig(propertyId, changes) {
+        const config = {
+            ...this.getConfig(propertyId),
+            ...changes,
+            ...(changes.leadDays !== undefined ? { leadDays: parseInt(changes.leadDays) } : {})
+        };
+        this.validateConfig(config);
+
+        propertyService.update(propertyId, {
+            settings: {
+                briefing: {
+                    enabled: !!config.enabled,
+                    time: config.time,
+                    leadDays: config.leadDays,
+                    recipients: config.recipients
+                }
+            }
+        });
+        return this.getConfig(propertyId);
+    }
+
+    getRecipients(propertyId, config) {
+        return config.recipients?.length > 0 ? config.recipients : [emailService.getRecipient(propertyId)];
+    }
+
+    /**
+     * Start the scheduled run of every property whose time has passed today and has not run yet
+     */
+    async tick(now = new Date()) {
+        const today = localDate(now);
+        const currentTime = now.toTimeString().slice(0, 5);
+
+        for (const property of propertyService.list()) {
+            const config = this.getConfig(property.id);
+            if (!config.enabled || currentTime < config.time || this.running.has(property.id)) continue;
+
+            const alreadyRan = db.prepare(`
+                SELECT 1 FROM briefing_runs WHERE property_id = ? AND run_date = ? AND trigger = 'schedule'
+            `).get(property.id, today);
+            if (alreadyRan) continue;
+
+            await this.run(property.id, { trigger: 'schedule', now });
+        }
+    }
+
+    /**
+     * Research upcoming arrivals, build the PDF and email it.
+     * @returns {Object} the finished briefing_runs row
+     */
+    async run(propertyId, { trigger = 'manual', startedBy = 'scheduler', now = new Date() } = {}) {
+        const property = propertyService.get(propertyId);
+        if (!property) throw new Error('Hotel niet gevonden');
+        if (this.running.has(propertyId)) throw new Error('Er loopt al een briefing voor dit hotel');
+
+        const config = this.getConfig(propertyId);
+        const arrivalFrom = localDate(now);
+        const arrivalTo = addDays(arrivalFrom, config.leadDays);
+        const recipients = this.getRecipients(propertyId, config);
+        const log = [];
+        const write = (message) => {
+            log.push(`${new Date().toISOString()} ${message}`);
+            db.prepare('UPDATE briefing_runs SET log = ? WHERE id = ?').run(JSON.stringify(log), runId);
+        };
+
+        const runId = db.prepare(`
+            INSERT INTO briefing_runs (property_id, run_date, trigger, arrival_from, arrival_to, recipients, started_by, log)
+            VALUES (?, ?, ?, ?, ?, ?, ?, '[]')
+        `).run(propertyId, arrivalFrom, trigger, arrivalFrom, arrivalTo, JSON.stringify(recipients), startedBy).lastInsertRowid;
+
+        this.running.add(propertyId);
+        console.log(`🗓️ Briefing ${property.name}: aankomsten ${arrivalFrom} t/m ${arrivalTo}`);
+
+        let researched = 0;
+        let researchErrors = 0;
+
+        try {
+            write(`Briefing gestart (${trigger}) voor ${property.name}, aankomsten ${arrivalFrom} t/m ${arrivalTo}`);
+
+            // 1. Research arrivals that have no research yet
+            const pending = db.prepare(`
+                SELECT DISTINCT g.id FROM guests g
+                JOIN reservations res ON res.guest_id = g.id
+                WHERE res.property_id = ? AND res.check_in_date BETWEEN ? AND ?
+                AND NOT EXISTS (SELECT 1 FROM research_results r WHERE r.guest_id = g.id)
+            `).all(propertyId, arrivalFrom, arrivalTo);
+            write(`${pending.length} gasten zonder onderzoek`);
+
+            for (const guest of pending) {
+                try {
+                    await researchController.performResearch(guest.id, { author: 'scheduler', propertyId });
+                    researched++;
+                    // The log is kept; guest ids instead of names keep personal data out of it
+                    write(`✅ Onderzocht: gast #${guest.id}`);
+                } catch (error) {
+                    researchErrors++;
+                    write(`❌ Onderzoek mislukt voor gast #${guest.id}: ${error.message}`);
+                }
+            }
+
+            // 2. Daily arrivals PDF
+            const guests = db.prepare(`
+                SELECT DISTINCT g.*, r.vip_score, r.job_title, r.company_name as research_company,
+                       r.linkedin_url, r.influence_level, r.notable_info, r.full_report,
+                       res.room_number, res.check_in_date, res.check_out_date
+                FROM guests g
+                INNER JOIN reservations res ON res.guest_id = g.id
+                LEFT JOIN research_results r ON r.guest_id = g.id
+                WHERE res.property_id = ? AND res.check_in_date BETWEEN ? AND ?
+                ORDER BY res.check_in_date, r.vip_score DESC NULLS LAST, g.full_name
+            `).all(propertyId, arrivalFrom, arrivalTo);
+            guests.forEach(guest => { guest.stay_notes = reservationNotes.getForGuest(guest.id, propertyId); });
+
+            db.prepare('UPDATE briefing_runs SET guests_total = ?, researched = ?, research_errors = ? WHERE id = ?')
+                .run(guests.length, researched, researchErrors, runId);
+
+            let emailSent = false;
+            if (guests.length === 0) {
+                write('Geen aankomsten in deze periode, geen rapport verstuurd');
+            } else {
+                const pdfBuffer = await pdfGenerator.generateDailyReport(guests, arrivalFrom);
+                write(`PDF gegenereerd (${guests.length} gasten)`);
+
+                // 3. Deliver
+                emailSent = await emailService.sendDailyBriefing(recipients, {
+                    propertyName: property.name,
+                    arrivalFrom,
+                    arrivalTo,
+                    guests,
+                    pdfBuffer,
+                    filename: `briefing-${property.code}-${arrivalFrom}.pdf`
+                });
+                write(emailSent ? `📧 Verstuurd naar ${recipients.join(', ')}` : 'E-mail uitgeschakeld (RESEND_API_KEY ontbreekt)');
+            }
+
+            db.prepare(`
+                UPDATE briefing_runs SET status = 'completed', email_sent = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).run(emailSent ? 1 : 0, runId);
+        } catch (error) {
+            console.error(`❌ Briefing ${property.name} mislukt:`, error.message);
+            write(`❌ Briefing mislukt: ${error.message}`);
+            db.prepare(`
+                UPDATE briefing_runs SET status = 'failed', error = ?, researched = ?, research_errors = ?, finished_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(error.message, researched, researchErrors, runId);
+        } finally {
+            this.running.delete(propertyId);
+        }
+
+        return this.getRun(runId);
+    }
+
+    getRun(runId) {
+        const run = db.prepare('SELECT * FROM briefing_runs WHERE id = ?').get(runId);
+        if (!run) return null;
+        return {
+            ...run,
+            recipients: JSON.parse(run.recipients || '[]'),
+            log: JSON.parse(run.log || '[]')
+        };
+    }
+
+    listRuns({ propertyId, limit = 30 } = {}) {
+        return db.prepare(`
+            SELECT br.id, br.property_id, p.name as property_name, br.run_date, br.trigger, br.status,
+                   br.arrival_from, br.arrival_to, br.guests_total, br.researched, br.research_errors,
+                   br.email_sent, br.error, br.started_by, br.started_at, br.finished_at
+            FROM briefing_runs br
+            LEFT JOIN properties p ON p.id = br.property_id
+            ${propertyId ? 'WHERE br.property_id = ?' : ''}
+            ORDER BY br.id DESC
+            LIMIT ?
+        `).all(...(propertyId ? [propertyId] : []), Math.min(parseInt(limit) || 30, 200));
+    }
+
+    /**
+     * Runs interrupted by a restart never finish; mark them failed
+     */
+    failInterruptedRuns() {
+        return db.prepare(`
+            UPDATE briefing_runs SET status = 'failed', error = 'Onderbroken door herstart', finished_at = CURRENT_TIMESTAMP
+            WHERE status = 'running'
+        `).run().changes;
+    }
+}
+
+module.exports = new BriefingScheduler();
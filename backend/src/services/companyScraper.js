@@ -1,5 +1,7 @@
 const OpenAI = require('openai');
+const usageMeter = require('./usageMeter');
 const googleSearch = require('./googleSearch');
+const searchProviders = require('./searchProviders');
 
 /**
  * Company Scraper service for guest research
@@ -13,9 +15,9 @@ class CompanyScraperService {
 
     getOpenAI() {
         if (!this.openai && process.env.OPENAI_API_KEY) {
-            this.openai = new OpenAI({
+            this.openai = usageMeter.meterOpenAI(new OpenAI({
                 apiKey: process.env.OPENAI_API_KEY
-            });
+            }), 'company_scraper');
         }
         return this.openai;
     }
@@ -51,8 +53,8 @@ class CompanyScraperService {
             // Search for official website - avoid LinkedIn/social media
             const query = `"${companyName}" ${guestCountry || ''} ${guestCity || ''} official website -linkedin -facebook -twitter`.trim();
 
-            // Google Search only (avoid Brave fallback to keep flow consistent)
-            const results = await googleSearch.search(query, 10);
+            // Through the search provider chain (falls back to the next provider when one fails)
+            const results = await searchProviders.search(query, 10);
 
             if (results.length === 0) {
                 console.log(`❌ No company info found for: ${companyName}`);
@@ -0,0 +1,32 @@
+const XLSX = require('xlsx');
+
+/**
+ * CSV File
+ * CSV downloads that open safely in Excel: cells that would run as a formula are
+ * escaped and the file starts with a BOM, so Excel reads it as UTF-8.
+ */
+
+// A leading =, +, -, @, tab or carriage return would run as a formula when the file is opened in a spreadsheet
+const FORMULA_START = /^[=+\-@\t\r]/;
+// Phone numbers (+31 6 1234 5678) and other plain numbers hold nothing to run
+const PLAIN_NUMBER = /^[+-]?\d[\d ().\/-]*$/;
+
+function escapeCell(value) {
+    return typeof value === 'string' && FORMULA_START.test(value) && !PLAIN_NUMBER.test(value) ? `'${value}` : value;
+}
+
+/**
+ * @param {Object[]} rows - objects keyed by column label
+ * @param {string[]} header - column labels in file order
+ * @returns {Buffer}
+ */
+function build(rows, header) {
+    const safeRows = rows.map(row => Object.fromEntries(Object.entries(row).map(([label, value]) => [label, escapeCell(value)])));
+    const sheet = XLSX.utils.json_to_sheet(safeRows, { header });
+    return Buffer.from(`\uFEFF${XLSX.utils.sheet_to_csv(sheet)}`, 'utf8');
+}
+
+module.exports = {
+    escapeCell,
+    build
+};
@@ -0,0 +1,263 @@
+const db = require('../db/database');
+
+/**
+ * Deal Suggestion Service
+ * Generates typed upsell/amenity suggestions (spa, upgrade, fnb, transfer)
+ * from the research report, the guest's reservations and stay history.
+ * Results are stored in deal_suggestions; staff can accept or dismiss them.
+ */
+
+const SUGGESTION_TYPES = ['spa', 'upgrade', 'fnb', 'transfer'];
+const SUGGESTION_STATUSES = ['open', 'accepted', 'dismissed'];
+
+// Keywords (NL + EN) used to read interests from the research report and booked products
+const KEYWORDS = {
+    spa: ['spa', 'wellness', 'massage', 'sauna', 'yoga', 'fitness', 'sport', 'health', 'gezondheid', 'ontspanning', 'relax', 'stress', 'marathon', 'golf'],
+    fnb: ['wine', 'wijn', 'food', 'culinair', 'culinary', 'gastronom', 'chef', 'restaurant', 'dining', 'diner', 'champagne', 'whisky', 'cocktail', 'foodie'],
+    transfer: ['airport', 'luchthaven', 'flight', 'vlucht', 'private jet', 'privéjet', 'chauffeur', 'travel', 'reizen', 'international', 'internationaal'],
+    breakfast: ['breakfast', 'ontbijt'],
+    topRoom: ['suite', 'penthouse', 'presidential', 'junior suite', 'deluxe', 'executive']
+};
+
+// Countries treated as domestic (no airport transfer suggested by default)
+const DOMESTIC_COUNTRIES = (process.env.HOTEL_COUNTRIES || 'nl,nederland,netherlands,the netherlands,holland')
+    .split(',')
+    .map(c => c.trim().toLowerCase());
+
+class DealSuggestionService {
+    constructor() {
+        this.types = SUGGESTION_TYPES;
+        this.statuses = SUGGESTION_STATUSES;
+    }
+
+    containsAny(text, keywords) {
+        if (!text) return false;
+        const lower = text.toLowerCase();
+        return keywords.some(k => lower.includes(k));
+    }
+
+    parseReport(research) {
+        if (!research?.full_report) return null;
+        try {
+            return typeof research.full_report === 'string'
+                ? JSON.parse(research.full_report)
+                : research.full_report;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Flatten the report into one searchable string
+     */
+    getReportText(research, report) {
+        const parts = [
+            research?.notable_info,
+            research?.industry,
+            research?.job_title,
+            research?.instagram_bio,
+            research?.twitter_bio
+        ];
+
+        if (report) {
+            parts.push(JSON.stringify(report.service_recommendations || {}));
+            parts.push(JSON.stringify(report.vip_indicators || {}));
+            parts.push(report.executive_summary);
+            parts.push(report.additional_notes);
+        }
+
+        return parts.filter(Boolean).join(' ');
+    }
+
+    getNights(reservation) {
+        if (!reservation?.check_in_date || !reservation?.check_out_date) return null;
+        const nights = Math.round((new Date(reservation.check_out_date) - new Date(reservation.check_in_date)) / 86400000);
+        return nights > 0 ? nights : null;
+    }
+
+    /**
+     * Build suggestions for a guest (pure - does not touch the database)
+     * @returns {Array<{type, text, reason, priority}>}
+     */
+    buildSuggestions({ guest, research, reservations = [] }) {
+        const suggestions = [];
+        const report = this.parseReport(research);
+        const reportText = this.getReportText(research, report);
+        const vipScore = research?.vip_score || 0;
+        const totalStays = Math.max(guest.total_stays || 0, reservations.length);
+
+        // Most relevant reservation: next upcoming stay, otherwise the latest one
+        const today = new Date().toISOString().split('T')[0];
+        const upcoming = reservations
+            .filter(r => r.check_in_date && r.check_in_date >= today)
+            .sort((a, b) => a.check_in_date.localeCompare(b.check_in_date));
+        const reservation = upcoming[0] || reservations[0] || null;
+
+        const products = (reservation?.products || '').toLowerCase();
+        const roomCategory = reservation?.room_category || null;
+        const nights = this.getNights(reservation);
+        const amounts = reservations.map(r => parseFloat(r.total_amount)).filter(a => !isNaN(a) && a > 0);
+        const avgSpend = amounts.length > 0 ? amounts.reduce((sum, a) => sum + a, 0) / amounts.length : 0;
+        const isOwner = research?.is_owner === 1;
+        const isInternational = guest.country && !DOMESTIC_COUNTRIES.includes(guest.country.trim().toLowerCase());
+
+        // === UPGRADE ===
+        const hasTopRoom = this.containsAny(roomCategory, KEYWORDS.topRoom);
+        if (!hasTopRoom && (vipScore >= 7 || totalStays >= 3 || isOwner)) {
+            const reasons = [];
+            if (vipScore >= 7) reasons.push(`VIP score ${vipScore}/10`);
+            if (totalStays >= 3) reasons.push(`${totalStays} verblijven`);
+            if (isOwner) reasons.push('eigenaar/besluitvormer');
+
+            suggestions.push({
+                type: 'upgrade',
+                key: 'room_upgrade',
+                text: roomCategory
+                    ? `Bied een upgrade aan van ${roomCategory} naar een hogere kamercategorie.`
+                    : 'Bied een kamerupgrade aan bij aankomst.',
+                reason: reasons.join(', '),
+                priority: vipScore >= 8 ? 3 : 2
+            });
+        } else if (hasTopRoom && vipScore >= 7) {
+            suggestions.push({
+                type: 'upgrade',
+                key: 'late_checkout',
+                text: 'Gast verblijft al in een topcategorie: bied een gratis late check-out aan.',
+                reason: `${roomCategory}, VIP score ${vipScore}/10`,
+                priority: 1
+            });
+        }
+
+        // === SPA ===
+        const spaBooked = this.containsAny(products, KEYWORDS.spa);
+        const spaInterest = this.containsAny(reportText, KEYWORDS.spa);
+        if (!spaBooked && (spaInterest || (nights && nights >= 2) || vipScore >= 8)) {
+            suggestions.push({
+                type: 'spa',
+                key: 'spa',
+                text: nights && nights >= 2
+                    ? `Stel een spa-arrangement voor tijdens het verblijf van ${nights} nachten.`
+                    : 'Stel een spa- of wellnessbehandeling voor.',
+                reason: spaInterest ? 'Interesse in wellness/sport in het onderzoeksrapport' : (nights >= 2 ? 'Meerdaags verblijf' : `VIP score ${vipScore}/10`),
+                priority: spaInterest ? 3 : 1
+            });
+        }
+
+        // === F&B ===
+        const fnbInterest = this.containsAny(reportText, KEYWORDS.fnb);
+        if (reservation && !this.containsAny(products, KEYWORDS.breakfast)) {
+            suggestions.push({
+                type: 'fnb',
+                key: 'breakfast',
+                text: 'Ontbijt is niet geboekt: bied ontbijt aan bij check-in.',
+                reason: 'Geen ontbijt in de geboekte producten',
+                priority: 1
+            });
+        }
+        if (fnbInterest) {
+            suggestions.push({
+                type: 'fnb',
+                key: 'restaurant',
+                text: 'Reserveer een tafel in het restaurant of bied een wijnpairing aan.',
+                reason: 'Culinaire interesse in het onderzoeksrapport',
+                priority: 2
+            });
+        }
+        if (vipScore >= 8 || avgSpend >= 1000) {
+            suggestions.push({
+                type: 'fnb',
+                key: 'welcome_gift',
+                text: 'Plaats een welkomstattentie (bijv. champagne of lokale lekkernijen) op de kamer.',
+                reason: vipScore >= 8 ? `VIP score ${vipScore}/10` : `Gemiddelde besteding €${Math.round(avgSpend)}`,
+                priority: 2
+            });
+        }
+
+        // === TRANSFER ===
+        const travelInterest = this.containsAny(reportText, KEYWORDS.transfer);
+        if (!this.containsAny(products, ['transfer', 'taxi', 'shuttle']) && (isInternational || travelInterest || vipScore >= 8)) {
+            suggestions.push({
+                type: 'transfer',
+                key: 'transfer',
+                text: isInternational
+                    ? `Bied een luchthaventransfer aan (gast komt uit ${guest.country}).`
+                    : 'Bied een privétransfer of chauffeurservice aan.',
+                reason: isInternational ? 'Internationale gast' : (travelInterest ? 'Reisprofiel in het onderzoeksrapport' : `VIP score ${vipScore}/10`),
+                priority: vipScore >= 8 ? 2 : 1
+            });
+        }
+
+        return suggestions.sort((a, b) => b.priority - a.priority);
+    }
+
+    /**
+     * Regenerate suggestions for a guest.
+     * Open suggestions are replaced; accepted/dismissed ones are kept and not suggested again.
+     * Decisions are matched on the suggestion key, so a dismissed suggestion stays away when
+     * its text changes (other room category, number of nights).
+     * @returns {Array} all suggestions for the guest
+     */
+    generateForGuest(guestId) {
+        const guest = db.prepare('SELECT * FROM guests WHERE id = ?').get(guestId);
+        if (!guest) {
+            throw new Error('Gast niet gevonden');
+        }
+
+        const research = db.prepare('SELECT * FROM research_results WHERE guest_id = ?').get(guestId);
+        const reservations = db.prepare(`
+            SELECT * FROM reservations WHERE guest_id = ? ORDER BY check_in_date DESC
+        `).all(guestId);
+
+        const suggestions = this.buildSuggestions({ guest, research, reservations });
+
+        const decided = db.prepare(`
+            SELECT suggestion_key FROM deal_suggestions
+            WHERE guest_id = ? AND status IN ('accepted', 'dismissed')
+        `).all(guestId);
+
+        const insert = db.prepare(`
+            INSERT INTO deal_suggestions (guest_id, suggestion_type, suggestion_key, suggestion_text, reason, priority, status)
+            VALUES (?, ?, ?, ?, ?, ?, 'open')
+        `);
+
+        db.transaction(() => {
+            db.prepare("DELETE FROM deal_suggestions WHERE guest_id = ? AND status = 'open'").run(guestId);
+
+            for (const s of suggestions) {
+                const alreadyDecided = decided.some(d => d.suggestion_key === s.key);
+                if (alreadyDecided) continue;
+
+                insert.run(guestId, s.type, s.key, s.text, s.reason, s.priority);
+            }
+        })();
+
+        console.log(`💡 Generated deal suggestions for guest ${guestId}`);
+        return this.getForGuest(guestId);
+    }
+
+    getForGuest(guestId) {
+        return db.prepare(`
+            SELECT * FROM deal_suggestions WHERE guest_id = ? ORDER BY generated_at DESC, priority DESC
+        `).all(guestId);
+    }
+
+    /**
+     * Set the status of a suggestion (accepted, dismissed or back to open)
+     */
+    updateStatus(guestId, suggestionId, status) {
+        if (!SUGGESTION_STATUSES.includes(status)) {
+            throw new Error(`Ongeldige status: ${status}`);
+        }
+
+        const result = db.prepare(`
+            UPDATE deal_suggestions
+            SET status = ?, decided_at = CASE WHEN ? = 'open' THEN NULL ELSE CURRENT_TIMESTAMP END
+            WHERE id = ? AND guest_id = ?
+        `).run(status, status, suggestionId, guestId);
+
+        if (result.changes === 0) return null;
+        return db.prepare('SELECT * FROM deal_suggestions WHERE id = ?').get(suggestionId);
+    }
+}
+
+module.exports = new DealSuggestionService();
@@ -24,6 +24,7 @@ class DuckDuckGoService {
         const proxyUrl = process.env.PROXY_URL;
         this.proxyAgent = proxyUrl ? new HttpsProxyAgent(proxyUrl) : null;
         this.currentUserAgent = this.userAgents[0];
+        this.baseUrl = process.env.DUCKDUCKGO_BASE_URL || 'https://html.duckduckgo.com/html/';
     }
 
     getRandomUserAgent() {
@@ -77,6 +78,7 @@ class DuckDuckGoService {
 
     /**
      * Perform a single search query with CAPTCHA handling
+     * @throws {Error} with status (429 for an unsolved CAPTCHA) when the search failed
      */
     async search(query, maxResults = 5, retryCount = 0) {
         try {
@@ -87,7 +89,7 @@ class DuckDuckGoService {
             }
             this.lastRequestTime = Date.now();
 
-            const url = `https://html.duckduckgo.com/html/?q=${encodeURIComponent(query)}`;
+            const url = `${this.baseUrl}?q=${encodeURIComponent(query)}`;
 
             const headers = {
                 'User-Agent': this.getRandomUserAgent(),
@@ -112,6 +114,12 @@ class DuckDuckGoService {
             const response = await this.makeRequest(url, { headers });
             this.updateCookies(response.headers);
 
+            if (!response.ok) {
+                const error = new Error(`DuckDuckGo error: ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+
             const html = await response.text();
 
             // Check for CAPTCHA
@@ -134,7 +142,9 @@ class DuckDuckGoService {
 
                 // Increase delay if failed
                 this.minDelay = Math.min(this.minDelay + 5000, 30000);
-                return [];
+                const error = new Error('DuckDuckGo CAPTCHA not solved');
+                error.status = 429;
+                throw error;
             }
 
             // Parse results
@@ -155,8 +165,8 @@ class DuckDuckGoService {
 
             return results;
         } catch (error) {
-            console.error('DuckDuckGo search error:', error);
-            return [];
+            console.error('DuckDuckGo search error:', error.message);
+            throw error;
         }
     }
 
@@ -405,12 +415,16 @@ class DuckDuckGoService {
         const seenUrls = new Set();
 
         for (const query of queries) {
-            const results = await this.search(query, 3);
-            for (const result of results) {
-                if (!seenUrls.has(result.link)) {
-                    seenUrls.add(result.link);
-                    allResults.push(result);
+            try {
+                const results = await this.search(query, 3);
+                for (const result of results) {
+                    if (!seenUrls.has(result.link)) {
+                        seenUrls.add(result.link);
+                        allResults.push(result);
+                    }
                 }
+            } catch (error) {
+                console.error(`DuckDuckGo query failed: ${query}`, error.message);
             }
         }
 
@@ -4,6 +4,7 @@
  */
 
 const { Resend } = require('resend');
+const propertyService = require('./propertyService');
 
 class EmailService {
     constructor() {
@@ -27,10 +28,17 @@ class EmailService {
         return Boolean(this.resend);
     }
 
+    /**
+     * Recipient for a property's notifications (falls back to NOTIFICATION_EMAIL)
+     */
+    getRecipient(propertyId) {
+        return propertyService.getNotificationEmail(propertyId) || this.notificationEmail;
+    }
+
     /**
      * Send notification for a single completed research
      */
-    async notifySingleResearch(guest, research) {
+    async notifySingleResearch(guest, research, propertyId = null) {
         if (!this.resend) return;
 
         try {
@@ -42,7 +50,7 @@ class EmailService {
 
             await this.resend.emails.send({
                 from: this.fromEmail,
-                to: this.notificationEmail,
+                to: this.getRecipient(propertyId),
                 subject: `${vipEmoji} Research Voltooid: ${guest.full_name} (VIP ${vipScore}/10)`,
                 html: `
                     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -82,7 +90,7 @@ class EmailService {
         if (!this.resend) return;
 
         try {
-            const { completed, total, errors, guests } = results;
+            const { completed, total, errors, guests, propertyId } = results;
 
             // Build guest summary list
             let guestList = '';
@@ -114,7 +122,7 @@ class EmailService {
 
             await this.resend.emails.send({
                 from: this.fromEmail,
-                to: this.notificationEmail,
+                to: this.getRecipient(propertyId),
                 subject: `✅ Batch Research Voltooid: ${completed}/${total} gasten`,
                 html: `
                     <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto;">
@@ -160,6 +168,69 @@ class EmailService {
             console.error('📧 Batch email error:', error.message);
         }
     }
+
+    /**
+     * Send the pre-arrival briefing with the arrivals PDF attached.
+     * Returns false when email is disabled; delivery errors are thrown so the run log records them.
+     */
+    async sendDailyBriefing(recipients, { propertyName, arrivalFrom, arrivalTo, guests, pdfBuffer, filename }) {
+        if (!this.resend) return false;
+
+        const vips = guests.filter(g => (g.vip_score || 0) >= 7);
+        const period = arrivalFrom === arrivalTo ? arrivalFrom : `${arrivalFrom} t/m ${arrivalTo}`;
+
+        const vipList = vips.slice(0, 10).map(g => `<tr>
+                        <td style="padding: 8px; border-bottom: 1px solid #eee;">${g.full_name}</td>
+                        <td style="padding: 8px; border-bottom: 1px solid #eee;">${g.check_in_date || '-'}</td>
+                        <td style="padding: 8px; border-bottom: 1px solid #eee;">🌟 ${g.vip_score}/10</td>
+                        <td style="padding: 8px; border-bottom: 1px solid #eee;">${g.job_title || '-'}</td>
+                    </tr>`).join('');
+
+        const { error } = await this.resend.emails.send({
+            from: this.fromEmail,
+            to: recipients,
+            subject: `🛎️ Aankomstbriefing ${propertyName}: ${guests.length} gasten (${period})`,
+            html: `
+                <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto;">
+                    <h2 style="color: #1a1a2e;">🛎️ Aankomstbriefing ${propertyName}</h2>
+
+                    <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                        <p style="margin: 5px 0;"><strong>Periode:</strong> ${period}</p>
+                        <p style="margin: 5px 0;"><strong>Aankomsten:</strong> ${guests.length}</p>
+                        <p style="margin: 5px 0;"><strong>VIP gasten:</strong> ${vips.length}</p>
+                    </div>
+
+                    ${vipList ? `
+                    <table style="width: 100%; border-collapse: collapse;">
+                        <thead>
+                            <tr style="background: #f1f5f9;">
+                                <th style="padding: 10px; text-align: left;">Naam</th>
+                                <th style="padding: 10px; text-align: left;">Aankomst</th>
+                                <th style="padding: 10px; text-align: left;">VIP</th>
+                                <th style="padding: 10px; text-align: left;">Functie</th>
+                            </tr>
+                        </thead>
+                        <tbody>${vipList}</tbody>
+                    </table>
+                    ` : ''}
+
+                    <p style="color: #333;">Het volledige rapport staat in de bijlage.</p>
+
+                    <p style="color: #666; font-size: 12px; margin-top: 30px;">
+                        Dit bericht is automatisch verzonden door Know Your VIP.
+                    </p>
+                </div>
+            `,
+            attachments: [{ filename, content: pdfBuffer }]
+        });
+
+        if (error) {
+            throw new Error(error.message || 'E-mail versturen mislukt');
+        }
+
+        console.log(`📧 Email sent: Briefing ${propertyName} (${period}) → ${recipients.join(', ')}`);
+        return true;
+    }
 }
 
 module.exports = new EmailService();
@@ -0,0 +1,525 @@
+const os = require('os');
+const crypto = require('crypto');
+const db = require('../db/database');
+const researchController = require('./researchController');
+const emailService = require('./emailService');
+const usageMeter = require('./usageMeter');
+const webhookService = require('./webhookService');
+const eventBus = require('./eventBus');
+
+/**
+ * Enrichment Queue
+ * Durable research queues: every guest in a queue is a row in enrichment_jobs, so progress
+ * survives restarts and several server instances can share the work.
+ *
+ * A worker claims a pending job by taking a lease (locked_by / locked_until) and renews it while
+ * the research runs. A lease that expires (crashed instance) puts the job back in line.
+ * Failed jobs are retried with exponential backoff; after the last attempt they are dead-lettered
+ * and can be retried by hand.
+ *
+ * ENRICHMENT_MAX_ATTEMPTS (3), ENRICHMENT_RETRY_BASE_SECONDS (60), ENRICHMENT_LEASE_SECONDS (300),
+ * ENRICHMENT_WORKER_ENABLED=false disables processing on this instance.
+ */
+
+const TICK_INTERVAL_MS = 2000;
+const MAX_CONCURRENCY = 5;
+const FINISHED_STATUSES = ['completed', 'skipped', 'dead'];
+const RECENTLY_COMPLETED_MS = 5000;
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return isNaN(value) || value < 0 ? fallback : value;
+}
+
+// SQLite timestamps are UTC without a zone
+function parseUtc(timestamp) {
+    return timestamp ? new Date(`${timestamp.replace(' ', 'T')}Z`).getTime() : null;
+}
+
+class EnrichmentQueue {
+    constructor() {
+        this.instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+        this.maxAttempts = Math.max(1, envInt('ENRICHMENT_MAX_ATTEMPTS', 3));
+        this.retryBaseSeconds = envInt('ENRICHMENT_RETRY_BASE_SECONDS', 60);
+        this.leaseSeconds = Math.max(30, envInt('ENRICHMENT_LEASE_SECONDS', 300));
+        // Jobs this instance is working on: jobId -> { queueId, abort }
+        this.active = new Map();
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    start() {
+        if (this.timer || process.env.ENRICHMENT_WORKER_ENABLED === 'false') return;
+        this.releaseOwnStaleLocks();
+        this.timer = setInterval(() => this.tick().catch(err =>
+            console.error('⚠️ Enrichment worker error:', err.message)
+        ), TICK_INTERVAL_MS);
+        this.timer.unref();
+        console.log(`🧵 Enrichment worker gestart (${this.instanceId})`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Create a queue with one pending job per guest
+     * @returns {Object} queue status
+     */
+    create({ queueId, guestIds, concurrency = 1, propertyId = null, startedBy = null }) {
+        let id = queueId || `queue-${Date.now()}`;
+        // A batch id can be enriched more than once; every run gets its own queue
+        if (db.prepare('SELECT 1 FROM enrichment_queues WHERE id = ?').get(id)) {
+            id = `${id}-${Date.now()}`;
+        }
+
+        const actualConcurrency = Math.min(Math.max(1, parseInt(concurrency) || 1), MAX_CONCURRENCY);
+        const insertJob = db.prepare(`
+            INSERT INTO enrichment_jobs (queue_id, guest_id, position, max_attempts) VALUES (?, ?, ?, ?)
+        `);
+
+        db.transaction(() => {
+            db.prepare(`
+                INSERT INTO enrichment_queues (id, guest_ids, completed, next_index, status, errors, started_at, property_id, concurrency, started_by)
+                VALUES (?, ?, 0, 0, 'running', '[]', ?, ?, ?, ?)
+            `).run(id, JSON.stringify(guestIds), new Date().toISOString(), propertyId, actualConcurrency, startedBy);
+            guestIds.forEach((guestId, position) => insertJob.run(id, guestId, position, this.maxAttempts));
+        })();
+
+        console.log(`🚀 Enrichment queue ${id}: ${guestIds.length} guests, concurrency ${actualConcurrency}`);
+        setImmediate(() => this.tick().catch(err => console.error('⚠️ Enrichment worker error:', err.message)));
+        this.publishStatus(id);
+        return this.getStatus(id);
+    }
+
+    /**
+     * Live update of the queue for the pages that show its progress
+     */
+    publishStatus(queueId) {
+        const status = this.getStatus(queueId);
+        if (status) eventBus.publish('queue.updated', { active: true, ...status }, { propertyId: status.propertyId });
+    }
+
+    // ---- Worker ----
+
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+        try {
+            this.recoverExpiredLeases();
+            this.heartbeat();
+
+            const queues = db.prepare("SELECT * FROM enrichment_queues WHERE status = 'running' ORDER BY started_at").all();
+            for (const queue of queues) {
+                if (this.pauseIfOverBudget(queue)) continue;
+
+                // Concurrency counts the leases of every instance
+                const running = db.prepare(`
+                    SELECT COUNT(*) as count FROM enrichment_jobs WHERE queue_id = ? AND status = 'running'
+                `).get(queue.id).count;
+
+                for (let slot = running; slot < (queue.concurrency || 1); slot++) {
+                    const job = this.claim(queue.id);
+                    if (!job) break;
+                    this.runJob(job, queue);
+                    this.publishStatus(queue.id);
+                }
+                this.finishIfDone(queue.id);
+            }
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    /**
+     * Take the lease on the next due job; the status guard makes this safe across instances
+     */
+    claim(queueId) {
+        return db.prepare(`
+            UPDATE enrichment_jobs SET
+                status = 'running',
+                attempts = attempts + 1,
+                skip_requested = 0,
+                locked_by = ?,
+                locked_until = datetime('now', ?),
+                started_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = (
+                SELECT id FROM enrichment_jobs
+                WHERE queue_id = ? AND status = 'pending'
+                  AND (next_attempt_at IS NULL OR next_attempt_at <= datetime('now'))
+                ORDER BY position LIMIT 1
+            ) AND status = 'pending'
+            RETURNING *
+        `).get(this.instanceId, `+${this.leaseSeconds} seconds`, queueId) || null;
+    }
+
+    async runJob(job, queue) {
+        let abort;
+        const aborted = new Promise(resolve => { abort = resolve; });
+        this.active.set(job.id, { queueId: queue.id, abort });
+
+        try {
+            const guest = db.prepare('SELECT id, full_name FROM guests WHERE id = ?').get(job.guest_id);
+            if (!guest) {
+                this.release(job, { status: 'dead', error: 'Gast niet gevonden' });
+                return;
+            }
+
+            console.log(`🔍 [${queue.id}] Enriching ${guest.full_name} (attempt ${job.attempts}/${job.max_attempts})`);
+            // A skipped or stopped job stops waiting; results that still arrive are saved as usual
+            const outcome = await Promise.race([
+                usageMeter.run({ queueId: queue.id, propertyId: queue.property_id }, () =>
+                    researchController.performResearch(guest.id, {
+                        forceRefresh: !!job.force_refresh,
+                        author: queue.started_by || 'queue',
+                        propertyId: queue.property_id,
+                        source: 'queue',
+                        notify: false
+                    })),
+                aborted
+            ]);
+
+            if (outcome === 'lost') {
+                // Lease expired and another worker took the job over
+                console.log(`♻️ Job ${job.id} was taken over by another worker`);
+            } else if (outcome === 'stopped') {
+                // Not an attempt: the job simply waits for the queue to be resumed
+                this.release(job, { status: 'pending', attempts: job.attempts - 1 });
+            } else if (outcome === 'skipped') {
+                console.log(`⏭️ Skipped ${guest.full_name} by user.`);
+                this.release(job, { status: 'skipped', error: 'Overgeslagen' });
+            } else if (outcome.cached) {
+                console.log(`⏩ Skipping ${guest.full_name} (already researched)`);
+                this.release(job, { status: 'skipped' });
+            } else {
+                console.log(`✅ Completed ${guest.full_name} - VIP Score: ${outcome.research?.vip_score}`);
+                this.release(job, { status: 'completed' });
+            }
+        } catch (err) {
+            this.fail(job, err.message);
+        } finally {
+            this.active.delete(job.id);
+            this.finishIfDone(queue.id);
+            this.publishStatus(queue.id);
+        }
+    }
+
+    /**
+     * Failed attempt: retry with backoff, or dead-letter after the last attempt
+     */
+    fail(job, error) {
+        if (job.attempts >= job.max_attempts) {
+            console.error(`💀 Job ${job.id} (guest ${job.guest_id}) dead-lettered after ${job.attempts} attempts: ${error}`);
+            this.release(job, { status: 'dead', error });
+
+            // Mark as "No data found" so pending-research lists do not pick the guest up again
+            try {
+                db.prepare(`
+                    INSERT OR IGNORE INTO research_results (guest_id, notable_info, vip_score, influence_level)
+                    VALUES (?, ?, 0, 'Laag')
+                `).run(job.guest_id, `Geen gegevens gevonden (${error})`);
+            } catch (dbErr) {
+                console.error(`Failed to save failure marker for guest ${job.guest_id}:`, dbErr.message);
+            }
+            return;
+        }
+
+        const delaySeconds = this.retryBaseSeconds * 2 ** (job.attempts - 1);
+        console.error(`❌ Job ${job.id} (guest ${job.guest_id}) failed, retry in ${delaySeconds}s: ${error}`);
+        this.release(job, { status: 'pending', error, retryInSeconds: delaySeconds });
+    }
+
+    /**
+     * Write the outcome of a job and drop the lease (only while this instance still holds it)
+     */
+    release(job, { status, error = null, attempts = job.attempts, retryInSeconds = null }) {
+        const finished = FINISHED_STATUSES.includes(status);
+        db.prepare(`
+            UPDATE enrichment_jobs SET
+                status = ?,
+                attempts = ?,
+                last_error = COALESCE(?, last_error),
+                next_attempt_at = ${retryInSeconds !== null ? "datetime('now', ?)" : 'NULL'},
+                locked_by = NULL,
+                locked_until = NULL,
+                finished_at = ${finished ? 'CURRENT_TIMESTAMP' : 'NULL'},
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND locked_by = ?
+        `).run(status, attempts, error, ...(retryInSeconds !== null ? [`+${retryInSeconds} seconds`] : []),
+            job.id, this.instanceId);
+    }
+
+    /**
+     * Renew the leases of running jobs and pass on skip / stop requests
+     */
+    heartbeat() {
+        for (const [jobId, active] of this.active) {
+            const row = db.prepare(`
+                SELECT j.skip_requested, q.status as queue_status FROM enrichment_jobs j
+                JOIN enrichment_queues q ON q.id = j.queue_id
+                WHERE j.id = ? AND j.locked_by = ?
+            `).get(jobId, this.instanceId);
+
+            if (!row) {
+                active.abort('lost');
+            } else if (row.queue_status === 'stopped') {
+                active.abort('stopped');
+            } else if (row.skip_requested) {
+                active.abort('skipped');
+            } else {
+                db.prepare(`
+                    UPDATE enrichment_jobs SET locked_until = datetime('now', ?) WHERE id = ? AND locked_by = ?
+                `).run(`+${this.leaseSeconds} seconds`, jobId, this.instanceId);
+            }
+        }
+    }
+
+    /**
+     * Jobs whose lease ran out belong to an instance that stopped; they count as a failed attempt
+     */
+    recoverExpiredLeases() {
+        const recovered = db.prepare(`
+            UPDATE enrichment_jobs SET
+                status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'pending' END,
+                last_error = 'Verwerking onderbroken (lease verlopen)',
+                finished_at = CASE WHEN attempts >= max_attempts THEN CURRENT_TIMESTAMP END,
+                locked_by = NULL,
+                locked_until = NULL,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE status = 'running' AND locked_until <= datetime('now')
+        `).run().changes;
+        if (recovered > 0) {
+            console.log(`♻️ Recovered ${recovered} enrichment job(s) with an expired lease`);
+        }
+    }
+
+    /**
+     * On startup: leases held by an earlier process on this host can be released right away
+     */
+    releaseOwnStaleLocks() {
+        const released = db.prepare(`
+            UPDATE enrichment_jobs SET locked_until = datetime('now', '-1 second')
+            WHERE status = 'running' AND locked_by LIKE ? AND locked_by != ?
+        `).run(`${os.hostname()}-%`, this.instanceId).changes;
+        if (released > 0) {
+            console.log(`♻️ Releasing ${released} enrichment job(s) interrupted by a restart`);
+        }
+    }
+
+    pauseIfOverBudget(queue) {
+        const exceeded = usageMeter.getExceededBudgets();
+        if (exceeded.length === 0) return false;
+
+        const reason = usageMeter.describeExceeded(exceeded);
+        db.prepare(`
+            UPDATE enrichment_queues SET status = 'paused', pause_reason = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'running'
+        `).run(reason, queue.id);
+        console.log(`💸 Queue ${queue.id} paused: ${reason}`);
+        this.publishStatus(queue.id);
+        return true;
+    }
+
+    /**
+     * Complete the queue once every job is finished; only one instance wins the update and notifies
+     */
+    finishIfDone(queueId) {
+        const open = db.prepare(`
+            SELECT COUNT(*) as count FROM enrichment_jobs
+            WHERE queue_id = ? AND status NOT IN (${FINISHED_STATUSES.map(() => '?').join(', ')})
+        `).get(queueId, ...FINISHED_STATUSES).count;
+        if (open > 0) return;
+
+        const counts = this.getCounts(queueId);
+        const won = db.prepare(`
+            UPDATE enrichment_queues SET status = 'completed', completed = ?, next_index = ?, completed_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'running'
+        `).run(counts.finished, counts.total, queueId).changes;
+        if (!won) return;
+
+        const queue = db.prepare('SELECT * FROM enrichment_queues WHERE id = ?').get(queueId);
+        console.log(`🎉 Enrichment queue ${queueId} completed: ${counts.finished}/${counts.total}`);
+        this.publishStatus(queueId);
+
+        // Send email notification for batch completion
+        const completedGuests = db.prepare(`
+            SELECT g.*, r.* FROM enrichment_jobs j
+            JOIN guests g ON g.id = j.guest_id
+            JOIN research_results r ON r.guest_id = j.guest_id
+            WHERE j.queue_id = ? ORDER BY j.position
+        `).all(queueId);
+
+        const errors = this.getErrors(queueId);
+        emailService.notifyBatchComplete(queueId, {
+            completed: counts.finished,
+            total: counts.total,
+            errors,
+            guests: completedGuests,
+            propertyId: queue.property_id
+        }).catch(err => console.error('Batch email notification failed:', err.message));
+
+        webhookService.emit('queue.finished', {
+            queue_id: queueId,
+            total: counts.total,
+            completed: counts.completed,
+            skipped: counts.skipped,
+            failed: counts.dead,
+            errors,
+            guest_ids: JSON.parse(queue.guest_ids || '[]'),
+            started_by: queue.started_by,
+            started_at: queue.started_at,
+            completed_at: queue.completed_at
+        }, { propertyId: queue.property_id });
+    }
+
+    // ---- Controls ----
+
+    get(queueId) {
+        return db.prepare('SELECT * FROM enrichment_queues WHERE id = ?').get(queueId) || null;
+    }
+
+    setStatus(queueId, status) {
+        db.prepare(`
+            UPDATE enrichment_queues SET status = ?, pause_reason = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(status, queueId);
+        this.publishStatus(queueId);
+    }
+
+    pause(queueId) {
+        this.setStatus(queueId, 'paused');
+    }
+
+    stop(queueId) {
+        this.setStatus(queueId, 'stopped');
+    }
+
+    resume(queueId) {
+        this.setStatus(queueId, 'running');
+    }
+
+    // Skip the guest(s) being researched right now
+    skipCurrent(queueId) {
+        return db.prepare(`
+            UPDATE enrichment_jobs SET skip_requested = 1 WHERE queue_id = ? AND status = 'running'
+        `).run(queueId).changes;
+    }
+
+    /**
+     * Put dead-lettered jobs back in line (all, or one job) with fresh attempts; research is
+     * forced so the "no data found" marker of the failed run is replaced
+     * @returns {number} jobs requeued
+     */
+    retryDead(queueId, jobId = null) {
+        const requeued = db.prepare(`
+            UPDATE enrichment_jobs SET
+                status = 'pending', attempts = 0, force_refresh = 1, next_attempt_at = NULL,
+                finished_at = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE queue_id = ? AND status = 'dead'${jobId ? ' AND id = ?' : ''}
+        `).run(queueId, ...(jobId ? [jobId] : [])).changes;
+
+        if (requeued > 0) {
+            db.prepare(`
+                UPDATE enrichment_queues SET status = 'running', completed_at = NULL, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status = 'completed'
+            `).run(queueId);
+            this.publishStatus(queueId);
+        }
+        return requeued;
+    }
+
+    // ---- Status ----
+
+    getCounts(queueId) {
+        const rows = db.prepare(`
+            SELECT status, COUNT(*) as count FROM enrichment_jobs WHERE queue_id = ? GROUP BY status
+        `).all(queueId);
+        const counts = { total: 0, finished: 0, pending: 0, running: 0, completed: 0, skipped: 0, dead: 0 };
+        for (const row of rows) {
+            counts[row.status] = row.count;
+            counts.total += row.count;
+            if (FINISHED_STATUSES.includes(row.status)) counts.finished += row.count;
+        }
+        return counts;
+    }
+
+    getErrors(queueId) {
+        return db.prepare(`
+            SELECT j.id as jobId, j.guest_id as guestId, g.full_name as name, j.last_error as error, j.attempts
+            FROM enrichment_jobs j LEFT JOIN guests g ON g.id = j.guest_id
+            WHERE j.queue_id = ? AND j.status = 'dead' ORDER BY j.position
+        `).all(queueId);
+    }
+
+    listJobs(queueId, { status = null } = {}) {
+        return db.prepare(`
+            SELECT j.*, g.full_name FROM enrichment_jobs j LEFT JOIN guests g ON g.id = j.guest_id
+            WHERE j.queue_id = ?${status ? ' AND j.status = ?' : ''} ORDER BY j.position
+        `).all(queueId, ...(status ? [status] : []));
+    }
+
+    /**
+     * Queue progress in the shape the Dashboard / Guests / Import pages poll
+     */
+    getStatus(queueId) {
+        const queue = this.get(queueId);
+        if (!queue) return null;
+
+        const counts = this.getCounts(queueId);
+        const jobs = db.prepare(`
+            SELECT j.guest_id, j.status, j.attempts, j.next_attempt_at, g.full_name
+            FROM enrichment_jobs j LEFT JOIN guests g ON g.id = j.guest_id
+            WHERE j.queue_id = ? ORDER BY j.position
+        `).all(queueId);
+        const processing = jobs.filter(job => job.status === 'running');
+        const pending = jobs.filter(job => job.status === 'pending');
+        const firstOpen = jobs.findIndex(job => !FINISHED_STATUSES.includes(job.status));
+
+        return {
+            queueId,
+            total: counts.total,
+            completed: counts.finished,
+            counts,
+            current: processing[0]?.guest_id || null,
+            currentName: processing[0]?.full_name || null,
+            currentProcessing: processing.map(job => ({ guestId: job.guest_id, name: job.full_name })),
+            pendingGuestIds: pending.map(job => job.guest_id),
+            retrying: pending.filter(job => job.attempts > 0).length,
+            errors: this.getErrors(queueId),
+            status: queue.status,
+            pauseReason: queue.pause_reason || null,
+            startedAt: queue.started_at,
+            completedAt: queue.completed_at || null,
+            guestIds: jobs.map(job => job.guest_id),
+            nextIndex: firstOpen === -1 ? jobs.length : firstOpen,
+            concurrency: queue.concurrency || 1,
+            propertyId: queue.property_id || null,
+            progress: counts.total > 0 ? Math.round((counts.finished / counts.total) * 100) : 0,
+            cost: usageMeter.getTotals({ queueId }).cost
+        };
+    }
+
+    /**
+     * The queue to show as active: running first, then paused, then one that just completed
+     */
+    getActive(propertyId = null) {
+        const scope = propertyId ? ' AND property_id = ?' : '';
+        const params = propertyId ? [propertyId] : [];
+
+        const queue = db.prepare(`
+            SELECT id FROM enrichment_queues WHERE status IN ('running', 'paused')${scope}
+            ORDER BY CASE status WHEN 'running' THEN 0 ELSE 1 END, started_at DESC LIMIT 1
+        `).get(...params) || db.prepare(`
+            SELECT id, completed_at FROM enrichment_queues WHERE status = 'completed' AND completed_at IS NOT NULL${scope}
+            ORDER BY completed_at DESC LIMIT 1
+        `).get(...params);
+
+        if (!queue) return null;
+        if (queue.completed_at && Date.now() - parseUtc(queue.completed_at) >= RECENTLY_COMPLETED_MS) return null;
+        return this.getStatus(queue.id);
+    }
+}
+
+module.exports = new EnrichmentQueue();
@@ -0,0 +1,79 @@
+const { EventEmitter } = require('events');
+const db = require('../db/database');
+
+/**
+ * Event Bus
+ * In-process publish/subscribe for live updates, streamed to the browser by GET /api/events.
+ *
+ * Events: { id, type, data, propertyIds, at }. propertyIds (null = every property) limits who
+ * receives the event: a guest event goes to the properties the guest is known at.
+ * The last events are kept so a reconnecting client can catch up with Last-Event-ID.
+ *
+ * Types: research.started / research.finished / research.failed, guest.score_changed,
+ * guest.created / guest.updated / guest.deleted, queue.updated, import.started / import.progress /
+ * import.completed
+ */
+
+const HISTORY_SIZE = 200;
+
+class EventBus {
+    constructor() {
+        this.emitter = new EventEmitter();
+        // Every open browser tab is a listener
+        this.emitter.setMaxListeners(0);
+        this.history = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Publish an event. Never throws: live updates must not break the action that caused them.
+     * @param {Object} scope - { guestId } or { propertyId }; without either the event goes to everyone
+     */
+    publish(type, data = {}, { guestId = null, propertyId = null } = {}) {
+        try {
+            let propertyIds = null;
+            if (guestId) {
+                propertyIds = db.prepare('SELECT property_id FROM guest_properties WHERE guest_id = ?')
+                    .all(guestId).map(row => row.property_id);
+            } else if (propertyId) {
+                propertyIds = [propertyId];
+            }
+
+            const event = { id: this.nextId++, type, data, propertyIds, at: new Date().toISOString() };
+            this.history.push(event);
+            if (this.history.length > HISTORY_SIZE) this.history.shift();
+
+            this.emitter.emit('event', event);
+            return event;
+        } catch (error) {
+            console.error(`⚠️ Event ${type} not published:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * @returns {Function} unsubscribe
+     */
+    subscribe(listener) {
+        this.emitter.on('event', listener);
+        return () => this.emitter.off('event', listener);
+    }
+
+    /**
+     * Events after lastId, for a client that reconnects
+     */
+    since(lastId) {
+        return this.history.filter(event => event.id > lastId);
+    }
+
+    /**
+     * Whether a user working in propertyId (null = all properties) may see the event
+     */
+    isVisible(event, propertyId) {
+        if (!propertyId || !event.propertyIds) return true;
+        // A guest without properties yet (just created) is only visible to the all-properties view
+        return event.propertyIds.includes(propertyId);
+    }
+}
+
+module.exports = new EventBus();
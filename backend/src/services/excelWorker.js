@@ -0,0 +1,23 @@
+const { parentPort, workerData } = require('worker_threads');
+const XLSX = require('xlsx');
+
+/**
+ * Excel Worker
+ * Reads the rows of the import sheet of an Excel file in a worker thread: parsing a large
+ * workbook takes seconds of CPU, which would otherwise block every other request.
+ * Posts { sheetName, rows } (rows as arrays of cells) or { error }.
+ */
+
+try {
+    const workbook = XLSX.readFile(workerData.filePath);
+
+    // Look for 'Reserveringen' sheet or use first sheet
+    const sheetName = workbook.SheetNames.includes('Reserveringen')
+        ? 'Reserveringen'
+        : workbook.SheetNames[0];
+
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '' });
+    parentPort.postMessage({ sheetName, rows });
+} catch (error) {
+    parentPort.postMessage({ error: error.message });
+}
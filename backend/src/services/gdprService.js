@@ -0,0 +1,220 @@
+const db = require('../db/database');
+const propertyService = require('./propertyService');
+
+/**
+ * GDPR Service
+ * Answers data-subject requests for one guest:
+ *   export - everything stored about the guest as one JSON archive
+ *   erase  - removes personal data but keeps the guest row and its reservations,
+ *            so stay statistics (counts, dates, revenue) stay correct
+ *
+ * Every request is written to gdpr_requests. The log holds only the guest id and
+ * counts, never personal data, so it survives the erasure it records.
+ */
+
+const ARCHIVE_FORMAT = 'kyv-gdpr-export';
+const ARCHIVE_VERSION = 1;
+
+// Stored JSON text becomes real JSON in the archive
+function parseJson(value) {
+    if (typeof value !== 'string' || !/^\s*[[{]/.test(value)) return value;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value;
+    }
+}
+
+function parseRow(row) {
+    if (!row) return row;
+    return Object.fromEntries(Object.entries(row).map(([key, value]) => [key, parseJson(value)]));
+}
+
+// Cached search queries that mention the guest (by name or email)
+function searchCacheMatch(guest) {
+    const terms = [guest.full_name, guest.email].filter(term => term && term.trim().length >= 3);
+    if (terms.length === 0) return null;
+    return {
+        sql: terms.map(() => 'query_text LIKE ?').join(' OR '),
+        params: terms.map(term => `%${term.trim()}%`)
+    };
+}
+
+class GdprService {
+    logRequest({ guestId, type, status = 'completed', note = null, summary = null, error = null, requestedBy, propertyId = null }) {
+        return db.prepare(`
+            INSERT INTO gdpr_requests (guest_id, type, status, note, summary, error, requested_by, property_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(guestId, type, status, note, summary ? JSON.stringify(summary) : null, error, requestedBy, propertyId).lastInsertRowid;
+    }
+
+    /**
+     * Everything stored about one guest
+     * @returns {Object|null} the archive, null when the guest does not exist
+     */
+    buildArchive(guestId) {
+        const guest = db.prepare('SELECT * FROM guests WHERE id = ?').get(guestId);
+        if (!guest) return null;
+
+        const cacheMatch = searchCacheMatch(guest);
+        const searchResults = cacheMatch
+            ? db.prepare(`
+                SELECT search_type as provider, query_text as query, result_data as results, created_at, expires_at
+                FROM serpapi_cache WHERE ${cacheMatch.sql} ORDER BY created_at
+            `).all(...cacheMatch.params)
+            : [];
+
+        return {
+            format: ARCHIVE_FORMAT,
+            version: ARCHIVE_VERSION,
+            generated_at: new Date().toISOString(),
+            guest,
+            properties: propertyService.getGuestProperties(guestId),
+            reservations: db.prepare(`
+                SELECT r.*, p.name as property_name FROM reservations r
+                LEFT JOIN properties p ON p.id = r.property_id
+                WHERE r.guest_id = ? ORDER BY r.check_in_date
+            `).all(guestId).map(parseRow),
+            history: db.prepare('SELECT * FROM guest_history WHERE guest_id = ? ORDER BY changed_at, id').all(guestId),
+            tags: db.prepare('SELECT tag, created_by, created_at FROM guest_tags WHERE guest_id = ? ORDER BY tag').all(guestId),
+            research: parseRow(db.prepare('SELECT * FROM research_results WHERE guest_id = ?').get(guestId)) || null,
+            research_revisions: db.prepare('SELECT * FROM research_revisions WHERE guest_id = ? ORDER BY revision_number')
+                .all(guestId).map(parseRow),
+            deal_suggestions: db.prepare('SELECT * FROM deal_suggestions WHERE guest_id = ? ORDER BY generated_at')
+                .all(guestId).map(parseRow),
+            search_results: searchResults.map(parseRow),
+            processing_log: db.prepare(`
+                SELECT created_at, username, action, status_code FROM audit_log
+                WHERE entity_type = 'guest' AND entity_id = ? ORDER BY id
+            `).all(String(guestId)),
+            gdpr_requests: db.prepare('SELECT id, type, status, requested_by, created_at FROM gdpr_requests WHERE guest_id = ? ORDER BY id')
+                .all(guestId)
+        };
+    }
+
+    /**
+     * Export request: build the archive and log it
+     */
+    export(guestId, { requestedBy, propertyId = null, note = null }) {
+        const archive = this.buildArchive(guestId);
+        if (!archive) return null;
+
+        const summary = {
+            reservations: archive.reservations.length,
+            history: archive.history.length,
+            research_revisions: archive.research_revisions.length,
+            search_results: archive.search_results.length
+        };
+        const requestId = this.logRequest({ guestId, type: 'export', note, summary, requestedBy, propertyId });
+        archive.request_id = requestId;
+
+        console.log(`📦 GDPR export for guest ${guestId} (request #${requestId})`);
+        return archive;
+    }
+
+    /**
+     * Erase request: remove personal data, research, revisions, suggestions, change history, tags,
+     * cached searches, webhook payloads and logged request bodies, and blocks the Mews customer from
+     * being synced back in. Stays, dates, room categories and amounts remain.
+     * Uploaded import files are not searched: each is deleted as soon as its preview or import is done.
+     * @returns {Object|null} summary of what was removed, null when the guest does not exist
+     */
+    erase(guestId, { requestedBy, propertyId = null, note = null }) {
+        const guest = db.prepare('SELECT * FROM guests WHERE id = ?').get(guestId);
+        if (!guest) return null;
+        if (guest.anonymized_at) throw new Error('Gast is al geanonimiseerd');
+
+        const cacheMatch = searchCacheMatch(guest);
+
+        const summary = db.transaction(() => {
+            const result = {
+                research: db.prepare('DELETE FROM research_results WHERE guest_id = ?').run(guestId).changes,
+                research_revisions: db.prepare('DELETE FROM research_revisions WHERE guest_id = ?').run(guestId).changes,
+                deal_suggestions: db.prepare('DELETE FROM deal_suggestions WHERE guest_id = ?').run(guestId).changes,
+                history: db.prepare('DELETE FROM guest_history WHERE guest_id = ?').run(guestId).changes,
+                tags: db.prepare('DELETE FROM guest_tags WHERE guest_id = ?').run(guestId).changes,
+                search_results: cacheMatch
+                    ? db.prepare(`DELETE FROM serpapi_cache WHERE ${cacheMatch.sql}`).run(...cacheMatch.params).changes
+                    : 0,
+                // Sent webhook events carry the guest's details in their payload
+                webhook_deliveries: db.prepare(`
+                    DELETE FROM webhook_deliveries WHERE json_extract(payload, '$.data.guest.id') = ?
+                `).run(guestId).changes,
+                audit_details: 0
+            };
+
+            // Request bodies in the audit log can contain the guest's details
+            const auditTerms = [guest.full_name, guest.email, guest.phone].filter(term => term && term.trim().length >= 3);
+            result.audit_details = db.prepare(`
+                UPDATE audit_log SET details = NULL
+                WHERE details IS NOT NULL AND ((entity_type = 'guest' AND entity_id = ?)${auditTerms.map(() => ' OR details LIKE ?').join('')})
+            `).run(String(guestId), ...auditTerms.map(term => `%${term.trim()}%`)).changes;
+
+            // Briefing logs written before they used guest ids, and the row errors of imports, name the guest
+            result.briefing_logs = 0;
+            result.import_errors = 0;
+            if (guest.full_name && guest.full_name.trim().length >= 3) {
+                const logName = JSON.stringify(guest.full_name).slice(1, -1);
+                result.briefing_logs = db.prepare(`
+                    UPDATE briefing_runs SET log = REPLACE(log, ?, ?) WHERE log LIKE ?
+                `).run(logName, `gast #${guestId}`, `%${logName}%`).changes;
+
+                const jobs = db.prepare('SELECT id, errors FROM import_jobs WHERE errors LIKE ?').all(`%${logName}%`);
+                const updateErrors = db.prepare('UPDATE import_jobs SET errors = ? WHERE id = ?');
+                for (const job of jobs) {
+                    const errors = parseJson(job.errors);
+                    if (!Array.isArray(errors)) continue;
+                    const scrubbed = errors.map(error => error.name === guest.full_name ? { ...error, name: null } : error);
+                    updateErrors.run(JSON.stringify(scrubbed), job.id);
+                    result.import_errors++;
+                }
+            }
+
+            // Without a tombstone the next Mews sync would match the customer again and restore the details
+            result.mews_customer_blocked = guest.mews_customer_id
+                ? db.prepare('INSERT OR IGNORE INTO gdpr_erased_customers (mews_customer_id, guest_id) VALUES (?, ?)')
+                    .run(guest.mews_customer_id, guestId).changes
+                : 0;
+
+            db.prepare(`
+                UPDATE guests SET
+                    full_name = ?, email = NULL, phone = NULL, address = NULL, company = NULL,
+                    job_title = NULL, notes = NULL, marketing_consent = 0, mews_customer_id = NULL,
+                    anonymized_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(`Geanonimiseerde gast #${guestId}`, guestId);
+
+            // Remarks can hold allergies and other personal details; the stay itself is kept
+            db.prepare('UPDATE reservations SET notes = NULL, guest_notes = NULL, preferences = NULL WHERE guest_id = ?').run(guestId);
+            result.reservations_kept = db.prepare('SELECT COUNT(*) as count FROM reservations WHERE guest_id = ?').get(guestId).count;
+            return result;
+        })();
+
+        const requestId = this.logRequest({ guestId, type: 'erase', note, summary, requestedBy, propertyId });
+        console.log(`🧽 GDPR erase for guest ${guestId} (request #${requestId})`);
+        return { requestId, ...summary };
+    }
+
+    listRequests({ propertyId, guestId, limit = 100 } = {}) {
+        const conditions = [];
+        const params = [];
+        if (propertyId) {
+            conditions.push('property_id = ?');
+            params.push(propertyId);
+        }
+        if (guestId) {
+            conditions.push('guest_id = ?');
+            params.push(parseInt(guestId));
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        return db.prepare(`
+            SELECT * FROM gdpr_requests ${where} ORDER BY id DESC LIMIT ?
+        `).all(...params, Math.min(parseInt(limit) || 100, 500)).map(row => ({
+            ...row,
+            summary: row.summary ? JSON.parse(row.summary) : null
+        }));
+    }
+}
+
+module.exports = new GdprService();
@@ -2,6 +2,7 @@ const puppeteer = require('puppeteer-core');
 const chromium = require('@sparticuz/chromium');
 const fetch = require('node-fetch');
 const { HttpsProxyAgent } = require('https-proxy-agent');
+const usageMeter = require('./usageMeter');
 
 /**
  * Google Search service for guest research
@@ -20,7 +21,7 @@ class GoogleSearchService {
         // Bright Data SERP API configuration - handles CAPTCHAs automatically!
         this.serpApiKey = process.env.BRIGHT_DATA_API_KEY || 'ecb25225-633c-427b-a957-f6698b6381c5';
         this.serpApiZone = process.env.BRIGHT_DATA_SERP_ZONE || 'serp_api1';
-        this.serpApiEndpoint = 'https://api.brightdata.com/request';
+        this.serpApiEndpoint = process.env.BRIGHT_DATA_ENDPOINT || 'https://api.brightdata.com/request';
         this.useSerpApi = true; // Use SERP API by default (no CAPTCHAs!)
 
         // Log configuration on startup
@@ -49,6 +50,7 @@ class GoogleSearchService {
     /**
      * Search using Bright Data SERP API - NO CAPTCHAs!
      * This is the preferred method as it handles all anti-bot measures automatically
+     * @returns {Promise<Array|null>} null when the key is missing, the call failed or nothing was found
      */
     async searchWithSerpApi(query, maxResults = 10) {
         if (!this.serpApiKey) {
@@ -56,6 +58,20 @@ class GoogleSearchService {
             return null;
         }
 
+        try {
+            const results = await this.requestSerpApi(query, maxResults);
+            return results.length > 0 ? results : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * One Bright Data SERP API call
+     * @returns {Promise<Array>} results (empty when nothing could be parsed)
+     * @throws {Error} with status (HTTP status, null for timeouts and network errors) when the call failed
+     */
+    async requestSerpApi(query, maxResults = 10) {
         const controller = new AbortController();
         const timeout = setTimeout(() => controller.abort(), 35000); // 35s timeout
 
@@ -84,8 +100,11 @@ class GoogleSearchService {
             if (!response.ok) {
                 const errorText = await response.text();
                 console.error(`❌ SERP API error: ${response.status} - ${errorText}`);
-                return null;
+                const error = new Error(`SERP API error: ${response.status}`);
+                error.status = response.status;
+                throw error;
             }
+            usageMeter.record('brightdata', { operation: 'serp' });
 
             const text = await response.text();
 
@@ -123,16 +142,17 @@ class GoogleSearchService {
                 }
             }
 
-            return null;
+            return [];
 
         } catch (error) {
             clearTimeout(timeout);
+            if (error.status) throw error;
             if (error.name === 'AbortError') {
                 console.error(`❌ SERP API error: Request timed out after 35s`);
-            } else {
-                console.error(`❌ SERP API error: ${error.message}`);
+                throw Object.assign(new Error('SERP API timeout'), { status: null });
             }
-            return null;
+            console.error(`❌ SERP API error: ${error.message}`);
+            throw Object.assign(new Error(error.message), { status: null });
         }
     }
 
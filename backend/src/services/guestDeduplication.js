@@ -0,0 +1,294 @@
+const db = require('../db/database');
+const propertyService = require('./propertyService');
+const researchRevisions = require('./researchRevisions');
+
+/**
+ * Guest Deduplication
+ * Finds likely duplicate guests (fuzzy name, email, phone, address) and merges
+ * two guests into one: reservations, history, suggestions, property links and research.
+ *
+ * Pairs are scored; everything at or above MIN_SCORE is a candidate for review.
+ */
+
+const MIN_SCORE = parseInt(process.env.DUPLICATE_MIN_SCORE) || 50;
+const MAX_BLOCK_SIZE = 200; // blocks larger than this are too generic to compare pairwise
+
+// Guest fields copied from the duplicate when the primary guest has no value
+// (mews_customer_id keeps the Mews link when the duplicate was the synced record)
+const FILL_FIELDS = ['email', 'phone', 'country', 'company', 'address', 'job_title', 'mews_customer_id'];
+
+// Normalize guest name for matching
+function normalizeGuestName(name) {
+    if (!name) return '';
+    return name
+        .toLowerCase()
+        .trim()
+        .replace(/\s+/g, ' ')  // Multiple spaces to single
+        .replace(/[^\w\s]/g, ''); // Remove special chars
+}
+
+// Fuzzy name match (simple implementation)
+function fuzzyNameMatch(name1, name2) {
+    const n1 = normalizeGuestName(name1);
+    const n2 = normalizeGuestName(name2);
+
+    if (n1 === n2) return true;
+
+    // Check if all parts of shorter name are in longer name
+    const parts1 = n1.split(' ');
+    const parts2 = n2.split(' ');
+    const shorter = parts1.length < parts2.length ? parts1 : parts2;
+    const longer = parts1.length < parts2.length ? parts2 : parts1;
+
+    return shorter.every(part => longer.some(p => p.includes(part) || part.includes(p)));
+}
+
+function normalizeEmail(email) {
+    return (email || '').trim().toLowerCase();
+}
+
+// Last 9 digits, so +31 6 1234 5678 and 06-12345678 match
+function normalizePhone(phone) {
+    const digits = (phone || '').replace(/\D/g, '');
+    return digits.length >= 7 ? digits.slice(-9) : '';
+}
+
+function normalizeAddress(address) {
+    return (address || '').toLowerCase().replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function lastName(name) {
+    const parts = normalizeGuestName(name).split(' ');
+    return parts[parts.length - 1] || '';
+}
+
+class GuestDeduplication {
+    constructor() {
+        this.minScore = MIN_SCORE;
+    }
+
+    /**
+     * Score how likely two guests are the same person
+     * @returns {{ score: number, reasons: string[] }}
+     */
+    scorePair(a, b) {
+        let score = 0;
+        const reasons = [];
+
+        const emailA = normalizeEmail(a.email);
+        const emailB = normalizeEmail(b.email);
+        if (emailA && emailA === emailB) {
+            score += 60;
+            reasons.push('email');
+        } else if (emailA && emailB) {
+            score -= 20;
+        }
+
+        const phoneA = normalizePhone(a.phone);
+        if (phoneA && phoneA === normalizePhone(b.phone)) {
+            score += 40;
+            reasons.push('phone');
+        }
+
+        const addressA = normalizeAddress(a.address);
+        if (addressA && addressA === normalizeAddress(b.address)) {
+            score += 25;
+            reasons.push('address');
+        }
+
+        if (normalizeGuestName(a.full_name) === normalizeGuestName(b.full_name)) {
+            score += 50;
+            reasons.push('name_exact');
+        } else if (lastName(a.full_name) === lastName(b.full_name) && fuzzyNameMatch(a.full_name, b.full_name)) {
+            score += 35;
+            reasons.push('name_fuzzy');
+        }
+
+        if (a.country && b.country && a.country.toLowerCase() !== b.country.toLowerCase()) {
+            score -= 10;
+        }
+
+        return { score, reasons };
+    }
+
+    /**
+     * Blocking keys: only guests sharing a key are compared
+     */
+    blockingKeys(guest) {
+        const keys = [];
+        const surname = lastName(guest.full_name);
+        if (surname.length >= 2) keys.push(`n:${surname}`);
+        const email = normalizeEmail(guest.email);
+        if (email) keys.push(`e:${email}`);
+        const phone = normalizePhone(guest.phone);
+        if (phone) keys.push(`p:${phone}`);
+        return keys;
+    }
+
+    loadGuests(propertyId) {
+        const scope = propertyService.guestScope(propertyId);
+        return db.prepare(`
+            SELECT g.id, g.full_name, g.email, g.phone, g.address, g.country, g.company,
+                g.first_seen, g.last_stay, g.total_stays, g.created_at,
+                r.vip_score, r.job_title as research_job_title, r.researched_at,
+                (SELECT COUNT(*) FROM reservations WHERE guest_id = g.id) as reservation_count
+            FROM guests g
+            LEFT JOIN research_results r ON r.guest_id = g.id
+            WHERE 1=1${scope.sql}
+        `).all(...scope.params);
+    }
+
+    /**
+     * Duplicate candidates, highest score first
+     * @param {Object} options - { propertyId, guestIds (only pairs involving these guests), limit }
+     */
+    findCandidates({ propertyId = null, guestIds = null, limit = 100 } = {}) {
+        const only = guestIds ? new Set(guestIds.map(Number)) : null;
+        const guests = this.loadGuests(propertyId);
+        const byId = new Map(guests.map(g => [g.id, g]));
+
+        const blocks = new Map();
+        for (const guest of guests) {
+            for (const key of this.blockingKeys(guest)) {
+                if (!blocks.has(key)) blocks.set(key, []);
+                blocks.get(key).push(guest.id);
+            }
+        }
+
+        const dismissed = new Set(
+            db.prepare('SELECT guest_id_a, guest_id_b FROM guest_duplicate_dismissals').all()
+                .map(d => `${d.guest_id_a}-${d.guest_id_b}`)
+        );
+
+        const seen = new Set();
+        const candidates = [];
+        for (const ids of blocks.values()) {
+            if (ids.length < 2 || ids.length > MAX_BLOCK_SIZE) continue;
+
+            for (let i = 0; i < ids.length; i++) {
+                for (let j = i + 1; j < ids.length; j++) {
+                    const [idA, idB] = ids[i] < ids[j] ? [ids[i], ids[j]] : [ids[j], ids[i]];
+                    const key = `${idA}-${idB}`;
+                    if (seen.has(key) || dismissed.has(key)) continue;
+                    seen.add(key);
+                    if (only && !only.has(idA) && !only.has(idB)) continue;
+
+                    const { score, reasons } = this.scorePair(byId.get(idA), byId.get(idB));
+                    if (score >= this.minScore) {
+                        candidates.push({ score, reasons, guests: [byId.get(idA), byId.get(idB)] });
+                    }
+                }
+            }
+        }
+
+        return candidates
+            .sort((x, y) => y.score - x.score)
+            .slice(0, Math.min(parseInt(limit) || 100, 500));
+    }
+
+    dismiss(idA, idB, author = 'system') {
+        const [a, b] = idA < idB ? [idA, idB] : [idB, idA];
+        db.prepare(`
+            INSERT OR IGNORE INTO guest_duplicate_dismissals (guest_id_a, guest_id_b, dismissed_by) VALUES (?, ?, ?)
+        `).run(a, b, author);
+    }
+
+    /**
+     * Merge the duplicate guest into the primary guest and delete the duplicate.
+     * Empty fields of the primary are filled from the duplicate; stays, reservations,
+     * history, suggestions, enrichment jobs, API costs and property links move over. When both have research,
+     * keepResearch ('primary' | 'duplicate') decides which stays current; the other is kept as a revision.
+     * @returns {Object} the merged guest
+     */
+    merge(primaryId, duplicateId, { author = 'system', keepResearch = 'primary' } = {}) {
+        if (primaryId === duplicateId) throw new Error('Kan een gast niet met zichzelf samenvoegen');
+
+        const primary = db.prepare('SELECT * FROM guests WHERE id = ?').get(primaryId);
+        const duplicate = db.prepare('SELECT * FROM guests WHERE id = ?').get(duplicateId);
+        if (!primary || !duplicate) throw new Error('Gast niet gevonden');
+
+        const mergeTransaction = db.transaction(() => {
+            const insertHistory = db.prepare(`
+                INSERT INTO guest_history (guest_id, field_name, old_value, new_value) VALUES (?, ?, ?, ?)
+            `);
+
+            // 1. Guest fields
+            const updates = {};
+            for (const field of FILL_FIELDS) {
+                if (!primary[field] && duplicate[field]) {
+                    updates[field] = duplicate[field];
+                    insertHistory.run(primaryId, field, null, duplicate[field]);
+                }
+            }
+            if (duplicate.notes && duplicate.notes !== primary.notes) {
+                updates.notes = primary.notes ? `${primary.notes}\n\n${duplicate.notes}` : duplicate.notes;
+            }
+            const dates = [primary.first_seen, duplicate.first_seen].filter(Boolean).sort();
+            const stays = [primary.last_stay, duplicate.last_stay].filter(Boolean).sort();
+            updates.first_seen = dates[0] || null;
+            updates.last_stay = stays[stays.length - 1] || null;
+            // Stays follow the distinct arrival dates of the merged reservations (a stay booked twice counts once)
+            const stayDates = db.prepare(`
+                SELECT COUNT(DISTINCT check_in_date) as stays FROM reservations
+                WHERE guest_id IN (?, ?) AND check_in_date IS NOT NULL
+            `).get(primaryId, duplicateId).stays;
+            updates.total_stays = stayDates || (primary.total_stays ?? 1) + (duplicate.total_stays ?? 1);
+            updates.marketing_consent = primary.marketing_consent || duplicate.marketing_consent || null;
+
+            const columns = Object.keys(updates);
+            db.prepare(`
+                UPDATE guests SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).run(...columns.map(c => updates[c]), primaryId);
+
+            // 2. Research: preserve both current states as revisions before choosing
+            const primaryResearch = db.prepare('SELECT id FROM research_results WHERE guest_id = ?').get(primaryId);
+            const duplicateResearch = db.prepare('SELECT id FROM research_results WHERE guest_id = ?').get(duplicateId);
+            researchRevisions.ensureBaseline(primaryId, author);
+            researchRevisions.ensureBaseline(duplicateId, author);
+
+            const offset = db.prepare('SELECT COALESCE(MAX(revision_number), 0) as max FROM research_revisions WHERE guest_id = ?')
+                .get(primaryId).max;
+            db.prepare('UPDATE research_revisions SET guest_id = ?, revision_number = revision_number + ? WHERE guest_id = ?')
+                .run(primaryId, offset, duplicateId);
+
+            if (duplicateResearch && (!primaryResearch || keepResearch === 'duplicate')) {
+                db.prepare('DELETE FROM research_results WHERE guest_id = ?').run(primaryId);
+                db.prepare('UPDATE research_results SET guest_id = ? WHERE guest_id = ?').run(primaryId, duplicateId);
+            } else {
+                db.prepare('DELETE FROM research_results WHERE guest_id = ?').run(duplicateId);
+            }
+
+            // 3. Related rows
+            db.prepare('UPDATE reservations SET guest_id = ? WHERE guest_id = ?').run(primaryId, duplicateId);
+            db.prepare('UPDATE guest_history SET guest_id = ? WHERE guest_id = ?').run(primaryId, duplicateId);
+            db.prepare('UPDATE deal_suggestions SET guest_id = ? WHERE guest_id = ?').run(primaryId, duplicateId);
+            db.prepare('UPDATE OR IGNORE guest_tags SET guest_id = ? WHERE guest_id = ?').run(primaryId, duplicateId);
+            db.prepare('UPDATE enrichment_jobs SET guest_id = ? WHERE guest_id = ?').run(primaryId, duplicateId);
+            db.prepare('UPDATE api_usage SET guest_id = ? WHERE guest_id = ?').run(primaryId, duplicateId);
+            for (const link of db.prepare('SELECT * FROM guest_properties WHERE guest_id = ?').all(duplicateId)) {
+                propertyService.linkGuest(primaryId, link.property_id, link.first_seen_at);
+                propertyService.linkGuest(primaryId, link.property_id, link.last_seen_at);
+            }
+
+            insertHistory.run(primaryId, 'merged_guest', `${duplicate.full_name} (#${duplicateId})`, primary.full_name);
+
+            // 4. The duplicate itself (cascades dismissals and remaining links)
+            db.prepare('DELETE FROM guests WHERE id = ?').run(duplicateId);
+
+            if (duplicateResearch || primaryResearch) {
+                researchRevisions.record(primaryId, {
+                    source: 'merge',
+                    author,
+                    note: `Samengevoegd met ${duplicate.full_name} (#${duplicateId})`
+                });
+            }
+        });
+
+        mergeTransaction();
+
+        console.log(`🔗 Merged guest ${duplicateId} (${duplicate.full_name}) into ${primaryId} (${primary.full_name})`);
+        return db.prepare('SELECT * FROM guests WHERE id = ?').get(primaryId);
+    }
+}
+
+module.exports = new GuestDeduplication();
@@ -0,0 +1,213 @@
+const XLSX = require('xlsx');
+const db = require('../db/database');
+const guestFilters = require('./guestFilters');
+const stayAnalytics = require('./stayAnalytics');
+const reservationNotes = require('./reservationNotes');
+const csvFile = require('./csvFile');
+
+/**
+ * Guest Export
+ * Guest lists as XLSX or CSV with the columns the user picks: guest fields, research fields,
+ * reservation totals (same rules as the stay analytics) and sections of the research report,
+ * flattened to text. Uses the same filters as GET /api/guests.
+ */
+
+const MAX_ROWS = 10000;
+const MAX_CELL_LENGTH = 32000; // Excel refuses cells over 32767 characters
+const FORMATS = {
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    csv: { contentType: 'text/csv; charset=utf-8' }
+};
+
+const GROUPS = {
+    guest: 'Gast',
+    research: 'Onderzoek',
+    reservations: 'Reserveringen',
+    report: 'Rapport'
+};
+
+// key -> { group, label, value(row) }; rows hold guest columns, research columns (r_ prefix),
+// the reservation totals (stays) and the parsed report
+const COLUMNS = {
+    full_name: { group: 'guest', label: 'Naam', value: row => row.full_name },
+    email: { group: 'guest', label: 'E-mail', value: row => row.email },
+    phone: { group: 'guest', label: 'Telefoon', value: row => row.phone },
+    country: { group: 'guest', label: 'Land', value: row => row.country },
+    company: { group: 'guest', label: 'Bedrijf', value: row => row.r_company_name || row.company },
+    address: { group: 'guest', label: 'Adres', value: row => row.address },
+    total_stays: { group: 'guest', label: 'Aantal verblijven', value: row => row.total_stays },
+    first_seen: { group: 'guest', label: 'Eerste bezoek', value: row => row.first_seen },
+    last_stay: { group: 'guest', label: 'Laatste verblijf', value: row => row.last_stay },
+    marketing_consent: { group: 'guest', label: 'Marketing toestemming', value: row => yesNo(row.marketing_consent) },
+    tags: { group: 'guest', label: 'Tags', value: row => row.tags },
+    notes: { group: 'guest', label: 'Notities', value: row => row.notes },
+
+    vip_score: { group: 'research', label: 'VIP score', value: row => row.r_vip_score },
+    job_title: { group: 'research', label: 'Functie', value: row => row.r_job_title || row.job_title },
+    industry: { group: 'research', label: 'Sector', value: row => row.r_industry },
+    company_size: { group: 'research', label: 'Bedrijfsgrootte', value: row => row.r_company_size },
+    is_owner: { group: 'research', label: 'Eigenaar', value: row => yesNo(row.r_is_owner) },
+    influence_level: { group: 'research', label: 'Invloed', value: row => row.r_influence_level },
+    net_worth: { group: 'research', label: 'Vermogen', value: row => row.r_net_worth },
+    linkedin_url: { group: 'research', label: 'LinkedIn', value: row => row.r_linkedin_url },
+    instagram_handle: { group: 'research', label: 'Instagram', value: row => row.r_instagram_handle },
+    instagram_followers: { group: 'research', label: 'Instagram volgers', value: row => row.r_instagram_followers },
+    twitter_handle: { group: 'research', label: 'Twitter', value: row => row.r_twitter_handle },
+    twitter_followers: { group: 'research', label: 'Twitter volgers', value: row => row.r_twitter_followers },
+    website_url: { group: 'research', label: 'Website', value: row => row.r_website_url },
+    notable_info: { group: 'research', label: 'Samenvatting', value: row => row.r_notable_info },
+    researched_at: { group: 'research', label: 'Onderzocht op', value: row => row.r_researched_at },
+
+    reservation_count: { group: 'reservations', label: 'Reserveringen', value: row => row.stays?.stays || 0 },
+    nights: { group: 'reservations', label: 'Nachten', value: row => row.stays?.nights || 0 },
+    revenue: { group: 'reservations', label: 'Omzet', value: row => row.stays?.revenue || 0 },
+    average_rate: { group: 'reservations', label: 'Gem. prijs per nacht', value: row => row.stays?.averageRate },
+    first_arrival: { group: 'reservations', label: 'Eerste aankomst', value: row => row.stays?.first_stay },
+    last_arrival: { group: 'reservations', label: 'Laatste aankomst', value: row => row.stays?.last_stay },
+    room_categories: { group: 'reservations', label: 'Kamertypes', value: row => row.stays?.room_categories },
+    preferences: { group: 'reservations', label: 'Wensen', value: row => reservationNotes.summarize(row.preferences) },
+
+    executive_summary: { group: 'report', label: 'Rapport: samenvatting', value: row => flatten(row.report?.executive_summary) },
+    professional_background: { group: 'report', label: 'Rapport: loopbaan', value: row => flatten(row.report?.professional_background) },
+    company_analysis: { group: 'report', label: 'Rapport: bedrijf', value: row => flatten(row.report?.company_analysis) },
+    vip_indicators: { group: 'report', label: 'Rapport: VIP indicatoren', value: row => flatten(row.report?.vip_indicators) },
+    service_recommendations: { group: 'report', label: 'Rapport: service aanbevelingen', value: row => flatten(row.report?.service_recommendations) },
+    additional_notes: { group: 'report', label: 'Rapport: overige', value: row => flatten(row.report?.additional_notes) }
+};
+
+const DEFAULT_COLUMNS = ['full_name', 'email', 'country', 'company', 'job_title', 'vip_score', 'total_stays', 'last_stay'];
+
+const RESEARCH_FIELDS = ['vip_score', 'job_title', 'company_name', 'industry', 'company_size', 'is_owner', 'influence_level',
+    'net_worth', 'linkedin_url', 'instagram_handle', 'instagram_followers', 'twitter_handle', 'twitter_followers',
+    'website_url', 'notable_info', 'researched_at', 'full_report'];
+
+function yesNo(value) {
+    if (value === null || value === undefined) return null;
+    return value ? 'Ja' : 'Nee';
+}
+
+const humanize = (key) => key.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+
+/**
+ * Report section as plain text: nested fields become "Label: value" lines,
+ * recommendation categories "Title: item; item"
+ */
+function flatten(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value !== 'object') return String(value);
+    if (Array.isArray(value)) return value.map(flatten).filter(Boolean).join('\n') || null;
+    if (value.title && Array.isArray(value.items)) return `${value.title}: ${value.items.join('; ')}`;
+    return Object.entries(value)
+        .map(([key, nested]) => {
+            const text = flatten(nested);
+            return text ? `${humanize(key)}: ${text}` : null;
+        })
+        .filter(Boolean)
+        .join('\n') || null;
+}
+
+function parseReport(json) {
+    if (!json) return null;
+    try {
+        return JSON.parse(json);
+    } catch {
+        return null;
+    }
+}
+
+class GuestExport {
+    getFormats() {
+        return Object.keys(FORMATS);
+    }
+
+    /**
+     * Column catalogue for the column picker
+     */
+    getColumns() {
+        return {
+            groups: GROUPS,
+            columns: Object.entries(COLUMNS).map(([key, column]) => ({ key, label: column.label, group: column.group })),
+            defaults: DEFAULT_COLUMNS
+        };
+    }
+
+    /**
+     * Check the requested format and columns (comma separated or a list; default columns when empty)
+     * @throws {Error} on an unknown format or column
+     */
+    normalize({ format = 'xlsx', columns } = {}) {
+        if (!FORMATS[format]) throw new Error(`Onbekend formaat: ${format} (kies ${this.getFormats().join(' of ')})`);
+        const keys = (Array.isArray(columns) ? columns : String(columns || '').split(','))
+            .map(key => String(key).trim())
+            .filter(Boolean);
+        const unknown = keys.find(key => !COLUMNS[key]);
+        if (unknown) throw new Error(`Onbekende kolom: ${unknown}`);
+        return { format, columns: keys.length > 0 ? [...new Set(keys)] : DEFAULT_COLUMNS };
+    }
+
+    /**
+     * @throws {Error} when more than MAX_ROWS guests match the filters
+     */
+    checkSize(filters, propertyId) {
+        const total = guestFilters.count(filters, propertyId);
+        if (total > MAX_ROWS) {
+            throw new Error(`Te veel gasten voor één export (${total}, maximaal ${MAX_ROWS}); verfijn de filters`);
+        }
+        return total;
+    }
+
+    /**
+     * Rows for the guests matching the filters, one object per guest with the column labels as keys
+     */
+    buildRows(filters, propertyId, columns, orderBy = 'g.full_name COLLATE NOCASE ASC') {
+        const where = guestFilters.build(filters, propertyId);
+        const guests = db.prepare(`
+            SELECT g.*, ${RESEARCH_FIELDS.map(field => `r.${field} as r_${field}`).join(', ')},
+                   (SELECT GROUP_CONCAT(tag, ', ') FROM guest_tags WHERE guest_id = g.id) as tags
+            FROM guests g
+            LEFT JOIN research_results r ON r.guest_id = g.id
+            WHERE g.anonymized_at IS NULL${where.sql}
+            ORDER BY ${orderBy}
+        `).all(...where.params);
+
+        const groups = new Set(columns.map(key => COLUMNS[key].group));
+        const totals = groups.has('reservations') ? stayAnalytics.getGuestTotals(propertyId) : new Map();
+        const preferences = columns.includes('preferences') ? reservationNotes.getPreferencesByGuest(propertyId) : null;
+
+        return guests.map(guest => {
+            const row = {
+                ...guest,
+                stays: totals.get(guest.id),
+                report: groups.has('report') ? parseReport(guest.r_full_report) : null,
+                preferences: preferences?.get(guest.id) ?? null
+            };
+            return Object.fromEntries(columns.map(key => {
+                let value = COLUMNS[key].value(row);
+                if (typeof value === 'string' && value.length > MAX_CELL_LENGTH) value = `${value.slice(0, MAX_CELL_LENGTH)}…`;
+                return [COLUMNS[key].label, value ?? ''];
+            }));
+        });
+    }
+
+    /**
+     * Export file for the guests matching the filters
+     * @returns {{ buffer: Buffer, contentType: string, rows: number }}
+     */
+    export(filters, propertyId, { format, columns, orderBy }) {
+        const rows = this.buildRows(filters, propertyId, columns, orderBy);
+        const header = columns.map(key => COLUMNS[key].label);
+
+        if (format === 'csv') {
+            return { buffer: csvFile.build(rows, header), contentType: FORMATS.csv.contentType, rows: rows.length };
+        }
+
+        const sheet = XLSX.utils.json_to_sheet(rows, { header });
+        sheet['!cols'] = header.map(label => ({ wch: Math.min(Math.max(label.length, 12), 50) }));
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, sheet, 'Gasten');
+        const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+        return { buffer, contentType: FORMATS.xlsx.contentType, rows: rows.length };
+    }
+}
+
+module.exports = new GuestExport();
@@ -0,0 +1,239 @@
+const db = require('../db/database');
+const propertyService = require('./propertyService');
+const guestSearch = require('./guestSearch');
+
+/**
+ * Guest Filters
+ * Composable filters for guest lists, shared by GET /api/guests, saved segments, segment queues and
+ * segment PDF exports. Filters come from query parameters (lists comma separated) or from a saved
+ * segment (JSON); every filter narrows the result (AND).
+ *
+ * The SQL uses alias g for guests and r for a LEFT JOIN on research_results.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const INFLUENCE_LEVELS = ['Laag', 'Gemiddeld', 'Hoog', 'VIP'];
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+// Filter name -> value type
+const FILTERS = {
+    search: 'text',
+    country: 'text',
+    hasResearch: 'boolean',
+    vipOnly: 'boolean',
+    minVipScore: 'number',
+    maxVipScore: 'number',
+    industry: 'list',
+    influenceLevel: 'list',
+    isOwner: 'boolean',
+    minStays: 'number',
+    maxStays: 'number',
+    minSpend: 'number',
+    maxSpend: 'number',
+    lastStayFrom: 'date',
+    lastStayTo: 'date',
+    arrivalFrom: 'date',
+    arrivalTo: 'date',
+    needsReview: 'boolean',
+    minFollowers: 'number',
+    maxFollowers: 'number',
+    tags: 'list'
+};
+
+const FOLLOWERS_SQL = '(COALESCE(r.instagram_followers, 0) + COALESCE(r.twitter_followers, 0))';
+
+class GuestFilters {
+    getNames() {
+        return Object.keys(FILTERS);
+    }
+
+    /**
+     * Keep the known filters with typed values; empty values are dropped
+     * @param {Object} input - query parameters or saved segment filters
+     * @throws {Error} on an invalid number, date or influence level
+     */
+    normalize(input = {}) {
+        const filters = {};
+        for (const [name, type] of Object.entries(FILTERS)) {
+            const raw = input[name];
+            if (raw === undefined || raw === null || raw === '') continue;
+
+            if (type === 'text') {
+                filters[name] = String(raw).trim();
+            } else if (type === 'boolean') {
+                if (raw === true || raw === 'true' || raw === '1') filters[name] = true;
+                else if (raw === false || raw === 'false' || raw === '0') filters[name] = false;
+                else throw new Error(`Ongeldige waarde voor ${name}`);
+            } else if (type === 'number') {
+                const value = Number(raw);
+                if (!Number.isFinite(value)) throw new Error(`Ongeldig getal voor ${name}`);
+                filters[name] = value;
+            } else if (type === 'date') {
+                if (!DATE_PATTERN.test(raw)) throw new Error(`Ongeldige datum voor ${name} (gebruik JJJJ-MM-DD)`);
+                filters[name] = raw;
+            } else if (type === 'list') {
+                const values = (Array.isArray(raw) ? raw : String(raw).split(','))
+                    .map(value => String(value).trim())
+                    .filter(Boolean);
+                if (values.length > 0) filters[name] = name === 'tags' ? values.map(tag => tag.toLowerCase()) : values;
+            }
+            if (filters[name] === '') delete filters[name];
+        }
+
+        const invalidLevel = (filters.influenceLevel || []).find(level => !INFLUENCE_LEVELS.includes(level));
+        if (invalidLevel) throw new Error(`Onbekend invloedsniveau: ${invalidLevel}`);
+        return filters;
+    }
+
+    /**
+     * WHERE conditions (each starting with AND) for normalized filters
+     * @param {number|null} propertyId - limits guests, spend and arrivals to the selected property
+     */
+    build(filters, propertyId = null) {
+        const conditions = [];
+        const params = [];
+        const add = (sql, ...values) => {
+            conditions.push(sql);
+            params.push(...values);
+        };
+
+        const scope = propertyService.guestScope(propertyId);
+        if (scope.sql) add(scope.sql.replace(/^ AND /, ''), ...scope.params);
+        const resScope = propertyId ? ' AND res.property_id = ?' : '';
+        const resParams = propertyId ? [propertyId] : [];
+
+        if (filters.search) {
+            // Substring match on the main fields, or a full-text hit in notes, bios and reports
+            const term = `%${filters.search}%`;
+            const fullText = guestSearch.matchCondition(filters.search);
+            add(`(g.full_name LIKE ? OR g.email LIKE ? OR g.company LIKE ? OR r.job_title LIKE ? OR r.company_name LIKE ?${fullText ? ` OR ${fullText.sql}` : ''})`,
+                term, term, term, term, term, ...(fullText ? fullText.params : []));
+        }
+        if (filters.country) add('g.country = ?', filters.country);
+
+        if (filters.hasResearch === true) add('r.id IS NOT NULL');
+        if (filters.hasResearch === false) add('r.id IS NULL');
+
+        if (filters.minVipScore !== undefined) add('r.vip_score >= ?', filters.minVipScore);
+        else if (filters.vipOnly) add('r.vip_score >= 7');
+        if (filters.maxVipScore !== undefined) add('r.vip_score <= ?', filters.maxVipScore);
+
+        if (filters.industry) {
+            add(`(${filters.industry.map(() => 'r.industry LIKE ?').join(' OR ')})`, ...filters.industry.map(value => `%${value}%`));
+        }
+        if (filters.influenceLevel) {
+            add(`r.influence_level IN (${filters.influenceLevel.map(() => '?').join(', ')})`, ...filters.influenceLevel);
+        }
+        if (filters.isOwner !== undefined) add('r.is_owner = ?', filters.isOwner ? 1 : 0);
+        if (filters.needsReview === true) add('r.needs_linkedin_review = 1');
+        if (filters.needsReview === false) add('COALESCE(r.needs_linkedin_review, 0) = 0');
+
+        if (filters.minStays !== undefined) add('COALESCE(g.total_stays, 0) >= ?', filters.minStays);
+        if (filters.maxStays !== undefined) add('COALESCE(g.total_stays, 0) <= ?', filters.maxStays);
+
+        if (filters.minSpend !== undefined || filters.maxSpend !== undefined) {
+            const spend = `(SELECT COALESCE(SUM(res.total_amount), 0) FROM reservations res WHERE res.guest_id = g.id${resScope})`;
+            if (filters.minSpend !== undefined) add(`${spend} >= ?`, ...resParams, filters.minSpend);
+            if (filters.maxSpend !== undefined) add(`${spend} <= ?`, ...resParams, filters.maxSpend);
+        }
+
+        if (filters.lastStayFrom) add('g.last_stay >= ?', filters.lastStayFrom);
+        if (filters.lastStayTo) add('g.last_stay <= ?', filters.lastStayTo);
+
+        if (filters.arrivalFrom || filters.arrivalTo) {
+            add(`EXISTS (SELECT 1 FROM reservations res WHERE res.guest_id = g.id${resScope}
+                AND (? IS NULL OR res.check_in_date >= ?) AND (? IS NULL OR res.check_in_date <= ?))`,
+            ...resParams,
+            filters.arrivalFrom || null, filters.arrivalFrom || null,
+            filters.arrivalTo || null, filters.arrivalTo || null);
+        }
+
+        if (filters.minFollowers !== undefined) add(`${FOLLOWERS_SQL} >= ?`, filters.minFollowers);
+        if (filters.maxFollowers !== undefined) add(`${FOLLOWERS_SQL} <= ?`, filters.maxFollowers);
+
+        // A guest needs every tag
+        for (const tag of filters.tags || []) {
+            add('EXISTS (SELECT 1 FROM guest_tags t WHERE t.guest_id = g.id AND t.tag = ?)', tag);
+        }
+
+        return {
+            sql: conditions.map(condition => ` AND ${condition}`).join(''),
+            params
+        };
+    }
+
+    /**
+     * Ids of all guests matching the filters
+     * @param {Object} options - { unresearchedOnly }
+     */
+    findGuestIds(filters, propertyId = null, { unresearchedOnly = false } = {}) {
+        const where = this.build(filters, propertyId);
+        return db.prepare(`
+            SELECT g.id FROM guests g
+            LEFT JOIN research_results r ON r.guest_id = g.id
+            WHERE g.anonymized_at IS NULL${unresearchedOnly ? ' AND r.id IS NULL' : ''}${where.sql}
+            ORDER BY COALESCE(r.vip_score, 0) DESC, g.full_name
+        `).all(...where.params).map(row => row.id);
+    }
+
+    /**
+     * Number of guests matching the filters; erased guests are left out like in findGuestIds
+     * @param {Object} options - { includeAnonymized } for the guest list, which shows the anonymized stubs
+     */
+    count(filters, propertyId = null, { includeAnonymized = false } = {}) {
+        const where = this.build(filters, propertyId);
+        return db.prepare(`
+            SELECT COUNT(*) as total FROM guests g
+            LEFT JOIN research_results r ON r.guest_id = g.id
+            WHERE ${includeAnonymized ? '1=1' : 'g.anonymized_at IS NULL'}${where.sql}
+        `).get(...where.params).total;
+    }
+
+    /**
+     * Values to choose from in the filter panel
+     */
+    getOptions(propertyId = null) {
+        const scope = propertyService.guestScope(propertyId);
+        const industries = db.prepare(`
+            SELECT r.industry as value, COUNT(*) as count FROM research_results r
+            JOIN guests g ON g.id = r.guest_id
+            WHERE r.industry IS NOT NULL AND r.industry != ''${scope.sql}
+            GROUP BY r.industry ORDER BY count DESC LIMIT 50
+        `).all(...scope.params);
+        const tags = db.prepare(`
+            SELECT t.tag as value, COUNT(*) as count FROM guest_tags t
+            JOIN guests g ON g.id = t.guest_id
+            WHERE 1=1${scope.sql}
+            GROUP BY t.tag ORDER BY t.tag
+        `).all(...scope.params);
+        return { industries, tags, influenceLevels: INFLUENCE_LEVELS };
+    }
+
+    // ---- Tags ----
+
+    getTags(guestId) {
+        return db.prepare('SELECT tag FROM guest_tags WHERE guest_id = ? ORDER BY tag').all(guestId).map(row => row.tag);
+    }
+
+    /**
+     * Replace the tags of a guest (trimmed, lowercase, unique)
+     * @throws {Error} when a tag is too long or there are too many
+     */
+    setTags(guestId, tags, createdBy = null) {
+        if (!Array.isArray(tags)) throw new Error('Tags moeten een lijst zijn');
+        const clean = [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+        if (clean.length > MAX_TAGS) throw new Error(`Maximaal ${MAX_TAGS} tags per gast`);
+        const tooLong = clean.find(tag => tag.length > MAX_TAG_LENGTH || tag.includes(','));
+        if (tooLong) throw new Error(`Ongeldige tag: ${tooLong} (max ${MAX_TAG_LENGTH} tekens, geen komma)`);
+
+        db.transaction(() => {
+            db.prepare('DELETE FROM guest_tags WHERE guest_id = ?').run(guestId);
+            const insert = db.prepare('INSERT INTO guest_tags (guest_id, tag, created_by) VALUES (?, ?, ?)');
+            clean.forEach(tag => insert.run(guestId, tag, createdBy));
+        })();
+        return this.getTags(guestId);
+    }
+}
+
+module.exports = new GuestFilters();
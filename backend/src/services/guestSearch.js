@@ -0,0 +1,126 @@
+const db = require('../db/database');
+const guestSearchIndex = require('../db/guestSearchIndex');
+const propertyService = require('./propertyService');
+
+/**
+ * Guest Search
+ * Ranked full-text search over the guest_search index (see db/guestSearchIndex.js):
+ * names, work, contact details, notes, social bios and research reports.
+ *
+ * Input is turned into an FTS5 query: every word must match (as a prefix), "quoted words" match as a phrase.
+ */
+
+// Column weights for bm25, in index column order: a hit in the name counts most
+const WEIGHTS = [10, 5, 3, 2, 2, 1];
+const MAX_TERMS = 10;
+const SNIPPET_TOKENS = 16;
+
+// Snippet markers; the results carry segments instead, so no markup reaches the browser
+const MARK_START = '\u0001';
+const MARK_END = '\u0002';
+
+const words = (text) => text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+/**
+ * Split highlighted text into [{ text, match }]
+ */
+function toSegments(text) {
+    if (!text) return [];
+    const segments = [];
+    for (const [index, part] of text.split(new RegExp(`[${MARK_START}${MARK_END}]`)).entries()) {
+        if (part) segments.push({ text: part, match: index % 2 === 1 });
+    }
+    return segments;
+}
+
+class GuestSearch {
+    /**
+     * FTS5 query for free text, or null when there is nothing to search for
+     */
+    toMatchQuery(input) {
+        if (!input || typeof input !== 'string') return null;
+        const terms = [];
+        const rest = input.replace(/"([^"]*)"/g, (_, phrase) => {
+            const phraseWords = words(phrase);
+            if (phraseWords.length > 0) terms.push(`"${phraseWords.join(' ')}"`);
+            return ' ';
+        });
+        for (const word of words(rest)) terms.push(`"${word}"*`);
+        return terms.length > 0 ? terms.slice(0, MAX_TERMS).join(' ') : null;
+    }
+
+    /**
+     * Best matching guests with a highlighted snippet and the fields that matched
+     * @param {Object} options - { propertyId, limit, offset }
+     */
+    search(input, { propertyId = null, limit = 20, offset = 0 } = {}) {
+        const query = this.toMatchQuery(input);
+        if (!query) return { query: null, total: 0, results: [] };
+
+        limit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        offset = Math.max(parseInt(offset) || 0, 0);
+        const scope = propertyService.guestScope(propertyId);
+        const marks = `'${MARK_START}', '${MARK_END}'`;
+        // A one-token snippet per column shows which fields matched
+        const hitColumns = guestSearchIndex.COLUMNS
+            .map((column, index) => `snippet(guest_search, ${index}, ${marks}, '', 1) as hit_${column}`)
+            .join(', ');
+
+        const rows = db.prepare(`
+            SELECT g.id, g.full_name, g.email, g.company, g.country,
+                   r.vip_score, r.job_title, r.company_name as research_company, r.profile_photo_url,
+                   bm25(guest_search, ${WEIGHTS.join(', ')}) as score,
+                   highlight(guest_search, 0, ${marks}) as name_highlight,
+                   snippet(guest_search, -1, ${marks}, '…', ${SNIPPET_TOKENS}) as best_snippet,
+                   ${hitColumns}
+            FROM guest_search s
+            JOIN guests g ON g.id = s.rowid
+            LEFT JOIN research_results r ON r.guest_id = g.id
+            WHERE guest_search MATCH ?${scope.sql}
+            ORDER BY score
+            LIMIT ? OFFSET ?
+        `).all(query, ...scope.params, limit, offset);
+
+        const { total } = db.prepare(`
+            SELECT COUNT(*) as total FROM guest_search s
+            JOIN guests g ON g.id = s.rowid
+            WHERE guest_search MATCH ?${scope.sql}
+        `).get(query, ...scope.params);
+
+        const results = rows.map(row => ({
+            id: row.id,
+            full_name: row.full_name,
+            email: row.email,
+            company: row.research_company || row.company,
+            job_title: row.job_title,
+            country: row.country,
+            vip_score: row.vip_score,
+            profile_photo_url: row.profile_photo_url,
+            relevance: Math.round(-row.score * 100) / 100,
+            name: toSegments(row.name_highlight),
+            snippet: toSegments(row.best_snippet),
+            fields: guestSearchIndex.COLUMNS.filter(column => (row[`hit_${column}`] || '').includes(MARK_START))
+        }));
+
+        return { query, total, results };
+    }
+
+    /**
+     * Ids of the guests matching free text, as SQL for a WHERE clause (guests alias g)
+     */
+    matchCondition(input) {
+        const query = this.toMatchQuery(input);
+        if (!query) return null;
+        return { sql: 'g.id IN (SELECT rowid FROM guest_search WHERE guest_search MATCH ?)', params: [query] };
+    }
+
+    /**
+     * Rebuild the whole index (normally not needed: triggers keep it in sync)
+     */
+    rebuild() {
+        guestSearchIndex.rebuild(db);
+        return db.prepare('SELECT COUNT(*) as count FROM guest_search').get().count;
+    }
+}
+
+module.exports = new GuestSearch();
@@ -0,0 +1,135 @@
+const db = require('../db/database');
+const csvFile = require('./csvFile');
+
+/**
+ * Import Jobs
+ * File imports run in the background in chunks (one transaction per chunk). A job row keeps the
+ * counters, the row errors and the result, so the progress survives a page reload and the errors
+ * can be downloaded. Cancelling sets a flag that is checked between chunks: the chunks done so far
+ * stay (and can be rolled back with the batch), nothing is half applied.
+ */
+
+// Row errors kept per job; error_count keeps counting past it
+const MAX_STORED_ERRORS = 10000;
+
+function parseJson(value, fallback) {
+    try {
+        return JSON.parse(value);
+    } catch {
+        return fallback;
+    }
+}
+
+class ImportJobs {
+    format(row) {
+        if (!row) return null;
+        const { errors: _errors, ...job } = row;
+        return {
+            ...job,
+            cancel_requested: !!row.cancel_requested,
+            result: parseJson(row.result, null)
+        };
+    }
+
+    create({ batchId, propertyId = null, source = 'excel', filename = null, total = 0, startedBy = null }) {
+        const row = db.prepare(`
+            INSERT INTO import_jobs (batch_id, property_id, source, filename, total_rows, started_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+            RETURNING *
+        `).get(batchId, propertyId, source, filename, total, startedBy);
+        return this.format(row);
+    }
+
+    getRow(id) {
+        return db.prepare('SELECT * FROM import_jobs WHERE id = ?').get(id) || null;
+    }
+
+    get(id) {
+        return this.format(this.getRow(id));
+    }
+
+    list({ propertyId = null, limit = 20 } = {}) {
+        return db.prepare(`
+            SELECT * FROM import_jobs
+            ${propertyId ? 'WHERE property_id = ?' : ''}
+            ORDER BY id DESC
+            LIMIT ?
+        `).all(...(propertyId ? [propertyId] : []), Math.min(parseInt(limit) || 20, 200)).map(row => this.format(row));
+    }
+
+    // Row count, known once the file has been read
+    setTotal(id, total) {
+        db.prepare('UPDATE import_jobs SET total_rows = ? WHERE id = ?').run(total, id);
+    }
+
+    /**
+     * Store the counters after a chunk; the errors themselves are written once, when the job finishes
+     * @param {Object} stats - { processed, newGuests, updatedGuests, recognizedGuests, skipped }
+     */
+    progress(id, stats, errorCount) {
+        db.prepare(`
+            UPDATE import_jobs SET processed_rows = ?, new_guests = ?, updated_guests = ?, recognized_guests = ?,
+                skipped_rows = ?, error_count = ?
+            WHERE id = ?
+        `).run(stats.processed, stats.newGuests, stats.updatedGuests, stats.recognizedGuests, stats.skipped, errorCount, id);
+    }
+
+    /**
+     * @param {string} status - completed, cancelled or failed
+     */
+    finish(id, status, { stats, errors, result = null, error = null }) {
+        this.progress(id, stats, errors.length);
+        db.prepare(`
+            UPDATE import_jobs SET status = ?, errors = ?, result = ?, error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(status, JSON.stringify(errors.slice(0, MAX_STORED_ERRORS)), result ? JSON.stringify(result) : null, error, id);
+        return this.get(id);
+    }
+
+    /**
+     * Ask a running job to stop after the current chunk
+     * @returns {boolean} false when the job is not running
+     */
+    requestCancel(id) {
+        return db.prepare(`
+            UPDATE import_jobs SET cancel_requested = 1 WHERE id = ? AND status = 'running'
+        `).run(id).changes > 0;
+    }
+
+    isCancelRequested(id) {
+        return !!db.prepare('SELECT cancel_requested FROM import_jobs WHERE id = ?').get(id)?.cancel_requested;
+    }
+
+    getErrors(id) {
+        return parseJson(this.getRow(id)?.errors, []);
+    }
+
+    /**
+     * Row errors as CSV (row number in the file, guest name, error)
+     */
+    errorReport(id) {
+        const rows = this.getErrors(id).map(error => ({
+            Rij: error.row,
+            Naam: error.name || '',
+            Fout: error.error
+        }));
+        return csvFile.build(rows, ['Rij', 'Naam', 'Fout']);
+    }
+
+    /**
+     * Jobs interrupted by a restart never finish; mark them (and their batches) failed.
+     * The chunks they committed stay and can be rolled back with the batch.
+     */
+    failInterruptedJobs() {
+        const interrupted = db.prepare("SELECT id, batch_id FROM import_jobs WHERE status = 'running'").all();
+        for (const job of interrupted) {
+            db.prepare(`
+                UPDATE import_jobs SET status = 'failed', error = 'Onderbroken door herstart', finished_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(job.id);
+            db.prepare("UPDATE import_batches SET status = 'failed' WHERE id = ?").run(job.batch_id);
+        }
+        return interrupted.length;
+    }
+}
+
+module.exports = new ImportJobs();
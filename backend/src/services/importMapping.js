@@ -0,0 +1,385 @@
+const crypto = require('crypto');
+const db = require('../db/database');
+
+/**
+ * Import Mapping
+ * Column mappings for reservation exports of any PMS: which source column feeds which guest or
+ * reservation field, how dates are written and which transforms clean a value. Mappings can be
+ * saved as named profiles; a profile is recognised on a later upload by the column headers
+ * (a fingerprint of the exact header set, or most of its mapped columns being present).
+ *
+ * Applying a mapping gives the same shape as the built-in Mews mapping of the import routes.
+ */
+
+const MAX_NAME_LENGTH = 100;
+// Share of the mapped columns of a profile that must be present for a partial match
+const PARTIAL_MATCH = 0.8;
+const MIN_CONTAINS_LENGTH = 5;
+
+// key -> { label, type, synonyms }; synonyms are lowercase headers of known exports
+// (Mews NL/EN, Opera, Apaleo, Cloudbeds and common CSV names)
+const FIELDS = {
+    fullName: { label: 'Volledige naam', type: 'text', synonyms: ['naam', 'gastnaam', 'gast naam', 'guest name', 'name', 'full name', 'customer name', 'booker name', 'main guest'] },
+    firstName: { label: 'Voornaam', type: 'text', synonyms: ['voornaam', 'first name', 'firstname', 'given name', 'guest first name'] },
+    lastName: { label: 'Achternaam', type: 'text', synonyms: ['achternaam', 'last name', 'lastname', 'surname', 'family name', 'guest last name'] },
+    email: { label: 'E-mail', type: 'text', synonyms: ['e-mail', 'email', 'email address', 'e-mailadres', 'guest email', 'customer email', 'e mail'] },
+    phone: { label: 'Telefoon', type: 'text', synonyms: ['telefoon', 'telefoonnummer', 'phone', 'phone number', 'telephone', 'mobile', 'mobiel', 'guest phone'] },
+    country: { label: 'Land', type: 'text', synonyms: ['nationaliteit', 'land', 'country', 'nationality', 'country code', 'guest country'] },
+    company: { label: 'Bedrijf', type: 'text', synonyms: ['bedrijf', 'company', 'company name', 'organisation', 'organization'] },
+    address: { label: 'Adres', type: 'text', synonyms: ['adres', 'address', 'street', 'straat', 'address line 1'] },
+    marketingConsent: { label: 'Marketing toestemming', type: 'boolean', synonyms: ['verstuur marketing', 'marketing', 'send marketing', 'marketing consent', 'newsletter', 'opt in'] },
+    reservationId: { label: 'Reserveringsnummer', type: 'text', synonyms: ['nummer', 'number', 'reservation number', 'reservation id', 'confirmation number', 'conf no', 'booking id', 'booking number', 'id'] },
+    roomNumber: { label: 'Kamernummer', type: 'text', synonyms: ['ruimtenummer', 'kamernummer', 'kamer', 'room number', 'room', 'room no', 'unit'] },
+    roomCategory: { label: 'Kamertype', type: 'text', synonyms: ['ruimtecategorie', 'aangevraagde categorie', 'room category', 'room type', 'category', 'unit group', 'accommodation type'] },
+    checkIn: { label: 'Aankomst', type: 'date', synonyms: ['aankomst', 'aankomstdatum', 'arrival', 'arrival date', 'check in', 'check-in', 'check in date', 'checkin'] },
+    checkOut: { label: 'Vertrek', type: 'date', synonyms: ['vertrek', 'vertrekdatum', 'departure', 'departure date', 'check out', 'check-out', 'check out date', 'checkout'] },
+    numberOfGuests: { label: 'Aantal personen', type: 'integer', synonyms: ['aantal personen', 'aantal gasten', 'persons', 'guests', 'number of guests', 'adults', 'pax'] },
+    totalAmount: { label: 'Totaal bedrag', type: 'number', synonyms: ['totaal bedrag', 'totaal', 'total', 'total amount', 'grand total', 'revenue', 'amount'] },
+    products: { label: 'Producten', type: 'text', synonyms: ['producten', 'products', 'rate', 'rate code', 'package'] },
+    status: { label: 'Status', type: 'text', synonyms: ['status', 'booking status', 'reservation status'] },
+    notes: { label: 'Opmerkingen', type: 'text', synonyms: ['opmerkingen', 'notes', 'remarks', 'reservation notes', 'comments'] },
+    guestNotes: { label: 'Opmerkingen van gast', type: 'text', synonyms: ['opmerkingen van gast', 'guest notes', 'guest remarks', 'special requests', 'wensen'] }
+};
+
+const DATE_FORMATS = {
+    auto: 'Automatisch',
+    'DD-MM-YYYY': 'DD-MM-JJJJ',
+    'MM-DD-YYYY': 'MM-DD-JJJJ',
+    'YYYY-MM-DD': 'JJJJ-MM-DD'
+};
+
+// key -> { label, apply(text, options) }; options hold find/replaceWith for replace
+const TRANSFORMS = {
+    none: { label: 'Geen', apply: value => value },
+    lowercase: { label: 'kleine letters', apply: value => value.toLowerCase() },
+    uppercase: { label: 'HOOFDLETTERS', apply: value => value.toUpperCase() },
+    titlecase: { label: 'Hoofdletter Per Woord', apply: value => value.toLowerCase().replace(/(^|[\s\-'])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase()) },
+    first_word: { label: 'Eerste woord', apply: value => value.split(/\s+/)[0] },
+    last_words: { label: 'Alles na het eerste woord', apply: value => value.split(/\s+/).slice(1).join(' ') },
+    before_comma: { label: 'Tekst voor de komma', apply: value => value.split(',')[0].trim() },
+    after_comma: { label: 'Tekst na de komma', apply: value => value.split(',').slice(1).join(',').trim() },
+    swap_comma: { label: '"Achternaam, Voornaam" omdraaien', apply: value => value.includes(',') ? `${value.split(',').slice(1).join(',').trim()} ${value.split(',')[0].trim()}`.trim() : value },
+    digits: { label: 'Alleen cijfers (en +)', apply: value => value.replace(/(?!^\+)[^\d]/g, '') },
+    replace: { label: 'Vervangen', apply: (value, { find = '', replaceWith = '' }) => find ? value.split(find).join(replaceWith) : value }
+};
+
+const TRUE_VALUES = ['ja', 'yes', 'y', 'j', 'true', '1', 'x', 'waar', 'oui'];
+
+const normalizeHeader = (header) => String(header || '').trim().toLowerCase().replace(/[_\s]+/g, ' ');
+
+const pad = (number) => String(number).padStart(2, '0');
+
+function parseJson(value, fallback) {
+    try {
+        return JSON.parse(value);
+    } catch {
+        return fallback;
+    }
+}
+
+class ImportMapping {
+    getFields() {
+        return Object.entries(FIELDS).map(([key, field]) => ({ key, label: field.label, type: field.type }));
+    }
+
+    getDateFormats() {
+        return DATE_FORMATS;
+    }
+
+    getTransforms() {
+        return Object.fromEntries(Object.entries(TRANSFORMS).map(([key, transform]) => [key, transform.label]));
+    }
+
+    /**
+     * Fingerprint of a header set; the order of the columns does not matter
+     */
+    fingerprint(headers) {
+        const names = [...new Set(headers.map(normalizeHeader).filter(Boolean))].sort();
+        return crypto.createHash('sha1').update(names.join('|')).digest('hex');
+    }
+
+    /**
+     * Mapping suggested from the headers: an exact synonym first, then a header containing one
+     */
+    suggest(headers) {
+        const normalized = headers.map(normalizeHeader);
+        const used = new Set();
+        const fields = {};
+        const find = (synonyms, match) => {
+            for (const synonym of synonyms) {
+                const idx = normalized.findIndex((header, i) => !used.has(i) && header && match(header, synonym));
+                if (idx !== -1) return idx;
+            }
+            return -1;
+        };
+
+        // Exact matches for every field before the looser "contains" pass, so "Opmerkingen van gast"
+        // stays free for guestNotes; short synonyms ("id", "room") only match exactly
+        for (const match of [
+            (header, synonym) => header === synonym,
+            (header, synonym) => synonym.length >= MIN_CONTAINS_LENGTH && header.includes(synonym)
+        ]) {
+            for (const [key, field] of Object.entries(FIELDS)) {
+                if (fields[key]) continue;
+                const idx = find(field.synonyms, match);
+                if (idx !== -1) {
+                    used.add(idx);
+                    fields[key] = { column: headers[idx], transform: 'none' };
+                }
+            }
+        }
+        return { fields, dateFormat: 'auto' };
+    }
+
+    /**
+     * Check a mapping from the client
+     * @throws {Error} on an unknown field, transform or date format, or without a name column
+     */
+    normalize(mapping) {
+        if (typeof mapping === 'string') mapping = parseJson(mapping, null);
+        if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) throw new Error('Ongeldige kolomindeling');
+
+        const dateFormat = mapping.dateFormat || 'auto';
+        if (!DATE_FORMATS[dateFormat]) throw new Error(`Onbekend datumformaat: ${dateFormat}`);
+
+        const fields = {};
+        for (const [key, value] of Object.entries(mapping.fields || {})) {
+            if (!FIELDS[key]) throw new Error(`Onbekend veld: ${key}`);
+            const column = typeof value === 'string' ? value : value?.column;
+            if (!column) continue;
+            const transform = value?.transform || 'none';
+            if (!TRANSFORMS[transform]) throw new Error(`Onbekende bewerking: ${transform}`);
+            fields[key] = { column: String(column), transform };
+            if (transform === 'replace') {
+                fields[key].find = String(value.find || '');
+                fields[key].replaceWith = String(value.replaceWith || '');
+            }
+        }
+
+        if (!fields.fullName && !fields.firstName && !fields.lastName) {
+            throw new Error('Koppel minstens een naamkolom (volledige naam, voornaam of achternaam)');
+        }
+        return { fields, dateFormat };
+    }
+
+    /**
+     * Date as YYYY-MM-DD from an Excel serial or text in the given format; null when unreadable
+     */
+    parseDate(value, dateFormat = 'auto') {
+        if (value === null || value === undefined || value === '') return null;
+        if (value instanceof Date) return isNaN(value) ? null : value.toISOString().split('T')[0];
+        if (typeof value === 'number') {
+            // Excel serial date (days since 1899-12-30)
+            const date = new Date(Math.round((value - 25569) * 86400) * 1000);
+            return isNaN(date) ? null : date.toISOString().split('T')[0];
+        }
+
+        const text = String(value).trim().split(/[\sT]/)[0];
+        const parts = text.split(/[-/.]/).map(part => parseInt(part, 10));
+        if (parts.length !== 3 || parts.some(isNaN)) return null;
+
+        let [year, month, day] = [null, null, null];
+        const format = dateFormat === 'auto'
+            ? (String(text).match(/^\d{4}/) ? 'YYYY-MM-DD' : 'DD-MM-YYYY')
+            : dateFormat;
+        if (format === 'YYYY-MM-DD') [year, month, day] = parts;
+        else if (format === 'MM-DD-YYYY') [month, day, year] = parts;
+        else [day, month, year] = parts;
+
+        if (year < 100) year += 2000;
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+        return `${year}-${pad(month)}-${pad(day)}`;
+    }
+
+    /**
+     * Number from "1234.50", "1.234,50" or "€ 1,234.50"; the last separator is the decimal one
+     */
+    parseNumber(value) {
+        if (typeof value === 'number') return value;
+        let text = String(value ?? '').replace(/[^\d,.-]/g, '');
+        const decimal = Math.max(text.lastIndexOf(','), text.lastIndexOf('.'));
+        if (decimal !== -1 && text.length - decimal - 1 !== 3) {
+            text = `${text.slice(0, decimal).replace(/[,.]/g, '')}.${text.slice(decimal + 1)}`;
+        } else {
+            // "1,234" or "1.234" is a thousands separator
+            text = text.replace(/[,.]/g, '');
+        }
+        const number = parseFloat(text);
+        return isNaN(number) ? null : number;
+    }
+
+    /**
+     * One source row (array of cells) as guest and reservation data
+     * @param {Object} mapping - normalized mapping
+     */
+    applyMapping(row, headers, mapping) {
+        const value = (key) => {
+            const field = mapping.fields[key];
+            if (!field) return null;
+            const idx = headers.indexOf(field.column);
+            const cell = idx !== -1 ? row[idx] : undefined;
+            if (cell === undefined || cell === null || cell === '') return null;
+            // Dates and numbers from Excel keep their cell type; transforms work on text
+            if (typeof cell !== 'string' && field.transform === 'none') return cell;
+            const text = TRANSFORMS[field.transform].apply(String(cell).trim(), field).trim();
+            return text === '' ? null : text;
+        };
+        const typed = (key) => {
+            const raw = value(key);
+            if (raw === null) return FIELDS[key].type === 'boolean' ? false : null;
+            switch (FIELDS[key].type) {
+                case 'date': return this.parseDate(raw, mapping.dateFormat);
+                case 'number': return this.parseNumber(raw);
+                case 'integer': return parseInt(this.parseNumber(raw)) || null;
+                case 'boolean': return TRUE_VALUES.includes(String(raw).trim().toLowerCase());
+                default: return String(raw);
+            }
+        };
+
+        const mappedFullName = typed('fullName');
+        let firstName = typed('firstName') || '';
+        let lastName = typed('lastName') || '';
+        if (mappedFullName && !firstName && !lastName) {
+            firstName = TRANSFORMS.first_word.apply(mappedFullName);
+            lastName = TRANSFORMS.last_words.apply(mappedFullName);
+        }
+
+        return {
+            // Guest data
+            fullName: mappedFullName || `${firstName} ${lastName}`.trim(),
+            firstName,
+            lastName,
+            email: typed('email'),
+            phone: typed('phone'),
+            country: typed('country'),
+            company: typed('company'),
+            address: typed('address'),
+            marketingConsent: typed('marketingConsent'),
+
+            // Reservation data
+            reservationId: typed('reservationId'),
+            roomNumber: typed('roomNumber'),
+            roomCategory: typed('roomCategory'),
+            checkIn: typed('checkIn'),
+            checkOut: typed('checkOut'),
+            numberOfGuests: typed('numberOfGuests'),
+            totalAmount: typed('totalAmount'),
+            products: typed('products'),
+            status: typed('status'),
+            notes: typed('notes'),
+            guestNotes: typed('guestNotes')
+        };
+    }
+
+    // Profiles
+
+    format(row) {
+        if (!row) return null;
+        return {
+            ...row,
+            headers: parseJson(row.headers, []),
+            mapping: parseJson(row.mapping, { fields: {}, dateFormat: 'auto' })
+        };
+    }
+
+    get(id) {
+        return this.format(db.prepare('SELECT * FROM import_profiles WHERE id = ?').get(id));
+    }
+
+    canView(profile, propertyId = null) {
+        return !!profile && !(propertyId && profile.property_id && profile.property_id !== propertyId);
+    }
+
+    /**
+     * Profiles for the selected property plus the ones for all properties
+     */
+    list(propertyId = null) {
+        return db.prepare(`
+            SELECT * FROM import_profiles
+            ${propertyId ? 'WHERE property_id IS NULL OR property_id = ?' : ''}
+            ORDER BY last_used_at IS NULL, last_used_at DESC, name COLLATE NOCASE
+        `).all(...(propertyId ? [propertyId] : [])).map(row => this.format(row));
+    }
+
+    validateName(name) {
+        if (!name || !String(name).trim()) throw new Error('Naam is verplicht');
+        if (String(name).trim().length > MAX_NAME_LENGTH) throw new Error(`Naam mag maximaal ${MAX_NAME_LENGTH} tekens zijn`);
+        return String(name).trim();
+    }
+
+    /**
+     * @throws {Error} on an invalid name, mapping or headers
+     */
+    create({ name, headers, mapping, propertyId = null, createdBy }) {
+        const cleanName = this.validateName(name);
+        if (!Array.isArray(headers) || headers.length === 0) throw new Error('Kolomkoppen ontbreken');
+        const normalized = this.normalize(mapping);
+        const row = db.prepare(`
+            INSERT INTO import_profiles (name, property_id, fingerprint, headers, mapping, created_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+            RETURNING *
+        `).get(cleanName, propertyId, this.fingerprint(headers), JSON.stringify(headers.map(String)), JSON.stringify(normalized), createdBy);
+        return this.format(row);
+    }
+
+    update(id, { name, headers, mapping }) {
+        const current = this.get(id);
+        if (!current) return null;
+        const cleanName = name !== undefined ? this.validateName(name) : current.name;
+        const normalized = mapping !== undefined ? this.normalize(mapping) : current.mapping;
+        const newHeaders = Array.isArray(headers) && headers.length > 0 ? headers.map(String) : current.headers;
+
+        db.prepare(`
+            UPDATE import_profiles SET name = ?, fingerprint = ?, headers = ?, mapping = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(cleanName, this.fingerprint(newHeaders), JSON.stringify(newHeaders), JSON.stringify(normalized), id);
+        return this.get(id);
+    }
+
+    remove(id) {
+        return db.prepare('DELETE FROM import_profiles WHERE id = ?').run(id).changes > 0;
+    }
+
+    markUsed(id) {
+        db.prepare('UPDATE import_profiles SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+    }
+
+    /**
+     * Saved profile for these headers: the same header set ('exact'), else the profile with the
+     * largest share (at least PARTIAL_MATCH) of its mapped columns present ('partial')
+     * @returns {{ profile: Object, match: string } | null}
+     */
+    detect(headers, propertyId = null) {
+        const profiles = this.list(propertyId);
+        const fingerprint = this.fingerprint(headers);
+        const exact = profiles.find(profile => profile.fingerprint === fingerprint);
+        if (exact) return { profile: exact, match: 'exact' };
+
+        const present = new Set(headers.map(normalizeHeader));
+        let best = null;
+        for (const profile of profiles) {
+            const columns = Object.values(profile.mapping.fields || {}).map(field => normalizeHeader(field.column));
+            if (columns.length === 0) continue;
+            const share = columns.filter(column => present.has(column)).length / columns.length;
+            if (share >= PARTIAL_MATCH && (!best || share > best.share)) best = { profile, share };
+        }
+        return best ? { profile: best.profile, match: 'partial' } : null;
+    }
+
+    /**
+     * Mapping of a profile against the actual headers: columns are matched case-insensitively,
+     * so a partial match keeps the fields whose column is still there
+     */
+    resolve(profile, headers) {
+        const byName = new Map(headers.map(header => [normalizeHeader(header), header]));
+        const fields = {};
+        for (const [key, field] of Object.entries(profile.mapping.fields || {})) {
+            const column = byName.get(normalizeHeader(field.column));
+            if (column) fields[key] = { ...field, column };
+        }
+        return { fields, dateFormat: profile.mapping.dateFormat || 'auto' };
+    }
+}
+
+module.exports = new ImportMapping();
@@ -0,0 +1,199 @@
+const db = require('../db/database');
+const propertyService = require('./propertyService');
+
+/**
+ * Import Review
+ * Dry run of a file import: per row the guest it matches (on e-mail, else on full name, the same
+ * order as the import), why, and which guest fields the import would fill or overwrite. Rows of the
+ * same guest further down the file are matched to the row that creates or updates that guest first.
+ *
+ * The reviewer decides per field, for one row or for a whole column, to keep the existing value or
+ * take the new one. The import then applies exactly that plan: a row whose match has changed since
+ * the review is skipped instead of being applied to another guest.
+ */
+
+// Guest fields the import fills with COALESCE (and records in guest_history)
+const FIELDS = ['email', 'phone', 'country', 'company', 'address'];
+const CHOICES = ['keep', 'take'];
+
+const REASONS = {
+    email: 'e-mail',
+    name: 'naam'
+};
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+function parseJson(value) {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch {
+        throw new Error('Ongeldige importbeslissingen');
+    }
+}
+
+class ImportReview {
+    getFields() {
+        return FIELDS;
+    }
+
+    /**
+     * Per-row match and field diff for mapped rows (rows without a name are skipped)
+     * @param {Object[]} rows - mapped rows as returned by the row mapper
+     * @returns {{ rows: Object[], summary: Object }}
+     */
+    dryRun(rows, propertyId) {
+        const findGuestByEmail = db.prepare('SELECT * FROM guests WHERE email = ?');
+        const findGuestByName = db.prepare('SELECT * FROM guests WHERE full_name = ?');
+
+        // Guests as they would be after the rows above: key -> { guestId, row, values }
+        const state = new Map();
+        const byEmail = new Map();
+        const byName = new Map();
+
+        const result = [];
+        const summary = { create: 0, update: 0, skip: 0, recognized: 0, overwrites: Object.fromEntries(FIELDS.map(field => [field, 0])) };
+
+        rows.forEach((mapped, index) => {
+            if (!mapped.fullName || mapped.fullName.trim() === '') {
+                summary.skip++;
+                return;
+            }
+
+            // Same lookup order as the import: e-mail, then full name; earlier rows of this file first
+            let key = null;
+            let reason = null;
+            if (mapped.email) {
+                key = byEmail.get(mapped.email) || null;
+                if (!key) {
+                    const guest = findGuestByEmail.get(mapped.email);
+                    if (guest) key = this.remember(state, guest);
+                }
+                if (key) reason = 'email';
+            }
+            if (!key) {
+                key = byName.get(mapped.fullName) || null;
+                if (!key) {
+                    const guest = findGuestByName.get(mapped.fullName);
+                    if (guest) key = this.remember(state, guest);
+                }
+                if (key) reason = 'name';
+            }
+
+            const row = {
+                index,
+                fullName: mapped.fullName,
+                email: mapped.email,
+                country: mapped.country,
+                roomCategory: mapped.roomCategory,
+                totalAmount: mapped.totalAmount,
+                isNew: !key,
+                recognized: false,
+                match: null,
+                diff: []
+            };
+
+            if (key) {
+                const current = state.get(key);
+                row.match = {
+                    guestId: current.guestId,
+                    newFromRow: current.row,
+                    fullName: current.values.full_name,
+                    reason,
+                    reasonLabel: current.row !== null ? 'eerder in dit bestand' : REASONS[reason]
+                };
+                row.recognized = current.guestId !== null && !propertyService.canAccessGuest(current.guestId, propertyId);
+                if (row.recognized) summary.recognized++;
+
+                for (const field of FIELDS) {
+                    const incoming = mapped[field];
+                    const existing = current.values[field];
+                    if (isEmpty(incoming) || incoming === existing) continue;
+                    const status = isEmpty(existing) ? 'fill' : 'overwrite';
+                    row.diff.push({ field, current: existing ?? null, incoming, status });
+                    if (status === 'overwrite') summary.overwrites[field]++;
+                    current.values[field] = incoming;
+                }
+                if (mapped.email) byEmail.set(mapped.email, key);
+                summary.update++;
+            } else {
+                key = `row:${index}`;
+                state.set(key, {
+                    guestId: null,
+                    row: index,
+                    values: { full_name: mapped.fullName, ...Object.fromEntries(FIELDS.map(field => [field, mapped[field] ?? null])) }
+                });
+                if (mapped.email) byEmail.set(mapped.email, key);
+                byName.set(mapped.fullName, key);
+                summary.create++;
+            }
+
+            result.push(row);
+        });
+
+        return { rows: result, summary };
+    }
+
+    remember(state, guest) {
+        const key = `guest:${guest.id}`;
+        if (!state.has(key)) {
+            state.set(key, { guestId: guest.id, row: null, values: { ...guest } });
+        }
+        return key;
+    }
+
+    /**
+     * Check the reviewed plan sent with an import:
+     * { columns: { field: 'keep'|'take' }, rows: { index: { guestId, newFromRow, fields: { field: 'keep'|'take' } } } }
+     * @throws {Error} on an unknown field or choice
+     */
+    normalizeDecisions(value) {
+        const decisions = parseJson(value);
+        if (!decisions || typeof decisions !== 'object' || Array.isArray(decisions)) throw new Error('Ongeldige importbeslissingen');
+
+        const checkChoices = (choices = {}) => {
+            for (const [field, choice] of Object.entries(choices)) {
+                if (!FIELDS.includes(field)) throw new Error(`Onbekend veld: ${field}`);
+                if (!CHOICES.includes(choice)) throw new Error(`Ongeldige keuze voor ${field}: ${choice} (kies keep of take)`);
+            }
+            return choices;
+        };
+
+        const rows = {};
+        for (const [index, row] of Object.entries(decisions.rows || {})) {
+            rows[parseInt(index)] = {
+                guestId: row?.guestId ? parseInt(row.guestId) : null,
+                newFromRow: Number.isInteger(row?.newFromRow) ? row.newFromRow : null,
+                fields: checkChoices(row?.fields)
+            };
+        }
+        return { columns: checkChoices(decisions.columns), rows };
+    }
+
+    /**
+     * Approved plan entry of a row, or null when the row was not reviewed
+     */
+    getRow(decisions, index) {
+        return decisions.rows[index] || null;
+    }
+
+    /**
+     * Whether the guest found now is the one approved in the review
+     * @param {Map} createdByRow - row index -> guest id of the guests created by this import
+     */
+    matchesApproval(approved, existingGuest, createdByRow) {
+        if (approved.newFromRow !== null) return !!existingGuest && createdByRow.get(approved.newFromRow) === existingGuest.id;
+        if (approved.guestId) return !!existingGuest && existingGuest.id === approved.guestId;
+        return !existingGuest;
+    }
+
+    /**
+     * Fields of a row whose existing value is kept: the row choice wins over the column choice
+     */
+    keptFields(decisions, index) {
+        const row = decisions.rows[index]?.fields || {};
+        return new Set(FIELDS.filter(field => (row[field] || decisions.columns[field] || 'take') === 'keep'));
+    }
+}
+
+module.exports = new ImportReview();
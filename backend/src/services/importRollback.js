@@ -0,0 +1,173 @@
+const db = require('../db/database');
+
+/**
+ * Import Rollback
+ * Undo a file import: its reservations are removed, guests it created (without other reservations)
+ * are deleted and the guest fields it filled or overwrote get their previous value back from
+ * guest_history. A field that has been changed again since the import keeps its current value and
+ * is reported as a conflict; the next import that changed it then remembers the pre-rollback value as
+ * its old value, so rolling that one back later does not bring back what this batch set.
+ *
+ * Visits: last_stay and total_stays are restored from guest_history when the import recorded them;
+ * for older batches total_stays drops by the arrival dates that only this batch had, and last_stay
+ * falls back to the latest remaining arrival.
+ */
+
+const FIELDS = ['email', 'phone', 'country', 'company', 'address', 'last_stay'];
+
+const same = (a, b) => String(a ?? '') === String(b ?? '');
+
+class ImportRollback {
+    /**
+     * What a rollback of the batch would change, without changing anything
+     * @returns {Object|null} null when the batch does not exist
+     */
+    plan(batchId) {
+        const batch = db.prepare('SELECT * FROM import_batches WHERE id = ?').get(batchId);
+        if (!batch) return null;
+
+        const reservations = db.prepare(`
+            SELECT id, guest_id, check_in_date FROM reservations WHERE import_batch_id = ?
+        `).all(batchId);
+
+        const guestIds = db.prepare(`
+            SELECT id FROM guests WHERE import_batch_id = ?
+            UNION
+            SELECT DISTINCT guest_id FROM reservations WHERE import_batch_id = ? AND guest_id IS NOT NULL
+        `).all(batchId, batchId).map(row => row.id);
+
+        const getGuest = db.prepare('SELECT * FROM guests WHERE id = ?');
+        const remainingDates = db.prepare(`
+            SELECT check_in_date FROM reservations
+            WHERE guest_id = ? AND (import_batch_id IS NULL OR import_batch_id != ?)
+        `);
+        const historyFor = db.prepare(`
+            SELECT field_name, old_value, new_value FROM guest_history
+            WHERE guest_id = ? AND import_batch_id = ?
+            ORDER BY id
+        `);
+
+        const deletedGuests = [];
+        const restoredGuests = [];
+        let conflicts = 0;
+
+        for (const guestId of guestIds) {
+            const guest = getGuest.get(guestId);
+            if (!guest) continue;
+            const remaining = remainingDates.all(guestId, batchId).map(row => row.check_in_date);
+
+            if (guest.import_batch_id === batchId && remaining.length === 0) {
+                deletedGuests.push({ id: guest.id, full_name: guest.full_name });
+                continue;
+            }
+
+            // First old value and last new value per field, for guests seen more than once in the batch
+            const history = {};
+            for (const row of historyFor.all(guestId, batchId)) {
+                if (!history[row.field_name]) history[row.field_name] = { old: row.old_value, new: row.new_value };
+                else history[row.field_name].new = row.new_value;
+            }
+
+            const changes = [];
+            for (const field of FIELDS) {
+                const recorded = history[field];
+                if (!recorded) continue;
+                const status = same(guest[field], recorded.new) ? 'restore' : 'conflict';
+                changes.push({ field, current: guest[field], imported: recorded.new, restoreTo: recorded.old, status });
+                if (status === 'conflict') conflicts++;
+            }
+
+            // Older batches did not record the visit fields
+            const batchDates = [...new Set(reservations.filter(r => r.guest_id === guestId).map(r => r.check_in_date))];
+            const onlyInBatch = batchDates.filter(date => !remaining.includes(date));
+            if (!history.last_stay && onlyInBatch.includes(guest.last_stay)) {
+                const latest = remaining.filter(Boolean).sort().pop();
+                if (latest) changes.push({ field: 'last_stay', current: guest.last_stay, restoreTo: latest, status: 'restore' });
+            }
+
+            const staysDelta = history.total_stays
+                ? (parseInt(history.total_stays.new) || 0) - (parseInt(history.total_stays.old) || 0)
+                : onlyInBatch.length;
+            const stays = staysDelta > 0
+                ? { current: guest.total_stays, restoreTo: Math.max((guest.total_stays || 0) - staysDelta, 0) }
+                : null;
+
+            if (changes.length > 0 || stays) {
+                restoredGuests.push({ id: guest.id, full_name: guest.full_name, changes, stays });
+            }
+        }
+
+        return {
+            batch,
+            reservations: reservations.length,
+            guestIds,
+            deletedGuests,
+            restoredGuests,
+            conflicts
+        };
+    }
+
+    /**
+     * Roll the batch back and remove it
+     * @returns {Object|null} the plan that was applied, null when the batch does not exist
+     */
+    rollback(batchId) {
+        return db.transaction(() => {
+            const plan = this.plan(batchId);
+            if (!plan) return null;
+            const propertyId = plan.batch.property_id;
+
+            db.prepare('DELETE FROM reservations WHERE import_batch_id = ?').run(batchId);
+
+            // Guests known at other properties no longer belong to this one without its reservations
+            if (propertyId) {
+                const unlink = db.prepare(`
+                    DELETE FROM guest_properties
+                    WHERE guest_id = ? AND property_id = ?
+                    AND NOT EXISTS (SELECT 1 FROM reservations WHERE guest_id = ? AND property_id = ?)
+                    AND EXISTS (SELECT 1 FROM guest_properties WHERE guest_id = ? AND property_id != ?)
+                `);
+                for (const guestId of plan.guestIds) {
+                    unlink.run(guestId, propertyId, guestId, propertyId, guestId, propertyId);
+                }
+            }
+
+            const deleteGuest = db.prepare('DELETE FROM guests WHERE id = ?');
+            for (const guest of plan.deletedGuests) deleteGuest.run(guest.id);
+
+            const rebaseLaterImport = db.prepare(`
+                UPDATE guest_history SET old_value = ?
+                WHERE id = (
+                    SELECT id FROM guest_history
+                    WHERE guest_id = ? AND field_name = ? AND import_batch_id != ?
+                    AND id > (SELECT MAX(id) FROM guest_history WHERE guest_id = ? AND field_name = ? AND import_batch_id = ?)
+                    ORDER BY id LIMIT 1
+                ) AND old_value IS ?
+            `);
+
+            for (const guest of plan.restoredGuests) {
+                for (const change of guest.changes) {
+                    if (change.status === 'restore') {
+                        // Field names come from FIELDS, never from the request
+                        db.prepare(`UPDATE guests SET ${change.field} = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+                            .run(change.restoreTo, guest.id);
+                    } else if (change.imported !== undefined) {
+                        rebaseLaterImport.run(change.restoreTo, guest.id, change.field, batchId, guest.id, change.field, batchId, change.imported);
+                    }
+                }
+                if (guest.stays) {
+                    db.prepare('UPDATE guests SET total_stays = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+                        .run(guest.stays.restoreTo, guest.id);
+                }
+            }
+
+            db.prepare('DELETE FROM guest_history WHERE import_batch_id = ?').run(batchId);
+            db.prepare('DELETE FROM import_batches WHERE id = ?').run(batchId);
+
+            console.log(`↩️ Import ${batchId} teruggedraaid: ${plan.reservations} reserveringen, ${plan.deletedGuests.length} gasten verwijderd, ${plan.restoredGuests.length} hersteld`);
+            return plan;
+        })();
+    }
+}
+
+module.exports = new ImportRollback();
@@ -0,0 +1,557 @@
+const db = require('../db/database');
+const propertyService = require('./propertyService');
+const webhookService = require('./webhookService');
+const eventBus = require('./eventBus');
+
+/**
+ * Mews Connector
+ * Pulls reservations and customers from the Mews Connector API per property on a schedule
+ * and upserts them into guests and reservations, replacing the manual "Reserveringsrapport" export.
+ *
+ * Each pull asks for reservations updated since the previous high-water mark (synced_until),
+ * so new bookings, changes and cancellations arrive incrementally. Reservations are keyed by
+ * mews_reservation_id (the reservation number, as in the Excel export) within the property;
+ * guests by their Mews customer id, then email, then exact name. Customers of guests erased on a
+ * GDPR request are not matched again (see gdpr_erased_customers).
+ *
+ * Point MEWS_API_URL at the fixture stub (backend/mews-stub-server.js) to try it without Mews.
+ */
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+const PAGE_SIZE = 1000;
+const MAX_WINDOW_DAYS = 90; // Mews limits UpdatedUtc intervals to three months
+const INITIAL_SYNC_DAYS = parseInt(process.env.MEWS_INITIAL_SYNC_DAYS) || 30;
+const MIN_INTERVAL_MINUTES = 5;
+const MAX_INTERVAL_MINUTES = 24 * 60;
+
+// Guest fields tracked in guest_history when Mews changes them
+const TRACK_FIELDS = ['email', 'phone', 'country', 'company', 'address'];
+
+function toDate(utc) {
+    return utc ? utc.split('T')[0] : null;
+}
+
+class MewsConnector {
+    constructor() {
+        this.timer = null;
+        this.running = new Set(); // property ids with a sync in progress
+        this.apiUrl = (process.env.MEWS_API_URL || 'https://api.mews.com').replace(/\/$/, '');
+        this.clientToken = process.env.MEWS_CLIENT_TOKEN || null;
+        this.client = process.env.MEWS_CLIENT || 'Know Your VIP 1.0';
+    }
+
+    isConfigured() {
+        return Boolean(this.clientToken);
+    }
+
+    start() {
+        if (this.timer || process.env.MEWS_SYNC_ENABLED === 'false') return;
+        this.timer = setInterval(() => this.tick().catch(err =>
+            console.error('⚠️ Mews sync error:', err.message)
+        ), CHECK_INTERVAL_MS);
+        this.timer.unref();
+        console.log('🏨 Mews connector gestart');
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Connection settings of a property without the access token
+     */
+    getConnection(propertyId) {
+        const row = db.prepare('SELECT * FROM mews_connections WHERE property_id = ?').get(propertyId);
+        return {
+            property_id: propertyId,
+            enabled: !!row?.enabled,
+            interval_minutes: row?.interval_minutes || 15,
+            has_access_token: !!row?.access_token,
+            synced_until: row?.synced_until || null,
+            last_sync_at: row?.last_sync_at || null,
+            last_error: row?.last_error || null,
+            client_configured: this.isConfigured()
+        };
+    }
+
+    updateConnection(propertyId, { enabled, accessToken, intervalMinutes }) {
+        if (!propertyService.get(propertyId)) throw new Error('Hotel niet gevonden');
+
+        const interval = intervalMinutes === undefined ? undefined : parseInt(intervalMinutes);
+        if (interval !== undefined && (!Number.isInteger(interval) || interval < MIN_INTERVAL_MINUTES || interval > MAX_INTERVAL_MINUTES)) {
+            throw new Error(`Interval moet tussen ${MIN_INTERVAL_MINUTES} en ${MAX_INTERVAL_MINUTES} minuten liggen`);
+        }
+
+        const current = db.prepare('SELECT * FROM mews_connections WHERE property_id = ?').get(propertyId);
+        const token = accessToken === undefined ? current?.access_token : (accessToken || null);
+        if (enabled && !token) {
+            throw new Error('Access token is verplicht om de koppeling aan te zetten');
+        }
+
+        db.prepare(`
+            INSERT INTO mews_connections (property_id, access_token, enabled, interval_minutes)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(property_id) DO UPDATE SET
+                access_token = excluded.access_token,
+                enabled = excluded.enabled,
+                interval_minutes = excluded.interval_minutes,
+                updated_at = CURRENT_TIMESTAMP
+        `).run(
+            propertyId,
+            token,
+            enabled === undefined ? (current?.enabled || 0) : (enabled ? 1 : 0),
+            interval ?? current?.interval_minutes ?? 15
+        );
+
+        return this.getConnection(propertyId);
+    }
+
+    /**
+     * POST to a Mews Connector API endpoint
+     */
+    async request(endpoint, accessToken, body = {}) {
+        const response = await fetch(`${this.apiUrl}/api/connector/v1/${endpoint}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                ClientToken: this.clientToken,
+                AccessToken: accessToken,
+                Client: this.client,
+                ...body
+            }),
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`Mews ${endpoint} (${response.status}): ${data.Message || response.statusText}`);
+        }
+        return data;
+    }
+
+    /**
+     * Follow the Mews cursor until every page of `key` has been fetched
+     */
+    async fetchAll(endpoint, accessToken, body, key) {
+        const items = [];
+        let cursor = null;
+
+        do {
+            const data = await this.request(endpoint, accessToken, {
+                ...body,
+                Limitation: { Count: PAGE_SIZE, ...(cursor ? { Cursor: cursor } : {}) }
+            });
+            const page = data[key] || [];
+            items.push(...page);
+            cursor = page.length === PAGE_SIZE ? data.Cursor : null;
+        } while (cursor);
+
+        return items;
+    }
+
+    /**
+     * Reservations updated in [start, end), split into windows Mews accepts
+     */
+    async fetchReservations(accessToken, start, end) {
+        const reservations = [];
+        let from = new Date(start);
+        const until = new Date(end);
+
+        while (from < until) {
+            const to = new Date(Math.min(until.getTime(), from.getTime() + MAX_WINDOW_DAYS * 24 * 60 * 60 * 1000));
+            reservations.push(...await this.fetchAll('reservations/getAll/2023-06-06', accessToken, {
+                UpdatedUtc: { StartUtc: from.toISOString(), EndUtc: to.toISOString() }
+            }, 'Reservations'));
+            from = to;
+        }
+
+        return reservations;
+    }
+
+    async fetchCustomers(accessToken, customerIds) {
+        const customers = [];
+        for (let i = 0; i < customerIds.length; i += PAGE_SIZE) {
+            customers.push(...await this.fetchAll('customers/getAll', accessToken, {
+                CustomerIds: customerIds.slice(i, i + PAGE_SIZE)
+            }, 'Customers'));
+        }
+        return customers;
+    }
+
+    /**
+     * Room numbers and room categories by resource id
+     */
+    async fetchRooms(accessToken) {
+        const data = await this.request('resources/getAll', accessToken, {
+            Extent: { Resources: true, ResourceCategories: true, ResourceCategoryAssignments: true }
+        });
+
+        const categories = new Map((data.ResourceCategories || []).map(c => [
+            c.Id,
+            c.Names ? Object.values(c.Names)[0] : c.Name
+        ]));
+        const categoryByResource = new Map((data.ResourceCategoryAssignments || [])
+            .filter(a => a.IsActive !== false)
+            .map(a => [a.ResourceId, categories.get(a.CategoryId)]));
+
+        return {
+            rooms: new Map((data.Resources || []).map(r => [r.Id, r.Name])),
+            categories,
+            categoryByResource
+        };
+    }
+
+    mapCustomer(customer) {
+        const address = customer.Address || {};
+        const street = [address.Line1, address.Line2].filter(Boolean).join(' ');
+        const city = [address.PostalCode, address.City].filter(Boolean).join(' ');
+
+        return {
+            mewsCustomerId: customer.Id,
+            fullName: [customer.FirstName, customer.LastName].filter(Boolean).join(' ').trim(),
+            email: customer.Email || null,
+            phone: customer.Phone || null,
+            country: customer.NationalityCode || address.CountryCode || null,
+            address: [street, city].filter(Boolean).join(', ') || null,
+            company: customer.CompanyName || null,
+            marketingConsent: (customer.Options || []).includes('SendMarketingEmails')
+        };
+    }
+
+    /**
+     * Pull everything updated since the last sync and upsert it.
+     * @returns {Object} the finished mews_sync_runs row
+     */
+    async sync(propertyId, { trigger = 'manual', startedBy = 'scheduler', now = new Date() } = {}) {
+        const property = propertyService.get(propertyId);
+        if (!property) throw new Error('Hotel niet gevonden');
+        if (!this.isConfigured()) throw new Error('MEWS_CLIENT_TOKEN ontbreekt');
+        if (this.running.has(propertyId)) throw new Error('Er loopt al een Mews synchronisatie voor dit hotel');
+
+        const connection = db.prepare('SELECT * FROM mews_connections WHERE property_id = ?').get(propertyId);
+        if (!connection?.access_token) throw new Error('Geen Mews access token ingesteld voor dit hotel');
+
+        const windowEnd = now.toISOString();
+        const windowStart = connection.synced_until
+            || new Date(now.getTime() - INITIAL_SYNC_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+        const log = [];
+        const write = (message) => {
+            log.push(`${new Date().toISOString()} ${message}`);
+            db.prepare('UPDATE mews_sync_runs SET log = ? WHERE id = ?').run(JSON.stringify(log), runId);
+            eventBus.publish('import.progress', { source: 'mews', runId, message }, { propertyId });
+        };
+
+        const runId = db.prepare(`
+            INSERT INTO mews_sync_runs (property_id, trigger, window_start, window_end, started_by, log)
+            VALUES (?, ?, ?, ?, ?, '[]')
+        `).run(propertyId, trigger, windowStart, windowEnd, startedBy).lastInsertRowid;
+
+        this.running.add(propertyId);
+        console.log(`🏨 Mews sync ${property.name}: ${windowStart} → ${windowEnd}`);
+
+        try {
+            write(`Synchronisatie gestart (${trigger}) voor ${property.name}, wijzigingen ${windowStart} → ${windowEnd}`);
+
+            const reservations = await this.fetchReservations(connection.access_token, windowStart, windowEnd);
+            write(`${reservations.length} gewijzigde reserveringen opgehaald`);
+
+            let stats = { reservationsSeen: reservations.length };
+            if (reservations.length > 0) {
+                const customerIds = [...new Set(reservations.map(r => r.AccountId || r.CustomerId).filter(Boolean))];
+                const customers = await this.fetchCustomers(connection.access_token, customerIds);
+                const rooms = await this.fetchRooms(connection.access_token);
+                write(`${customers.length} gasten en ${rooms.rooms.size} kamers opgehaald`);
+
+                stats = this.applyChanges(propertyId, runId, reservations, customers, rooms, write);
+            }
+
+            db.prepare(`
+                UPDATE mews_connections SET synced_until = ?, last_sync_at = CURRENT_TIMESTAMP, last_error = NULL
+                WHERE property_id = ?
+            `).run(windowEnd, propertyId);
+
+            db.prepare(`
+                UPDATE mews_sync_runs SET status = 'completed', reservations_seen = ?, reservations_created = ?,
+                    reservations_updated = ?, reservations_cancelled = ?, guests_created = ?, guests_updated = ?,
+                    import_batch_id = ?, finished_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(
+                stats.reservationsSeen, stats.reservationsCreated || 0, stats.reservationsUpdated || 0,
+                stats.reservationsCancelled || 0, stats.guestsCreated || 0, stats.guestsUpdated || 0,
+                stats.batchId || null, runId
+            );
+            write('✅ Synchronisatie voltooid');
+
+            eventBus.publish('import.completed', {
+                batchId: stats.batchId || null,
+                source: 'mews',
+                runId,
+                total: stats.reservationsSeen,
+                newGuests: stats.guestsCreated || 0,
+                updatedGuests: stats.guestsUpdated || 0
+            }, { propertyId });
+
+            // Only syncs that changed something created an import batch
+            if (stats.batchId) {
+                webhookService.emit('import.completed', {
+                    batch_id: stats.batchId,
+                    source: 'mews',
+                    sync_run_id: runId,
+                    reservations_seen: stats.reservationsSeen,
+                    reservations_created: stats.reservationsCreated || 0,
+                    reservations_updated: stats.reservationsUpdated || 0,
+                    reservations_cancelled: stats.reservationsCancelled || 0,
+                    new_guests: stats.guestsCreated || 0,
+                    updated_guests: stats.guestsUpdated || 0
+                }, { propertyId });
+            }
+        } catch (error) {
+            console.error(`❌ Mews sync ${property.name} mislukt:`, error.message);
+            write(`❌ Synchronisatie mislukt: ${error.message}`);
+            db.prepare(`
+                UPDATE mews_sync_runs SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).run(error.message, runId);
+            db.prepare(`
+                UPDATE mews_connections SET last_sync_at = CURRENT_TIMESTAMP, last_error = ? WHERE property_id = ?
+            `).run(error.message, propertyId);
+        } finally {
+            this.running.delete(propertyId);
+        }
+
+        return this.getRun(runId);
+    }
+
+    /**
+     * Upsert customers and reservations in one transaction. Changes are recorded as an
+     * import batch, so the sync shows up (and can be undone) like an Excel import.
+     */
+    applyChanges(propertyId, runId, reservations, customers, rooms, write) {
+        const batchId = `mews-${runId}`;
+        const customersById = new Map(customers.map(c => [c.Id, this.mapCustomer(c)]));
+
+        const findErased = db.prepare(`
+            SELECT g.id FROM gdpr_erased_customers e LEFT JOIN guests g ON g.id = e.guest_id WHERE e.mews_customer_id = ?
+        `);
+        const findByMewsId = db.prepare('SELECT * FROM guests WHERE mews_customer_id = ?');
+        const findByEmail = db.prepare('SELECT * FROM guests WHERE email = ?');
+        const findByName = db.prepare('SELECT * FROM guests WHERE full_name = ?');
+        const insertGuest = db.prepare(`
+            INSERT INTO guests (full_name, email, phone, country, company, address, marketing_consent, mews_customer_id, import_batch_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        const updateGuest = db.prepare(`
+            UPDATE guests SET
+                email = COALESCE(?, email),
+                phone = COALESCE(?, phone),
+                country = COALESCE(?, country),
+                company = COALESCE(?, company),
+                address = COALESCE(?, address),
+                mews_customer_id = ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `);
+        const insertHistory = db.prepare(`
+            INSERT INTO guest_history (guest_id, field_name, old_value, new_value, import_batch_id)
+            VALUES (?, ?, ?, ?, ?)
+        `);
+        const findReservation = db.prepare(`
+            SELECT id, guest_id FROM reservations WHERE property_id = ? AND mews_reservation_id = ?
+        `);
+        const insertReservation = db.prepare(`
+            INSERT INTO reservations (
+                guest_id, mews_reservation_id, room_number, room_category, check_in_date, check_out_date,
+                number_of_guests, booking_status, import_batch_id, property_id
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        const updateReservation = db.prepare(`
+            UPDATE reservations SET guest_id = ?, room_number = ?, room_category = ?, check_in_date = ?,
+                check_out_date = ?, number_of_guests = ?, booking_status = ?
+            WHERE id = ?
+        `);
+        const deleteReservation = db.prepare('DELETE FROM reservations WHERE id = ?');
+
+        const stats = {
+            reservationsSeen: reservations.length,
+            reservationsCreated: 0,
+            reservationsUpdated: 0,
+            reservationsCancelled: 0,
+            guestsCreated: 0,
+            guestsUpdated: 0,
+            batchId: null
+        };
+        const touchedGuests = new Set();
+        const guestIdsByCustomer = new Map();
+
+        const upsertGuest = (customer) => {
+            if (guestIdsByCustomer.has(customer.mewsCustomerId)) return guestIdsByCustomer.get(customer.mewsCustomerId);
+
+            // Erased on request: stays go to the anonymized guest (none when it was deleted since), details are not synced
+            const erased = findErased.get(customer.mewsCustomerId);
+            if (erased) {
+                guestIdsByCustomer.set(customer.mewsCustomerId, erased.id);
+                return erased.id;
+            }
+
+            const existing = findByMewsId.get(customer.mewsCustomerId)
+                || (customer.email && findByEmail.get(customer.email))
+                || findByName.get(customer.fullName);
+
+            let guestId;
+            if (existing) {
+                guestId = existing.id;
+                const changed = TRACK_FIELDS.filter(field =>
+                    customer[field] && existing[field] && customer[field] !== existing[field]
+                );
+                for (const field of changed) {
+                    insertHistory.run(guestId, field, existing[field], customer[field], batchId);
+                }
+                updateGuest.run(customer.email, customer.phone, customer.country, customer.company, customer.address, customer.mewsCustomerId, guestId);
+                if (changed.length > 0 || existing.mews_customer_id !== customer.mewsCustomerId) stats.guestsUpdated++;
+            } else {
+                guestId = insertGuest.run(
+                    customer.fullName, customer.email, customer.phone, customer.country, customer.company,
+                    customer.address, customer.marketingConsent ? 1 : 0, customer.mewsCustomerId, batchId
+                ).lastInsertRowid;
+                stats.guestsCreated++;
+            }
+
+            guestIdsByCustomer.set(customer.mewsCustomerId, guestId);
+            return guestId;
+        };
+
+        db.transaction(() => {
+            for (const reservation of reservations) {
+                const number = String(reservation.Number || reservation.Id);
+                const existing = findReservation.get(propertyId, number);
+
+                // Cancelled in Mews: the stay is not happening, drop it
+                if (reservation.State === 'Canceled') {
+                    if (existing) {
+                        deleteReservation.run(existing.id);
+                        if (existing.guest_id) touchedGuests.add(existing.guest_id);
+                        stats.reservationsCancelled++;
+                        write(`🚫 Reservering ${number} geannuleerd`);
+                    }
+                    continue;
+                }
+
+                const customer = customersById.get(reservation.AccountId || reservation.CustomerId);
+                if (!customer || !customer.fullName) {
+                    write(`⚠️ Reservering ${number} overgeslagen: gast onbekend`);
+                    continue;
+                }
+
+                const guestId = upsertGuest(customer);
+                if (!guestId) {
+                    write(`⚠️ Reservering ${number} overgeslagen: gast verwijderd op AVG verzoek`);
+                    continue;
+                }
+                const checkIn = toDate(reservation.ScheduledStartUtc || reservation.StartUtc);
+                const checkOut = toDate(reservation.ScheduledEndUtc || reservation.EndUtc);
+                const guests = (reservation.PersonCounts || []).reduce((sum, p) => sum + (p.Count || 0), 0) || null;
+                const values = [
+                    guestId,
+                    rooms.rooms.get(reservation.AssignedResourceId) || null,
+                    rooms.categories.get(reservation.RequestedResourceCategoryId)
+                        || rooms.categoryByResource.get(reservation.AssignedResourceId) || null,
+                    checkIn,
+                    checkOut,
+                    guests,
+                    reservation.State || null
+                ];
+
+                if (existing) {
+                    updateReservation.run(...values, existing.id);
+                    stats.reservationsUpdated++;
+                } else {
+                    insertReservation.run(values[0], number, ...values.slice(1), batchId, propertyId);
+                    stats.reservationsCreated++;
+                }
+
+                propertyService.linkGuest(guestId, propertyId, checkIn);
+                touchedGuests.add(guestId);
+            }
+
+            // Stays follow the reservations that are left
+            const stayDates = db.prepare(`
+                SELECT COUNT(DISTINCT check_in_date) as stays, MIN(check_in_date) as first, MAX(check_in_date) as last
+                FROM reservations WHERE guest_id = ?
+            `);
+            const updateStays = db.prepare(`
+                UPDATE guests SET total_stays = ?, first_seen = ?, last_stay = ? WHERE id = ?
+            `);
+            for (const guestId of touchedGuests) {
+                const guest = db.prepare('SELECT first_seen FROM guests WHERE id = ?').get(guestId);
+                const dates = stayDates.get(guestId);
+                const firstSeen = [guest.first_seen, dates.first].filter(Boolean).sort()[0] || null;
+                updateStays.run(Math.max(1, dates.stays), firstSeen, dates.last, guestId);
+            }
+
+            const changed = stats.reservationsCreated + stats.reservationsUpdated + stats.reservationsCancelled
+                + stats.guestsCreated + stats.guestsUpdated;
+            if (changed > 0) {
+                db.prepare(`
+                    INSERT INTO import_batches (id, filename, total_rows, new_guests, updated_guests, property_id)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                `).run(batchId, `Mews synchronisatie #${runId}`, reservations.length, stats.guestsCreated, stats.guestsUpdated, propertyId);
+                stats.batchId = batchId;
+            }
+        })();
+
+        write(`Reserveringen: ${stats.reservationsCreated} nieuw, ${stats.reservationsUpdated} bijgewerkt, ${stats.reservationsCancelled} geannuleerd`);
+        write(`Gasten: ${stats.guestsCreated} nieuw, ${stats.guestsUpdated} bijgewerkt`);
+        return stats;
+    }
+
+    /**
+     * Sync every enabled connection whose interval has passed
+     */
+    async tick(now = new Date()) {
+        if (!this.isConfigured()) return;
+
+        const due = db.prepare(`
+            SELECT c.property_id FROM mews_connections c
+            JOIN properties p ON p.id = c.property_id AND p.active = 1
+            WHERE c.enabled = 1 AND c.access_token IS NOT NULL
+            AND (c.last_sync_at IS NULL OR datetime(c.last_sync_at, '+' || c.interval_minutes || ' minutes') <= datetime(?))
+        `).all(now.toISOString());
+
+        for (const { property_id: propertyId } of due) {
+            if (this.running.has(propertyId)) continue;
+            await this.sync(propertyId, { trigger: 'schedule', now });
+        }
+    }
+
+    getRun(runId) {
+        const run = db.prepare('SELECT * FROM mews_sync_runs WHERE id = ?').get(runId);
+        if (!run) return null;
+        return { ...run, log: JSON.parse(run.log || '[]') };
+    }
+
+    listRuns({ propertyId, limit = 20 } = {}) {
+        return db.prepare(`
+            SELECT id, property_id, trigger, status, window_start, window_end, reservations_seen,
+                   reservations_created, reservations_updated, reservations_cancelled, guests_created,
+                   guests_updated, import_batch_id, error, started_by, started_at, finished_at
+            FROM mews_sync_runs
+            ${propertyId ? 'WHERE property_id = ?' : ''}
+            ORDER BY id DESC
+            LIMIT ?
+        `).all(...(propertyId ? [propertyId] : []), Math.min(parseInt(limit) || 20, 200));
+    }
+
+    /**
+     * Syncs interrupted by a restart never finish; mark them failed
+     */
+    failInterruptedRuns() {
+        return db.prepare(`
+            UPDATE mews_sync_runs SET status = 'failed', error = 'Onderbroken door herstart', finished_at = CURRENT_TIMESTAMP
+            WHERE status = 'running'
+        `).run().changes;
+    }
+}
+
+module.exports = new MewsConnector();
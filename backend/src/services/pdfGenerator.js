@@ -1,5 +1,13 @@
 const puppeteer = require('puppeteer-core');
 const chromium = require('@sparticuz/chromium');
+const reservationNotes = require('./reservationNotes');
+
+// Free text typed by staff or guests ends up in the HTML
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
 
 /**
  * PDF Generator Service
@@ -28,8 +36,8 @@ class PDFGenerator {
   /**
    * Generate PDF for a single guest
    */
-  async generateGuestReport({ guest, research, reservations, suggestions }) {
-    const html = this.buildGuestReportHTML(guest, research, reservations, suggestions);
+  async generateGuestReport({ guest, research, reservations, suggestions, stayNotes = null }) {
+    const html = this.buildGuestReportHTML(guest, research, reservations, suggestions, stayNotes);
     return this.generatePDF(html);
   }
 
@@ -282,7 +290,7 @@ class PDFGenerator {
     `;
   }
 
-  buildGuestReportHTML(guest, research, reservations, suggestions) {
+  buildGuestReportHTML(guest, research, reservations, suggestions, stayNotes = null) {
     const vipScore = research?.vip_score || 5;
     const influenceLevel = research?.influence_level || 'Gemiddeld';
 
@@ -395,6 +403,8 @@ class PDFGenerator {
             </div>
           `}
 
+          ${this.buildRemarksHTML(stayNotes)}
+
           ${reservations && reservations.length > 0 ? `
             <div class="section">
               <div class="section-title">Recente Reserveringen</div>
@@ -418,6 +428,8 @@ class PDFGenerator {
               </table>
             </div>
           ` : ''}
+
+          ${this.buildSuggestionsHTML(suggestions)}
         </div>
 
         <div class="footer">
@@ -429,6 +441,64 @@ class PDFGenerator {
     `;
   }
 
+  /**
+   * Deal suggestions section (dismissed suggestions are left out)
+   */
+  /**
+   * Preferences (allergies, diet, celebrations) and the remarks of recent stays
+   * @param {Object|null} stayNotes - from reservationNotes.getForGuest()
+   * @param {Object} options - { compact: true for the guest cards of the daily report }
+   */
+  buildRemarksHTML(stayNotes, { compact = false } = {}) {
+    if (!stayNotes || stayNotes.notes.length === 0) return '';
+    const summary = reservationNotes.summarize(stayNotes.preferences);
+    const remarks = stayNotes.notes.slice(0, compact ? 1 : 5).map(row =>
+      [row.notes, row.guest_notes && `Gast: ${row.guest_notes}`].filter(Boolean).join(' — ')
+    );
+
+    if (compact) {
+      return `
+        <div class="notable-info" style="font-size: 9px; margin-top: 6px; border-left-color: #c0392b;">
+          ${summary ? `<strong>${escapeHtml(summary)}</strong><br>` : ''}
+          ${escapeHtml(remarks[0].substring(0, 300))}
+        </div>
+      `;
+    }
+
+    return `
+      <div class="section">
+        <div class="section-title">Wensen & Opmerkingen</div>
+        ${summary ? `<div class="notable-info" style="border-left-color: #c0392b; margin-bottom: 6px;"><strong>${escapeHtml(summary)}</strong></div>` : ''}
+        ${stayNotes.notes.slice(0, 5).map((row, index) => `
+          <div class="info-item" style="margin-bottom: 4px;">
+            <span class="info-label">${row.check_in_date || '-'}</span>
+            <span class="info-value">${escapeHtml(remarks[index])}</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  buildSuggestionsHTML(suggestions) {
+    const visible = (suggestions || []).filter(s => s.status !== 'dismissed');
+    if (visible.length === 0) return '';
+
+    const typeLabels = { spa: 'Spa', upgrade: 'Upgrade', fnb: 'F&B', transfer: 'Transfer' };
+
+    return `
+      <div class="section">
+        <div class="section-title">Aanbevolen Deals</div>
+        ${visible.map(s => `
+          <div class="info-item" style="margin-bottom: 6px;">
+            <span class="info-label">${typeLabels[s.suggestion_type] || s.suggestion_type}${s.status === 'accepted' ? ' ✓ Geaccepteerd' : ''}</span>
+            <span class="info-value">${escapeHtml(s.suggestion_text)}</span>
+            ${s.reason ? `<div style="color: #888; font-size: 8px;">${escapeHtml(s.reason)}</div>` : ''}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
   buildBulkReportHTML(guests, batchId) {
     const totalGuests = guests.length;
     const vipCount = guests.filter(g => g.vip_score >= 7).length;
@@ -623,6 +693,7 @@ class PDFGenerator {
                   </div>
                 ` : '';
       })()}
+            ${this.buildRemarksHTML(guest.stay_notes, { compact: true })}
           </div>
         `).join('')}
 
@@ -10,6 +10,9 @@
  * - No timeouts or Puppeteer needed
  */
 
+const searchCache = require('./searchCache');
+const usageMeter = require('./usageMeter');
+
 class PerplexitySearchService {
     constructor() {
         this.apiKey = process.env.PERPLEXITY_API_KEY;
@@ -45,6 +48,11 @@ class PerplexitySearchService {
             return null;
         }
 
+        const cacheKey = Array.isArray(query) ? query.join(' | ') : query;
+        return searchCache.wrap('perplexity', cacheKey, options, () => this.fetchSearch(query, options));
+    }
+
+    async fetchSearch(query, options = {}) {
         const {
             maxResults = 10,
             country = null,
@@ -83,6 +91,7 @@ class PerplexitySearchService {
                 console.error(`❌ Perplexity API error ${response.status}: ${errorText}`);
                 return null;
             }
+            usageMeter.record('perplexity', { operation: 'search' });
 
             const data = await response.json();
             const duration = ((Date.now() - startTime) / 1000).toFixed(1);
@@ -224,6 +233,12 @@ class PerplexitySearchService {
             return null;
         }
 
+        const { full_name, country, company, email } = guest;
+        const cacheParams = { country: country || null, company: company || null, email: email || null, language: options.language || 'nl' };
+        return searchCache.wrap('sonar', full_name, cacheParams, () => this.fetchSonarAnalysis(guest, options));
+    }
+
+    async fetchSonarAnalysis(guest, options = {}) {
         const startTime = Date.now();
         const { full_name, country, company, email } = guest;
         const language = options.language || 'nl';
@@ -335,6 +350,12 @@ Return ONLY this JSON:
 
             const data = await response.json();
             const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+            usageMeter.record('sonar', {
+                operation: 'research',
+                model: data.model || 'sonar',
+                inputTokens: data.usage?.prompt_tokens,
+                outputTokens: data.usage?.completion_tokens
+            });
 
             // Extract the content from the response
             const content = data.choices?.[0]?.message?.content;
@@ -0,0 +1,185 @@
+const db = require('../db/database');
+
+/**
+ * Property Service
+ * Properties (hotels) within the group. Guests are stored once per person and linked
+ * to every property they stayed at via guest_properties, so a guest is recognised
+ * across the group while reservations, imports, queues and reports stay per property.
+ *
+ * A user with a property_id only sees that property; users without one work at group level.
+ */
+
+const CODE_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+class PropertyService {
+    parseSettings(property) {
+        if (!property) return null;
+        let settings = {};
+        try {
+            settings = property.settings ? JSON.parse(property.settings) : {};
+        } catch {
+            settings = {};
+        }
+        return { ...property, settings };
+    }
+
+    list({ includeInactive = false } = {}) {
+        const rows = db.prepare(`
+            SELECT * FROM properties ${includeInactive ? '' : 'WHERE active = 1'} ORDER BY name
+        `).all();
+        return rows.map(p => this.parseSettings(p));
+    }
+
+    get(id) {
+        if (!id) return null;
+        return this.parseSettings(db.prepare('SELECT * FROM properties WHERE id = ?').get(id));
+    }
+
+    getDefaultId() {
+        return db.prepare('SELECT MIN(id) as id FROM properties').get().id;
+    }
+
+    validate({ code, name }, isNew) {
+        if (isNew && (!code || !CODE_PATTERN.test(code.trim().toLowerCase()))) {
+            throw new Error('Ongeldige code (kleine letters, cijfers, - of _, max 32 tekens)');
+        }
+        if ((isNew || name !== undefined) && (!name || !name.trim())) {
+            throw new Error('Naam is verplicht');
+        }
+    }
+
+    create({ code, name, notification_email = null, settings = {} }) {
+        this.validate({ code, name }, true);
+
+        const normalized = code.trim().toLowerCase();
+        if (db.prepare('SELECT id FROM properties WHERE code = ?').get(normalized)) {
+            throw new Error('Code bestaat al');
+        }
+
+        const result = db.prepare(`
+            INSERT INTO properties (code, name, notification_email, settings) VALUES (?, ?, ?, ?)
+        `).run(normalized, name.trim(), notification_email || null, JSON.stringify(settings || {}));
+
+        return this.get(result.lastInsertRowid);
+    }
+
+    /**
+     * Update name, notification email, active flag and/or settings (settings are merged)
+     */
+    update(id, { name, notification_email, active, settings }) {
+        const property = this.get(id);
+        if (!property) return null;
+
+        this.validate({ name }, false);
+
+        db.prepare(`
+            UPDATE properties SET
+                name = COALESCE(?, name),
+                notification_email = ?,
+                active = COALESCE(?, active),
+                settings = ?
+            WHERE id = ?
+        `).run(
+            name ? name.trim() : null,
+            notification_email === undefined ? property.notification_email : (notification_email || null),
+            active === undefined ? null : (active ? 1 : 0),
+            JSON.stringify(settings ? { ...property.settings, ...settings } : property.settings),
+            id
+        );
+
+        return this.get(id);
+    }
+
+    /**
+     * The property a request works in: scoped users are pinned to their own property,
+     * group-level users may pick one (or null for all properties).
+     * @returns {number|null}
+     */
+    resolveForUser(user, requestedId) {
+        if (user?.property_id) return user.property_id;
+
+        const id = parseInt(requestedId);
+        if (!id) return null;
+        return db.prepare('SELECT id FROM properties WHERE id = ?').get(id) ? id : null;
+    }
+
+    /**
+     * SQL fragment limiting guests (alias g) to a property; empty when working at group level
+     */
+    guestScope(propertyId, alias = 'g') {
+        if (!propertyId) return { sql: '', params: [] };
+        return {
+            sql: ` AND EXISTS (SELECT 1 FROM guest_properties gp WHERE gp.guest_id = ${alias}.id AND gp.property_id = ?)`,
+            params: [propertyId]
+        };
+    }
+
+    canAccessGuest(guestId, propertyId) {
+        if (!propertyId) return true;
+        return !!db.prepare(`
+            SELECT 1 FROM guest_properties WHERE guest_id = ? AND property_id = ?
+        `).get(guestId, propertyId);
+    }
+
+    /**
+     * Record that a guest was seen at a property (keeps first/last seen up to date)
+     */
+    linkGuest(guestId, propertyId, seenAt = null) {
+        if (!guestId || !propertyId) return;
+        const seen = seenAt || new Date().toISOString().split('T')[0];
+
+        db.prepare(`
+            INSERT INTO guest_properties (guest_id, property_id, first_seen_at, last_seen_at)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(guest_id, property_id) DO UPDATE SET
+                first_seen_at = MIN(first_seen_at, excluded.first_seen_at),
+                last_seen_at = MAX(last_seen_at, excluded.last_seen_at)
+        `).run(guestId, propertyId, seen, seen);
+    }
+
+    /**
+     * All properties a guest is known at, most recent first
+     */
+    getGuestProperties(guestId) {
+        return db.prepare(`
+            SELECT p.id, p.code, p.name, gp.first_seen_at, gp.last_seen_at,
+                (SELECT COUNT(*) FROM reservations r WHERE r.guest_id = gp.guest_id AND r.property_id = p.id) as reservation_count
+            FROM guest_properties gp
+            JOIN properties p ON p.id = gp.property_id
+            WHERE gp.guest_id = ?
+            ORDER BY gp.last_seen_at DESC
+        `).all(guestId);
+    }
+
+    /**
+     * Remove a guest from a property. A guest still known at other properties is only
+     * unlinked (with this property's reservations); otherwise the guest is deleted.
+     * @returns {'deleted'|'unlinked'|null} null when the guest does not exist
+     */
+    removeGuest(guestId, propertyId) {
+        if (!db.prepare('SELECT id FROM guests WHERE id = ?').get(guestId)) return null;
+
+        const elsewhere = propertyId && db.prepare(`
+            SELECT 1 FROM guest_properties WHERE guest_id = ? AND property_id != ?
+        `).get(guestId, propertyId);
+
+        if (elsewhere) {
+            db.prepare('DELETE FROM reservations WHERE guest_id = ? AND property_id = ?').run(guestId, propertyId);
+            db.prepare('DELETE FROM guest_properties WHERE guest_id = ? AND property_id = ?').run(guestId, propertyId);
+            return 'unlinked';
+        }
+
+        db.prepare('DELETE FROM guests WHERE id = ?').run(guestId);
+        return 'deleted';
+    }
+
+    /**
+     * Where notifications for this property go (falls back to NOTIFICATION_EMAIL)
+     */
+    getNotificationEmail(propertyId) {
+        const property = propertyId ? db.prepare('SELECT notification_email FROM properties WHERE id = ?').get(propertyId) : null;
+        return property?.notification_email || null;
+    }
+}
+
+module.exports = new PropertyService();
@@ -0,0 +1,110 @@
+/**
+ * Field Provenance
+ * Tracks where every research attribute came from: source type, source URL,
+ * search provider and a 0-1 confidence score.
+ *
+ * Stored as JSON in research_results.field_provenance, keyed by column name:
+ *   { job_title: { source: 'linkedin', url, provider, confidence, recorded_at }, ... }
+ */
+
+// Default confidence per source type when the source itself gives none
+const SOURCE_CONFIDENCE = {
+    guest_input: 1.0,
+    staff: 1.0,
+    linkedin: 0.85,
+    knowledge_graph: 0.8,
+    email_domain: 0.7,
+    twitter: 0.7,
+    instagram: 0.7,
+    perplexity_sonar: 0.6,
+    web_search: 0.6,
+    ai_analysis: 0.5,
+    ai_guess: 0.3
+};
+
+// Labels used by the AI analysis ("high" / "medium" / "low")
+const CONFIDENCE_LABELS = { high: 0.9, medium: 0.6, low: 0.3 };
+
+function toConfidence(value, fallback) {
+    if (typeof value === 'number' && !isNaN(value)) {
+        return Math.max(0, Math.min(1, value > 1 ? value / 100 : value));
+    }
+    if (typeof value === 'string' && CONFIDENCE_LABELS[value.toLowerCase()] !== undefined) {
+        return CONFIDENCE_LABELS[value.toLowerCase()];
+    }
+    return fallback;
+}
+
+function isEmpty(value) {
+    return value === null || value === undefined || value === '';
+}
+
+/**
+ * Build one provenance entry
+ */
+function entry(source, { url = null, provider = null, confidence = null } = {}) {
+    return {
+        source,
+        url: url || null,
+        provider: provider || null,
+        confidence: Math.round(toConfidence(confidence, SOURCE_CONFIDENCE[source] ?? 0.5) * 100) / 100,
+        recorded_at: new Date().toISOString()
+    };
+}
+
+/**
+ * Find which candidate produced the chosen value
+ * @param {*} value - the value that was saved
+ * @param {Array<{value, source, url, provider, confidence}>} candidates - in priority order
+ */
+function resolve(value, candidates) {
+    if (isEmpty(value)) return null;
+
+    const match = candidates.find(c => !isEmpty(c.value) && String(c.value) === String(value));
+    if (!match) return entry('ai_guess');
+
+    return entry(match.source, match);
+}
+
+/**
+ * Drop fields without a value so the map only describes saved attributes
+ */
+function compact(map) {
+    const result = {};
+    for (const [field, info] of Object.entries(map)) {
+        if (info) result[field] = info;
+    }
+    return result;
+}
+
+/**
+ * Merge new entries into an existing (JSON string or object) provenance map
+ */
+function merge(existing, updates) {
+    let base = {};
+    try {
+        base = typeof existing === 'string' ? JSON.parse(existing) || {} : (existing || {});
+    } catch (e) {
+        base = {};
+    }
+    return { ...base, ...compact(updates) };
+}
+
+function parse(value) {
+    if (!value) return {};
+    try {
+        return typeof value === 'string' ? JSON.parse(value) || {} : value;
+    } catch (e) {
+        return {};
+    }
+}
+
+module.exports = {
+    SOURCE_CONFIDENCE,
+    entry,
+    resolve,
+    compact,
+    merge,
+    parse,
+    toConfidence
+};
@@ -1,4 +1,5 @@
 const OpenAI = require('openai');
+const usageMeter = require('./usageMeter');
 
 /**
  * AI-Powered Query Generator
@@ -13,7 +14,7 @@ class QueryGenerator {
         if (!this.openai) {
             const apiKey = process.env.OPENAI_API_KEY;
             if (!apiKey) return null;
-            this.openai = new OpenAI({ apiKey });
+            this.openai = usageMeter.meterOpenAI(new OpenAI({ apiKey }), 'query_generator');
         }
         return this.openai;
     }
@@ -2,6 +2,12 @@ const db = require('../db/database');
 const smartSearch = require('./smartSearch');
 const vipScorer = require('./vipScorer');
 const emailService = require('./emailService');
+const searchCache = require('./searchCache');
+const usageMeter = require('./usageMeter');
+const dealSuggestions = require('./dealSuggestions');
+const researchRevisions = require('./researchRevisions');
+const webhookService = require('./webhookService');
+const eventBus = require('./eventBus');
 
 // Initialize email service on load
 emailService.initialize();
@@ -56,20 +62,67 @@ function updateGuestFromResearch(guestId, searchResults) {
     }
 }
 
+/**
+ * Follow-up work once research results are saved for a guest
+ * (used by single research and the enrichment queues)
+ * @param {Object} revision - { source, author } stored with the research revision
+ */
+function onResearchSaved(guestId, revision = {}) {
+    try {
+        researchRevisions.record(guestId, {
+            source: revision.source || 'research',
+            author: revision.author || 'system'
+        });
+    } catch (err) {
+        console.error(`Failed to record research revision for guest ${guestId}:`, err.message);
+    }
+
+    try {
+        dealSuggestions.generateForGuest(guestId);
+    } catch (err) {
+        console.error(`Failed to generate deal suggestions for guest ${guestId}:`, err.message);
+    }
+}
+
+function publishScoreChange(guestId, previousScore, source) {
+    const research = db.prepare('SELECT vip_score, influence_level FROM research_results WHERE guest_id = ?').get(guestId);
+    if (!research || research.vip_score === previousScore) return;
+    eventBus.publish('guest.score_changed', {
+        guestId,
+        previousScore,
+        vipScore: research.vip_score,
+        influenceLevel: research.influence_level,
+        source
+    }, { guestId });
+}
+
+/**
+ * A VIP score was changed outside a research run (AI analysis, LinkedIn selection, staff):
+ * live update plus guest.vip_detected webhook when the guest became a VIP
+ */
+function onScoreChanged(guestId, previousScore, { source }) {
+    publishScoreChange(guestId, previousScore, source);
+    webhookService.checkVip(guestId, previousScore, { source });
+}
+
 /**
  * Perform research for a single guest
  * @param {number} guestId 
- * @param {Object} options { forceRefresh: boolean, language: 'nl' | 'en' }
+ * @param {Object} options { forceRefresh: boolean, language: 'nl' | 'en', bypassCache: boolean, author: string, propertyId: number,
+ *                          source: revision source, notify: false skips the per-guest email }
  * @returns {Promise<Object>} Research results
  */
 async function performResearch(guestId, options = {}) {
-    const { forceRefresh = false, language = 'nl' } = options;
+    const { forceRefresh = false, language = 'nl', bypassCache = false, author = 'system', propertyId = null, source = null, notify = true } = options;
 
     // Get guest
     const guest = db.prepare('SELECT * FROM guests WHERE id = ?').get(guestId);
     if (!guest) {
         throw new Error('Gast niet gevonden');
     }
+    if (guest.anonymized_at) {
+        throw new Error('Gast is geanonimiseerd en kan niet worden onderzocht');
+    }
 
     // Check existing research
     const existingResearch = db.prepare('SELECT * FROM research_results WHERE guest_id = ?').get(guestId);
@@ -80,26 +133,40 @@ async function performResearch(guestId, options = {}) {
         };
     }
 
+    eventBus.publish('research.started', { guestId, name: guest.full_name, source }, { guestId });
+
     // Perform smart search (Wikipedia + AI) with 180s timeout
     let searchResults;
     try {
-        const researchPromise = smartSearch.searchGuest(guest, { language });
+        // bypassCache skips cached search results; fresh results still refill the cache
+        const researchPromise = usageMeter.run({ guestId: guest.id, propertyId }, () =>
+            searchCache.run({ bypass: bypassCache }, () => smartSearch.searchGuest(guest, { language })));
         const timeoutPromise = new Promise((_, reject) =>
             setTimeout(() => reject(new Error('Research timeout (180s)')), 180000)
         );
 
         searchResults = await Promise.race([researchPromise, timeoutPromise]);
     } catch (error) {
+        eventBus.publish('research.failed', { guestId, name: guest.full_name, error: error.message, source }, { guestId });
         throw error;
     }
 
-    // Get VIP score from AI analysis or calculate
-    const vipScore = searchResults.vipScore || vipScorer.calculate(searchResults);
-    const rawInfluenceLevel = searchResults.influenceLevel || vipScorer.getInfluenceLevel(vipScore);
-    const influenceLevel = normalizeInfluenceLevel(rawInfluenceLevel);
+    // VIP score: the AI score combined with the scoring rules of the guest's property
+    const aiScore = searchResults.vipScore || null;
+    const scoring = vipScorer.score(
+        vipScorer.fromSearchResults(searchResults),
+        vipScorer.getRules(vipScorer.getPropertyForGuest(guestId)),
+        aiScore
+    );
+    const vipScore = scoring.score;
+    const influenceLevel = scoring.influenceLevel;
+    const scoreBreakdown = JSON.stringify({ ...scoring.breakdown, scoredAt: new Date().toISOString() });
 
     // Save or update research results
     if (existingResearch) {
+        // Keep the current state in the revision history before overwriting it
+        researchRevisions.ensureBaseline(guestId, author);
+
         db.prepare(`
         UPDATE research_results SET
           profile_photo_url = ?,
@@ -136,8 +203,11 @@ async function performResearch(guestId, options = {}) {
           followers_estimate = ?,
           vip_score = ?,
           influence_level = ?,
+          ai_vip_score = ?,
+          score_breakdown = ?,
           raw_search_results = ?,
           no_results_found = ?,
+          field_provenance = ?,
           updated_at = CURRENT_TIMESTAMP
         WHERE guest_id = ?
        `).run(
@@ -175,8 +245,11 @@ async function performResearch(guestId, options = {}) {
             searchResults.followersEstimate,
             vipScore,
             influenceLevel,
+            aiScore,
+            scoreBreakdown,
             JSON.stringify(searchResults.rawResults),
             searchResults.noResultsFound ? 1 : 0,
+            JSON.stringify(searchResults.fieldProvenance || {}),
             guestId
         );
     } else {
@@ -187,8 +260,9 @@ async function performResearch(guestId, options = {}) {
           instagram_handle, instagram_url, instagram_bio, instagram_location, instagram_followers,
           twitter_handle, twitter_url, twitter_bio, twitter_location, twitter_member_since, twitter_followers,
           social_media_location, facebook_url, youtube_url, website_url,
-          notable_info, full_report, press_mentions, net_worth, followers_estimate, vip_score, influence_level, raw_search_results, no_results_found
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          notable_info, full_report, press_mentions, net_worth, followers_estimate, vip_score, influence_level, ai_vip_score, score_breakdown,
+          raw_search_results, no_results_found, field_provenance
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `).run(
             guestId,
             searchResults.profilePhotoUrl,
@@ -225,21 +299,37 @@ async function performResearch(guestId, options = {}) {
             searchResults.followersEstimate,
             vipScore,
             influenceLevel,
+            aiScore,
+            scoreBreakdown,
             searchResults.rawResults ? JSON.stringify(searchResults.rawResults) : null,
-            searchResults.noResultsFound ? 1 : 0
+            searchResults.noResultsFound ? 1 : 0,
+            JSON.stringify(searchResults.fieldProvenance || {})
         );
     }
 
     // UPDATE THE MAIN GUEST RECORD with research findings
     updateGuestFromResearch(guestId, searchResults);
+    const revisionSource = source || (existingResearch ? 'refresh' : 'research');
+    onResearchSaved(guestId, { source: revisionSource, author });
+    webhookService.researchCompleted(guestId, existingResearch?.vip_score ?? null, { source: revisionSource });
 
     // Get updated research
     const research = db.prepare('SELECT * FROM research_results WHERE guest_id = ?').get(guestId);
+    publishScoreChange(guestId, existingResearch?.vip_score ?? null, revisionSource);
+    eventBus.publish('research.finished', {
+        guestId,
+        name: guest.full_name,
+        vipScore: research.vip_score,
+        influenceLevel: research.influence_level,
+        source: revisionSource
+    }, { guestId });
 
     // Send email notification (async, don't wait)
-    emailService.notifySingleResearch(guest, research).catch(err =>
-        console.error('Email notification failed:', err.message)
-    );
+    if (notify) {
+        emailService.notifySingleResearch(guest, research, propertyId).catch(err =>
+            console.error('Email notification failed:', err.message)
+        );
+    }
 
     return {
         research,
@@ -250,5 +340,7 @@ async function performResearch(guestId, options = {}) {
 module.exports = {
     performResearch,
     updateGuestFromResearch,
+    onResearchSaved,
+    onScoreChanged,
     normalizeInfluenceLevel
 };
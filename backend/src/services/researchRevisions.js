@@ -0,0 +1,235 @@
+const db = require('../db/database');
+
+/**
+ * Research Revision Service
+ * Append-only history of research_results. Every change (research run,
+ * AI re-analysis, LinkedIn selection, manual VIP score, restore) stores a full
+ * snapshot of the research row, so any two revisions can be compared and any
+ * revision can be restored.
+ */
+
+// Columns that are never part of a snapshot
+const EXCLUDED_COLUMNS = ['id', 'guest_id', 'researched_at', 'updated_at', 'previous_full_report', 'previous_vip_score'];
+
+// Columns holding JSON that should be diffed per key instead of as one string
+const JSON_COLUMNS = ['full_report', 'field_provenance', 'linkedin_candidates'];
+
+class ResearchRevisionService {
+    getSnapshotColumns() {
+        return db.prepare('PRAGMA table_info(research_results)').all()
+            .map(col => col.name)
+            .filter(name => !EXCLUDED_COLUMNS.includes(name));
+    }
+
+    buildSnapshot(research) {
+        const snapshot = {};
+        for (const column of this.getSnapshotColumns()) {
+            snapshot[column] = research[column] ?? null;
+        }
+        return snapshot;
+    }
+
+    parseRevision(row) {
+        if (!row) return null;
+        return { ...row, snapshot: JSON.parse(row.snapshot) };
+    }
+
+    getLatest(guestId) {
+        return db.prepare(`
+            SELECT * FROM research_revisions WHERE guest_id = ? ORDER BY revision_number DESC LIMIT 1
+        `).get(guestId);
+    }
+
+    /**
+     * Append a snapshot of the current research row
+     * @param {Object} options - { source, author, note, restoredFrom }
+     * @returns {Object|null} the new revision (null when there is no research)
+     */
+    record(guestId, { source, author = 'system', note = null, restoredFrom = null }) {
+        const research = db.prepare('SELECT * FROM research_results WHERE guest_id = ?').get(guestId);
+        if (!research) return null;
+
+        const snapshot = JSON.stringify(this.buildSnapshot(research));
+        const latest = this.getLatest(guestId);
+
+        const result = db.prepare(`
+            INSERT INTO research_revisions (guest_id, revision_number, source, author, note, snapshot, restored_from)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(guestId, (latest?.revision_number || 0) + 1, source, author, note, snapshot, restoredFrom);
+
+        return this.getRevision(guestId, result.lastInsertRowid);
+    }
+
+    /**
+     * Store the current state before it is changed, unless the latest revision already matches it
+     * (covers research saved before revisions existed and legacy single-slot backups)
+     */
+    ensureBaseline(guestId, author = 'system') {
+        const research = db.prepare('SELECT * FROM research_results WHERE guest_id = ?').get(guestId);
+        if (!research) return null;
+
+        const latest = this.getLatest(guestId);
+        if (latest && latest.snapshot === JSON.stringify(this.buildSnapshot(research))) {
+            return null;
+        }
+
+        return this.record(guestId, { source: 'baseline', author, note: 'Stand vóór wijziging' });
+    }
+
+    /**
+     * Revisions for a guest, newest first (without snapshots)
+     */
+    getRevisions(guestId) {
+        return db.prepare(`
+            SELECT id, guest_id, revision_number, source, author, note, restored_from, created_at
+            FROM research_revisions
+            WHERE guest_id = ?
+            ORDER BY revision_number DESC
+        `).all(guestId);
+    }
+
+    getRevision(guestId, revisionId) {
+        return this.parseRevision(db.prepare(`
+            SELECT * FROM research_revisions WHERE id = ? AND guest_id = ?
+        `).get(revisionId, guestId));
+    }
+
+    /**
+     * Newest revision that differs from the live research (target for "undo")
+     */
+    getPreviousRevision(guestId) {
+        const research = db.prepare('SELECT * FROM research_results WHERE guest_id = ?').get(guestId);
+        const current = research ? this.buildSnapshot(research) : {};
+
+        const rows = db.prepare(`
+            SELECT * FROM research_revisions WHERE guest_id = ? ORDER BY revision_number DESC
+        `).all(guestId);
+
+        for (const row of rows) {
+            const revision = this.parseRevision(row);
+            const changed = Object.keys(revision.snapshot).some(column => (revision.snapshot[column] ?? null) !== (current[column] ?? null));
+            if (changed) return revision;
+        }
+        return null;
+    }
+
+    parseJson(value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value !== 'string') return value;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return value;
+        }
+    }
+
+    /**
+     * Flatten nested objects to dotted paths: { a: { b: 1 } } => { 'a.b': 1 }
+     */
+    flatten(value, prefix, result = {}) {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            for (const [key, nested] of Object.entries(value)) {
+                this.flatten(nested, prefix ? `${prefix}.${key}` : key, result);
+            }
+        } else {
+            result[prefix] = Array.isArray(value) ? JSON.stringify(value) : value;
+        }
+        return result;
+    }
+
+    /**
+     * Field-level differences between two snapshots
+     * @returns {Array<{field, from, to}>}
+     */
+    diffSnapshots(fromSnapshot, toSnapshot) {
+        const flatFrom = {};
+        const flatTo = {};
+        const columns = new Set([...Object.keys(fromSnapshot), ...Object.keys(toSnapshot)]);
+
+        for (const column of columns) {
+            if (JSON_COLUMNS.includes(column)) {
+                this.flatten(this.parseJson(fromSnapshot[column]), column, flatFrom);
+                this.flatten(this.parseJson(toSnapshot[column]), column, flatTo);
+            } else {
+                flatFrom[column] = fromSnapshot[column] ?? null;
+                flatTo[column] = toSnapshot[column] ?? null;
+            }
+        }
+
+        const changes = [];
+        for (const field of new Set([...Object.keys(flatFrom), ...Object.keys(flatTo)])) {
+            const from = flatFrom[field] ?? null;
+            const to = flatTo[field] ?? null;
+            if (from === to) continue;
+            changes.push({ field, from, to });
+        }
+
+        return changes.sort((a, b) => a.field.localeCompare(b.field));
+    }
+
+    /**
+     * Diff between two revisions of the same guest ('current' = live research row)
+     */
+    diff(guestId, fromId, toId) {
+        const resolve = (id) => {
+            if (id === 'current') {
+                const research = db.prepare('SELECT * FROM research_results WHERE guest_id = ?').get(guestId);
+                if (!research) throw new Error('Geen research gevonden');
+                return { id: 'current', revision_number: null, snapshot: this.buildSnapshot(research) };
+            }
+            const revision = this.getRevision(guestId, id);
+            if (!revision) throw new Error(`Revisie ${id} niet gevonden`);
+            return revision;
+        };
+
+        const from = resolve(fromId);
+        const to = resolve(toId);
+
+        return {
+            from: { id: from.id, revision_number: from.revision_number, source: from.source, created_at: from.created_at },
+            to: { id: to.id, revision_number: to.revision_number, source: to.source, created_at: to.created_at },
+            changes: this.diffSnapshots(from.snapshot, to.snapshot)
+        };
+    }
+
+    /**
+     * Write a revision's snapshot back to research_results and record the restore as a new revision
+     */
+    restore(guestId, revisionId, author = 'system') {
+        const revision = this.getRevision(guestId, revisionId);
+        if (!revision) throw new Error(`Revisie ${revisionId} niet gevonden`);
+
+        const current = db.prepare('SELECT id FROM research_results WHERE guest_id = ?').get(guestId);
+        const columns = this.getSnapshotColumns().filter(column => column in revision.snapshot);
+
+        db.transaction(() => {
+            this.ensureBaseline(guestId, author);
+
+            if (current) {
+                db.prepare(`
+                    UPDATE research_results SET
+                        ${columns.map(column => `${column} = ?`).join(', ')},
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE guest_id = ?
+                `).run(...columns.map(column => revision.snapshot[column]), guestId);
+            } else {
+                db.prepare(`
+                    INSERT INTO research_results (guest_id, ${columns.join(', ')})
+                    VALUES (?, ${columns.map(() => '?').join(', ')})
+                `).run(guestId, ...columns.map(column => revision.snapshot[column]));
+            }
+
+            this.record(guestId, {
+                source: 'restore',
+                author,
+                note: `Hersteld van revisie #${revision.revision_number}`,
+                restoredFrom: revision.id
+            });
+        })();
+
+        console.log(`↩️ Restored research revision #${revision.revision_number} for guest ${guestId}`);
+        return db.prepare('SELECT * FROM research_results WHERE guest_id = ?').get(guestId);
+    }
+}
+
+module.exports = new ResearchRevisionService();
@@ -0,0 +1,201 @@
+const db = require('../db/database');
+
+/**
+ * Reservation Notes
+ * Remarks imported with a reservation ("Opmerkingen" from the hotel, "Opmerkingen van gast" from the guest)
+ * and the preferences found in them: allergies, dietary wishes and celebrations. Extraction is rule based
+ * (Dutch and English keywords), so it runs during imports without API calls; the raw text is always kept.
+ */
+
+const MAX_ITEM_LENGTH = 40;
+
+// Label -> patterns; labels are what staff see in the app and the PDFs
+const ALLERGENS = {
+    'noten': [/noten/, /\bnuts?\b/, /hazelno/, /walno/, /amandel/, /almond/],
+    'pinda': [/pinda/, /peanut/],
+    'gluten': [/gluten/, /coeliaki/, /celiac/],
+    'lactose': [/lactose/, /zuivel/, /dairy/, /melk/, /\bmilk\b/],
+    'schaaldieren': [/schaaldier/, /schelpdier/, /shellfish/, /garnal/, /shrimp/, /kreeft/, /lobster/, /mosselen/],
+    'vis': [/\bvis\b/, /\bfish\b/],
+    'ei': [/\beieren\b/, /\bei\b/, /\beggs?\b/],
+    'soja': [/soja/, /\bsoy/],
+    'sesam': [/sesam/],
+    'selderij': [/selderij/, /celery/],
+    'mosterd': [/mosterd/, /mustard/],
+    'sulfiet': [/sulfiet/, /sulphite/, /sulfite/]
+};
+
+const DIETS = {
+    'vegetarisch': [/vegetari/],
+    'veganistisch': [/\bvegan/],
+    'pescotarisch': [/pescotari/, /pescatari/],
+    'glutenvrij': [/glutenvrij/, /gluten[- ]free/, /coeliaki/, /celiac/],
+    'lactosevrij': [/lactosevrij/, /lactose[- ]free/],
+    'halal': [/halal/],
+    'koosjer': [/koosjer/, /kosher/],
+    'geen varkensvlees': [/geen varkensvlees/, /no pork/],
+    'diabetes': [/diabet/]
+};
+
+const CELEBRATIONS = {
+    'verjaardag': [/verjaardag/, /\bjarig/, /birthday/, /\bbday\b/],
+    'jubileum': [/jubileum/, /trouwdag/, /anniversary/],
+    'huwelijksreis': [/huwelijksreis/, /honeymoon/, /wittebroodsweken/],
+    'bruiloft': [/bruiloft/, /wedding/],
+    'huwelijksaanzoek': [/aanzoek/, /proposal/, /\bpropose/],
+    'babymoon': [/babymoon/]
+};
+
+const ALLERGY_CONTEXT = /allergi|allergic|allergy|intoleran|overgevoelig/;
+const NO_ALLERGIES = /\b(geen|no|none|niet)\b[^,]{0,12}(allergi|allergy)/;
+const ALLERGY_OBJECT = /(?:allergisch voor|allergie voor|allergic to|allergy to|allergies?:|allergieën:)\s*([^,;:()]+)/;
+
+const matching = (text, rules) => Object.entries(rules)
+    .filter(([, patterns]) => patterns.some(pattern => pattern.test(text)))
+    .map(([label]) => label);
+
+class ReservationNotes {
+    /**
+     * Preferences found in free text
+     * @param {...string} texts - hotel notes and guest remarks
+     * @returns {Object|null} { allergies, dietary, celebrations }, or null when nothing was found
+     */
+    extractPreferences(...texts) {
+        const text = texts.filter(Boolean).join('\n').toLowerCase();
+        if (!text.trim()) return null;
+
+        const allergies = new Set();
+        for (const sentence of text.split(/[.;!?\n]+/)) {
+            if (!ALLERGY_CONTEXT.test(sentence) || NO_ALLERGIES.test(sentence)) continue;
+            const found = matching(sentence, ALLERGENS);
+            found.forEach(label => allergies.add(label));
+            if (found.length === 0) {
+                // An allergen we have no rule for: keep what follows "allergic to"
+                const object = sentence.match(ALLERGY_OBJECT)?.[1]?.trim();
+                if (object) allergies.add(object.slice(0, MAX_ITEM_LENGTH));
+            }
+        }
+
+        const preferences = {
+            allergies: [...allergies],
+            dietary: matching(text, DIETS),
+            celebrations: matching(text, CELEBRATIONS)
+        };
+        return this.isEmpty(preferences) ? null : preferences;
+    }
+
+    isEmpty(preferences) {
+        return !preferences || Object.values(preferences).every(values => values.length === 0);
+    }
+
+    /**
+     * Combine the preferences of several reservations
+     */
+    merge(list) {
+        const merged = { allergies: new Set(), dietary: new Set(), celebrations: new Set() };
+        for (const preferences of list) {
+            if (!preferences) continue;
+            for (const key of Object.keys(merged)) {
+                (preferences[key] || []).forEach(value => merged[key].add(value));
+            }
+        }
+        return Object.fromEntries(Object.entries(merged).map(([key, values]) => [key, [...values]]));
+    }
+
+    parse(json) {
+        if (!json) return null;
+        try {
+            return JSON.parse(json);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Values for the notes, guest_notes and preferences columns of a new reservation
+     */
+    forReservation(notes, guestNotes) {
+        const clean = (value) => (value === null || value === undefined || String(value).trim() === '') ? null : String(value).trim();
+        const remarks = clean(guestNotes);
+        // A loose column match can return the guest remarks for both columns; keep them once
+        const hotelNotes = clean(notes) === remarks ? null : clean(notes);
+        const preferences = this.extractPreferences(hotelNotes, remarks);
+        return {
+            notes: hotelNotes,
+            guestNotes: remarks,
+            preferences: preferences ? JSON.stringify(preferences) : null
+        };
+    }
+
+    /**
+     * Remarks of all reservations of a guest (newest first) and their combined preferences
+     * @param {number|null} propertyId - only the reservations at this property
+     */
+    getForGuest(guestId, propertyId = null) {
+        const rows = db.prepare(`
+            SELECT res.id as reservation_id, res.check_in_date, res.check_out_date, res.room_number,
+                   res.notes, res.guest_notes, res.preferences, p.name as property_name
+            FROM reservations res
+            LEFT JOIN properties p ON p.id = res.property_id
+            WHERE res.guest_id = ? AND (res.notes IS NOT NULL OR res.guest_notes IS NOT NULL)${propertyId ? ' AND res.property_id = ?' : ''}
+            ORDER BY res.check_in_date DESC
+        `).all(...(propertyId ? [guestId, propertyId] : [guestId]))
+            .map(row => ({ ...row, preferences: this.parse(row.preferences) }));
+
+        return {
+            notes: rows,
+            preferences: this.merge(rows.map(row => row.preferences))
+        };
+    }
+
+    /**
+     * Combined preferences per guest in one query (guest_id -> preferences), for exports
+     * @param {number|null} propertyId - only the reservations at this property
+     */
+    getPreferencesByGuest(propertyId = null) {
+        const rows = db.prepare(`
+            SELECT res.guest_id, res.preferences
+            FROM reservations res
+            WHERE (res.notes IS NOT NULL OR res.guest_notes IS NOT NULL)${propertyId ? ' AND res.property_id = ?' : ''}
+            ORDER BY res.check_in_date DESC
+        `).all(...(propertyId ? [propertyId] : []));
+
+        const byGuest = new Map();
+        for (const row of rows) {
+            if (!byGuest.has(row.guest_id)) byGuest.set(row.guest_id, []);
+            byGuest.get(row.guest_id).push(this.parse(row.preferences));
+        }
+        return new Map([...byGuest].map(([guestId, preferences]) => [guestId, this.merge(preferences)]));
+    }
+
+    /**
+     * One line for reports: "Allergieën: noten · Dieet: vegetarisch · Viering: verjaardag"
+     */
+    summarize(preferences) {
+        if (this.isEmpty(preferences)) return '';
+        return [
+            ['Allergieën', preferences.allergies],
+            ['Dieet', preferences.dietary],
+            ['Viering', preferences.celebrations]
+        ]
+            .filter(([, values]) => values && values.length > 0)
+            .map(([label, values]) => `${label}: ${values.join(', ')}`)
+            .join(' · ');
+    }
+
+    /**
+     * Remarks of the most recent stays as context for the AI analysis ('' when there are none)
+     */
+    toPromptText(guestId, limit = 5) {
+        const { notes, preferences } = this.getForGuest(guestId);
+        if (notes.length === 0) return '';
+        const lines = notes.slice(0, limit).map(row => {
+            const parts = [row.notes && `hotel: ${row.notes}`, row.guest_notes && `gast: ${row.guest_notes}`].filter(Boolean);
+            return `- ${row.check_in_date || '?'}: ${parts.join(' | ')}`;
+        });
+        const summary = this.summarize(preferences);
+        return `${lines.join('\n')}${summary ? `\n${summary}` : ''}`;
+    }
+}
+
+module.exports = new ReservationNotes();
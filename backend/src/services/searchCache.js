@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const db = require('../db/database');
+
+/**
+ * Search Result Cache
+ * Persists provider responses in the serpapi_cache table so re-research
+ * does not pay for the same queries twice.
+ *
+ * TTL per provider (hours) can be overridden with SEARCH_CACHE_TTL_<PROVIDER>,
+ * e.g. SEARCH_CACHE_TTL_BRIGHTDATA=24. A TTL of 0 disables caching for that provider.
+ */
+
+const DEFAULT_TTL_HOURS = {
+    brightdata: 7 * 24,
+    brave: 7 * 24,
+    duckduckgo: 3 * 24,
+    google_browser: 3 * 24,
+    perplexity: 7 * 24,
+    sonar: 14 * 24
+};
+const FALLBACK_TTL_HOURS = 24;
+
+class SearchCache {
+    constructor() {
+        // Per-request context so a single research run can bypass the cache
+        this.context = new AsyncLocalStorage();
+        this.enabled = process.env.SEARCH_CACHE_ENABLED !== 'false';
+    }
+
+    /**
+     * Run fn with cache options ({ bypass: true } skips reads, fresh results are still stored)
+     */
+    run(options, fn) {
+        return this.context.run({ bypass: !!options?.bypass }, fn);
+    }
+
+    isBypassed() {
+        return !!this.context.getStore()?.bypass;
+    }
+
+    getTtlHours(provider) {
+        const envValue = process.env[`SEARCH_CACHE_TTL_${provider.toUpperCase()}`];
+        if (envValue !== undefined && envValue !== '' && !isNaN(parseFloat(envValue))) {
+            return parseFloat(envValue);
+        }
+        return DEFAULT_TTL_HOURS[provider] ?? FALLBACK_TTL_HOURS;
+    }
+
+    hashKey(provider, query, params = {}) {
+        return crypto
+            .createHash('sha256')
+            .update(JSON.stringify([provider, query, params]))
+            .digest('hex');
+    }
+
+    /**
+     * Get a cached result, or null on miss/expired
+     */
+    get(provider, query, params = {}) {
+        if (!this.enabled || this.isBypassed() || this.getTtlHours(provider) <= 0) return null;
+
+        try {
+            const hash = this.hashKey(provider, query, params);
+            const row = db.prepare(`
+                SELECT id, result_data FROM serpapi_cache
+                WHERE query_hash = ? AND expires_at > datetime('now')
+            `).get(hash);
+
+            if (!row) return null;
+
+            db.prepare('UPDATE serpapi_cache SET hit_count = hit_count + 1 WHERE id = ?').run(row.id);
+            return JSON.parse(row.result_data);
+        } catch (error) {
+            console.error('⚠️ Search cache read error:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Store a result (overwrites an existing entry for the same key)
+     */
+    set(provider, query, params = {}, data) {
+        const ttlHours = this.getTtlHours(provider);
+        if (!this.enabled || ttlHours <= 0) return;
+
+        try {
+            const hash = this.hashKey(provider, query, params);
+            db.prepare(`
+                INSERT INTO serpapi_cache (query_hash, query_text, search_type, result_data, hit_count, created_at, expires_at)
+                VALUES (?, ?, ?, ?, 0, datetime('now'), datetime('now', ?))
+                ON CONFLICT(query_hash) DO UPDATE SET
+                    result_data = excluded.result_data,
+                    created_at = excluded.created_at,
+                    expires_at = excluded.expires_at
+            `).run(hash, query, provider, JSON.stringify(data), `+${Math.round(ttlHours * 60)} minutes`);
+        } catch (error) {
+            console.error('⚠️ Search cache write error:', error.message);
+        }
+    }
+
+    /**
+     * Cache-through helper: return cached data or call fetcher and store a usable result
+     * @param {Function} isUsable - decides whether a fresh result is worth caching
+     */
+    async wrap(provider, query, params, fetcher, isUsable = (data) => data !== null && data !== undefined) {
+        const cached = this.get(provider, query, params);
+        if (cached !== null) {
+            console.log(`💾 Cache hit (${provider}): "${String(query).substring(0, 50)}"`);
+            return cached;
+        }
+
+        const data = await fetcher();
+        if (isUsable(data)) {
+            this.set(provider, query, params, data);
+        }
+        return data;
+    }
+
+    /**
+     * Remove cache entries
+     * @param {Object} options - { provider, expiredOnly }
+     * @returns {number} removed rows
+     */
+    purge({ provider = null, expiredOnly = false } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (provider) {
+            conditions.push('search_type = ?');
+            params.push(provider);
+        }
+        if (expiredOnly) {
+            conditions.push("expires_at <= datetime('now')");
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        return db.prepare(`DELETE FROM serpapi_cache ${where}`).run(...params).changes;
+    }
+
+    getStats() {
+        const providers = db.prepare(`
+            SELECT
+                search_type as provider,
+                COUNT(*) as entries,
+                SUM(CASE WHEN expires_at > datetime('now') THEN 1 ELSE 0 END) as active,
+                COALESCE(SUM(hit_count), 0) as hits,
+                MAX(created_at) as last_stored_at
+            FROM serpapi_cache
+            GROUP BY search_type
+            ORDER BY search_type
+        `).all().map(row => ({ ...row, ttlHours: this.getTtlHours(row.provider) }));
+
+        return {
+            enabled: this.enabled,
+            totalEntries: providers.reduce((sum, p) => sum + p.entries, 0),
+            totalHits: providers.reduce((sum, p) => sum + p.hits, 0),
+            providers
+        };
+    }
+}
+
+module.exports = new SearchCache();
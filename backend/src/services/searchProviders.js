@@ -0,0 +1,204 @@
+const googleSearch = require('./googleSearch');
+const braveSearch = require('./braveSearch');
+const duckDuckGo = require('./duckDuckGo');
+const searchCache = require('./searchCache');
+
+/**
+ * Search Provider Chain
+ * One interface for all web search backends, with an ordered fallback chain.
+ * Every provider returns the same shape: [{ link, title, snippet, source }]
+ *
+ * Order is configured with SEARCH_PROVIDER_ORDER (comma separated), default:
+ *   brightdata,brave,duckduckgo
+ * Each provider's base URL can be overridden through env, so the chain can be
+ * exercised against a local stub server.
+ * Results are cached per provider in serpapi_cache (see searchCache).
+ */
+
+const DEFAULT_ORDER = ['brightdata', 'brave', 'duckduckgo'];
+
+// HTTP statuses that mean "out of quota / not allowed" - skip the provider for a while
+const QUOTA_STATUSES = [401, 402, 403, 429];
+const MAX_CONSECUTIVE_FAILURES = 3;
+
+class SearchProviderChain {
+    constructor() {
+        this.providers = new Map();
+        this.health = new Map();
+        this.cooldownMs = parseInt(process.env.SEARCH_PROVIDER_COOLDOWN_MS) || 5 * 60 * 1000;
+
+        this.register({
+            name: 'brightdata',
+            label: 'Bright Data SERP (Google)',
+            isConfigured: () => !!googleSearch.serpApiKey,
+            search: (query, maxResults) => googleSearch.requestSerpApi(query, maxResults)
+        });
+
+        this.register({
+            name: 'brave',
+            label: 'Brave Search',
+            isConfigured: () => braveSearch.isConfigured(),
+            search: (query, maxResults, options) => braveSearch.request(query, maxResults, options.country)
+        });
+
+        this.register({
+            name: 'duckduckgo',
+            label: 'DuckDuckGo',
+            isConfigured: () => true,
+            search: (query, maxResults) => duckDuckGo.search(query, maxResults)
+        });
+
+        // Puppeteer scraping of Google - local only, opt-in via SEARCH_PROVIDER_ORDER
+        this.register({
+            name: 'google_browser',
+            label: 'Google (Puppeteer)',
+            isConfigured: () => !(process.env.RENDER === 'true' || process.env.VERCEL || process.env.RENDER_SERVICE_ID),
+            search: (query, maxResults) => googleSearch.search(query, maxResults, 1)
+        });
+    }
+
+    /**
+     * Register a provider: { name, label, isConfigured(), search(query, maxResults, options) }
+     * search() must resolve to an array of { link, title, snippet } and throw on failure
+     */
+    register(provider) {
+        this.providers.set(provider.name, provider);
+        this.health.set(provider.name, {
+            lastSuccessAt: null,
+            lastErrorAt: null,
+            lastError: null,
+            consecutiveFailures: 0,
+            disabledUntil: null,
+            totalRequests: 0,
+            totalFailures: 0
+        });
+    }
+
+    /**
+     * Provider names in priority order (unknown names are ignored)
+     */
+    getOrder() {
+        const configured = (process.env.SEARCH_PROVIDER_ORDER || '')
+            .split(',')
+            .map(name => name.trim().toLowerCase())
+            .filter(name => this.providers.has(name));
+
+        return configured.length > 0 ? configured : DEFAULT_ORDER;
+    }
+
+    isCoolingDown(name) {
+        const health = this.health.get(name);
+        return !!(health.disabledUntil && health.disabledUntil > Date.now());
+    }
+
+    recordSuccess(name) {
+        const health = this.health.get(name);
+        health.totalRequests++;
+        health.lastSuccessAt = new Date().toISOString();
+        health.consecutiveFailures = 0;
+        health.disabledUntil = null;
+    }
+
+    recordFailure(name, error) {
+        const health = this.health.get(name);
+        health.totalRequests++;
+        health.totalFailures++;
+        health.consecutiveFailures++;
+        health.lastErrorAt = new Date().toISOString();
+        health.lastError = error.status ? `${error.status}: ${error.message}` : error.message;
+
+        if (QUOTA_STATUSES.includes(error.status) || health.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+            health.disabledUntil = Date.now() + this.cooldownMs;
+            console.log(`⏸️ Search provider ${name} paused for ${Math.round(this.cooldownMs / 1000)}s (${health.lastError})`);
+        }
+    }
+
+    /**
+     * Search through the chain until a provider returns results
+     * @param {string} query
+     * @param {number} maxResults
+     * @param {object} options - { country, providers: ['brave', ...] to override the order }
+     * @returns {Promise<Array<{link, title, snippet, source}>>}
+     */
+    async search(query, maxResults = 10, options = {}) {
+        const order = options.providers || this.getOrder();
+
+        const cacheParams = { maxResults, country: options.country || null };
+
+        for (const name of order) {
+            const provider = this.providers.get(name);
+            if (!provider) continue;
+
+            const cached = searchCache.get(name, query, cacheParams);
+            if (cached && cached.length > 0) {
+                console.log(`💾 Cache hit (${name}): "${query.substring(0, 50)}"`);
+                return cached;
+            }
+
+            if (!provider.isConfigured() || this.isCoolingDown(name)) continue;
+
+            try {
+                const results = await provider.search(query, maxResults, options);
+                this.recordSuccess(name);
+
+                if (results && results.length > 0) {
+                    const normalized = results.slice(0, maxResults).map(r => ({
+                        link: r.link,
+                        title: r.title || '',
+                        snippet: r.snippet || '',
+                        source: name
+                    }));
+                    searchCache.set(name, query, cacheParams, normalized);
+                    return normalized;
+                }
+            } catch (error) {
+                console.error(`❌ Search provider ${name} failed: ${error.message}`);
+                this.recordFailure(name, error);
+            }
+        }
+
+        return [];
+    }
+
+    /**
+     * Health overview for every registered provider
+     */
+    getStatus() {
+        const order = this.getOrder();
+
+        return Array.from(this.providers.values()).map(provider => {
+            const health = this.health.get(provider.name);
+            let status = 'healthy';
+            if (!provider.isConfigured()) status = 'unconfigured';
+            else if (this.isCoolingDown(provider.name)) status = 'down';
+            else if (health.consecutiveFailures > 0) status = 'degraded';
+
+            return {
+                name: provider.name,
+                label: provider.label,
+                priority: order.includes(provider.name) ? order.indexOf(provider.name) + 1 : null,
+                status,
+                lastSuccessAt: health.lastSuccessAt,
+                lastErrorAt: health.lastErrorAt,
+                lastError: health.lastError,
+                consecutiveFailures: health.consecutiveFailures,
+                disabledUntil: health.disabledUntil ? new Date(health.disabledUntil).toISOString() : null,
+                totalRequests: health.totalRequests,
+                totalFailures: health.totalFailures
+            };
+        });
+    }
+
+    /**
+     * Clear cooldowns (e.g. after topping up quota)
+     */
+    reset(name = null) {
+        for (const [providerName, health] of this.health) {
+            if (name && providerName !== name) continue;
+            health.consecutiveFailures = 0;
+            health.disabledUntil = null;
+        }
+    }
+}
+
+module.exports = new SearchProviderChain();
@@ -0,0 +1,128 @@
+const db = require('../db/database');
+const guestFilters = require('./guestFilters');
+
+/**
+ * Segment Service
+ * Named, saved guest filter combinations. A segment belongs to the property it was made for
+ * (or to all properties) and is private to its creator unless it is shared.
+ */
+
+const MAX_NAME_LENGTH = 100;
+
+function parseFilters(value) {
+    try {
+        return JSON.parse(value || '{}');
+    } catch {
+        return {};
+    }
+}
+
+class SegmentService {
+    format(row, { propertyId = null } = {}) {
+        if (!row) return null;
+        const filters = parseFilters(row.filters);
+        return {
+            ...row,
+            filters,
+            shared: !!row.shared,
+            guest_count: guestFilters.count(filters, this.scopeFor(row, propertyId))
+        };
+    }
+
+    get(id) {
+        return db.prepare('SELECT * FROM guest_segments WHERE id = ?').get(id) || null;
+    }
+
+    /**
+     * Segments a user may use: their own and the shared ones, for the selected property
+     * (plus the ones for all properties); without propertyId those of every property
+     */
+    list(username, propertyId = null) {
+        const rows = db.prepare(`
+            SELECT * FROM guest_segments
+            WHERE (created_by = ? OR shared = 1)
+            ${propertyId ? 'AND (property_id IS NULL OR property_id = ?)' : ''}
+            ORDER BY name COLLATE NOCASE
+        `).all(username, ...(propertyId ? [propertyId] : []));
+        return rows.map(row => this.format(row, { propertyId }));
+    }
+
+    canView(segment, user, propertyId = null) {
+        if (!segment) return false;
+        if (propertyId && segment.property_id && segment.property_id !== propertyId) return false;
+        return segment.created_by === user.username || !!segment.shared;
+    }
+
+    canEdit(segment, user) {
+        return segment.created_by === user.username || user.role === 'admin';
+    }
+
+    /**
+     * Property whose guests a segment covers: the selected one, else the one it was made for
+     */
+    scopeFor(segment, propertyId = null) {
+        return propertyId || segment.property_id || null;
+    }
+
+    getFilters(segment) {
+        return parseFilters(segment.filters);
+    }
+
+    /**
+     * Ids of the guests in a segment
+     * @param {Object} options - { unresearchedOnly }
+     */
+    getGuestIds(segment, propertyId = null, options = {}) {
+        return guestFilters.findGuestIds(this.getFilters(segment), this.scopeFor(segment, propertyId), options);
+    }
+
+    validate({ name, filters }) {
+        if (name !== undefined) {
+            if (!name || !String(name).trim()) throw new Error('Naam is verplicht');
+            if (String(name).trim().length > MAX_NAME_LENGTH) throw new Error(`Naam mag maximaal ${MAX_NAME_LENGTH} tekens zijn`);
+        }
+        if (filters !== undefined) {
+            if (!filters || typeof filters !== 'object' || Array.isArray(filters)) throw new Error('Filters moeten een object zijn');
+            const normalized = guestFilters.normalize(filters);
+            if (Object.keys(normalized).length === 0) throw new Error('Kies minstens één filter');
+            return normalized;
+        }
+        return undefined;
+    }
+
+    create({ name, description = null, filters, shared = false, propertyId = null, createdBy }) {
+        if (filters === undefined) throw new Error('Kies minstens één filter');
+        const normalized = this.validate({ name, filters });
+
+        const row = db.prepare(`
+            INSERT INTO guest_segments (name, description, filters, property_id, shared, created_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+            RETURNING *
+        `).get(String(name).trim(), description || null, JSON.stringify(normalized), propertyId, shared ? 1 : 0, createdBy);
+        return this.format(row, { propertyId });
+    }
+
+    update(id, { name, description, filters, shared }, { propertyId = null } = {}) {
+        const current = this.get(id);
+        if (!current) return null;
+        const normalized = this.validate({ name, filters });
+
+        db.prepare(`
+            UPDATE guest_segments SET name = ?, description = ?, filters = ?, shared = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(
+            name !== undefined ? String(name).trim() : current.name,
+            description !== undefined ? (description || null) : current.description,
+            normalized ? JSON.stringify(normalized) : current.filters,
+            shared !== undefined ? (shared ? 1 : 0) : current.shared,
+            id
+        );
+        return this.format(this.get(id), { propertyId });
+    }
+
+    remove(id) {
+        return db.prepare('DELETE FROM guest_segments WHERE id = ?').run(id).changes > 0;
+    }
+}
+
+module.exports = new SegmentService();
@@ -1,9 +1,13 @@
 const OpenAI = require('openai');
+const usageMeter = require('./usageMeter');
 const companyScraper = require('./companyScraper');
 const knowledgeGraph = require('./knowledgeGraph');
 const googleSearch = require('./googleSearch');
+const searchProviders = require('./searchProviders');
 const perplexitySearch = require('./perplexitySearch');
 const queryGenerator = require('./queryGenerator');
+const provenance = require('./provenance');
+const reservationNotes = require('./reservationNotes');
 
 /**
  * Email domains that should NOT be treated as companies/employers
@@ -66,9 +70,9 @@ class SmartSearchService {
 
     getOpenAI() {
         if (!this.openai && process.env.OPENAI_API_KEY) {
-            this.openai = new OpenAI({
+            this.openai = usageMeter.meterOpenAI(new OpenAI({
                 apiKey: process.env.OPENAI_API_KEY
-            });
+            }), 'smart_search');
         }
         return this.openai;
     }
@@ -178,7 +182,7 @@ class SmartSearchService {
 
             try {
                 console.log(`   🔍 Searching Google for company info: ${domain}`);
-                companyResults = await googleSearch.search(`"${domain}" company`, 3) || [];
+                companyResults = await searchProviders.search(`"${domain}" company`, 3) || [];
             } catch (searchError) {
                 console.log(`   ⚠️ Google search failed (captcha?), using domain name as company`);
             }
@@ -640,6 +644,7 @@ Return JSON:
                     location: finalLocation,
                     education: finalEducation,
                     sourceType: 'google_fallback',
+                    provider: bestSource.source || null,
                     reason: result.reason,
                     confidence: result.confidence
                 };
@@ -675,7 +680,7 @@ Return JSON:
             ];
 
             for (const query of primaryQueries) {
-                const results = await googleSearch.search(query, 5);
+                const results = await searchProviders.search(query, 5);
 
                 const instagramResults = results.filter(r =>
                     r.link?.includes('instagram.com/') &&
@@ -718,7 +723,7 @@ Return JSON:
             console.log(`📸 Trying fuzzy Instagram search: ${nameNoSpaces}`);
 
             for (const query of fuzzyQueries) {
-                const results = await googleSearch.search(query, 5);
+                const results = await searchProviders.search(query, 5);
 
                 const instagramResults = results.filter(r =>
                     r.link?.includes('instagram.com/') &&
@@ -896,7 +901,7 @@ Return JSON:
             ];
 
             for (const query of primaryQueries) {
-                const results = await googleSearch.search(query, 5);
+                const results = await searchProviders.search(query, 5);
 
                 const twitterResults = results.filter(r =>
                     (r.link?.includes('twitter.com/') || r.link?.includes('x.com/')) &&
@@ -1048,7 +1053,7 @@ Return JSON:
 
             // Try to get more details with a dedicated Twitter profile search using Google
             const profileQuery = `site:x.com/${handle} OR site:twitter.com/${handle}`;
-            const profileResults = await googleSearch.search(profileQuery, 5);
+            const profileResults = await searchProviders.search(profileQuery, 5);
 
             if (profileResults.length > 0) {
                 // Look for the main profile result
@@ -1448,7 +1453,7 @@ Return JSON:
             console.log(`📰 Quick news search for ${guestName}...`);
 
             // Use Google for news search
-            const articles = await googleSearch.search(`"${guestName}" news`, 3);
+            const articles = await searchProviders.search(`"${guestName}" news`, 3);
 
             if (articles.length > 0) {
                 console.log(`📰 Found ${articles.length} news articles`);
@@ -1621,6 +1626,9 @@ NOTE: We are looking for successful business professionals, entrepreneurs, and d
         }
 
         try {
+            // Allergies, diet and celebrations from the remarks of earlier stays
+            const stayRemarks = guest.id ? reservationNotes.toPromptText(guest.id) : '';
+
             console.log('\n🔍 ========== DEBUG: ANALYZE WITH AI - INPUT DATA ==========');
             console.log('LinkedinInfo.bestMatch:', JSON.stringify(linkedinInfo.bestMatch, null, 2));
             console.log('=============================================================\n');
@@ -1710,7 +1718,7 @@ WEBSITE ANALYSE:
 2. NO FLUFF: Write factually and professionally. No standard opening sentences or pleasantries.
 3. NATURAL TEXT: Avoid the word "null" or "unknown" in the report text. If information is missing, leave it out so it reads naturally. No empty spaces or gaps in lists.
 4. FORMATTING: Use compact notation for numbers (e.g., 18k instead of 18,000).
-5. PERSONALIZED RECOMMENDATIONS: Make service recommendations truly specific to this person. No generic "be polite" advice, but actions based on their interests, role, or recent achievements.
+5. PERSONALIZED RECOMMENDATIONS: Make service recommendations truly specific to this person. No generic "be polite" advice, but actions based on their interests, role, or recent achievements. Always take the STAY REMARKS (allergies, diet, celebrations) into account.
 6. CONFIDENCE SCORING: Provide a confidence score ("high", "medium", "low") for each important field.
 7. CRITICAL VIEW & ANTI-HISTORY: Be extremely critical of sources. Is this really the living person currently staying at our hotel?
    - HISTORICAL FIGURES: If you see data about people born in the 19th or early 20th century (e.g., 1882), or people long deceased: IGNORE COMPLETELY. DO NOT report a history lesson.
@@ -1736,6 +1744,8 @@ NAME: ${guest.full_name}
 EMAIL: ${guest.email || 'Unknown'}
 COUNTRY: ${guest.country || 'Unknown'}
 NOTES: ${guest.notes || 'None'}
+STAY REMARKS:
+${stayRemarks || 'None'}
 
 ${emailDomainContext}
 ${linkedinContext}
@@ -1804,7 +1814,7 @@ ${companyContext}
 2. GEEN FLUFF: Schrijf feitelijk en zakelijk. Geen standaard openingszinnen of beleefdheidsvormen.
 3. NATUURLIJKE TEKST: Vermijd het woord "null" of "onbekend" in de rapport-текsten. Als informatie er niet is, laat het dan gewoon achterwege uit het verhaal. Geen lege plekken of gaten in opsommingen.
 4. FORMATTERING: Gebruik voor getallen (zoals volgers) compacte notaties (bijv. 18k in plaats van 18.000).
-5. GEPERSONALISEERDE AANBEVELINGEN: Maak de service aanbevelingen echt specifiek voor deze persoon. Geen algemene "wees beleefd" adviezen, maar acties gebaseerd op hun interesses, rol of recente prestaties.
+5. GEPERSONALISEERDE AANBEVELINGEN: Maak de service aanbevelingen echt specifiek voor deze persoon. Geen algemene "wees beleefd" adviezen, maar acties gebaseerd op hun interesses, rol of recente prestaties. Houd altijd rekening met de VERBLIJFSOPMERKINGEN (allergieën, dieet, vieringen).
 6. CONFIDENCE SCORING: Geef voor elk belangrijk veld een confidence score ("high", "medium", "low").
 7. KRITISCHE BLIK & ANTI-HISTORIE: Wees extreem kritisch op de bronnen. Is dit echt de levende persoon die nu in ons hotel verblijft? 
    - HISTORISCHE FIGUREN: Als je data ziet over mensen geboren in de 19e of vroege 20e eeuw (bijv. 1882), of mensen die al lang overleden zijn: NEGEER DEZE COMPLEET. Rapporteer GEEN geschiedenisles.
@@ -1830,6 +1840,8 @@ NAAM: ${guest.full_name}
 E-MAIL: ${guest.email || 'Onbekend'}
 LAND: ${guest.country || 'Onbekend'}
 NOTITIES: ${guest.notes || 'Geen'}
+VERBLIJFSOPMERKINGEN:
+${stayRemarks || 'Geen'}
 
 ${emailDomainContext}
 ${linkedinContext}
@@ -1921,7 +1933,10 @@ ${companyContext}
                 confidence_scores: {
                     vip_score: result.vip_score.confidence,
                     industry: result.industry.confidence,
-                    is_owner: result.is_owner.confidence
+                    is_owner: result.is_owner.confidence,
+                    company_size: result.company_size.confidence,
+                    employment_type: result.employment_type.confidence,
+                    net_worth_estimate: result.net_worth_estimate.confidence
                 }
             };
         } catch (error) {
@@ -1943,6 +1958,8 @@ ${companyContext}
         }
 
         try {
+            const stayRemarks = guest.id ? reservationNotes.toPromptText(guest.id) : '';
+
             // Build context from existing research
             const existingContext = `
 BESTAANDE RESEARCH DATA:
@@ -1965,6 +1982,7 @@ GUEST INFO:
 Name: ${guest.full_name}
 Country: ${guest.country || 'Unknown'}
 ${guest.notes ? `Hotel notes: ${guest.notes}` : ''}
+${stayRemarks ? `Stay remarks (allergies, diet, celebrations):\n${stayRemarks}` : ''}
 
 ${existingContext}
 
@@ -2034,6 +2052,7 @@ GASTINFORMATIE:
 Naam: ${guest.full_name}
 Land: ${guest.country || 'Onbekend'}
 ${guest.notes ? `Hotel opmerkingen: ${guest.notes}` : ''}
+${stayRemarks ? `Verblijfsopmerkingen (allergieën, dieet, vieringen):\n${stayRemarks}` : ''}
 
 ${existingContext}
 
@@ -2217,6 +2236,31 @@ Return JSON:
         }
     }
 
+    /**
+     * Provenance for a Sonar result: every field comes from the same Perplexity answer
+     */
+    buildSonarProvenance(sonarResult) {
+        const sonarSource = {
+            url: sonarResult.sources?.[0] || null,
+            provider: 'perplexity',
+            confidence: sonarResult.confidenceScore
+        };
+        const fromSonar = (value) => value ? provenance.entry('perplexity_sonar', sonarSource) : null;
+
+        return provenance.compact({
+            job_title: fromSonar(sonarResult.jobTitle),
+            company_name: fromSonar(sonarResult.company),
+            industry: fromSonar(sonarResult.celebrityCategory !== 'none' ? sonarResult.celebrityCategory : null),
+            linkedin_url: fromSonar(sonarResult.linkedinUrl),
+            instagram_url: fromSonar(sonarResult.instagramUrl),
+            twitter_url: fromSonar(sonarResult.twitterUrl),
+            social_media_location: fromSonar(sonarResult.location),
+            website_url: sonarResult.sources?.[0] ? provenance.entry('web_search', { ...sonarSource, url: sonarResult.sources[0] }) : null,
+            notable_info: fromSonar(sonarResult.notableInfo),
+            vip_score: fromSonar(sonarResult.vipScore)
+        });
+    }
+
     /**
      * ULTIMATE FINDER - Main search function for guest research
      * Strategy: Collect EVERYTHING first, then analyze
@@ -2326,6 +2370,7 @@ Return JSON:
                     emailDomainInfo: null,
                     newsArticles: [],
                     confidenceScores: { overall: sonarResult.confidenceScore },
+                    fieldProvenance: this.buildSonarProvenance(sonarResult),
                     noResultsFound: !sonarResult.jobTitle && !sonarResult.company && !sonarResult.linkedinUrl
                 };
             }
@@ -2391,7 +2436,7 @@ Return JSON:
         } else if (guest.country) {
             probeQuery += ` ${guest.country}`;
         }
-        discoveryPromises.push(googleSearch.search(probeQuery, 10).then(res => ({ source: 'google', data: res })));
+        discoveryPromises.push(searchProviders.search(probeQuery, 10).then(res => ({ source: 'google', data: res })));
 
         const discoveryResults = await Promise.allSettled(discoveryPromises);
 
@@ -2496,7 +2541,7 @@ Return JSON:
                 }
 
                 const currentBatch = prioritizedQueries.slice(i, i + batchSize);
-                const batchPromises = currentBatch.map(query => googleSearch.search(query, 5));
+                const batchPromises = currentBatch.map(query => searchProviders.search(query, 5));
                 const batchResults = await Promise.all(batchPromises);
 
                 for (const results of batchResults) {
@@ -2821,7 +2866,9 @@ Return JSON:
                         title: aiResult.title,
                         snippet: aiResult.snippet,
                         jobTitle: extractedJobTitle || aiResult.extractedJobTitle,
-                        company: extractedCompany || aiResult.extractedCompany
+                        company: extractedCompany || aiResult.extractedCompany,
+                        provider: aiResult.provider || null,
+                        confidence: aiResult.confidence ?? null
                     };
                 } else {
                     // It's a broad search match (Wikipedia, Official site, etc.)
@@ -3369,6 +3416,69 @@ Return JSON:
             console.log(`✅ Found data for ${guest.full_name}: LinkedIn=${!!hasLinkedIn}, Company=${!!hasCompany}, JobTitle=${!!hasJobTitle}, Analysis=${!!hasAnalysis}`);
         }
 
+        // Field-level provenance: which source produced each saved value
+        const aiConfidence = analysis.confidence_scores || {};
+        const aiSource = { source: 'ai_analysis', provider: 'openai' };
+        const linkedinSource = { source: 'linkedin', url: bestMatch?.url, provider: bestMatch?.provider, confidence: bestMatch?.confidence };
+        const webSource = { source: 'web_search', url: fallbackMatch?.url, provider: fallbackMatch?.provider, confidence: fallbackMatch?.confidence };
+        const emailSource = { source: 'email_domain', url: emailDomainInfo?.websiteUrl, confidence: emailDomainInfo?.ownerConfidence };
+        const twitterSource = { source: 'twitter', url: twitterResult.url };
+        const instagramSource = { source: 'instagram', url: instagramResult.url };
+        const celebritySource = { source: 'knowledge_graph', url: celebrityInfo.wikipediaUrl, confidence: celebrityInfo.confidence };
+
+        const fieldProvenance = provenance.compact({
+            job_title: provenance.resolve(effectiveJobTitle, [
+                { value: bestMatch?.jobTitle, ...linkedinSource },
+                { value: fallbackMatch?.jobTitle, ...webSource },
+                { value: twitterResult.jobTitle, ...twitterSource },
+                { value: instagramResult.jobTitle, ...instagramSource },
+                { value: celebrityMatched ? celebrityInfo.knownFor : null, ...celebritySource },
+                { value: 'Mogelijke eigenaar', ...emailSource },
+                { value: analysis.full_report?.professional_background?.current_role, ...aiSource }
+            ]),
+            company_name: provenance.resolve(effectiveCompany, [
+                { value: bestMatch?.company, ...linkedinSource },
+                { value: emailDomainInfo?.companyName, ...emailSource },
+                { value: fallbackMatch?.company, ...webSource },
+                { value: analysis.full_report?.company_analysis?.company_name, ...aiSource },
+                { value: twitterResult.company, ...twitterSource },
+                { value: instagramResult.company, ...instagramSource },
+                { value: guest.company, source: 'guest_input' }
+            ]),
+            website_url: provenance.resolve(effectiveWebsite, [
+                { value: isValidCompanyWebsite ? companyWebsite : null, source: 'web_search', url: companyWebsite },
+                { value: emailDomainInfo?.websiteUrl, ...emailSource },
+                { value: isValidFallbackWebsite ? fallbackUrl : null, ...webSource },
+                { value: twitterResult.linkedWebsite, ...twitterSource },
+                { value: instagramResult.linkedWebsite, ...instagramSource }
+            ]),
+            linkedin_url: bestMatch?.url ? provenance.entry('linkedin', linkedinSource) : null,
+            instagram_url: shouldIncludeInstagram && instagramResult.url ? provenance.entry('instagram', instagramSource) : null,
+            instagram_followers: shouldIncludeInstagram && instagramResult.followers ? provenance.entry('instagram', instagramSource) : null,
+            twitter_url: shouldIncludeTwitter && twitterResult.url ? provenance.entry('twitter', twitterSource) : null,
+            twitter_followers: shouldIncludeTwitter && twitterResult.followers ? provenance.entry('twitter', twitterSource) : null,
+            followers_estimate: totalFollowers > 0
+                ? provenance.entry(instagramResult.followers ? 'instagram' : 'twitter', instagramResult.followers ? instagramSource : twitterSource)
+                : null,
+            social_media_location: socialMediaLocation
+                ? provenance.entry(twitterResult.location ? 'twitter' : 'instagram', twitterResult.location ? twitterSource : instagramSource)
+                : null,
+            industry: provenance.resolve(analysis.industry || celebrityInfo.category, [
+                { value: analysis.industry, ...aiSource, confidence: aiConfidence.industry },
+                { value: celebrityInfo.category, ...celebritySource }
+            ]),
+            is_owner: emailDomainInfo?.isOwner != null
+                ? provenance.entry('email_domain', emailSource)
+                : (analysis.is_owner != null ? provenance.entry('ai_analysis', { ...aiSource, confidence: aiConfidence.is_owner }) : null),
+            company_size: emailDomainInfo?.companySize
+                ? provenance.entry('email_domain', emailSource)
+                : (analysis.company_size ? provenance.entry('ai_analysis', { ...aiSource, confidence: aiConfidence.company_size }) : null),
+            employment_type: analysis.employment_type ? provenance.entry('ai_analysis', { ...aiSource, confidence: aiConfidence.employment_type }) : null,
+            net_worth: analysis.net_worth_estimate ? provenance.entry('ai_analysis', { ...aiSource, confidence: aiConfidence.net_worth_estimate }) : null,
+            notable_info: analysis.notable_info ? provenance.entry('ai_analysis', aiSource) : null,
+            vip_score: analysis.vip_score ? provenance.entry('ai_analysis', { ...aiSource, confidence: aiConfidence.vip_score }) : null
+        });
+
         // Build results object with comprehensive social media data
         return {
             profilePhotoUrl: profilePhotoUrl,
@@ -3434,6 +3544,7 @@ Return JSON:
             emailDomainInfo: emailDomainInfo,
             newsArticles: newsInfo.articles || [],
             confidenceScores: analysis.confidence_scores || null,
+            fieldProvenance: fieldProvenance,
             noResultsFound: noResultsFound
         };
     }
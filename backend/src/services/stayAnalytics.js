@@ -0,0 +1,236 @@
+const db = require('../db/database');
+
+/**
+ * Stay Analytics
+ * Revenue, nights and guest value from the reservations table. Cancelled reservations
+ * (status containing "cancel" or "annul") are left out; nights come from the arrival and
+ * departure dates. A period filters on the arrival date.
+ *
+ * VIP tiers follow the VIP score: VIP from 7 (the same threshold as the VIP filter), 4-6 medium, 1-3 low.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_LEADERBOARD = 100;
+
+const TIERS = ['VIP', 'Gemiddeld', 'Laag', 'Niet onderzocht'];
+
+const ACTIVE_SQL = `LOWER(COALESCE(res.booking_status, '')) NOT LIKE '%cancel%'
+    AND LOWER(COALESCE(res.booking_status, '')) NOT LIKE '%annul%'`;
+
+const NIGHTS_SQL = `CASE WHEN res.check_in_date IS NOT NULL AND res.check_out_date IS NOT NULL
+    THEN MAX(CAST(julianday(res.check_out_date) - julianday(res.check_in_date) AS INTEGER), 0) ELSE 0 END`;
+
+const TIER_SQL = `CASE
+    WHEN r.vip_score IS NULL THEN 'Niet onderzocht'
+    WHEN r.vip_score >= 7 THEN 'VIP'
+    WHEN r.vip_score >= 4 THEN 'Gemiddeld'
+    ELSE 'Laag' END`;
+
+const round = (value, decimals = 2) => Math.round((value || 0) * 10 ** decimals) / 10 ** decimals;
+
+class StayAnalytics {
+    getTiers() {
+        return TIERS;
+    }
+
+    /**
+     * Check the query filters
+     * @throws {Error} on an invalid date
+     */
+    normalize({ from = null, to = null, country = null } = {}) {
+        for (const [name, value] of [['from', from], ['to', to]]) {
+            if (value && !DATE_PATTERN.test(value)) throw new Error(`Ongeldige datum voor ${name} (gebruik JJJJ-MM-DD)`);
+        }
+        return { from: from || null, to: to || null, country: country || null };
+    }
+
+    /**
+     * WHERE conditions for reservations (res), guests (g) and research (r)
+     */
+    where({ propertyId = null, from = null, to = null, country = null } = {}) {
+        let sql = ` AND ${ACTIVE_SQL}`;
+        const params = [];
+        if (propertyId) {
+            sql += ' AND res.property_id = ?';
+            params.push(propertyId);
+        }
+        if (from) {
+            sql += ' AND res.check_in_date >= ?';
+            params.push(from);
+        }
+        if (to) {
+            sql += ' AND res.check_in_date <= ?';
+            params.push(to);
+        }
+        if (country) {
+            sql += ' AND g.country = ?';
+            params.push(country);
+        }
+        return { sql, params };
+    }
+
+    /**
+     * Totals for the period: revenue, nights, average rate, revenue per guest and repeat-guest rate.
+     * A repeat guest has at least two stays at the selected property (or the group), counting earlier stays too.
+     */
+    getSummary(filters = {}) {
+        const where = this.where(filters);
+        const totals = db.prepare(`
+            SELECT COUNT(*) as reservations,
+                   COUNT(DISTINCT res.guest_id) as guests,
+                   COALESCE(SUM(res.total_amount), 0) as revenue,
+                   COALESCE(SUM(${NIGHTS_SQL}), 0) as nights,
+                   COALESCE(SUM(CASE WHEN res.total_amount IS NOT NULL THEN ${NIGHTS_SQL} ELSE 0 END), 0) as paid_nights
+            FROM reservations res
+            JOIN guests g ON g.id = res.guest_id
+            WHERE 1=1${where.sql}
+        `).get(...where.params);
+
+        const allStays = this.where({ propertyId: filters.propertyId });
+        const { repeatGuests } = db.prepare(`
+            SELECT COUNT(*) as repeatGuests FROM (
+                SELECT DISTINCT res.guest_id FROM reservations res
+                JOIN guests g ON g.id = res.guest_id
+                WHERE 1=1${where.sql}
+            ) period
+            WHERE (SELECT COUNT(*) FROM reservations res WHERE res.guest_id = period.guest_id${allStays.sql}) >= 2
+        `).get(...where.params, ...allStays.params);
+
+        return {
+            reservations: totals.reservations,
+            guests: totals.guests,
+            revenue: round(totals.revenue),
+            nights: totals.nights,
+            averageRate: totals.paid_nights > 0 ? round(totals.revenue / totals.paid_nights) : null,
+            revenuePerGuest: totals.guests > 0 ? round(totals.revenue / totals.guests) : null,
+            averageLengthOfStay: totals.reservations > 0 ? round(totals.nights / totals.reservations, 1) : null,
+            repeatGuests,
+            repeatGuestRate: totals.guests > 0 ? round((repeatGuests / totals.guests) * 100, 1) : null
+        };
+    }
+
+    /**
+     * Revenue, nights, reservations and guests per arrival month
+     */
+    getMonthly(filters = {}) {
+        const where = this.where(filters);
+        return db.prepare(`
+            SELECT strftime('%Y-%m', res.check_in_date) as month,
+                   COUNT(*) as reservations,
+                   COUNT(DISTINCT res.guest_id) as guests,
+                   ROUND(COALESCE(SUM(res.total_amount), 0), 2) as revenue,
+                   COALESCE(SUM(${NIGHTS_SQL}), 0) as nights
+            FROM reservations res
+            JOIN guests g ON g.id = res.guest_id
+            WHERE res.check_in_date IS NOT NULL${where.sql}
+            GROUP BY month
+            ORDER BY month
+        `).all(...where.params);
+    }
+
+    /**
+     * Room category mix per VIP tier: reservations, nights and revenue per category
+     */
+    getRoomMix(filters = {}) {
+        const where = this.where(filters);
+        const rows = db.prepare(`
+            SELECT ${TIER_SQL} as tier,
+                   COALESCE(NULLIF(TRIM(res.room_category), ''), 'Onbekend') as room_category,
+                   COUNT(*) as reservations,
+                   COALESCE(SUM(${NIGHTS_SQL}), 0) as nights,
+                   ROUND(COALESCE(SUM(res.total_amount), 0), 2) as revenue
+            FROM reservations res
+            JOIN guests g ON g.id = res.guest_id
+            LEFT JOIN research_results r ON r.guest_id = g.id
+            WHERE 1=1${where.sql}
+            GROUP BY tier, room_category
+            ORDER BY reservations DESC
+        `).all(...where.params);
+
+        return TIERS.map(tier => {
+            const categories = rows.filter(row => row.tier === tier);
+            const reservations = categories.reduce((sum, row) => sum + row.reservations, 0);
+            return {
+                tier,
+                reservations,
+                categories: categories.map(({ tier: _tier, ...row }) => ({
+                    ...row,
+                    share: reservations > 0 ? round((row.reservations / reservations) * 100, 1) : 0
+                }))
+            };
+        }).filter(tier => tier.reservations > 0);
+    }
+
+    /**
+     * Highest-value guests in the period
+     */
+    getLeaderboard(filters = {}, { limit = 25 } = {}) {
+        const where = this.where(filters);
+        limit = Math.min(Math.max(parseInt(limit) || 25, 1), MAX_LEADERBOARD);
+        return db.prepare(`
+            SELECT g.id, g.full_name, g.country, g.company, r.vip_score, ${TIER_SQL} as tier,
+                   COUNT(*) as stays,
+                   COALESCE(SUM(${NIGHTS_SQL}), 0) as nights,
+                   ROUND(COALESCE(SUM(res.total_amount), 0), 2) as revenue,
+                   MAX(res.check_in_date) as last_stay
+            FROM reservations res
+            JOIN guests g ON g.id = res.guest_id
+            LEFT JOIN research_results r ON r.guest_id = g.id
+            WHERE g.anonymized_at IS NULL${where.sql}
+            GROUP BY g.id
+            HAVING revenue > 0
+            ORDER BY revenue DESC, nights DESC
+            LIMIT ?
+        `).all(...where.params, limit).map(row => ({
+            ...row,
+            averageRate: row.nights > 0 ? round(row.revenue / row.nights) : null
+        }));
+    }
+
+    /**
+     * Lifetime value of one guest (all stays, or those at the selected property)
+     */
+    getGuestLifetime(guestId, propertyId = null) {
+        const where = this.where({ propertyId });
+        const row = db.prepare(`
+            SELECT COUNT(*) as stays,
+                   COALESCE(SUM(${NIGHTS_SQL}), 0) as nights,
+                   ROUND(COALESCE(SUM(res.total_amount), 0), 2) as revenue,
+                   MIN(res.check_in_date) as first_stay,
+                   MAX(res.check_in_date) as last_stay
+            FROM reservations res
+            JOIN guests g ON g.id = res.guest_id
+            WHERE res.guest_id = ?${where.sql}
+        `).get(guestId, ...where.params);
+        return {
+            ...row,
+            averageRate: row.nights > 0 ? round(row.revenue / row.nights) : null
+        };
+    }
+
+    /**
+     * Lifetime totals of every guest with reservations, as a Map keyed by guest id (for exports)
+     */
+    getGuestTotals(propertyId = null) {
+        const where = this.where({ propertyId });
+        const rows = db.prepare(`
+            SELECT res.guest_id,
+                   COUNT(*) as stays,
+                   COALESCE(SUM(${NIGHTS_SQL}), 0) as nights,
+                   ROUND(COALESCE(SUM(res.total_amount), 0), 2) as revenue,
+                   MIN(res.check_in_date) as first_stay,
+                   MAX(res.check_in_date) as last_stay,
+                   GROUP_CONCAT(DISTINCT NULLIF(TRIM(res.room_category), '')) as room_categories
+            FROM reservations res
+            JOIN guests g ON g.id = res.guest_id
+            WHERE 1=1${where.sql}
+            GROUP BY res.guest_id
+        `).all(...where.params);
+        return new Map(rows.map(row => [row.guest_id, {
+            ...row,
+            averageRate: row.nights > 0 ? round(row.revenue / row.nights) : null
+        }]));
+    }
+}
+
+module.exports = new StayAnalytics();
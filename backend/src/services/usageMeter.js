@@ -0,0 +1,260 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const db = require('../db/database');
+
+/**
+ * API Usage Meter
+ * Records every outbound call to a paid provider in api_usage with an estimated cost,
+ * attributed to the guest and queue of the research run that made it.
+ *
+ * Prices are estimates in USD. Per request: USAGE_COST_<PROVIDER>, e.g. USAGE_COST_BRIGHTDATA=0.0015.
+ * Per million tokens: USAGE_COST_<MODEL>_INPUT / _OUTPUT, e.g. USAGE_COST_GPT_4O_MINI_INPUT=0.15.
+ *
+ * Monthly budgets (api_budgets) are checked by the enrichment queues before each guest;
+ * a queue pauses itself while a budget is exceeded.
+ */
+
+const PROVIDERS = ['brightdata', 'brave', 'perplexity', 'sonar', 'openai'];
+const TOTAL = 'total';
+
+// USD per request
+const DEFAULT_REQUEST_COST = {
+    brightdata: 0.0015,
+    brave: 0.005,
+    perplexity: 0.005,
+    sonar: 0.005,
+    openai: 0
+};
+
+// USD per million tokens
+const DEFAULT_TOKEN_COST = {
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    sonar: { input: 1, output: 1 }
+};
+
+function envNumber(name) {
+    const value = process.env[name];
+    return value !== undefined && value !== '' && !isNaN(parseFloat(value)) ? parseFloat(value) : null;
+}
+
+function envKey(name) {
+    return name.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+class UsageMeter {
+    constructor() {
+        // Who the current calls are for: { guestId, queueId, propertyId }
+        this.context = new AsyncLocalStorage();
+    }
+
+    /**
+     * Run fn with calls attributed to a guest / queue
+     */
+    run(attribution, fn) {
+        return this.context.run({ ...this.context.getStore(), ...attribution }, fn);
+    }
+
+    getRequestCost(provider) {
+        return envNumber(`USAGE_COST_${envKey(provider)}`) ?? DEFAULT_REQUEST_COST[provider] ?? 0;
+    }
+
+    getTokenCost(model) {
+        // Dated model names (gpt-4o-mini-2024-07-18) use the price of their base model
+        const base = Object.keys(DEFAULT_TOKEN_COST)
+            .sort((a, b) => b.length - a.length)
+            .find(name => model === name || model?.startsWith(`${name}-`));
+        const defaults = DEFAULT_TOKEN_COST[base] || { input: 0, output: 0 };
+        const key = envKey(base || model || 'unknown');
+        return {
+            input: envNumber(`USAGE_COST_${key}_INPUT`) ?? defaults.input,
+            output: envNumber(`USAGE_COST_${key}_OUTPUT`) ?? defaults.output
+        };
+    }
+
+    estimateCost(provider, { requests = 1, model = null, inputTokens = 0, outputTokens = 0 }) {
+        const tokenCost = model ? this.getTokenCost(model) : { input: 0, output: 0 };
+        return requests * this.getRequestCost(provider)
+            + (inputTokens * tokenCost.input + outputTokens * tokenCost.output) / 1000000;
+    }
+
+    /**
+     * Record one provider call. Never throws: metering must not break research.
+     * @param {Object} usage - { operation, model, requests, inputTokens, outputTokens }
+     */
+    record(provider, usage = {}) {
+        try {
+            const { operation = null, model = null, requests = 1, inputTokens = 0, outputTokens = 0 } = usage;
+            const { guestId = null, queueId = null, propertyId = null } = this.context.getStore() || {};
+            const cost = this.estimateCost(provider, { requests, model, inputTokens, outputTokens });
+
+            db.prepare(`
+                INSERT INTO api_usage (provider, operation, model, requests, input_tokens, output_tokens, cost, guest_id, queue_id, property_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(provider, operation, model, requests, inputTokens || 0, outputTokens || 0, cost,
+                guestId, queueId, propertyId);
+        } catch (error) {
+            console.error('⚠️ Usage meter write error:', error.message);
+        }
+    }
+
+    /**
+     * Wrap an OpenAI client so every chat completion is recorded with its token usage
+     */
+    meterOpenAI(client, operation) {
+        const completions = client.chat.completions;
+        const create = completions.create.bind(completions);
+        completions.create = async (params, options) => {
+            const response = await create(params, options);
+            this.record('openai', {
+                operation,
+                model: response?.model || params.model,
+                inputTokens: response?.usage?.prompt_tokens,
+                outputTokens: response?.usage?.completion_tokens
+            });
+            return response;
+        };
+        return client;
+    }
+
+    // ---- Budgets ----
+
+    getBudgets() {
+        const spend = Object.fromEntries(db.prepare(`
+            SELECT provider, SUM(cost) as cost FROM api_usage
+            WHERE created_at >= datetime('now', 'start of month')
+            GROUP BY provider
+        `).all().map(row => [row.provider, row.cost]));
+        spend[TOTAL] = Object.values(spend).reduce((sum, cost) => sum + cost, 0);
+
+        const budgets = Object.fromEntries(db.prepare('SELECT * FROM api_budgets').all().map(row => [row.provider, row]));
+
+        return [TOTAL, ...PROVIDERS].map(provider => {
+            const budget = budgets[provider]?.monthly_budget ?? null;
+            const monthToDate = spend[provider] || 0;
+            return {
+                provider,
+                monthly_budget: budget,
+                month_to_date: monthToDate,
+                exceeded: budget !== null && monthToDate >= budget,
+                updated_by: budgets[provider]?.updated_by || null,
+                updated_at: budgets[provider]?.updated_at || null
+            };
+        });
+    }
+
+    /**
+     * Set (or with null, remove) the monthly budget of a provider
+     */
+    setBudget(provider, monthlyBudget, updatedBy) {
+        if (provider !== TOTAL && !PROVIDERS.includes(provider)) {
+            throw new Error(`Onbekende provider: ${provider}`);
+        }
+        if (monthlyBudget === null || monthlyBudget === '') {
+            db.prepare('DELETE FROM api_budgets WHERE provider = ?').run(provider);
+            return;
+        }
+
+        const amount = parseFloat(monthlyBudget);
+        if (isNaN(amount) || amount < 0) {
+            throw new Error('Budget moet een positief bedrag zijn');
+        }
+        db.prepare(`
+            INSERT INTO api_budgets (provider, monthly_budget, updated_by, updated_at)
+            VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(provider) DO UPDATE SET
+                monthly_budget = excluded.monthly_budget,
+                updated_by = excluded.updated_by,
+                updated_at = CURRENT_TIMESTAMP
+        `).run(provider, amount, updatedBy);
+    }
+
+    /**
+     * Budgets exceeded this month
+     * @returns {Array} [{ provider, monthly_budget, month_to_date }]
+     */
+    getExceededBudgets() {
+        return this.getBudgets().filter(budget => budget.exceeded);
+    }
+
+    // Reason shown on a queue that paused itself
+    describeExceeded(exceeded) {
+        return `Maandbudget overschreden: ${exceeded
+            .map(b => `${b.provider} $${b.month_to_date.toFixed(2)} / $${b.monthly_budget.toFixed(2)}`)
+            .join(', ')}`;
+    }
+
+    // ---- Reporting ----
+
+    /**
+     * Cost dashboard: spend per day and provider, top guests and queues
+     */
+    getSummary({ days = 30, propertyId = null } = {}) {
+        const period = Math.min(Math.max(parseInt(days) || 30, 1), 366);
+        const scope = propertyId ? ' AND u.property_id = ?' : '';
+        const params = [`-${period - 1} days`, ...(propertyId ? [propertyId] : [])];
+        const since = "u.created_at >= datetime('now', 'start of day', ?)";
+
+        const perDay = db.prepare(`
+            SELECT date(u.created_at) as day, u.provider, SUM(u.requests) as requests, SUM(u.cost) as cost
+            FROM api_usage u WHERE ${since}${scope}
+            GROUP BY day, u.provider ORDER BY day
+        `).all(...params);
+
+        const perProvider = db.prepare(`
+            SELECT u.provider, SUM(u.requests) as requests, SUM(u.input_tokens) as input_tokens,
+                   SUM(u.output_tokens) as output_tokens, SUM(u.cost) as cost
+            FROM api_usage u WHERE ${since}${scope}
+            GROUP BY u.provider ORDER BY cost DESC
+        `).all(...params);
+
+        const topGuests = db.prepare(`
+            SELECT u.guest_id, g.full_name, SUM(u.requests) as requests, SUM(u.cost) as cost
+            FROM api_usage u LEFT JOIN guests g ON g.id = u.guest_id
+            WHERE u.guest_id IS NOT NULL AND ${since}${scope}
+            GROUP BY u.guest_id ORDER BY cost DESC LIMIT 20
+        `).all(...params);
+
+        const queues = db.prepare(`
+            SELECT u.queue_id, COUNT(DISTINCT u.guest_id) as guests, SUM(u.requests) as requests, SUM(u.cost) as cost,
+                   MIN(u.created_at) as first_call_at, MAX(u.created_at) as last_call_at
+            FROM api_usage u WHERE u.queue_id IS NOT NULL AND ${since}${scope}
+            GROUP BY u.queue_id ORDER BY last_call_at DESC LIMIT 20
+        `).all(...params);
+
+        const guestTotals = db.prepare(`
+            SELECT COUNT(DISTINCT u.guest_id) as guests, COALESCE(SUM(u.cost), 0) as cost FROM api_usage u
+            WHERE u.guest_id IS NOT NULL AND ${since}${scope}
+        `).get(...params);
+        const totalCost = perProvider.reduce((sum, row) => sum + row.cost, 0);
+
+        return {
+            days: period,
+            totalCost,
+            totalRequests: perProvider.reduce((sum, row) => sum + row.requests, 0),
+            averagePerGuest: guestTotals.guests > 0 ? guestTotals.cost / guestTotals.guests : 0,
+            perDay,
+            perProvider,
+            topGuests,
+            queues,
+            budgets: this.getBudgets()
+        };
+    }
+
+    /**
+     * Cost of one guest (all research runs) or one queue
+     */
+    getTotals({ guestId = null, queueId = null }) {
+        const column = guestId ? 'guest_id' : 'queue_id';
+        const rows = db.prepare(`
+            SELECT provider, SUM(requests) as requests, SUM(cost) as cost
+            FROM api_usage WHERE ${column} = ? GROUP BY provider ORDER BY cost DESC
+        `).all(guestId || queueId);
+        return {
+            cost: rows.reduce((sum, row) => sum + row.cost, 0),
+            requests: rows.reduce((sum, row) => sum + row.requests, 0),
+            providers: rows
+        };
+    }
+}
+
+module.exports = new UsageMeter();
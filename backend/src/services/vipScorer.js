@@ -1,114 +1,402 @@
+const db = require('../db/database');
+const propertyService = require('./propertyService');
+const researchRevisions = require('./researchRevisions');
+
 /**
  * VIP Score Calculator
- * Calculates a score from 1-10 based on research results
+ * Scores a guest from 1-10 with rules that can be edited per property, and explains every point.
+ *
+ * Rules live in properties.settings.scoring (missing keys fall back to DEFAULT_RULES):
+ *   base / minScore / maxScore   - starting score and bounds of the rule score
+ *   titleTiers                   - [{ label, keywords, points }], first tier whose keyword is in the job title counts
+ *   presence                     - points for a LinkedIn profile, company or website, notable info, press mentions, ownership
+ *   followerTiers                - [{ min, points }] on Instagram + Twitter followers, highest tier reached counts
+ *   connectionTiers              - [{ min, points }] on LinkedIn connections, highest tier reached counts
+ *   keywordRules                 - [{ label, keywords, points }] matched in title, company, industry and notable info
+ *   caps                         - maximum points per category (null = no cap)
+ *   blend                        - { mode, aiWeight } how the AI score and the rule score are combined:
+ *                                  ai (AI score when there is one), rules, weighted, max
+ *   influenceLevels              - lowest score for VIP / Hoog / Gemiddeld (below is Laag)
+ *
+ * A guest is scored with the rules of the property where they were first seen, so the score does not
+ * depend on who looks at it. The breakdown of the stored score is kept in research_results.score_breakdown.
  */
 
+const BLEND_MODES = ['ai', 'rules', 'weighted', 'max'];
+const CATEGORIES = ['title', 'presence', 'social', 'keywords'];
+
+const DEFAULT_RULES = {
+    base: 5,
+    minScore: 1,
+    maxScore: 10,
+    titleTiers: [
+        { label: 'C-level/Eigenaar', keywords: ['ceo', 'founder', 'oprichter', 'owner', 'eigenaar', 'president'], points: 3 },
+        { label: 'Director/Partner', keywords: ['cto', 'cfo', 'coo', 'chief', 'director', 'directeur', 'partner', 'vp', 'vice president'], points: 2 },
+        { label: 'Manager/Lead', keywords: ['manager', 'head', 'lead', 'senior'], points: 1 }
+    ],
+    presence: {
+        linkedinProfile: 1,
+        companyOrWebsite: 1,
+        notableInfo: 1,
+        notableInfoMinLength: 100,
+        pressMentions: 1,
+        owner: 0
+    },
+    followerTiers: [
+        { min: 100000, points: 2 },
+        { min: 10000, points: 1 }
+    ],
+    connectionTiers: [
+        { min: 500, points: 1 }
+    ],
+    keywordRules: [],
+    caps: { title: null, presence: null, social: null, keywords: null },
+    blend: { mode: 'ai', aiWeight: 0.5 },
+    influenceLevels: { VIP: 9, Hoog: 7, Gemiddeld: 5 }
+};
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function validateKeywordList(list, name) {
+    if (!Array.isArray(list)) throw new Error(`${name} moet een lijst zijn`);
+    for (const rule of list) {
+        if (!rule || !rule.label || !String(rule.label).trim()) throw new Error(`Elke regel in ${name} heeft een naam nodig`);
+        if (!Array.isArray(rule.keywords) || rule.keywords.length === 0 || rule.keywords.some(k => typeof k !== 'string' || !k.trim())) {
+            throw new Error(`Regel "${rule.label}" heeft minstens één trefwoord nodig`);
+        }
+        if (!isNumber(rule.points) || Math.abs(rule.points) > 10) throw new Error(`Punten van "${rule.label}" moeten tussen -10 en 10 liggen`);
+    }
+}
+
+function validateTiers(list, name) {
+    if (!Array.isArray(list)) throw new Error(`${name} moet een lijst zijn`);
+    for (const tier of list) {
+        if (!tier || !isNumber(tier.min) || tier.min < 0) throw new Error(`Ongeldige drempel in ${name}`);
+        if (!isNumber(tier.points) || Math.abs(tier.points) > 10) throw new Error(`Punten in ${name} moeten tussen -10 en 10 liggen`);
+    }
+}
+
 class VIPScorer {
+    getDefaultRules() {
+        return JSON.parse(JSON.stringify(DEFAULT_RULES));
+    }
+
     /**
-     * Calculate VIP score based on research results
-     * @param {Object} research - Research results object
-     * @returns {number} Score from 1 to 10
+     * Rules of a property (defaults for keys the property has not changed)
      */
-    calculate(research) {
-        let score = 5; // Base score
-
-        // Job title scoring (+0-3 points)
-        if (research.jobTitle) {
-            const title = research.jobTitle.toLowerCase();
-
-            if (this.matchesPattern(title, ['ceo', 'founder', 'oprichter', 'owner', 'eigenaar', 'president'])) {
-                score += 3;
-            } else if (this.matchesPattern(title, ['cto', 'cfo', 'coo', 'chief', 'director', 'directeur', 'partner', 'vp', 'vice president'])) {
-                score += 2;
-            } else if (this.matchesPattern(title, ['manager', 'head', 'lead', 'senior'])) {
-                score += 1;
+    getRules(propertyId) {
+        const stored = propertyService.get(propertyId)?.settings?.scoring || {};
+        const defaults = this.getDefaultRules();
+        return {
+            ...defaults,
+            ...stored,
+            presence: { ...defaults.presence, ...(stored.presence || {}) },
+            caps: { ...defaults.caps, ...(stored.caps || {}) },
+            blend: { ...defaults.blend, ...(stored.blend || {}) },
+            influenceLevels: { ...defaults.influenceLevels, ...(stored.influenceLevels || {}) }
+        };
+    }
+
+    validateRules(rules) {
+        const { base, minScore, maxScore, presence, caps, blend, influenceLevels } = rules;
+        if (!isNumber(base) || base < 0 || base > 10) throw new Error('Basisscore moet tussen 0 en 10 liggen');
+        if (!Number.isInteger(minScore) || !Number.isInteger(maxScore) || minScore < 1 || maxScore > 10 || minScore > maxScore) {
+            throw new Error('Minimum en maximum score moeten hele getallen tussen 1 en 10 zijn');
+        }
+        validateKeywordList(rules.titleTiers, 'functietitels');
+        validateKeywordList(rules.keywordRules, 'trefwoordregels');
+        validateTiers(rules.followerTiers, 'volgers');
+        validateTiers(rules.connectionTiers, 'connecties');
+        for (const [key, value] of Object.entries(presence)) {
+            if (!isNumber(value) || value < 0 || (key !== 'notableInfoMinLength' && value > 10)) {
+                throw new Error(`Ongeldige waarde voor ${key}`);
             }
         }
-
-        // LinkedIn presence (+0-1 points)
-        if (research.linkedinUrl) {
-            score += 1;
+        for (const [category, cap] of Object.entries(caps)) {
+            if (!CATEGORIES.includes(category)) throw new Error(`Onbekende categorie: ${category}`);
+            if (cap !== null && (!isNumber(cap) || cap < 0)) throw new Error(`Ongeldig maximum voor ${category}`);
         }
+        if (!BLEND_MODES.includes(blend.mode)) throw new Error(`Ongeldige combinatie (${BLEND_MODES.join(', ')})`);
+        if (!isNumber(blend.aiWeight) || blend.aiWeight < 0 || blend.aiWeight > 1) throw new Error('AI gewicht moet tussen 0 en 1 liggen');
+        if (!(influenceLevels.VIP >= influenceLevels.Hoog && influenceLevels.Hoog >= influenceLevels.Gemiddeld)) {
+            throw new Error('Drempels voor invloed moeten aflopen (VIP ≥ Hoog ≥ Gemiddeld)');
+        }
+    }
 
-        // Company presence (+0-1 points)
-        if (research.companyName || research.websiteUrl) {
-            score += 1;
+    /**
+     * Merge, validate and store the scoring rules of a property
+     * @param {Object|null} changes - null resets the property to the defaults
+     */
+    updateRules(propertyId, changes, updatedBy = null) {
+        const current = this.getRules(propertyId);
+        const rules = changes === null ? this.getDefaultRules() : { ...current };
+        for (const [key, value] of Object.entries(changes || {})) {
+            if (value === undefined) continue;
+            rules[key] = ['presence', 'caps', 'blend', 'influenceLevels'].includes(key) ? { ...current[key], ...value } : value;
         }
+        this.validateRules(rules);
+
+        propertyService.update(propertyId, {
+            settings: {
+                scoring: { ...rules, updatedAt: new Date().toISOString(), updatedBy }
+            }
+        });
+        return this.getRules(propertyId);
+    }
+
+    /**
+     * Property whose rules score a guest: where the guest was first seen, else the default property
+     */
+    getPropertyForGuest(guestId) {
+        const row = db.prepare(`
+            SELECT property_id FROM guest_properties WHERE guest_id = ? ORDER BY first_seen_at, property_id LIMIT 1
+        `).get(guestId);
+        return row?.property_id || propertyService.getDefaultId();
+    }
+
+    /**
+     * Score research with a set of rules
+     * @param {Object} research - research_results row (or the same fields from fromSearchResults)
+     * @param {number|null} aiScore - score suggested by the AI analysis, if any
+     * @returns {Object} { score, influenceLevel, breakdown }
+     */
+    score(research, rules, aiScore = null) {
+        const items = [];
+        const add = (category, factor, points, detail = null) => {
+            if (points) items.push({ category, factor, detail, points });
+        };
 
-        // Notable info/press mentions (+0-1 points)
-        if (research.notableInfo && research.notableInfo.length > 100) {
-            score += 1;
+        // Job title: first matching tier
+        const title = (research.job_title || '').toLowerCase();
+        if (title) {
+            for (const tier of rules.titleTiers) {
+                const keyword = this.findKeyword(title, tier.keywords);
+                if (keyword) {
+                    add('title', tier.label, tier.points, keyword);
+                    break;
+                }
+            }
         }
-        if (research.pressMentions) {
-            score += 1;
+
+        // Presence signals
+        const presence = rules.presence;
+        if (research.linkedin_url) add('presence', 'LinkedIn Profiel', presence.linkedinProfile);
+        if (research.company_name || research.website_url) add('presence', 'Bedrijf/Website', presence.companyOrWebsite);
+        if (research.notable_info && research.notable_info.length > presence.notableInfoMinLength) {
+            add('presence', 'Opmerkelijke Info', presence.notableInfo, `${research.notable_info.length} tekens`);
         }
+        if (research.press_mentions) add('presence', 'Persvermeldingen', presence.pressMentions);
+        if (research.is_owner === 1 || research.is_owner === true) add('presence', 'Eigenaar', presence.owner);
+
+        // Social reach: highest tier reached
+        const followers = (research.instagram_followers || 0) + (research.twitter_followers || 0);
+        const followerTier = this.highestTier(rules.followerTiers, followers);
+        if (followerTier) add('social', 'Volgers', followerTier.points, `${followers} ≥ ${followerTier.min}`);
 
-        // Social media influence (+0-2 points)
-        const totalFollowers = (research.instagramFollowers || 0) + (research.twitterFollowers || 0);
-        if (totalFollowers > 100000) {
-            score += 2;
-        } else if (totalFollowers > 10000) {
-            score += 1;
+        const connections = research.linkedin_connections || 0;
+        const connectionTier = this.highestTier(rules.connectionTiers, connections);
+        if (connectionTier) add('social', 'LinkedIn Connecties', connectionTier.points, `${connections} ≥ ${connectionTier.min}`);
+
+        // Extra keyword rules on everything known about the guest
+        const text = [research.job_title, research.company_name, research.industry, research.notable_info]
+            .filter(Boolean).join(' ').toLowerCase();
+        for (const rule of rules.keywordRules) {
+            const keyword = this.findKeyword(text, rule.keywords);
+            if (keyword) add('keywords', rule.label, rule.points, keyword);
         }
 
-        // LinkedIn connections (+0-1 points)
-        if (research.linkedinConnections > 500) {
-            score += 1;
+        // Category caps
+        const caps = [];
+        for (const category of CATEGORIES) {
+            const cap = rules.caps[category];
+            const total = items.filter(item => item.category === category).reduce((sum, item) => sum + item.points, 0);
+            if (cap !== null && cap !== undefined && total > cap) {
+                caps.push({ category, cap, points: total, removed: total - cap });
+            }
         }
 
-        // Cap at 10
-        return Math.min(Math.max(score, 1), 10);
+        const points = items.reduce((sum, item) => sum + item.points, 0) - caps.reduce((sum, c) => sum + c.removed, 0);
+        const ruleScore = Math.min(Math.max(Math.round(rules.base + points), rules.minScore), rules.maxScore);
+        const { score, method } = this.blend(ruleScore, aiScore, rules.blend);
+
+        return {
+            score,
+            influenceLevel: this.getInfluenceLevel(score, rules.influenceLevels),
+            breakdown: {
+                method,
+                base: rules.base,
+                items,
+                caps,
+                ruleScore,
+                aiScore: aiScore || null,
+                blend: rules.blend,
+                score,
+                rulesUpdatedAt: rules.updatedAt || null
+            }
+        };
     }
 
     /**
-     * Get influence level based on VIP score
-     * @param {number} score - VIP score
-     * @returns {string} Influence level
+     * Combine the rule score with the AI score
      */
-    getInfluenceLevel(score) {
-        if (score >= 9) return 'VIP';
-        if (score >= 7) return 'Hoog';
-        if (score >= 5) return 'Gemiddeld';
-        return 'Laag';
+    blend(ruleScore, aiScore, { mode, aiWeight }) {
+        if (!aiScore || mode === 'rules') return { score: ruleScore, method: 'rules' };
+        const ai = Math.min(Math.max(Math.round(aiScore), 1), 10);
+        if (mode === 'ai') return { score: ai, method: 'ai' };
+        if (mode === 'max') return { score: Math.max(ai, ruleScore), method: 'max' };
+        return { score: Math.round(ai * aiWeight + ruleScore * (1 - aiWeight)), method: 'weighted' };
+    }
+
+    /**
+     * Research row fields from smartSearch results (before they are saved)
+     */
+    fromSearchResults(results) {
+        return {
+            job_title: results.jobTitle,
+            company_name: results.companyName,
+            website_url: results.websiteUrl,
+            industry: results.industry,
+            is_owner: results.isOwner,
+            linkedin_url: results.linkedinUrl,
+            linkedin_connections: results.linkedinConnections,
+            instagram_followers: results.instagramFollowers,
+            twitter_followers: results.twitterFollowers,
+            notable_info: results.notableInfo,
+            press_mentions: results.pressMentions
+        };
     }
 
     /**
-     * Check if string matches any pattern
+     * Score saved research of a guest again with the current rules, without new searches.
+     * A score set by staff is kept unless includeManual.
+     * @param {Object} options - { aiScore: new AI score (default: the stored one), includeManual }
+     * @returns {Object|null} { previousScore, score, changed } or null when skipped
      */
-    matchesPattern(str, patterns) {
-        return patterns.some(pattern => str.includes(pattern));
+    rescoreGuest(guestId, { aiScore, includeManual = false } = {}) {
+        const research = db.prepare('SELECT * FROM research_results WHERE guest_id = ?').get(guestId);
+        if (!research) return null;
+        if (!includeManual && this.parseBreakdown(research)?.method === 'manual') return null;
+
+        const rules = this.getRules(this.getPropertyForGuest(guestId));
+        const ai = aiScore !== undefined ? (aiScore || null) : research.ai_vip_score;
+        const result = this.score(research, rules, ai);
+        this.saveScore(guestId, result, ai);
+
+        return { previousScore: research.vip_score, score: result.score, changed: research.vip_score !== result.score };
+    }
+
+    saveScore(guestId, result, aiScore) {
+        db.prepare(`
+            UPDATE research_results SET vip_score = ?, influence_level = ?, ai_vip_score = ?, score_breakdown = ?
+            WHERE guest_id = ?
+        `).run(result.score, result.influenceLevel, aiScore, JSON.stringify({ ...result.breakdown, scoredAt: new Date().toISOString() }), guestId);
     }
 
     /**
-     * Get score breakdown for display
+     * Re-score every researched guest (of a property) with the current rules and the stored AI scores.
+     * Guests whose score changes get a research revision, so the change can be undone per guest.
+     * @returns {Object} { total, rescored, skippedManual, changed: [{ guestId, previousScore, score }] }
      */
-    getScoreBreakdown(research) {
-        const breakdown = [];
-
-        if (research.jobTitle) {
-            const title = research.jobTitle.toLowerCase();
-            if (this.matchesPattern(title, ['ceo', 'founder', 'oprichter', 'owner', 'eigenaar', 'president'])) {
-                breakdown.push({ factor: 'C-level/Eigenaar', points: 3 });
-            } else if (this.matchesPattern(title, ['cto', 'cfo', 'coo', 'chief', 'director', 'directeur', 'partner', 'vp'])) {
-                breakdown.push({ factor: 'Director/Partner', points: 2 });
-            } else if (this.matchesPattern(title, ['manager', 'head', 'lead', 'senior'])) {
-                breakdown.push({ factor: 'Manager/Lead', points: 1 });
+    rescoreAll({ propertyId = null, includeManual = false, author = 'system' } = {}) {
+        const scope = propertyService.guestScope(propertyId);
+        const guestIds = db.prepare(`
+            SELECT g.id FROM research_results r JOIN guests g ON g.id = r.guest_id
+            WHERE g.anonymized_at IS NULL${scope.sql}
+        `).all(...scope.params).map(row => row.id);
+
+        const rulesByProperty = new Map();
+        const summary = { total: guestIds.length, rescored: 0, skippedManual: 0, changed: [] };
+
+        db.transaction(() => {
+            for (const guestId of guestIds) {
+                const research = db.prepare('SELECT * FROM research_results WHERE guest_id = ?').get(guestId);
+                if (!includeManual && this.parseBreakdown(research)?.method === 'manual') {
+                    summary.skippedManual++;
+                    continue;
+                }
+
+                const ruleProperty = this.getPropertyForGuest(guestId);
+                if (!rulesByProperty.has(ruleProperty)) rulesByProperty.set(ruleProperty, this.getRules(ruleProperty));
+                const result = this.score(research, rulesByProperty.get(ruleProperty), research.ai_vip_score);
+                const changed = result.score !== research.vip_score;
+
+                if (changed) researchRevisions.ensureBaseline(guestId, author);
+                this.saveScore(guestId, result, research.ai_vip_score);
+                if (changed) {
+                    researchRevisions.record(guestId, { source: 'rescore', author, note: `VIP score ${research.vip_score} → ${result.score}` });
+                    summary.changed.push({ guestId, previousScore: research.vip_score, score: result.score });
+                }
+                summary.rescored++;
             }
-        }
+        })();
 
-        if (research.linkedinUrl) {
-            breakdown.push({ factor: 'LinkedIn Profiel', points: 1 });
-        }
+        return summary;
+    }
 
-        if (research.companyName || research.websiteUrl) {
-            breakdown.push({ factor: 'Bedrijf/Website', points: 1 });
-        }
+    /**
+     * Mark the score of a guest as set by staff
+     */
+    setManual(guestId, score, by) {
+        db.prepare('UPDATE research_results SET score_breakdown = ? WHERE guest_id = ?').run(
+            JSON.stringify({ method: 'manual', score, by, scoredAt: new Date().toISOString() }),
+            guestId
+        );
+    }
 
-        if (research.notableInfo && research.notableInfo.length > 100) {
-            breakdown.push({ factor: 'Opmerkelijke Info', points: 1 });
+    parseBreakdown(research) {
+        try {
+            return research?.score_breakdown ? JSON.parse(research.score_breakdown) : null;
+        } catch {
+            return null;
         }
+    }
+
+    /**
+     * How the stored score of a guest came about, and what the current rules would give
+     */
+    explain(guestId) {
+        const research = db.prepare('SELECT * FROM research_results WHERE guest_id = ?').get(guestId);
+        if (!research) return null;
+
+        const propertyId = this.getPropertyForGuest(guestId);
+        const current = this.score(research, this.getRules(propertyId), research.ai_vip_score);
+        return {
+            guestId,
+            propertyId,
+            vipScore: research.vip_score,
+            influenceLevel: research.influence_level,
+            stored: this.parseBreakdown(research),
+            current: current.breakdown,
+            upToDate: current.score === research.vip_score
+        };
+    }
+
+    /**
+     * Get influence level based on VIP score
+     * @param {number} score - VIP score
+     * @param {Object} thresholds - lowest score per level
+     * @returns {string} Influence level
+     */
+    getInfluenceLevel(score, thresholds = DEFAULT_RULES.influenceLevels) {
+        if (score >= thresholds.VIP) return 'VIP';
+        if (score >= thresholds.Hoog) return 'Hoog';
+        if (score >= thresholds.Gemiddeld) return 'Gemiddeld';
+        return 'Laag';
+    }
+
+    highestTier(tiers, value) {
+        return tiers
+            .filter(tier => value >= tier.min)
+            .sort((a, b) => b.min - a.min)[0] || null;
+    }
 
-        return breakdown;
+    /**
+     * First keyword contained in the (lowercase) text
+     */
+    findKeyword(text, keywords) {
+        return keywords.find(keyword => text.includes(keyword.toLowerCase().trim())) || null;
     }
 }
 
@@ -0,0 +1,432 @@
+const crypto = require('crypto');
+const db = require('../db/database');
+
+/**
+ * Webhook Service
+ * Sends JSON events to registered endpoints so a CRM or internal tool can react without polling.
+ *
+ * Every event becomes a row in webhook_deliveries per matching webhook and is sent from there,
+ * so deliveries survive restarts. Failed deliveries are retried with exponential backoff
+ * (WEBHOOK_RETRY_BASE_SECONDS, 30) until WEBHOOK_MAX_ATTEMPTS (6).
+ *
+ * Requests are signed: X-KYV-Signature is "sha256=" + HMAC-SHA256(secret, `${X-KYV-Timestamp}.${body}`).
+ */
+
+const EVENTS = ['research.completed', 'guest.vip_detected', 'import.completed', 'queue.finished'];
+const TEST_EVENT = 'webhook.test';
+const VIP_THRESHOLD = 7;
+
+const CHECK_INTERVAL_MS = 15 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const BATCH_SIZE = 20;
+const MAX_RESPONSE_LENGTH = 1000;
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return isNaN(value) || value < 0 ? fallback : value;
+}
+
+function parseEvents(value) {
+    try {
+        const events = JSON.parse(value || '[]');
+        return Array.isArray(events) ? events : [];
+    } catch {
+        return [];
+    }
+}
+
+class WebhookService {
+    constructor() {
+        this.timer = null;
+        this.processing = false;
+        this.rerun = false;
+        this.maxAttempts = Math.max(1, envInt('WEBHOOK_MAX_ATTEMPTS', 6));
+        this.retryBaseSeconds = envInt('WEBHOOK_RETRY_BASE_SECONDS', 30);
+    }
+
+    start() {
+        if (this.timer || process.env.WEBHOOKS_ENABLED === 'false') return;
+        this.timer = setInterval(() => this.processDue().catch(err =>
+            console.error('⚠️ Webhook delivery error:', err.message)
+        ), CHECK_INTERVAL_MS);
+        this.timer.unref();
+        console.log('🪝 Webhook dispatcher gestart');
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // ---- Webhooks ----
+
+    getEvents() {
+        return EVENTS;
+    }
+
+    format(row, { includeSecret = false } = {}) {
+        if (!row) return null;
+        const { secret, ...webhook } = row;
+        const stats = db.prepare(`
+            SELECT
+                SUM(CASE WHEN status = 'delivered' THEN 1 ELSE 0 END) as delivered,
+                SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed,
+                SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
+                MAX(created_at) as last_event_at
+            FROM webhook_deliveries WHERE webhook_id = ?
+        `).get(row.id);
+        return {
+            ...webhook,
+            events: parseEvents(row.events),
+            active: !!row.active,
+            ...(includeSecret ? { secret } : { secret_hint: `…${secret.slice(-4)}` }),
+            deliveries: {
+                delivered: stats.delivered || 0,
+                failed: stats.failed || 0,
+                pending: stats.pending || 0,
+                last_event_at: stats.last_event_at || null
+            }
+        };
+    }
+
+    /**
+     * Webhooks of a property (plus the ones for all properties); without propertyId all webhooks
+     */
+    list(propertyId = null) {
+        const rows = propertyId
+            ? db.prepare('SELECT * FROM webhooks WHERE property_id IS NULL OR property_id = ? ORDER BY created_at').all(propertyId)
+            : db.prepare('SELECT * FROM webhooks ORDER BY created_at').all();
+        return rows.map(row => this.format(row));
+    }
+
+    get(id) {
+        return db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id) || null;
+    }
+
+    validate({ url, events }) {
+        if (url !== undefined) {
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch {
+                throw new Error('Ongeldige URL');
+            }
+            if (!['http:', 'https:'].includes(parsed.protocol)) {
+                throw new Error('Webhook URL moet met http:// of https:// beginnen');
+            }
+        }
+        if (events !== undefined) {
+            if (!Array.isArray(events) || events.length === 0) {
+                throw new Error('Kies minstens één event');
+            }
+            const unknown = events.find(event => !EVENTS.includes(event));
+            if (unknown) throw new Error(`Onbekend event: ${unknown}`);
+        }
+    }
+
+    generateSecret() {
+        return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    }
+
+    /**
+     * Register a webhook. The secret is only returned here and by rotateSecret.
+     */
+    create({ url, events, description = null, propertyId = null, createdBy = null }) {
+        if (!url) throw new Error('URL is verplicht');
+        this.validate({ url, events });
+
+        const row = db.prepare(`
+            INSERT INTO webhooks (property_id, url, secret, events, description, created_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+            RETURNING *
+        `).get(propertyId, url, this.generateSecret(), JSON.stringify([...new Set(events)]), description, createdBy);
+        return this.format(row, { includeSecret: true });
+    }
+
+    update(id, { url, events, description, active }) {
+        const current = this.get(id);
+        if (!current) return null;
+        this.validate({ url, events });
+
+        db.prepare(`
+            UPDATE webhooks SET url = ?, events = ?, description = ?, active = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(
+            url ?? current.url,
+            events !== undefined ? JSON.stringify([...new Set(events)]) : current.events,
+            description !== undefined ? description : current.description,
+            active !== undefined ? (active ? 1 : 0) : current.active,
+            id
+        );
+        return this.format(this.get(id));
+    }
+
+    remove(id) {
+        return db.prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+    }
+
+    rotateSecret(id) {
+        const row = db.prepare(`
+            UPDATE webhooks SET secret = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING *
+        `).get(this.generateSecret(), id);
+        return this.format(row, { includeSecret: true });
+    }
+
+    // ---- Events ----
+
+    /**
+     * Queue an event for every active webhook that subscribed to it. Never throws:
+     * webhooks must not break research or imports.
+     * @param {Object} scope - { guestId } reaches webhooks of the guest's properties, { propertyId } those of one property
+     */
+    emit(event, data, { guestId = null, propertyId = null } = {}) {
+        try {
+            let webhooks;
+            if (guestId) {
+                webhooks = db.prepare(`
+                    SELECT * FROM webhooks WHERE active = 1 AND (property_id IS NULL
+                        OR property_id IN (SELECT property_id FROM guest_properties WHERE guest_id = ?))
+                `).all(guestId);
+            } else if (propertyId) {
+                webhooks = db.prepare('SELECT * FROM webhooks WHERE active = 1 AND (property_id IS NULL OR property_id = ?)').all(propertyId);
+            } else {
+                webhooks = db.prepare('SELECT * FROM webhooks WHERE active = 1 AND property_id IS NULL').all();
+            }
+
+            const subscribed = webhooks.filter(webhook => parseEvents(webhook.events).includes(event));
+            if (subscribed.length === 0) return 0;
+
+            subscribed.forEach(webhook => this.enqueue(webhook, event, data));
+            this.schedule();
+            return subscribed.length;
+        } catch (error) {
+            console.error(`⚠️ Webhook event ${event} not queued:`, error.message);
+            return 0;
+        }
+    }
+
+    enqueue(webhook, event, data) {
+        const eventId = `evt_${crypto.randomUUID()}`;
+        const payload = JSON.stringify({
+            id: eventId,
+            event,
+            created_at: new Date().toISOString(),
+            property_id: webhook.property_id,
+            data
+        });
+        return db.prepare(`
+            INSERT INTO webhook_deliveries (webhook_id, event, event_id, payload) VALUES (?, ?, ?, ?) RETURNING *
+        `).get(webhook.id, event, eventId, payload);
+    }
+
+    /**
+     * Send a test event to one webhook, regardless of its subscriptions
+     */
+    sendTest(id) {
+        const webhook = this.get(id);
+        if (!webhook) return null;
+        const delivery = this.enqueue(webhook, TEST_EVENT, { message: 'Test van Know Your VIP' });
+        this.schedule();
+        return delivery;
+    }
+
+    /**
+     * Research finished for a guest: research.completed, and guest.vip_detected when the
+     * VIP score crossed the VIP threshold
+     */
+    researchCompleted(guestId, previousScore, { source = 'research' } = {}) {
+        const details = this.guestDetails(guestId);
+        if (!details) return;
+        this.emit('research.completed', { ...details, source }, { guestId });
+        this.checkVip(guestId, previousScore, { source, details });
+    }
+
+    /**
+     * Emit guest.vip_detected when a score change makes the guest a VIP
+     */
+    checkVip(guestId, previousScore, { source = 'research', details = null } = {}) {
+        const guest = details || this.guestDetails(guestId);
+        const score = guest?.research?.vip_score;
+        if (score === null || score === undefined || score < VIP_THRESHOLD) return;
+        if (previousScore !== null && previousScore !== undefined && previousScore >= VIP_THRESHOLD) return;
+
+        this.emit('guest.vip_detected', {
+            ...guest,
+            previous_vip_score: previousScore ?? null,
+            threshold: VIP_THRESHOLD,
+            source
+        }, { guestId });
+    }
+
+    guestDetails(guestId) {
+        const guest = db.prepare(`
+            SELECT g.id, g.full_name, g.email, g.phone, g.country, g.company,
+                   r.vip_score, r.influence_level, r.job_title, r.company_name, r.industry, r.linkedin_url, r.notable_info,
+                   r.updated_at as research_updated_at
+            FROM guests g LEFT JOIN research_results r ON r.guest_id = g.id
+            WHERE g.id = ?
+        `).get(guestId);
+        if (!guest) return null;
+
+        return {
+            guest: {
+                id: guest.id,
+                full_name: guest.full_name,
+                email: guest.email,
+                phone: guest.phone,
+                country: guest.country,
+                company: guest.company
+            },
+            research: {
+                vip_score: guest.vip_score,
+                influence_level: guest.influence_level,
+                job_title: guest.job_title,
+                company_name: guest.company_name,
+                industry: guest.industry,
+                linkedin_url: guest.linkedin_url,
+                notable_info: guest.notable_info,
+                updated_at: guest.research_updated_at
+            }
+        };
+    }
+
+    // ---- Delivery ----
+
+    schedule() {
+        setImmediate(() => this.processDue().catch(err =>
+            console.error('⚠️ Webhook delivery error:', err.message)
+        ));
+    }
+
+    /**
+     * Send every due delivery. Claiming pushes next_attempt_at past the request timeout,
+     * so another instance does not send the same delivery in the meantime.
+     */
+    async processDue() {
+        if (this.processing) {
+            // Events queued while sending go out right after this round
+            this.rerun = true;
+            return;
+        }
+        this.processing = true;
+        this.rerun = false;
+        try {
+            let batch;
+            do {
+                batch = db.prepare(`
+                    UPDATE webhook_deliveries SET next_attempt_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+                    WHERE id IN (
+                        SELECT id FROM webhook_deliveries
+                        WHERE status = 'pending' AND next_attempt_at <= datetime('now')
+                        ORDER BY next_attempt_at LIMIT ?
+                    ) AND status = 'pending'
+                    RETURNING *
+                `).all(`+${Math.ceil(REQUEST_TIMEOUT_MS / 1000) * 3} seconds`, BATCH_SIZE);
+
+                for (const delivery of batch) {
+                    await this.deliver(delivery);
+                }
+            } while (batch.length === BATCH_SIZE);
+        } finally {
+            this.processing = false;
+            if (this.rerun) this.schedule();
+        }
+    }
+
+    sign(secret, timestamp, body) {
+        return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+    }
+
+    async deliver(delivery) {
+        const webhook = this.get(delivery.webhook_id);
+        if (!webhook) return;
+
+        const attempts = delivery.attempts + 1;
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const started = Date.now();
+        let responseStatus = null;
+        let responseBody = null;
+        let error = null;
+
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'KnowYourVIP-Webhooks/1.0',
+                    'X-KYV-Event': delivery.event,
+                    'X-KYV-Delivery': delivery.event_id,
+                    'X-KYV-Timestamp': timestamp,
+                    'X-KYV-Signature': this.sign(webhook.secret, timestamp, delivery.payload)
+                },
+                body: delivery.payload,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+            responseStatus = response.status;
+            responseBody = (await response.text().catch(() => '')).slice(0, MAX_RESPONSE_LENGTH);
+            if (!response.ok) error = `HTTP ${response.status}`;
+        } catch (err) {
+            error = err.name === 'TimeoutError' ? 'Timeout' : err.message;
+        }
+
+        const duration = Date.now() - started;
+        if (!error) {
+            db.prepare(`
+                UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, response_status = ?, response_body = ?,
+                    error = NULL, duration_ms = ?, delivered_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(attempts, responseStatus, responseBody, duration, delivery.id);
+            return;
+        }
+
+        const failed = attempts >= this.maxAttempts;
+        const retryIn = this.retryBaseSeconds * Math.pow(2, attempts - 1);
+        db.prepare(`
+            UPDATE webhook_deliveries SET status = ?, attempts = ?, response_status = ?, response_body = ?, error = ?,
+                duration_ms = ?, next_attempt_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(failed ? 'failed' : 'pending', attempts, responseStatus, responseBody, error, duration,
+            `+${failed ? 0 : retryIn} seconds`, delivery.id);
+
+        if (failed) {
+            console.error(`❌ Webhook ${webhook.id} gave up on ${delivery.event} after ${attempts} attempts: ${error}`);
+        } else {
+            console.warn(`⚠️ Webhook ${webhook.id} ${delivery.event} failed (${error}), retry in ${retryIn}s`);
+        }
+    }
+
+    /**
+     * Delivery log of a webhook, newest first
+     */
+    listDeliveries(webhookId, { status = null, limit = 50 } = {}) {
+        const max = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+        return db.prepare(`
+            SELECT * FROM webhook_deliveries
+            WHERE webhook_id = ?${status ? ' AND status = ?' : ''}
+            ORDER BY created_at DESC, id DESC LIMIT ?
+        `).all(webhookId, ...(status ? [status] : []), max).map(delivery => ({
+            ...delivery,
+            payload: JSON.parse(delivery.payload)
+        }));
+    }
+
+    getDelivery(id) {
+        return db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id) || null;
+    }
+
+    /**
+     * Send a delivery again (same event id, so receivers can deduplicate)
+     */
+    redeliver(id) {
+        const delivery = db.prepare(`
+            UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status != 'pending'
+            RETURNING *
+        `).get(id);
+        if (delivery) this.schedule();
+        return delivery || null;
+    }
+}
+
+module.exports = new WebhookService();
@@ -4,12 +4,30 @@ import { apiFetch } from './utils/api';
 import Dashboard from './pages/Dashboard';
 import Import from './pages/Import';
 import Guests from './pages/Guests';
+import Login from './pages/Login';
+import Users from './pages/Users';
+import Costs from './pages/Costs';
+import Webhooks from './pages/Webhooks';
+import Scoring from './pages/Scoring';
 import WelcomeModal from './components/ui/WelcomeModal';
 import LanguageSwitcher from './components/ui/LanguageSwitcher';
+import PropertySwitcher from './components/ui/PropertySwitcher';
+import GlobalSearch from './components/ui/GlobalSearch';
 import { LanguageProvider, useLanguage } from './contexts/LanguageContext';
+import { AuthProvider } from './contexts/AuthContext';
+import { LiveEventsProvider } from './contexts/LiveEventsContext';
+import { useAuth } from './contexts/useAuth';
+import { useLiveEvents } from './contexts/useLiveEvents';
+
+const ROLE_LABELS = {
+  front_desk: 'Receptie',
+  manager: 'Manager',
+  admin: 'Beheerder'
+};
 
 function AppContent() {
   const { t } = useLanguage();
+  const { user, logout, hasRole } = useAuth();
   const [stats, setStats] = useState({
     totalGuests: 0,
     vipGuests: 0,
@@ -30,6 +48,7 @@ function AppContent() {
   };
 
   const [showHelp, setShowHelp] = useState(false);
+  const liveConnected = useLiveEvents(() => {});
 
   return (
     <Router>
@@ -48,6 +67,11 @@ function AppContent() {
                 </p>
               </div>
               <div className="flex items-center gap-6 text-sm">
+                {/* Live updates connection */}
+                <span
+                  className={`w-2 h-2 rounded-full ${liveConnected ? 'bg-green-500' : 'bg-gray-300'}`}
+                  title={liveConnected ? t('Live updates actief') : t('Live updates niet verbonden')}
+                />
                 <div className="flex items-center gap-2">
                   <span className="text-[var(--color-text-secondary)]">{t('Gasten:')}</span>
                   <span className="font-semibold">{stats.totalGuests}</span>
@@ -56,8 +80,26 @@ function AppContent() {
                   <span className="text-[var(--color-accent-gold)]">★</span>
                   <span className="font-semibold">{stats.vipGuests} {t('VIPs')}</span>
                 </div>
+                {/* Full-text search */}
+                <GlobalSearch />
+                {/* Property Switcher */}
+                <PropertySwitcher />
                 {/* Language Switcher */}
                 <LanguageSwitcher />
+                {/* Current user */}
+                <div className="flex items-center gap-2 pl-4 border-l border-[var(--color-border)]">
+                  <div className="text-right leading-tight">
+                    <div className="font-medium">{user.display_name || user.username}</div>
+                    <div className="text-xs text-[var(--color-text-secondary)]">{t(ROLE_LABELS[user.role])}</div>
+                  </div>
+                  <button
+                    onClick={logout}
+                    className="text-xs text-[var(--color-text-secondary)] hover:text-[var(--color-accent-gold)]"
+                    title={t('Uitloggen')}
+                  >
+                    {t('Uitloggen')}
+                  </button>
+                </div>
                 {/* Help Button */}
                 <button
                   onClick={() => setShowHelp(true)}
@@ -83,18 +125,52 @@ function AppContent() {
             >
               {t('Dashboard')}
             </NavLink>
-            <NavLink
-              to="/import"
-              className={({ isActive }) => `tab ${isActive ? 'active' : ''}`}
-            >
-              {t('Importeren')}
-            </NavLink>
+            {hasRole('manager') && (
+              <NavLink
+                to="/import"
+                className={({ isActive }) => `tab ${isActive ? 'active' : ''}`}
+              >
+                {t('Importeren')}
+              </NavLink>
+            )}
             <NavLink
               to="/guests"
               className={({ isActive }) => `tab ${isActive ? 'active' : ''}`}
             >
               {t('Gasten')}
             </NavLink>
+            {hasRole('manager') && (
+              <NavLink
+                to="/costs"
+                className={({ isActive }) => `tab ${isActive ? 'active' : ''}`}
+              >
+                {t('Kosten')}
+              </NavLink>
+            )}
+            {hasRole('manager') && (
+              <NavLink
+                to="/scoring"
+                className={({ isActive }) => `tab ${isActive ? 'active' : ''}`}
+              >
+                {t('Scoreregels')}
+              </NavLink>
+            )}
+            {hasRole('admin') && (
+              <NavLink
+                to="/users"
+                className={({ isActive }) => `tab ${isActive ? 'active' : ''}`}
+              >
+                {t('Gebruikers')}
+              </NavLink>
+            )}
+            {hasRole('admin') && (
+              <NavLink
+                to="/webhooks"
+                className={({ isActive }) => `tab ${isActive ? 'active' : ''}`}
+              >
+                {t('Webhooks')}
+              </NavLink>
+            )}
           </nav>
         </header>
 
@@ -102,8 +178,12 @@ function AppContent() {
         <main className="max-w-7xl mx-auto px-6 py-8">
           <Routes>
             <Route path="/" element={<Dashboard onUpdate={fetchStats} />} />
-            <Route path="/import" element={<Import onUpdate={fetchStats} />} />
+            {hasRole('manager') && <Route path="/import" element={<Import onUpdate={fetchStats} />} />}
             <Route path="/guests" element={<Guests onUpdate={fetchStats} />} />
+            {hasRole('manager') && <Route path="/costs" element={<Costs />} />}
+            {hasRole('manager') && <Route path="/scoring" element={<Scoring />} />}
+            {hasRole('admin') && <Route path="/users" element={<Users />} />}
+            {hasRole('admin') && <Route path="/webhooks" element={<Webhooks />} />}
           </Routes>
         </main>
       </div>
@@ -111,10 +191,25 @@ function AppContent() {
   );
 }
 
+// Show the login screen until there is a session
+function AuthGate() {
+  const { user, checking } = useAuth();
+
+  if (checking) return null;
+  if (!user) return <Login />;
+  return (
+    <LiveEventsProvider>
+      <AppContent />
+    </LiveEventsProvider>
+  );
+}
+
 function App() {
   return (
     <LanguageProvider>
-      <AppContent />
+      <AuthProvider>
+        <AuthGate />
+      </AuthProvider>
     </LanguageProvider>
   );
 }
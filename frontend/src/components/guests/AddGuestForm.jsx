@@ -36,7 +36,8 @@ function AddGuestForm({ onClose, onSuccess }) {
             });
 
             // onSuccess already calls setShowAddForm(false) via handleGuestUpdated
-            if (onSuccess) onSuccess(data.id, startResearch);
+            // A guest recognised from another property keeps its existing research
+            if (onSuccess) onSuccess(data.id, startResearch && !data.recognized);
         } catch (err) {
             setError(err.message || t('Opslaan mislukt'));
         } finally {
@@ -0,0 +1,184 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../../utils/api';
+import { useLanguage } from '../../contexts/LanguageContext';
+
+const REASON_LABELS = {
+    email: 'Zelfde e-mail',
+    phone: 'Zelfde telefoon',
+    address: 'Zelfde adres',
+    name_exact: 'Zelfde naam',
+    name_fuzzy: 'Vergelijkbare naam'
+};
+
+function GuestColumn({ guest, t }) {
+    return (
+        <div className="flex-1 min-w-0 text-sm space-y-1">
+            <p className="font-semibold truncate">{guest.full_name}</p>
+            <p className="text-[var(--color-text-secondary)] truncate">{guest.email || '-'}</p>
+            <p className="text-[var(--color-text-secondary)] truncate">{guest.phone || '-'}</p>
+            <p className="text-[var(--color-text-secondary)] truncate">
+                {[guest.address, guest.country].filter(Boolean).join(', ') || '-'}
+            </p>
+            <p className="text-xs text-[var(--color-text-secondary)]">
+                {guest.reservation_count} {t('reserveringen')} · {guest.vip_score ? `VIP ${guest.vip_score}/10` : t('Niet onderzocht')}
+            </p>
+        </div>
+    );
+}
+
+function DuplicateReview({ onClose, onMerged }) {
+    const { t } = useLanguage();
+    const [candidates, setCandidates] = useState(null);
+    const [keepResearch, setKeepResearch] = useState({});
+    const [busyKey, setBusyKey] = useState(null);
+    const [error, setError] = useState(null);
+
+    const [reloadKey, setReloadKey] = useState(0);
+    const reload = () => setReloadKey(key => key + 1);
+
+    useEffect(() => {
+        apiFetch('/api/guests/duplicates')
+            .then(setCandidates)
+            .catch(err => setError(err.message));
+    }, [reloadKey]);
+
+    const pairKey = (candidate) => candidate.guests.map(g => g.id).join('-');
+
+    const handleMerge = async (candidate, primary, duplicate) => {
+        const key = pairKey(candidate);
+        setBusyKey(key);
+        setError(null);
+        try {
+            await apiFetch('/api/guests/merge', {
+                method: 'POST',
+                body: JSON.stringify({
+                    primaryId: primary.id,
+                    duplicateId: duplicate.id,
+                    keepResearch: keepResearch[key] === duplicate.id ? 'duplicate' : 'primary'
+                })
+            });
+            reload();
+            if (onMerged) onMerged();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusyKey(null);
+        }
+    };
+
+    const handleDismiss = async (candidate) => {
+        setBusyKey(pairKey(candidate));
+        setError(null);
+        try {
+            await apiFetch('/api/guests/duplicates/dismiss', {
+                method: 'POST',
+                body: JSON.stringify({ guestIds: candidate.guests.map(g => g.id) })
+            });
+            reload();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusyKey(null);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal max-w-3xl" onClick={(e) => e.stopPropagation()}>
+                <div className="p-6 border-b border-[var(--color-border)]">
+                    <div className="flex items-center justify-between">
+                        <div>
+                            <h2 className="font-heading text-xl font-semibold">🔗 {t('Mogelijke dubbele gasten')}</h2>
+                            <p className="text-sm text-[var(--color-text-secondary)] mt-1">
+                                {t('Voeg dubbele gasten samen: reserveringen, historie en onderzoek gaan mee')}
+                            </p>
+                        </div>
+                        <button
+                            onClick={onClose}
+                            className="text-[var(--color-text-secondary)] hover:text-[var(--color-text-primary)] text-2xl"
+                        >
+                            ×
+                        </button>
+                    </div>
+                </div>
+
+                <div className="p-6 space-y-4 max-h-[70vh] overflow-y-auto">
+                    {error && (
+                        <div className="p-3 rounded-lg text-sm bg-red-50 text-red-700">❌ {error}</div>
+                    )}
+
+                    {candidates === null ? (
+                        <p className="text-sm text-[var(--color-text-secondary)]">{t('Laden...')}</p>
+                    ) : candidates.length === 0 ? (
+                        <p className="text-sm text-[var(--color-text-secondary)]">✅ {t('Geen mogelijke dubbele gasten gevonden')}</p>
+                    ) : candidates.map(candidate => {
+                        const key = pairKey(candidate);
+                        const [left, right] = candidate.guests;
+                        const bothResearched = left.researched_at && right.researched_at;
+
+                        return (
+                            <div key={key} className="border border-[var(--color-border)] rounded-lg p-4 space-y-3">
+                                <div className="flex items-center justify-between gap-2">
+                                    <div className="flex flex-wrap gap-1">
+                                        {candidate.reasons.map(reason => (
+                                            <span key={reason} className="text-[10px] px-2 py-0.5 rounded-full bg-purple-50 text-purple-700 font-medium">
+                                                {t(REASON_LABELS[reason] || reason)}
+                                            </span>
+                                        ))}
+                                    </div>
+                                    <span className="text-xs text-[var(--color-text-secondary)]">{t('Score')} {candidate.score}</span>
+                                </div>
+
+                                <div className="flex gap-4">
+                                    <GuestColumn guest={left} t={t} />
+                                    <GuestColumn guest={right} t={t} />
+                                </div>
+
+                                {bothResearched && (
+                                    <label className="flex items-center gap-2 text-xs">
+                                        {t('Onderzoek behouden van')}
+                                        <select
+                                            className="input py-1 text-xs w-auto"
+                                            value={keepResearch[key] || ''}
+                                            onChange={(e) => setKeepResearch({ ...keepResearch, [key]: parseInt(e.target.value) || undefined })}
+                                        >
+                                            <option value="">{t('Samengevoegde gast')}</option>
+                                            <option value={left.id}>{left.full_name}</option>
+                                            <option value={right.id}>{right.full_name}</option>
+                                        </select>
+                                    </label>
+                                )}
+
+                                <div className="flex flex-wrap gap-2 justify-end">
+                                    <button
+                                        onClick={() => handleDismiss(candidate)}
+                                        disabled={busyKey === key}
+                                        className="btn btn-secondary text-sm"
+                                    >
+                                        {t('Geen dubbel')}
+                                    </button>
+                                    <button
+                                        onClick={() => handleMerge(candidate, left, right)}
+                                        disabled={busyKey === key}
+                                        className="btn btn-secondary text-sm"
+                                    >
+                                        ← {t('Samenvoegen in')} {left.full_name}
+                                    </button>
+                                    <button
+                                        onClick={() => handleMerge(candidate, right, left)}
+                                        disabled={busyKey === key}
+                                        className="btn btn-secondary text-sm"
+                                    >
+                                        {t('Samenvoegen in')} {right.full_name} →
+                                    </button>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default DuplicateReview;
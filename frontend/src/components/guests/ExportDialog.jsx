@@ -0,0 +1,152 @@
+import { useState, useEffect } from 'react';
+import { apiFetch, authHeaders } from '../../utils/api';
+import { useLanguage } from '../../contexts/LanguageContext';
+
+const COLUMNS_KEY = 'kyv_export_columns';
+
+const savedColumns = () => {
+    try {
+        return JSON.parse(localStorage.getItem(COLUMNS_KEY)) || null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Export the current guest list (or a segment) as XLSX or CSV with a column picker.
+ * The last column choice is remembered in this browser.
+ * @param {string} query - filters as query string, the same as for GET /api/guests
+ */
+function ExportDialog({ query, title, onClose }) {
+    const { t } = useLanguage();
+    const [catalog, setCatalog] = useState(null);
+    const [selected, setSelected] = useState([]);
+    const [format, setFormat] = useState('xlsx');
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        apiFetch('/api/guests/export/columns')
+            .then(data => {
+                const known = new Set(data.columns.map(column => column.key));
+                const saved = (savedColumns() || []).filter(key => known.has(key));
+                setCatalog(data);
+                setSelected(saved.length > 0 ? saved : data.defaults);
+            })
+            .catch(err => setError(err.message));
+    }, []);
+
+    const toggle = (key) => {
+        setSelected(current => current.includes(key) ? current.filter(k => k !== key) : [...current, key]);
+    };
+
+    const toggleGroup = (group, on) => {
+        const keys = catalog.columns.filter(column => column.group === group).map(column => column.key);
+        setSelected(current => on ? [...new Set([...current, ...keys])] : current.filter(key => !keys.includes(key)));
+    };
+
+    const handleExport = async () => {
+        setBusy(true);
+        setError(null);
+        try {
+            // Keep the catalogue order in the file
+            const columns = catalog.columns.map(column => column.key).filter(key => selected.includes(key));
+            const API_BASE_URL = import.meta.env.VITE_API_URL || '';
+            const response = await fetch(
+                `${API_BASE_URL}/api/guests/export?format=${format}&columns=${columns.join(',')}${query ? `&${query}` : ''}`,
+                { headers: authHeaders() }
+            );
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || t('Exporteren mislukt'));
+            }
+            localStorage.setItem(COLUMNS_KEY, JSON.stringify(columns));
+
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${(title || 'gasten').replace(/[^a-zA-Z0-9]/g, '-')}-${new Date().toISOString().split('T')[0]}.${format}`;
+            a.click();
+            window.URL.revokeObjectURL(url);
+            onClose();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal max-w-3xl" onClick={(e) => e.stopPropagation()}>
+                <div className="p-6 border-b border-[var(--color-border)]">
+                    <div className="flex items-center justify-between">
+                        <div>
+                            <h2 className="font-heading text-xl font-semibold">📤 {t('Exporteren')}{title ? `: ${title}` : ''}</h2>
+                            <p className="text-sm text-[var(--color-text-secondary)] mt-1">
+                                {t('Kies de kolommen; de huidige filters worden toegepast')}
+                            </p>
+                        </div>
+                        <button
+                            onClick={onClose}
+                            className="text-[var(--color-text-secondary)] hover:text-[var(--color-text-primary)] text-2xl"
+                        >
+                            ×
+                        </button>
+                    </div>
+                </div>
+
+                <div className="p-6 space-y-5 max-h-[60vh] overflow-y-auto">
+                    {error && (
+                        <div className="p-3 rounded-lg text-sm bg-red-50 text-red-700">❌ {error}</div>
+                    )}
+
+                    {!catalog ? (
+                        !error && <p className="text-sm text-[var(--color-text-secondary)]">{t('Laden...')}</p>
+                    ) : Object.entries(catalog.groups).map(([group, label]) => {
+                        const columns = catalog.columns.filter(column => column.group === group);
+                        const allOn = columns.every(column => selected.includes(column.key));
+                        return (
+                            <div key={group}>
+                                <div className="flex items-center justify-between mb-2">
+                                    <h3 className="text-xs uppercase tracking-wide font-semibold text-[var(--color-accent-gold)]">{t(label)}</h3>
+                                    <button onClick={() => toggleGroup(group, !allOn)} className="text-xs text-[var(--color-text-secondary)] hover:underline">
+                                        {allOn ? t('Niets') : t('Alles')}
+                                    </button>
+                                </div>
+                                <div className="grid grid-cols-2 md:grid-cols-3 gap-1">
+                                    {columns.map(column => (
+                                        <label key={column.key} className="flex items-center gap-2 text-sm">
+                                            <input
+                                                type="checkbox"
+                                                checked={selected.includes(column.key)}
+                                                onChange={() => toggle(column.key)}
+                                            />
+                                            {t(column.label)}
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+
+                <div className="p-6 border-t border-[var(--color-border)] flex items-center justify-between bg-[var(--color-bg-secondary)]">
+                    <select value={format} onChange={(e) => setFormat(e.target.value)} className="input w-auto">
+                        <option value="xlsx">{t('Excel (.xlsx)')}</option>
+                        <option value="csv">{t('CSV (.csv)')}</option>
+                    </select>
+                    <div className="flex gap-2">
+                        <button onClick={onClose} className="btn btn-secondary">{t('Annuleren')}</button>
+                        <button onClick={handleExport} disabled={busy || !catalog || selected.length === 0} className="btn btn-primary">
+                            {busy ? t('Bezig...') : `📤 ${t('Exporteren')} (${selected.length})`}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ExportDialog;
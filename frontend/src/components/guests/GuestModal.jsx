@@ -1,10 +1,18 @@
 import { useState, useEffect } from 'react';
 import { apiFetch } from '../../utils/api';
 import { useLanguage } from '../../contexts/LanguageContext';
+import { useAuth } from '../../contexts/useAuth';
+import { useLiveEvents } from '../../contexts/useLiveEvents';
 import CountryAutocomplete from '../common/CountryAutocomplete';
+import ProvenanceHint from './ProvenanceHint';
+import ResearchHistory from './ResearchHistory';
+import ScoreBreakdown from './ScoreBreakdown';
+import GuestTags from './GuestTags';
+import StayRemarks from './StayRemarks';
 
-function GuestModal({ guest, onClose, onUpdate, onResearch, onDownloadPDF }) {
+function GuestModal({ guest, onClose, onUpdate, onReload, onResearch, onDownloadPDF }) {
     const { t } = useLanguage();
+    const { user, hasRole } = useAuth();
     const [vipScore, setVipScore] = useState(guest.research?.vip_score || 5);
     const [isEditing, setIsEditing] = useState(false);
     const [editData, setEditData] = useState({
@@ -28,6 +36,17 @@ function GuestModal({ guest, onClose, onUpdate, onResearch, onDownloadPDF }) {
     const [message, setMessage] = useState(null);
     const [showPhotoOverlay, setShowPhotoOverlay] = useState(false);
     const [showSources, setShowSources] = useState(false);
+    const [researchCost, setResearchCost] = useState(null);
+    // Set when another user edits or deletes this guest while the modal is open
+    const [changedElsewhere, setChangedElsewhere] = useState(null);
+
+    useLiveEvents((type, data) => {
+        if (data.by === user.username) return;
+        const concernsGuest = data.guestId === guest.id || data.guestIds?.includes(guest.id);
+        if (!concernsGuest) return;
+        if (type === 'guest.updated') setChangedElsewhere({ by: data.by, deleted: false });
+        if (type === 'guest.deleted') setChangedElsewhere({ by: data.by, deleted: true });
+    });
 
     // DEBUG: Log research data to console
     useEffect(() => {
@@ -37,6 +56,15 @@ function GuestModal({ guest, onClose, onUpdate, onResearch, onDownloadPDF }) {
         console.log('🌐 Website URL:', guest.research?.website_url);
     }, [guest]);
 
+    // Estimated API cost of all research runs for this guest (managers only)
+    const isManager = hasRole('manager');
+    useEffect(() => {
+        if (!isManager) return;
+        apiFetch(`/api/usage/guests/${guest.id}`)
+            .then(setResearchCost)
+            .catch(error => console.error('Onderzoekskosten ophalen mislukt:', error));
+    }, [guest.id, isManager]);
+
     const handleVipScoreChange = async (newScore) => {
         setVipScore(newScore);
         try {
@@ -141,6 +169,37 @@ function GuestModal({ guest, onClose, onUpdate, onResearch, onDownloadPDF }) {
         }
     };
 
+    const handleGdprExport = async () => {
+        try {
+            const archive = await apiFetch(`/api/guests/${guest.id}/gdpr-export`);
+            const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `gdpr-export-gast-${guest.id}.json`;
+            a.click();
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('AVG export mislukt:', error);
+            alert('AVG export mislukt: ' + error.message);
+        }
+    };
+
+    const handleGdprErase = async () => {
+        if (!window.confirm(t('Alle persoonsgegevens, onderzoek en historie van deze gast worden definitief verwijderd. Verblijven blijven anoniem bewaard voor statistieken. Doorgaan?'))) {
+            return;
+        }
+
+        try {
+            await apiFetch(`/api/guests/${guest.id}/gdpr-erase`, { method: 'POST' });
+            if (onUpdate) onUpdate();
+            onClose();
+        } catch (error) {
+            console.error('Anonimiseren mislukt:', error);
+            alert('Anonimiseren mislukt: ' + error.message);
+        }
+    };
+
     const handleClearResearch = async () => {
         if (!window.confirm('Weet je zeker dat je alle onderzoeksresultaten voor deze gast wilt wissen? De gast zelf blijft bestaan.')) {
             return;
@@ -176,6 +235,16 @@ function GuestModal({ guest, onClose, onUpdate, onResearch, onDownloadPDF }) {
     const fallbackData = rawResults.find(r => r.type === 'google_fallback' && r.data)?.data;
     const isFallback = !!fallbackData;
 
+    // Where each research field came from (source, provider, confidence)
+    let provenance = {};
+    try {
+        provenance = research?.field_provenance
+            ? (typeof research.field_provenance === 'string' ? JSON.parse(research.field_provenance) : research.field_provenance) || {}
+            : {};
+    } catch (e) {
+        console.error('Provenance parse error:', e);
+    }
+
     // Count sources that actually have usable URLs
     const usableSourcesCount = rawResults.filter(result => {
         const data = result.data;
@@ -193,6 +262,18 @@ function GuestModal({ guest, onClose, onUpdate, onResearch, onDownloadPDF }) {
     return (
         <div className="modal-overlay" onClick={onClose}>
             <div className="modal" onClick={(e) => e.stopPropagation()}>
+                {changedElsewhere && (
+                    <div className="px-6 py-3 bg-amber-50 border-b border-amber-200 text-sm text-amber-800 flex items-center justify-between gap-4">
+                        <span>
+                            ⚠️ {changedElsewhere.deleted ? t('Deze gast is zojuist verwijderd door') : t('Deze gast is zojuist bewerkt door')} {changedElsewhere.by}
+                        </span>
+                        {changedElsewhere.deleted || !onReload ? (
+                            <button onClick={onClose} className="text-xs font-medium underline">{t('Sluiten')}</button>
+                        ) : (
+                            <button onClick={onReload} className="text-xs font-medium underline">{t('Herladen')}</button>
+                        )}
+                    </div>
+                )}
                 {/* Header */}
                 <div className="p-6 border-b border-[var(--color-border)]">
                     <div className="flex items-center gap-4">
@@ -233,7 +314,28 @@ function GuestModal({ guest, onClose, onUpdate, onResearch, onDownloadPDF }) {
                                     )}
                                     {research?.job_title && (
                                         <p className="text-[var(--color-text-secondary)] mt-1">
-                                            {research.job_title}
+                                            <ProvenanceHint info={provenance.job_title}>{research.job_title}</ProvenanceHint>
+                                        </p>
+                                    )}
+                                    {guest.other_properties?.length > 0 && (
+                                        <p
+                                            className="inline-block mt-2 text-[10px] px-2 py-0.5 bg-indigo-50 text-indigo-700 rounded-full font-medium"
+                                            title={guest.other_properties.map(p => `${p.name}: ${p.last_seen_at || '-'}`).join('\n')}
+                                        >
+                                            🏨 {t('Ook gezien bij')}: {guest.other_properties.map(p => p.name).join(', ')}
+                                        </p>
+                                    )}
+                                    {guest.anonymized_at && (
+                                        <p className="inline-block mt-2 ml-1 text-[10px] px-2 py-0.5 bg-gray-100 text-gray-600 rounded-full font-medium">
+                                            🧽 {t('Geanonimiseerd')} {guest.anonymized_at.split(' ')[0]}
+                                        </p>
+                                    )}
+                                    {researchCost?.requests > 0 && (
+                                        <p
+                                            className="inline-block mt-2 ml-1 text-[10px] px-2 py-0.5 bg-amber-50 text-amber-700 rounded-full font-medium"
+                                            title={researchCost.providers.map(p => `${p.provider}: ${p.requests}× $${p.cost.toFixed(4)}`).join('\n')}
+                                        >
+                                            💸 {t('Onderzoekskosten')}: ${researchCost.cost.toFixed(researchCost.cost >= 10 ? 2 : 4)}
                                         </p>
                                     )}
                                 </div>
@@ -313,6 +415,7 @@ function GuestModal({ guest, onClose, onUpdate, onResearch, onDownloadPDF }) {
                             </div>
                         </div>
                     </div>
+                    {guest.research && <ScoreBreakdown key={vipScore} guestId={guest.id} />}
                 </div>
 
                 {/* Info Grid */}
@@ -395,6 +498,17 @@ function GuestModal({ guest, onClose, onUpdate, onResearch, onDownloadPDF }) {
                         </span>
                         <span className="text-sm">{guest.first_seen || '-'}</span>
                     </div>
+                    {guest.lifetime?.stays > 0 && (
+                        <div className="col-span-2">
+                            <span className="text-xs text-[var(--color-text-secondary)] uppercase tracking-wide block mb-1">
+                                {t('Totale waarde')}
+                            </span>
+                            <span className="text-sm">
+                                €{guest.lifetime.revenue.toFixed(2)} · {guest.lifetime.nights} {t('nachten')}
+                                {guest.lifetime.averageRate !== null && ` · €${guest.lifetime.averageRate.toFixed(2)} ${t('per nacht')}`}
+                            </span>
+                        </div>
+                    )}
 
                     {isEditing && (
                         <div className="col-span-2">
@@ -459,13 +573,17 @@ function GuestModal({ guest, onClose, onUpdate, onResearch, onDownloadPDF }) {
                                     {research.net_worth && (
                                         <div>
                                             <span className="text-xs text-[var(--color-text-secondary)] uppercase">{t('Net Worth')}</span>
-                                            <div className="text-lg font-semibold text-[var(--color-accent-gold)]">{research.net_worth}</div>
+                                            <div className="text-lg font-semibold text-[var(--color-accent-gold)]">
+                                                <ProvenanceHint info={provenance.net_worth}>{research.net_worth}</ProvenanceHint>
+                                            </div>
                                         </div>
                                     )}
                                     {(research.followers_estimate || research.instagram_followers || research.twitter_followers) && (
                                         <div>
                                             <span className="text-xs text-[var(--color-text-secondary)] uppercase">{t('Volgers')}</span>
-                                            <div className="text-lg font-semibold">{research.followers_estimate || 'Onbekend'}</div>
+                                            <div className="text-lg font-semibold">
+                                                <ProvenanceHint info={research.followers_estimate ? provenance.followers_estimate : null}>{research.followers_estimate || 'Onbekend'}</ProvenanceHint>
+                                            </div>
                                         </div>
                                     )}
                                 </div>
@@ -506,13 +624,15 @@ function GuestModal({ guest, onClose, onUpdate, onResearch, onDownloadPDF }) {
                         <div className="flex flex-wrap gap-3 mb-4">
                             {research.linkedin_url && (
                                 <div className="flex items-center gap-2">
-                                    <a href={research.linkedin_url} target="_blank" rel="noopener noreferrer"
-                                        className="flex items-center gap-2 px-3 py-2 bg-[#0077B5] text-white rounded-lg text-sm hover:opacity-90">
-                                        <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
-                                            <path d="M19 0h-14c-2.761 0-5 2.239-5 5v14c0 2.761 2.239 5 5 5h14c2.762 0 5-2.239 5-5v-14c0-2.761-2.238-5-5-5zm-11 19h-3v-11h3v11zm-1.5-12.268c-.966 0-1.75-.79-1.75-1.764s.784-1.764 1.75-1.764 1.75.79 1.75 1.764-.783 1.764-1.75 1.764zm13.5 12.268h-3v-5.604c0-3.368-4-3.113-4 0v5.604h-3v-11h3v1.765c1.396-2.586 7-2.777 7 2.476v6.759z" />
-                                        </svg>
-                                        LinkedIn
-                                    </a>
+                                    <ProvenanceHint info={provenance.linkedin_url}>
+                                        <a href={research.linkedin_url} target="_blank" rel="noopener noreferrer"
+                                            className="flex items-center gap-2 px-3 py-2 bg-[#0077B5] text-white rounded-lg text-sm hover:opacity-90">
+                                            <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                                                <path d="M19 0h-14c-2.761 0-5 2.239-5 5v14c0 2.761 2.239 5 5 5h14c2.762 0 5-2.239 5-5v-14c0-2.761-2.238-5-5-5zm-11 19h-3v-11h3v11zm-1.5-12.268c-.966 0-1.75-.79-1.75-1.764s.784-1.764 1.75-1.764 1.75.79 1.75 1.764-.783 1.764-1.75 1.764zm13.5 12.268h-3v-5.604c0-3.368-4-3.113-4 0v5.604h-3v-11h3v1.765c1.396-2.586 7-2.777 7 2.476v6.759z" />
+                                            </svg>
+                                            LinkedIn
+                                        </a>
+                                    </ProvenanceHint>
                                     {research.linkedin_candidates && research.linkedin_candidates.length > 1 && (
                                         <button
                                             onClick={() => setShowCandidates(!showCandidates)}
@@ -525,22 +645,26 @@ function GuestModal({ guest, onClose, onUpdate, onResearch, onDownloadPDF }) {
                                 </div>
                             )}
                             {research.instagram_url && (
-                                <a href={research.instagram_url} target="_blank" rel="noopener noreferrer"
-                                    className="flex items-center gap-2 px-3 py-2 bg-gradient-to-r from-[#833AB4] via-[#FD1D1D] to-[#F77737] text-white rounded-lg text-sm hover:opacity-90">
-                                    <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
-                                        <path d="M12 2.163c3.204 0 3.584.012 4.85.07 3.252.148 4.771 1.691 4.919 4.919.058 1.265.069 1.645.069 4.849 0 3.205-.012 3.584-.069 4.849-.149 3.225-1.664 4.771-4.919 4.919-1.266.058-1.644.07-4.85.07-3.204 0-3.584-.012-4.849-.07-3.26-.149-4.771-1.699-4.919-4.92-.058-1.265-.07-1.644-.07-4.849 0-3.204.013-3.583.07-4.849.149-3.227 1.664-4.771 4.919-4.919 1.266-.057 1.645-.069 4.849-.069zm0-2.163c-3.259 0-3.667.014-4.947.072-4.358.2-6.78 2.618-6.98 6.98-.059 1.281-.073 1.689-.073 4.948 0 3.259.014 3.668.072 4.948.2 4.358 2.618 6.78 6.98 6.98 1.281.058 1.689.072 4.948.072 3.259 0 3.668-.014 4.948-.072 4.354-.2 6.782-2.618 6.979-6.98.059-1.28.073-1.689.073-4.948 0-3.259-.014-3.667-.072-4.947-.196-4.354-2.617-6.78-6.979-6.98-1.281-.059-1.69-.073-4.949-.073zm0 5.838c-3.403 0-6.162 2.759-6.162 6.162s2.759 6.163 6.162 6.163 6.162-2.759 6.162-6.163c0-3.403-2.759-6.162-6.162-6.162zm0 10.162c-2.209 0-4-1.79-4-4 0-2.209 1.791-4 4-4s4 1.791 4 4c0 2.21-1.791 4-4 4zm6.406-11.845c-.796 0-1.441.645-1.441 1.44s.645 1.44 1.441 1.44c.795 0 1.439-.645 1.439-1.44s-.644-1.44-1.439-1.44z" />
-                                    </svg>
-                                    Instagram
-                                </a>
+                                <ProvenanceHint info={provenance.instagram_url}>
+                                    <a href={research.instagram_url} target="_blank" rel="noopener noreferrer"
+                                        className="flex items-center gap-2 px-3 py-2 bg-gradient-to-r from-[#833AB4] via-[#FD1D1D] to-[#F77737] text-white rounded-lg text-sm hover:opacity-90">
+                                        <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                                            <path d="M12 2.163c3.204 0 3.584.012 4.85.07 3.252.148 4.771 1.691 4.919 4.919.058 1.265.069 1.645.069 4.849 0 3.205-.012 3.584-.069 4.849-.149 3.225-1.664 4.771-4.919 4.919-1.266.058-1.644.07-4.85.07-3.204 0-3.584-.012-4.849-.07-3.26-.149-4.771-1.699-4.919-4.92-.058-1.265-.07-1.644-.07-4.849 0-3.204.013-3.583.07-4.849.149-3.227 1.664-4.771 4.919-4.919 1.266-.057 1.645-.069 4.849-.069zm0-2.163c-3.259 0-3.667.014-4.947.072-4.358.2-6.78 2.618-6.98 6.98-.059 1.281-.073 1.689-.073 4.948 0 3.259.014 3.668.072 4.948.2 4.358 2.618 6.78 6.98 6.98 1.281.058 1.689.072 4.948.072 3.259 0 3.668-.014 4.948-.072 4.354-.2 6.782-2.618 6.979-6.98.059-1.28.073-1.689.073-4.948 0-3.259-.014-3.667-.072-4.947-.196-4.354-2.617-6.78-6.979-6.98-1.281-.059-1.69-.073-4.949-.073zm0 5.838c-3.403 0-6.162 2.759-6.162 6.162s2.759 6.163 6.162 6.163 6.162-2.759 6.162-6.163c0-3.403-2.759-6.162-6.162-6.162zm0 10.162c-2.209 0-4-1.79-4-4 0-2.209 1.791-4 4-4s4 1.791 4 4c0 2.21-1.791 4-4 4zm6.406-11.845c-.796 0-1.441.645-1.441 1.44s.645 1.44 1.441 1.44c.795 0 1.439-.645 1.439-1.44s-.644-1.44-1.439-1.44z" />
+                                        </svg>
+                                        Instagram
+                                    </a>
+                                </ProvenanceHint>
                             )}
                             {research.twitter_url && (
-                                <a href={research.twitter_url} target="_blank" rel="noopener noreferrer"
-                                    className="flex items-center gap-2 px-3 py-2 bg-black text-white rounded-lg text-sm hover:opacity-90">
-                                    <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
-                                        <path d="M18.244 2.25h3.308l-7.227 8.26 8.502 11.24H16.17l-5.214-6.817L4.99 21.75H1.68l7.73-8.835L1.254 2.25H8.08l4.713 6.231zm-1.161 17.52h1.833L7.084 4.126H5.117z" />
-                                    </svg>
-                                    X / Twitter
-                                </a>
+                                <ProvenanceHint info={provenance.twitter_url}>
+                                    <a href={research.twitter_url} target="_blank" rel="noopener noreferrer"
+                                        className="flex items-center gap-2 px-3 py-2 bg-black text-white rounded-lg text-sm hover:opacity-90">
+                                        <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                                            <path d="M18.244 2.25h3.308l-7.227 8.26 8.502 11.24H16.17l-5.214-6.817L4.99 21.75H1.68l7.73-8.835L1.254 2.25H8.08l4.713 6.231zm-1.161 17.52h1.833L7.084 4.126H5.117z" />
+                                        </svg>
+                                        X / Twitter
+                                    </a>
+                                </ProvenanceHint>
                             )}
                             {research.facebook_url && (
                                 <a href={research.facebook_url} target="_blank" rel="noopener noreferrer"
@@ -561,16 +685,18 @@ function GuestModal({ guest, onClose, onUpdate, onResearch, onDownloadPDF }) {
                                 </a>
                             )}
                             {research.website_url && (
-                                <a href={research.website_url.startsWith('http') ? research.website_url : `https://${research.website_url}`}
-                                    target="_blank" rel="noopener noreferrer"
-                                    className="flex items-center gap-2 px-3 py-2 bg-[var(--color-accent-gold)] text-white rounded-lg text-sm hover:opacity-90 transition-all shadow-sm">
-                                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                                        <circle cx="12" cy="12" r="10"></circle>
-                                        <line x1="2" y1="12" x2="22" y2="12"></line>
-                                        <path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"></path>
-                                    </svg>
-                                    Website
-                                </a>
+                                <ProvenanceHint info={provenance.website_url}>
+                                    <a href={research.website_url.startsWith('http') ? research.website_url : `https://${research.website_url}`}
+                                        target="_blank" rel="noopener noreferrer"
+                                        className="flex items-center gap-2 px-3 py-2 bg-[var(--color-accent-gold)] text-white rounded-lg text-sm hover:opacity-90 transition-all shadow-sm">
+                                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                            <circle cx="12" cy="12" r="10"></circle>
+                                            <line x1="2" y1="12" x2="22" y2="12"></line>
+                                            <path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"></path>
+                                        </svg>
+                                        Website
+                                    </a>
+                                </ProvenanceHint>
                             )}
 
                             {/* Sources Toggle Button */}
@@ -787,7 +913,7 @@ function GuestModal({ guest, onClose, onUpdate, onResearch, onDownloadPDF }) {
                                     </svg>
                                     <div className="flex flex-col">
                                         <span className="text-[10px] text-[var(--color-text-secondary)] uppercase font-semibold">{t('Industrie / Sector')}</span>
-                                        <span className="text-sm font-medium">{research.industry}</span>
+                                        <ProvenanceHint info={provenance.industry} className="text-sm font-medium">{research.industry}</ProvenanceHint>
                                     </div>
                                 </div>
                             )}
@@ -853,7 +979,9 @@ function GuestModal({ guest, onClose, onUpdate, onResearch, onDownloadPDF }) {
                                             {research.vip_score && (
                                                 <div className="bg-amber-50 rounded-lg p-3 border border-amber-100">
                                                     <span className="text-[10px] uppercase font-bold text-amber-600 block mb-1">{t('VIP Score')}</span>
-                                                    <p className="text-xl font-bold text-amber-700">{research.vip_score}/10</p>
+                                                    <p className="text-xl font-bold text-amber-700">
+                                                        <ProvenanceHint info={provenance.vip_score}>{research.vip_score}/10</ProvenanceHint>
+                                                    </p>
                                                 </div>
                                             )}
                                         </div>
@@ -1111,7 +1239,7 @@ function GuestModal({ guest, onClose, onUpdate, onResearch, onDownloadPDF }) {
                             )}
 
                             <div className="flex gap-2 justify-end">
-                                {research?.previous_full_report && (
+                                {research && (
                                     <button
                                         onClick={handleRestore}
                                         className="btn btn-secondary text-xs py-2 px-4"
@@ -1143,6 +1271,17 @@ function GuestModal({ guest, onClose, onUpdate, onResearch, onDownloadPDF }) {
                     )}
                 </div>
 
+                {/* Research Revision History */}
+                {research && (
+                    <ResearchHistory guestId={guest.id} onRestored={onUpdate} />
+                )}
+
+                {/* Tags */}
+                <GuestTags guestId={guest.id} initialTags={guest.tags} />
+
+                {/* Reservation remarks */}
+                <StayRemarks stayNotes={guest.stay_notes} />
+
                 {/* Notes */}
                 {(isEditing || guest.notes) && (
                     <div className="p-6 border-t border-[var(--color-border)]">
@@ -1225,6 +1364,24 @@ function GuestModal({ guest, onClose, onUpdate, onResearch, onDownloadPDF }) {
                                         >
                                             🗑️ {t('Verwijderen')}
                                         </button>
+                                        {hasRole('manager') && (
+                                            <button
+                                                onClick={handleGdprExport}
+                                                className="btn btn-secondary"
+                                                title={t('Alle gegevens van deze gast exporteren (AVG inzageverzoek)')}
+                                            >
+                                                📦 {t('AVG export')}
+                                            </button>
+                                        )}
+                                        {hasRole('admin') && !guest.anonymized_at && (
+                                            <button
+                                                onClick={handleGdprErase}
+                                                className="btn btn-secondary"
+                                                title={t('Persoonsgegevens wissen (AVG verwijderverzoek)')}
+                                            >
+                                                🧽 {t('Anonimiseren')}
+                                            </button>
+                                        )}
                                     </div>
                                 )}
                             </>
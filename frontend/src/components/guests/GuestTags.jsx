@@ -0,0 +1,64 @@
+import { useState } from 'react';
+import { apiFetch } from '../../utils/api';
+import { useLanguage } from '../../contexts/LanguageContext';
+
+/**
+ * Free tags on a guest (lowercase), used in the guest filters and segments
+ */
+function GuestTags({ guestId, initialTags = [], onChange }) {
+    const { t } = useLanguage();
+    const [tags, setTags] = useState(initialTags);
+    const [input, setInput] = useState('');
+    const [error, setError] = useState(null);
+
+    const save = async (next) => {
+        setError(null);
+        try {
+            const data = await apiFetch(`/api/guests/${guestId}/tags`, {
+                method: 'PUT',
+                body: JSON.stringify({ tags: next })
+            });
+            setTags(data.tags);
+            if (onChange) onChange(data.tags);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        const added = input.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+        if (added.length === 0) return;
+        setInput('');
+        save([...tags, ...added]);
+    };
+
+    return (
+        <div className="p-6 border-t border-[var(--color-border)]">
+            <span className="text-xs text-[var(--color-text-secondary)] uppercase tracking-wide block mb-2">
+                {t('Tags')}
+            </span>
+            <div className="flex flex-wrap items-center gap-2">
+                {tags.map(tag => (
+                    <span key={tag} className="inline-flex items-center gap-1 px-2 py-1 text-xs rounded-full bg-[var(--color-bg-secondary)] border border-[var(--color-border)]">
+                        #{tag}
+                        <button onClick={() => save(tags.filter(item => item !== tag))} className="text-[var(--color-text-secondary)] hover:text-red-600">×</button>
+                    </span>
+                ))}
+                <form onSubmit={handleAdd}>
+                    <input
+                        type="text"
+                        value={input}
+                        onChange={(e) => setInput(e.target.value)}
+                        className="input text-xs py-1"
+                        style={{ width: '160px' }}
+                        placeholder={t('Tag toevoegen...')}
+                    />
+                </form>
+            </div>
+            {error && <p className="text-xs text-red-600 mt-2">❌ {error}</p>}
+        </div>
+    );
+}
+
+export default GuestTags;
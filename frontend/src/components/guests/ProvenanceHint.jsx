@@ -0,0 +1,79 @@
+import { useLanguage } from '../../contexts/LanguageContext';
+
+const SOURCE_LABELS = {
+    guest_input: 'Gastgegevens',
+    staff: 'Handmatig (medewerker)',
+    linkedin: 'LinkedIn',
+    knowledge_graph: 'Google Knowledge Graph',
+    email_domain: 'E-maildomein',
+    twitter: 'Twitter/X',
+    instagram: 'Instagram',
+    perplexity_sonar: 'Perplexity Sonar',
+    web_search: 'Webzoekresultaat',
+    ai_analysis: 'AI-analyse',
+    ai_guess: 'AI-inschatting'
+};
+
+const getConfidenceColor = (confidence) => {
+    if (confidence >= 0.8) return 'bg-green-500';
+    if (confidence >= 0.5) return 'bg-amber-400';
+    return 'bg-red-400';
+};
+
+const getHostname = (url) => {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+        return url;
+    }
+};
+
+/**
+ * Wraps a research value and shows where it came from on hover
+ * (source, search provider, confidence and source URL)
+ */
+function ProvenanceHint({ info, children, className = '' }) {
+    const { t } = useLanguage();
+
+    if (!info) return children;
+
+    const confidence = typeof info.confidence === 'number' ? info.confidence : null;
+
+    return (
+        <span className={`relative inline-flex items-center gap-1.5 group ${className}`}>
+            {children}
+            <span
+                className={`inline-block w-1.5 h-1.5 rounded-full flex-shrink-0 ${confidence !== null ? getConfidenceColor(confidence) : 'bg-gray-300'}`}
+                aria-hidden="true"
+            />
+            <span className="hidden group-hover:block absolute left-0 top-full mt-1 z-30 w-64 p-3 rounded-lg shadow-lg bg-white border border-[var(--color-border)] text-left text-xs font-normal normal-case text-gray-700">
+                <span className="block">
+                    <span className="font-semibold">{t('Bron')}:</span> {t(SOURCE_LABELS[info.source] || info.source)}
+                </span>
+                {info.provider && (
+                    <span className="block">
+                        <span className="font-semibold">{t('Zoekprovider')}:</span> {info.provider}
+                    </span>
+                )}
+                {confidence !== null && (
+                    <span className="block">
+                        <span className="font-semibold">{t('Betrouwbaarheid')}:</span> {Math.round(confidence * 100)}%
+                    </span>
+                )}
+                {info.url && (
+                    <a
+                        href={info.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="block truncate text-blue-600 hover:underline"
+                        onClick={(e) => e.stopPropagation()}
+                    >
+                        {getHostname(info.url)}
+                    </a>
+                )}
+            </span>
+        </span>
+    );
+}
+
+export default ProvenanceHint;
@@ -0,0 +1,161 @@
+import { useState } from 'react';
+import { apiFetch } from '../../utils/api';
+import { useLanguage } from '../../contexts/LanguageContext';
+
+const SOURCE_LABELS = {
+    research: 'Onderzoek',
+    refresh: 'Opnieuw onderzocht',
+    queue: 'Onderzoek (wachtrij)',
+    ai_analyze: 'Onderzoeks Assistent',
+    linkedin_select: 'LinkedIn selectie',
+    vip_score: 'VIP score aangepast',
+    rescore: 'Opnieuw gescoord',
+    manual_edit: 'Handmatige wijziging',
+    restore: 'Hersteld',
+    baseline: 'Stand vóór wijziging',
+    legacy_backup: 'Oude backup'
+};
+
+const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    const text = String(value);
+    return text.length > 160 ? `${text.substring(0, 160)}…` : text;
+};
+
+/**
+ * Research revision history: list, compare with current and restore any revision
+ */
+function ResearchHistory({ guestId, onRestored }) {
+    const { t } = useLanguage();
+    const [open, setOpen] = useState(false);
+    const [revisions, setRevisions] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [diff, setDiff] = useState(null);
+    const [error, setError] = useState(null);
+
+    const loadRevisions = async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            const data = await apiFetch(`/api/research/${guestId}/revisions`);
+            setRevisions(data);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const toggle = () => {
+        if (!open) loadRevisions();
+        setOpen(!open);
+        setDiff(null);
+    };
+
+    const handleCompare = async (revisionId) => {
+        if (diff?.from?.id === revisionId) {
+            setDiff(null);
+            return;
+        }
+        setError(null);
+        try {
+            const data = await apiFetch(`/api/research/${guestId}/revisions/diff?from=${revisionId}&to=current`);
+            setDiff(data);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleRestore = async (revision) => {
+        if (!window.confirm(`${t('Versie herstellen')} #${revision.revision_number}?`)) return;
+        setError(null);
+        try {
+            await apiFetch(`/api/research/${guestId}/revisions/${revision.id}/restore`, { method: 'POST' });
+            if (onRestored) onRestored();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="p-6 border-t border-[var(--color-border)]">
+            <button onClick={toggle} className="flex items-center justify-between w-full text-left">
+                <div className="flex items-center gap-2">
+                    <span className="text-lg">🕘</span>
+                    <h4 className="font-semibold text-sm text-[var(--color-text-primary)] uppercase tracking-wide">
+                        {t('Versiegeschiedenis')}
+                    </h4>
+                </div>
+                <span className={`transform transition-transform ${open ? 'rotate-180' : ''}`}>▼</span>
+            </button>
+
+            {open && (
+                <div className="mt-4 space-y-2">
+                    {error && (
+                        <div className="p-3 rounded-lg text-xs bg-red-50 text-red-700">❌ {error}</div>
+                    )}
+                    {loading && <p className="text-xs text-[var(--color-text-secondary)]">{t('Laden...')}</p>}
+                    {!loading && revisions.length === 0 && (
+                        <p className="text-xs text-[var(--color-text-secondary)]">{t('Nog geen eerdere versies')}</p>
+                    )}
+
+                    {revisions.map((revision, index) => (
+                        <div key={revision.id} className="p-3 rounded-lg border border-[var(--color-border)] bg-[var(--color-bg-secondary)]">
+                            <div className="flex items-start justify-between gap-3">
+                                <div className="min-w-0">
+                                    <div className="text-sm font-medium">
+                                        #{revision.revision_number} · {t(SOURCE_LABELS[revision.source] || revision.source)}
+                                        {index === 0 && <span className="ml-2 text-[10px] uppercase text-[var(--color-accent-gold)]">{t('Laatste')}</span>}
+                                    </div>
+                                    <div className="text-[11px] text-[var(--color-text-secondary)]">
+                                        {new Date(revision.created_at.replace(' ', 'T') + 'Z').toLocaleString()} · {revision.author || 'system'}
+                                    </div>
+                                    {revision.note && (
+                                        <div className="text-xs text-[var(--color-text-secondary)] mt-1 truncate">{revision.note}</div>
+                                    )}
+                                </div>
+                                <div className="flex gap-2 flex-shrink-0">
+                                    <button onClick={() => handleCompare(revision.id)} className="btn btn-secondary text-xs py-1 px-3">
+                                        {diff?.from?.id === revision.id ? '✕' : t('Vergelijk')}
+                                    </button>
+                                    <button onClick={() => handleRestore(revision)} className="btn btn-secondary text-xs py-1 px-3">
+                                        ↩️ {t('Herstel')}
+                                    </button>
+                                </div>
+                            </div>
+
+                            {diff?.from?.id === revision.id && (
+                                <div className="mt-3 pt-3 border-t border-[var(--color-border)]">
+                                    {diff.changes.length === 0 ? (
+                                        <p className="text-xs text-[var(--color-text-secondary)]">{t('Geen verschillen met de huidige versie')}</p>
+                                    ) : (
+                                        <table className="w-full text-xs">
+                                            <thead>
+                                                <tr className="text-left text-[var(--color-text-secondary)]">
+                                                    <th className="py-1 pr-2 font-semibold">{t('Veld')}</th>
+                                                    <th className="py-1 pr-2 font-semibold">#{revision.revision_number}</th>
+                                                    <th className="py-1 font-semibold">{t('Huidig')}</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {diff.changes.map(change => (
+                                                    <tr key={change.field} className="align-top border-t border-[var(--color-border)]">
+                                                        <td className="py-1 pr-2 font-mono text-[10px]">{change.field}</td>
+                                                        <td className="py-1 pr-2 text-red-700 break-words">{formatValue(change.from)}</td>
+                                                        <td className="py-1 text-green-700 break-words">{formatValue(change.to)}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default ResearchHistory;
@@ -0,0 +1,114 @@
+import { useState } from 'react';
+import { apiFetch } from '../../utils/api';
+import { useLanguage } from '../../contexts/LanguageContext';
+
+const CATEGORY_LABELS = {
+    title: 'Functietitel',
+    presence: 'Online aanwezigheid',
+    social: 'Bereik',
+    keywords: 'Trefwoorden'
+};
+
+const METHOD_LABELS = {
+    rules: 'Alleen de regels',
+    ai: 'AI score',
+    weighted: 'Gewogen gemiddelde van AI en regels',
+    max: 'Hoogste van AI en regels',
+    manual: 'Handmatig ingesteld'
+};
+
+const formatPoints = (points) => (points > 0 ? `+${points}` : `${points}`);
+
+/**
+ * Itemised VIP score: every rule that added points, caps, and how the AI score was combined
+ */
+function ScoreBreakdown({ guestId }) {
+    const { t } = useLanguage();
+    const [open, setOpen] = useState(false);
+    const [data, setData] = useState(null);
+    const [error, setError] = useState(null);
+
+    const toggle = async () => {
+        setOpen(!open);
+        if (open) return;
+        setError(null);
+        try {
+            setData(await apiFetch(`/api/guests/${guestId}/score-breakdown`));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    // The stored breakdown explains the current score; without one (older research) show the current rules
+    const breakdown = data && (data.stored?.items ? data.stored : data.current);
+
+    return (
+        <div className="mt-3">
+            <button onClick={toggle} className="text-xs text-[var(--color-accent-gold)] hover:underline">
+                {open ? '▲' : '▼'} {t('Waarom deze score?')}
+            </button>
+
+            {open && (
+                <div className="mt-2 p-3 bg-white rounded-lg border border-[var(--color-border)] text-xs space-y-2">
+                    {error && <div className="text-red-600">❌ {error}</div>}
+                    {!data && !error && <p className="text-[var(--color-text-secondary)]">{t('Laden...')}</p>}
+
+                    {data?.stored?.method === 'manual' && (
+                        <p>✋ {t('Handmatig ingesteld')}{data.stored.by ? ` ${t('door')} ${data.stored.by}` : ''}</p>
+                    )}
+
+                    {breakdown && (
+                        <>
+                            <table className="w-full">
+                                <tbody>
+                                    <tr>
+                                        <td className="py-0.5">{t('Basisscore')}</td>
+                                        <td className="text-right font-mono">{breakdown.base}</td>
+                                    </tr>
+                                    {breakdown.items.map((item, index) => (
+                                        <tr key={index}>
+                                            <td className="py-0.5">
+                                                {t(item.factor)}
+                                                <span className="text-[var(--color-text-secondary)]">
+                                                    {' '}· {t(CATEGORY_LABELS[item.category])}{item.detail ? ` · ${item.detail}` : ''}
+                                                </span>
+                                            </td>
+                                            <td className="text-right font-mono">{formatPoints(item.points)}</td>
+                                        </tr>
+                                    ))}
+                                    {breakdown.caps.map(cap => (
+                                        <tr key={cap.category} className="text-red-600">
+                                            <td className="py-0.5">{t('Maximum')} {t(CATEGORY_LABELS[cap.category])} ({cap.cap})</td>
+                                            <td className="text-right font-mono">-{cap.removed}</td>
+                                        </tr>
+                                    ))}
+                                    <tr className="border-t border-[var(--color-border)] font-semibold">
+                                        <td className="py-0.5">{t('Score volgens regels')}</td>
+                                        <td className="text-right font-mono">{breakdown.ruleScore}</td>
+                                    </tr>
+                                    {breakdown.aiScore && (
+                                        <tr>
+                                            <td className="py-0.5">{t('AI score')}</td>
+                                            <td className="text-right font-mono">{breakdown.aiScore}</td>
+                                        </tr>
+                                    )}
+                                    <tr className="font-semibold">
+                                        <td className="py-0.5">{t('VIP Score')} ({t(METHOD_LABELS[breakdown.method])})</td>
+                                        <td className="text-right font-mono">{breakdown.score}</td>
+                                    </tr>
+                                </tbody>
+                            </table>
+                            {!data.upToDate && (
+                                <p className="text-amber-700">
+                                    ⚠️ {t('Score met de huidige regels')}: {data.current.score}
+                                </p>
+                            )}
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default ScoreBreakdown;
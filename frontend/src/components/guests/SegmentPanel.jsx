@@ -0,0 +1,370 @@
+import { useState, useEffect } from 'react';
+import { apiFetch, authHeaders } from '../../utils/api';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { useAuth } from '../../contexts/useAuth';
+import ExportDialog from './ExportDialog';
+
+const RANGE_FILTERS = [
+    { label: 'VIP Score', min: 'minVipScore', max: 'maxVipScore' },
+    { label: 'Verblijven', min: 'minStays', max: 'maxStays' },
+    { label: 'Totale besteding (€)', min: 'minSpend', max: 'maxSpend' },
+    { label: 'Volgers (Instagram + X)', min: 'minFollowers', max: 'maxFollowers' }
+];
+
+const DATE_FILTERS = [
+    { label: 'Laatste verblijf', from: 'lastStayFrom', to: 'lastStayTo' },
+    { label: 'Aankomst', from: 'arrivalFrom', to: 'arrivalTo' }
+];
+
+const FILTER_LABELS = {
+    search: 'Zoeken',
+    country: 'Land',
+    hasResearch: 'Onderzocht',
+    vipOnly: 'VIP',
+    minVipScore: 'VIP Score vanaf',
+    maxVipScore: 'VIP Score tot',
+    industry: 'Sector',
+    influenceLevel: 'Invloed',
+    isOwner: 'Eigenaar',
+    minStays: 'Verblijven vanaf',
+    maxStays: 'Verblijven tot',
+    minSpend: 'Besteding vanaf',
+    maxSpend: 'Besteding tot',
+    lastStayFrom: 'Laatste verblijf vanaf',
+    lastStayTo: 'Laatste verblijf tot',
+    arrivalFrom: 'Aankomst vanaf',
+    arrivalTo: 'Aankomst tot',
+    needsReview: 'Review nodig',
+    minFollowers: 'Volgers vanaf',
+    maxFollowers: 'Volgers tot',
+    tags: 'Tags'
+};
+
+// Filters without empty values, so saved and edited filters compare equal
+const clean = (filters) => Object.fromEntries(Object.entries(filters)
+    .filter(([, value]) => value !== '' && value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0)));
+
+const sameFilters = (a, b) => {
+    const left = clean(a);
+    const right = clean(b);
+    const keys = Object.keys(left);
+    return keys.length === Object.keys(right).length &&
+        keys.every(key => String(left[key]) === String(right[key]));
+};
+
+/**
+ * Advanced guest filters and saved segments: pick a segment, refine the filters, save them
+ * (optionally shared with colleagues) and start research or a PDF for the segment
+ */
+function SegmentPanel({ filters, onFiltersChange, activeSegment, onSegmentChange }) {
+    const { t } = useLanguage();
+    const { user, hasRole } = useAuth();
+    const [segments, setSegments] = useState([]);
+    const [options, setOptions] = useState({ industries: [], tags: [], influenceLevels: [] });
+    const [expanded, setExpanded] = useState(false);
+    const [name, setName] = useState('');
+    const [shared, setShared] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [showExport, setShowExport] = useState(false);
+
+    useEffect(() => {
+        apiFetch('/api/segments')
+            .then(data => setSegments(data.segments || []))
+            .catch(err => console.error('Segmenten laden mislukt:', err));
+    }, [reloadKey]);
+
+    useEffect(() => {
+        if (!expanded) return;
+        apiFetch('/api/guests/filter-options')
+            .then(setOptions)
+            .catch(err => console.error('Filteropties laden mislukt:', err));
+    }, [expanded]);
+
+    const canEdit = activeSegment && (activeSegment.created_by === user?.username || hasRole('admin'));
+    const dirty = activeSegment && !sameFilters(activeSegment.filters, filters);
+    const activeKeys = Object.keys(clean(filters));
+
+    const setFilter = (key, value) => onFiltersChange(clean({ ...filters, [key]: value }));
+
+    const toggleInList = (key, value) => {
+        const current = filters[key] || [];
+        setFilter(key, current.includes(value) ? current.filter(item => item !== value) : [...current, value]);
+    };
+
+    const handleSelect = (id) => {
+        const segment = segments.find(s => String(s.id) === id) || null;
+        setMessage(null);
+        onSegmentChange(segment);
+        onFiltersChange(segment ? { ...segment.filters } : {});
+    };
+
+    const run = async (action) => {
+        setBusy(true);
+        setMessage(null);
+        try {
+            await action();
+        } catch (err) {
+            setMessage({ type: 'error', text: err.message });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleSave = () => run(async () => {
+        const segment = await apiFetch('/api/segments', {
+            method: 'POST',
+            body: JSON.stringify({ name, filters: clean(filters), shared })
+        });
+        setName('');
+        setShared(false);
+        setReloadKey(key => key + 1);
+        onSegmentChange(segment);
+        setMessage({ type: 'success', text: `${t('Segment opgeslagen')}: ${segment.name}` });
+    });
+
+    const handleUpdate = () => run(async () => {
+        const segment = await apiFetch(`/api/segments/${activeSegment.id}`, {
+            method: 'PUT',
+            body: JSON.stringify({ filters: clean(filters) })
+        });
+        setReloadKey(key => key + 1);
+        onSegmentChange(segment);
+        setMessage({ type: 'success', text: t('Segment bijgewerkt') });
+    });
+
+    const handleToggleShared = () => run(async () => {
+        const segment = await apiFetch(`/api/segments/${activeSegment.id}`, {
+            method: 'PUT',
+            body: JSON.stringify({ shared: !activeSegment.shared })
+        });
+        setReloadKey(key => key + 1);
+        onSegmentChange(segment);
+    });
+
+    const handleDelete = () => run(async () => {
+        if (!window.confirm(`${t('Segment verwijderen')}: ${activeSegment.name}?`)) return;
+        await apiFetch(`/api/segments/${activeSegment.id}`, { method: 'DELETE' });
+        setReloadKey(key => key + 1);
+        onSegmentChange(null);
+    });
+
+    const handleResearch = () => run(async () => {
+        const data = await apiFetch('/api/research/queue/start', {
+            method: 'POST',
+            body: JSON.stringify({ segmentId: activeSegment.id, concurrency: 1 })
+        });
+        setMessage({ type: 'success', text: `${t('Onderzoek gestart voor')} ${data.total} ${t('gasten')}` });
+    });
+
+    const handlePdf = () => run(async () => {
+        const API_BASE_URL = import.meta.env.VITE_API_URL || '';
+        const response = await fetch(`${API_BASE_URL}/api/reports/segments/${activeSegment.id}/pdf`, { headers: authHeaders() });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || t('PDF genereren mislukt'));
+        }
+        const blob = await response.blob();
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `segment-${activeSegment.name.replace(/[^a-zA-Z0-9]/g, '-')}.pdf`;
+        a.click();
+        window.URL.revokeObjectURL(url);
+    });
+
+    const formatValue = (key, value) => {
+        if (value === true) return t('Ja');
+        if (value === false) return t('Nee');
+        return Array.isArray(value) ? value.join(', ') : value;
+    };
+
+    return (
+        <div className="card p-4 space-y-3">
+            <div className="flex flex-wrap items-center gap-2">
+                <select
+                    value={activeSegment?.id || ''}
+                    onChange={(e) => handleSelect(e.target.value)}
+                    className="input"
+                    style={{ width: 'auto', minWidth: '220px' }}
+                >
+                    <option value="">{t('Geen segment')}</option>
+                    {segments.map(segment => (
+                        <option key={segment.id} value={segment.id}>
+                            {segment.shared ? '👥 ' : ''}{segment.name} ({segment.guest_count})
+                        </option>
+                    ))}
+                </select>
+                <button onClick={() => setExpanded(!expanded)} className="btn btn-secondary">
+                    ⚙️ {t('Filters')}{activeKeys.length > 0 ? ` (${activeKeys.length})` : ''}
+                </button>
+                {activeKeys.length > 0 && (
+                    <button onClick={() => handleSelect('')} className="text-xs text-[var(--color-text-secondary)] hover:underline">
+                        {t('Wissen')}
+                    </button>
+                )}
+
+                {activeSegment && (
+                    <div className="flex flex-wrap items-center gap-2 ml-auto">
+                        {activeSegment.created_by !== user?.username && (
+                            <span className="text-xs text-[var(--color-text-secondary)]">{t('Gedeeld door')} {activeSegment.created_by}</span>
+                        )}
+                        {hasRole('manager') && (
+                            <button onClick={handleResearch} disabled={busy} className="btn btn-secondary border-purple-500 text-purple-600 hover:bg-purple-50">
+                                🔍 {t('Segment onderzoeken')}
+                            </button>
+                        )}
+                        <button onClick={handlePdf} disabled={busy} className="btn btn-secondary border-[var(--color-accent-gold)] text-[var(--color-accent-gold)]">
+                            📄 {t('PDF')}
+                        </button>
+                        {hasRole('manager') && (
+                            <button onClick={() => setShowExport(true)} disabled={busy} className="btn btn-secondary">
+                                📤 {t('Exporteren')}
+                            </button>
+                        )}
+                        {canEdit && dirty && (
+                            <button onClick={handleUpdate} disabled={busy} className="btn btn-primary">
+                                💾 {t('Segment bijwerken')}
+                            </button>
+                        )}
+                        {canEdit && (
+                            <>
+                                <button onClick={handleToggleShared} disabled={busy} className="btn btn-secondary" title={t('Delen met collega’s')}>
+                                    {activeSegment.shared ? `👥 ${t('Gedeeld')}` : `🔒 ${t('Privé')}`}
+                                </button>
+                                <button onClick={handleDelete} disabled={busy} className="btn btn-secondary border-red-500 text-red-500 hover:bg-red-50">
+                                    🗑️
+                                </button>
+                            </>
+                        )}
+                    </div>
+                )}
+            </div>
+
+            {dirty && (
+                <p className="text-xs text-amber-700">⚠️ {t('De filters wijken af van het opgeslagen segment')}</p>
+            )}
+
+            {message && (
+                <p className={`text-sm ${message.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>
+                    {message.type === 'error' ? '❌' : '✅'} {message.text}
+                </p>
+            )}
+
+            {activeKeys.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                    {activeKeys.map(key => (
+                        <span key={key} className="inline-flex items-center gap-1 px-2 py-1 text-xs rounded-full bg-[var(--color-bg-secondary)] border border-[var(--color-border)]">
+                            {t(FILTER_LABELS[key] || key)}: {formatValue(key, filters[key])}
+                            <button onClick={() => setFilter(key, undefined)} className="text-[var(--color-text-secondary)] hover:text-red-600">×</button>
+                        </span>
+                    ))}
+                </div>
+            )}
+
+            {expanded && (
+                <div className="space-y-4 pt-3 border-t border-[var(--color-border)]">
+                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                        {RANGE_FILTERS.map(range => (
+                            <div key={range.min}>
+                                <label className="block text-xs font-medium mb-1">{t(range.label)}</label>
+                                <div className="flex gap-2">
+                                    <input type="number" className="input" placeholder={t('Min')}
+                                        value={filters[range.min] ?? ''} onChange={(e) => setFilter(range.min, e.target.value)} />
+                                    <input type="number" className="input" placeholder={t('Max')}
+                                        value={filters[range.max] ?? ''} onChange={(e) => setFilter(range.max, e.target.value)} />
+                                </div>
+                            </div>
+                        ))}
+                        {DATE_FILTERS.map(range => (
+                            <div key={range.from}>
+                                <label className="block text-xs font-medium mb-1">{t(range.label)}</label>
+                                <div className="flex gap-2">
+                                    <input type="date" className="input"
+                                        value={filters[range.from] || ''} onChange={(e) => setFilter(range.from, e.target.value)} />
+                                    <input type="date" className="input"
+                                        value={filters[range.to] || ''} onChange={(e) => setFilter(range.to, e.target.value)} />
+                                </div>
+                            </div>
+                        ))}
+                        {[['isOwner', 'Eigenaar'], ['needsReview', 'Review nodig']].map(([key, label]) => (
+                            <div key={key}>
+                                <label className="block text-xs font-medium mb-1">{t(label)}</label>
+                                <select className="input" value={filters[key] === undefined ? '' : String(filters[key])}
+                                    onChange={(e) => setFilter(key, e.target.value === '' ? undefined : e.target.value === 'true')}>
+                                    <option value="">{t('Alle')}</option>
+                                    <option value="true">{t('Ja')}</option>
+                                    <option value="false">{t('Nee')}</option>
+                                </select>
+                            </div>
+                        ))}
+                    </div>
+
+                    <div>
+                        <label className="block text-xs font-medium mb-1">{t('Invloed')}</label>
+                        <div className="flex flex-wrap gap-2">
+                            {options.influenceLevels.map(level => (
+                                <label key={level} className="flex items-center gap-1 text-sm">
+                                    <input type="checkbox" checked={(filters.influenceLevel || []).includes(level)}
+                                        onChange={() => toggleInList('influenceLevel', level)} />
+                                    {t(level)}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+
+                    {options.industries.length > 0 && (
+                        <div>
+                            <label className="block text-xs font-medium mb-1">{t('Sector')}</label>
+                            <div className="flex flex-wrap gap-2">
+                                {options.industries.map(({ value, count }) => (
+                                    <button key={value} onClick={() => toggleInList('industry', value)}
+                                        className={`px-2 py-1 text-xs rounded-full border ${(filters.industry || []).includes(value) ? 'bg-[var(--color-accent-gold)] text-white border-[var(--color-accent-gold)]' : 'border-[var(--color-border)]'}`}>
+                                        {value} ({count})
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {options.tags.length > 0 && (
+                        <div>
+                            <label className="block text-xs font-medium mb-1">{t('Tags')} <span className="text-[var(--color-text-secondary)]">({t('gast moet alle gekozen tags hebben')})</span></label>
+                            <div className="flex flex-wrap gap-2">
+                                {options.tags.map(({ value, count }) => (
+                                    <button key={value} onClick={() => toggleInList('tags', value)}
+                                        className={`px-2 py-1 text-xs rounded-full border ${(filters.tags || []).includes(value) ? 'bg-[var(--color-accent-gold)] text-white border-[var(--color-accent-gold)]' : 'border-[var(--color-border)]'}`}>
+                                        #{value} ({count})
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="flex flex-wrap items-center gap-2 pt-3 border-t border-[var(--color-border)]">
+                        <input type="text" className="input" style={{ width: 'auto', minWidth: '220px' }}
+                            placeholder={t('Naam van het segment')} value={name} onChange={(e) => setName(e.target.value)} />
+                        <label className="flex items-center gap-1 text-sm">
+                            <input type="checkbox" checked={shared} onChange={(e) => setShared(e.target.checked)} />
+                            {t('Delen met collega’s')}
+                        </label>
+                        <button onClick={handleSave} disabled={busy || !name.trim() || activeKeys.length === 0} className="btn btn-primary">
+                            💾 {t('Opslaan als segment')}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {showExport && activeSegment && (
+                <ExportDialog
+                    query={`segmentId=${activeSegment.id}`}
+                    title={activeSegment.name}
+                    onClose={() => setShowExport(false)}
+                />
+            )}
+        </div>
+    );
+}
+
+export default SegmentPanel;
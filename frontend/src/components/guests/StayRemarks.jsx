@@ -0,0 +1,50 @@
+import { useLanguage } from '../../contexts/LanguageContext';
+
+const PREFERENCE_GROUPS = [
+    { key: 'allergies', label: 'Allergieën', className: 'bg-red-50 text-red-700' },
+    { key: 'dietary', label: 'Dieet', className: 'bg-green-50 text-green-700' },
+    { key: 'celebrations', label: 'Viering', className: 'bg-purple-50 text-purple-700' }
+];
+
+/**
+ * Remarks imported with the reservations of a guest, with the allergies, diet and celebrations found in them
+ */
+function StayRemarks({ stayNotes }) {
+    const { t } = useLanguage();
+    if (!stayNotes || stayNotes.notes.length === 0) return null;
+
+    return (
+        <div className="p-6 border-t border-[var(--color-border)]">
+            <span className="text-xs text-[var(--color-text-secondary)] uppercase tracking-wide block mb-2">
+                {t('Wensen & opmerkingen')}
+            </span>
+
+            <div className="flex flex-wrap gap-2 mb-3">
+                {PREFERENCE_GROUPS.flatMap(group => (stayNotes.preferences[group.key] || []).map(value => (
+                    <span key={`${group.key}-${value}`} className={`px-2 py-0.5 text-xs rounded-full font-medium ${group.className}`}>
+                        {t(group.label)}: {value}
+                    </span>
+                )))}
+            </div>
+
+            <div className="space-y-2">
+                {stayNotes.notes.map(row => (
+                    <div key={row.reservation_id} className="text-sm">
+                        <span className="text-xs text-[var(--color-text-secondary)]">
+                            {row.check_in_date || '-'}{row.property_name ? ` · ${row.property_name}` : ''}
+                        </span>
+                        {row.notes && <p>{row.notes}</p>}
+                        {row.guest_notes && (
+                            <p className="italic">
+                                <span className="not-italic text-xs text-[var(--color-text-secondary)]">{t('Gast')}: </span>
+                                {row.guest_notes}
+                            </p>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default StayRemarks;
@@ -0,0 +1,229 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../../utils/api';
+import { useLanguage } from '../../contexts/LanguageContext';
+
+// Mapping of a saved profile, without the fields whose column is missing from this file
+const keepPresent = (mapping, headers) => ({
+    dateFormat: mapping.dateFormat || 'auto',
+    fields: Object.fromEntries(Object.entries(mapping.fields || {}).filter(([, field]) => headers.includes(field.column)))
+});
+
+/**
+ * Column mapping step of an upload: source column, transform and date format per target field,
+ * with saved profiles that are recognised by the headers of the file
+ * @param {Object} analysis - response of POST /api/import/analyze
+ */
+function ColumnMapping({ analysis, mapping, onChange, profileId, onProfileChange, onContinue, onCancel, busy }) {
+    const { t } = useLanguage();
+    const [profiles, setProfiles] = useState([]);
+    const [profileName, setProfileName] = useState('');
+    const [message, setMessage] = useState(null);
+
+    const [reloadKey, setReloadKey] = useState(0);
+    const reload = () => setReloadKey(key => key + 1);
+
+    useEffect(() => {
+        apiFetch('/api/import/profiles')
+            .then(data => setProfiles(data.profiles))
+            .catch(error => console.error('Importprofielen ophalen mislukt:', error));
+    }, [reloadKey]);
+
+    const { headers, sampleRows, fields, dateFormats, transforms } = analysis;
+    const activeProfile = profiles.find(profile => profile.id === profileId);
+
+    const sample = (column) => {
+        const idx = headers.indexOf(column);
+        const row = sampleRows.find(cells => cells[idx] !== '' && cells[idx] !== undefined);
+        return row ? String(row[idx]) : '';
+    };
+
+    const setField = (key, changes) => {
+        const current = mapping.fields[key] || { column: '', transform: 'none' };
+        const next = { ...current, ...changes };
+        const nextFields = { ...mapping.fields };
+        if (next.column) nextFields[key] = next;
+        else delete nextFields[key];
+        onChange({ ...mapping, fields: nextFields });
+    };
+
+    const handleLoadProfile = (id) => {
+        const profile = profiles.find(p => p.id === parseInt(id));
+        onProfileChange(profile ? profile.id : null);
+        if (profile) onChange(keepPresent(profile.mapping, headers));
+    };
+
+    const handleSave = async (update) => {
+        setMessage(null);
+        try {
+            const profile = await apiFetch(update ? `/api/import/profiles/${profileId}` : '/api/import/profiles', {
+                method: update ? 'PUT' : 'POST',
+                body: JSON.stringify({ name: update ? undefined : profileName, headers, mapping })
+            });
+            onProfileChange(profile.id);
+            setProfileName('');
+            setMessage({ type: 'success', text: `${t('Profiel opgeslagen')}: ${profile.name}` });
+            reload();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!activeProfile || !confirm(`${t('Profiel verwijderen')}: ${activeProfile.name}?`)) return;
+        try {
+            await apiFetch(`/api/import/profiles/${activeProfile.id}`, { method: 'DELETE' });
+            onProfileChange(null);
+            reload();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    return (
+        <div className="card">
+            <div className="p-6 border-b border-[var(--color-border)] bg-blue-50">
+                <h3 className="font-heading text-xl font-semibold text-blue-800">🔗 {t('Kolommen koppelen')}</h3>
+                <p className="text-blue-700 mt-1">
+                    {analysis.filename} - {analysis.totalRows} {t('rijen')}
+                </p>
+                {analysis.profile && (
+                    <p className="text-sm text-blue-700 mt-2">
+                        🗂️ {analysis.profile.match === 'exact' ? t('Profiel herkend') : t('Profiel lijkt te passen')}: <strong>{analysis.profile.name}</strong>
+                    </p>
+                )}
+            </div>
+
+            <div className="p-6 space-y-4">
+                {message && (
+                    <div className={`p-3 rounded-lg text-sm ${message.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'}`}>
+                        {message.text}
+                    </div>
+                )}
+
+                <div className="flex flex-wrap items-end gap-4">
+                    <label className="text-sm">
+                        <span className="block text-xs text-[var(--color-text-secondary)] mb-1">{t('Profiel')}</span>
+                        <select value={profileId || ''} onChange={(e) => handleLoadProfile(e.target.value)} className="input w-auto">
+                            <option value="">{t('Geen profiel')}</option>
+                            {profiles.map(profile => (
+                                <option key={profile.id} value={profile.id}>{profile.name}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="text-sm">
+                        <span className="block text-xs text-[var(--color-text-secondary)] mb-1">{t('Datumformaat')}</span>
+                        <select
+                            value={mapping.dateFormat}
+                            onChange={(e) => onChange({ ...mapping, dateFormat: e.target.value })}
+                            className="input w-auto"
+                        >
+                            {Object.entries(dateFormats).map(([key, label]) => (
+                                <option key={key} value={key}>{t(label)}</option>
+                            ))}
+                        </select>
+                    </label>
+                    {activeProfile && (
+                        <button onClick={handleDelete} className="text-red-600 hover:text-red-800 text-sm pb-2">
+                            🗑️ {t('Profiel verwijderen')}
+                        </button>
+                    )}
+                </div>
+
+                <div className="border rounded-lg overflow-x-auto">
+                    <table className="table text-sm">
+                        <thead>
+                            <tr>
+                                <th>{t('Veld')}</th>
+                                <th>{t('Kolom in bestand')}</th>
+                                <th>{t('Bewerking')}</th>
+                                <th>{t('Voorbeeld')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {fields.map(field => {
+                                const current = mapping.fields[field.key];
+                                return (
+                                    <tr key={field.key}>
+                                        <td className="font-medium whitespace-nowrap">{t(field.label)}</td>
+                                        <td>
+                                            <select
+                                                value={current?.column || ''}
+                                                onChange={(e) => setField(field.key, { column: e.target.value })}
+                                                className="input py-1 text-sm"
+                                            >
+                                                <option value="">—</option>
+                                                {headers.map((header, i) => header && (
+                                                    <option key={i} value={header}>{header}</option>
+                                                ))}
+                                            </select>
+                                        </td>
+                                        <td>
+                                            {current && (
+                                                <div className="flex gap-1">
+                                                    <select
+                                                        value={current.transform || 'none'}
+                                                        onChange={(e) => setField(field.key, { transform: e.target.value })}
+                                                        className="input py-1 text-sm"
+                                                    >
+                                                        {Object.entries(transforms).map(([key, label]) => (
+                                                            <option key={key} value={key}>{t(label)}</option>
+                                                        ))}
+                                                    </select>
+                                                    {current.transform === 'replace' && (
+                                                        <>
+                                                            <input
+                                                                value={current.find || ''}
+                                                                onChange={(e) => setField(field.key, { find: e.target.value })}
+                                                                placeholder={t('Zoek')}
+                                                                className="input py-1 text-sm w-24"
+                                                            />
+                                                            <input
+                                                                value={current.replaceWith || ''}
+                                                                onChange={(e) => setField(field.key, { replaceWith: e.target.value })}
+                                                                placeholder={t('Vervang door')}
+                                                                className="input py-1 text-sm w-24"
+                                                            />
+                                                        </>
+                                                    )}
+                                                </div>
+                                            )}
+                                        </td>
+                                        <td className="text-xs text-[var(--color-text-secondary)] max-w-xs truncate">
+                                            {current ? sample(current.column) || '-' : ''}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div className="flex flex-wrap items-center gap-2">
+                    <input
+                        value={profileName}
+                        onChange={(e) => setProfileName(e.target.value)}
+                        placeholder={t('Naam van het profiel, bijv. Opera export')}
+                        className="input w-72"
+                    />
+                    <button onClick={() => handleSave(false)} disabled={!profileName.trim()} className="btn btn-secondary">
+                        💾 {t('Opslaan als profiel')}
+                    </button>
+                    {activeProfile && (
+                        <button onClick={() => handleSave(true)} className="btn btn-secondary">
+                            {t('Profiel bijwerken')}: {activeProfile.name}
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            <div className="p-4 border-t border-[var(--color-border)] flex justify-end gap-3">
+                <button onClick={onCancel} className="btn btn-secondary">{t('Annuleren')}</button>
+                <button onClick={onContinue} disabled={busy} className="btn btn-primary px-8">
+                    {busy ? t('Laden...') : `👁️ ${t('Preview')}`}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default ColumnMapping;
@@ -0,0 +1,83 @@
+import { useLanguage } from '../../contexts/LanguageContext';
+
+const FIELD_LABELS = {
+    email: 'E-mail',
+    phone: 'Telefoon',
+    country: 'Land',
+    company: 'Bedrijf',
+    address: 'Adres'
+};
+
+/**
+ * Choice for a field of a row: the row choice wins over the column choice, default take the new value
+ */
+const choiceFor = (decisions, index, field) => decisions.rows[index]?.[field] || decisions.columns[field] || 'take';
+
+/**
+ * Field changes an import row would make to the matched guest; click a change to keep the existing value
+ */
+export function FieldChanges({ guest, decisions, onToggle }) {
+    const { t } = useLanguage();
+    if (!guest.match) return null;
+
+    return (
+        <div className="mt-1 space-y-1">
+            <div className="text-[11px] text-[var(--color-text-secondary)]">
+                ↔ {guest.match.fullName} ({t(guest.match.reasonLabel)})
+            </div>
+            {guest.diff.length > 0 && (
+                <div className="flex flex-wrap gap-1">
+                    {guest.diff.map(change => {
+                        const keep = choiceFor(decisions, guest.index, change.field) === 'keep';
+                        return (
+                            <button
+                                key={change.field}
+                                onClick={(e) => { e.stopPropagation(); onToggle(guest.index, change.field, keep ? 'take' : 'keep'); }}
+                                title={keep ? t('Bestaande waarde blijft; klik om de nieuwe te nemen') : t('Nieuwe waarde wordt genomen; klik om de bestaande te houden')}
+                                className={`text-[11px] px-1.5 py-0.5 rounded border ${change.status === 'overwrite' ? 'border-orange-200 bg-orange-50' : 'border-green-200 bg-green-50'}`}
+                            >
+                                {t(FIELD_LABELS[change.field])}:{' '}
+                                {change.current && <span className={keep ? 'font-semibold' : 'line-through text-gray-400'}>{change.current}</span>}
+                                {change.current && ' → '}
+                                <span className={keep ? 'line-through text-gray-400' : 'font-semibold'}>{change.incoming}</span>
+                            </button>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Keep existing or take new values for a whole column; only columns the import would overwrite are shown
+ */
+export function ColumnChoices({ overwrites, decisions, onChange }) {
+    const { t } = useLanguage();
+    const fields = Object.entries(overwrites || {}).filter(([, count]) => count > 0);
+    if (fields.length === 0) return null;
+
+    return (
+        <div className="p-3 bg-orange-50 border border-orange-200 rounded-lg text-sm space-y-2">
+            <strong className="text-orange-800">{t('Bestaande gegevens die overschreven worden')}:</strong>
+            {fields.map(([field, count]) => (
+                <div key={field} className="flex items-center justify-between gap-4">
+                    <span>{t(FIELD_LABELS[field])} ({count})</span>
+                    <div className="flex gap-1">
+                        {['keep', 'take'].map(choice => (
+                            <button
+                                key={choice}
+                                onClick={() => onChange(field, choice)}
+                                className={`text-xs px-2 py-1 rounded border ${(decisions.columns[field] || 'take') === choice
+                                    ? 'bg-[var(--color-accent-gold)] text-white border-transparent'
+                                    : 'bg-white border-[var(--color-border)]'}`}
+                            >
+                                {choice === 'keep' ? t('Bestaande houden') : t('Nieuwe nemen')}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,183 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../../utils/api';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { useAuth } from '../../contexts/useAuth';
+
+const STATUS_STYLES = {
+    running: 'bg-purple-50 text-purple-700',
+    completed: 'bg-green-50 text-green-700',
+    failed: 'bg-red-50 text-red-700'
+};
+
+function MewsSync({ onSynced }) {
+    const { t } = useLanguage();
+    const { hasRole } = useAuth();
+    const [connection, setConnection] = useState(null);
+    const [accessToken, setAccessToken] = useState('');
+    const [openRun, setOpenRun] = useState(null);
+    const [message, setMessage] = useState(null);
+
+    const [reloadKey, setReloadKey] = useState(0);
+    const reload = () => setReloadKey(key => key + 1);
+
+    useEffect(() => {
+        apiFetch('/api/import/mews?limit=5')
+            .then(setConnection)
+            .catch(error => console.error('Mews koppeling ophalen mislukt:', error));
+    }, [reloadKey]);
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setMessage(null);
+        try {
+            await apiFetch('/api/import/mews', {
+                method: 'PUT',
+                body: JSON.stringify({
+                    enabled: connection.enabled,
+                    intervalMinutes: parseInt(connection.interval_minutes),
+                    ...(accessToken ? { accessToken } : {})
+                })
+            });
+            setAccessToken('');
+            setMessage({ type: 'success', text: t('Mews koppeling opgeslagen') });
+            reload();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const handleSync = async () => {
+        setMessage(null);
+        try {
+            await apiFetch('/api/import/mews/sync', { method: 'POST' });
+            setMessage({ type: 'success', text: t('Synchronisatie gestart') });
+            setTimeout(() => {
+                reload();
+                if (onSynced) onSynced();
+            }, 3000);
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const toggleRun = async (runId) => {
+        if (openRun?.id === runId) {
+            setOpenRun(null);
+            return;
+        }
+        try {
+            setOpenRun(await apiFetch(`/api/import/mews/runs/${runId}`));
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    if (!connection) return null;
+
+    return (
+        <div className="card">
+            <div className="p-6 border-b border-[var(--color-border)] flex items-center justify-between">
+                <div>
+                    <h3 className="font-heading text-xl font-semibold">🏨 {t('Mews koppeling')}</h3>
+                    <p className="text-sm text-[var(--color-text-secondary)] mt-1">
+                        {connection.enabled
+                            ? `${t('Haalt reserveringen automatisch op, elke')} ${connection.interval_minutes} ${t('minuten')}`
+                            : t('Haal reserveringen en gasten direct uit Mews in plaats van een Excel export')}
+                        {connection.last_sync_at && ` · ${t('Laatste synchronisatie')}: ${connection.last_sync_at}`}
+                    </p>
+                    {!connection.client_configured && (
+                        <p className="text-xs text-amber-700 mt-1">{t('MEWS_CLIENT_TOKEN ontbreekt op de server')}</p>
+                    )}
+                </div>
+                <button
+                    onClick={handleSync}
+                    disabled={!connection.has_access_token || !connection.client_configured}
+                    className="btn btn-secondary text-sm"
+                >
+                    🔄 {t('Nu synchroniseren')}
+                </button>
+            </div>
+
+            {hasRole('admin') && (
+                <form onSubmit={handleSave} className="p-6 grid grid-cols-1 md:grid-cols-4 gap-4 items-end border-b border-[var(--color-border)]">
+                    <label className="flex items-center gap-2 text-sm">
+                        <input
+                            type="checkbox"
+                            checked={!!connection.enabled}
+                            onChange={(e) => setConnection({ ...connection, enabled: e.target.checked })}
+                        />
+                        {t('Automatisch synchroniseren')}
+                    </label>
+                    <div>
+                        <span className="text-xs text-[var(--color-text-secondary)] uppercase tracking-wide block mb-1">{t('Interval (minuten)')}</span>
+                        <input
+                            type="number"
+                            min="5"
+                            max="1440"
+                            className="input"
+                            value={connection.interval_minutes}
+                            onChange={(e) => setConnection({ ...connection, interval_minutes: e.target.value })}
+                            required
+                        />
+                    </div>
+                    <div>
+                        <span className="text-xs text-[var(--color-text-secondary)] uppercase tracking-wide block mb-1">{t('Access token')}</span>
+                        <input
+                            type="password"
+                            className="input"
+                            value={accessToken}
+                            placeholder={connection.has_access_token ? '••••••••' : ''}
+                            onChange={(e) => setAccessToken(e.target.value)}
+                            autoComplete="off"
+                        />
+                    </div>
+                    <button type="submit" className="btn btn-primary">{t('Opslaan')}</button>
+                </form>
+            )}
+
+            {(message || connection.last_error) && (
+                <div className={`mx-6 mt-4 p-3 rounded-lg text-sm ${message?.type === 'success' ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'}`}>
+                    {message ? `${message.type === 'success' ? '✅' : '❌'} ${message.text}` : `❌ ${connection.last_error}`}
+                </div>
+            )}
+
+            <div className="p-6">
+                <h4 className="font-semibold mb-3 text-sm">{t('Laatste synchronisaties')}</h4>
+                {connection.runs.length === 0 ? (
+                    <p className="text-sm text-[var(--color-text-secondary)]">{t('Nog niet gesynchroniseerd')}</p>
+                ) : (
+                    <div className="space-y-2">
+                        {connection.runs.map(run => (
+                            <div key={run.id} className="border border-[var(--color-border)] rounded-lg">
+                                <button
+                                    onClick={() => toggleRun(run.id)}
+                                    className="w-full flex items-center justify-between gap-3 p-3 text-left text-sm"
+                                >
+                                    <span className="flex items-center gap-2">
+                                        <span className={`text-[10px] px-2 py-0.5 rounded-full font-medium ${STATUS_STYLES[run.status] || ''}`}>
+                                            {run.status}
+                                        </span>
+                                        <span>{run.started_at}</span>
+                                        <span className="text-xs text-[var(--color-text-secondary)]">
+                                            ({run.trigger === 'schedule' ? t('gepland') : run.started_by})
+                                        </span>
+                                    </span>
+                                    <span className="text-xs text-[var(--color-text-secondary)]">
+                                        +{run.reservations_created} · ~{run.reservations_updated} · 🚫 {run.reservations_cancelled}
+                                    </span>
+                                </button>
+                                {openRun?.id === run.id && (
+                                    <pre className="px-3 pb-3 text-[11px] whitespace-pre-wrap text-[var(--color-text-secondary)]">
+                                        {openRun.log.join('\n')}
+                                    </pre>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default MewsSync;
@@ -0,0 +1,123 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../../utils/api';
+import { useLanguage } from '../../contexts/LanguageContext';
+
+const FIELD_LABELS = {
+    email: 'E-mail',
+    phone: 'Telefoon',
+    country: 'Land',
+    company: 'Bedrijf',
+    address: 'Adres',
+    last_stay: 'Laatste verblijf'
+};
+
+/**
+ * What rolling back an import changes (removed reservations and guests, restored values, conflicts),
+ * with the button to do it
+ */
+function RollbackPreview({ batch, onClose, onDone }) {
+    const { t } = useLanguage();
+    const [plan, setPlan] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        apiFetch(`/api/import/batches/${batch.id}/rollback`)
+            .then(setPlan)
+            .catch(err => setError(err.message));
+    }, [batch.id]);
+
+    const handleRollback = async () => {
+        setBusy(true);
+        setError(null);
+        try {
+            await apiFetch(`/api/import/batches/${batch.id}`, { method: 'DELETE' });
+            onDone();
+        } catch (err) {
+            setError(err.message || 'Terugdraaien mislukt');
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal max-w-3xl" onClick={(e) => e.stopPropagation()}>
+                <div className="p-6 border-b border-[var(--color-border)]">
+                    <div className="flex items-center justify-between">
+                        <div>
+                            <h2 className="font-heading text-xl font-semibold">↩️ {t('Import terugdraaien')}</h2>
+                            <p className="text-sm text-[var(--color-text-secondary)] mt-1">{batch.filename || batch.id}</p>
+                        </div>
+                        <button
+                            onClick={onClose}
+                            className="text-[var(--color-text-secondary)] hover:text-[var(--color-text-primary)] text-2xl"
+                        >
+                            ×
+                        </button>
+                    </div>
+                </div>
+
+                <div className="p-6 space-y-4 max-h-[60vh] overflow-y-auto text-sm">
+                    {error && <div className="p-3 rounded-lg bg-red-50 text-red-700">❌ {error}</div>}
+
+                    {!plan ? (
+                        !error && <p className="text-[var(--color-text-secondary)]">{t('Laden...')}</p>
+                    ) : (
+                        <>
+                            <ul className="space-y-1">
+                                <li>🗑️ {plan.reservations} {t('reserveringen worden verwijderd')}</li>
+                                <li>👤 {plan.deletedGuests.length} {t('gasten die deze import aanmaakte worden verwijderd')}</li>
+                                <li>♻️ {plan.restoredGuests.length} {t('bestaande gasten krijgen hun vorige gegevens terug')}</li>
+                            </ul>
+
+                            {plan.conflicts > 0 && (
+                                <div className="p-3 rounded-lg bg-yellow-50 border border-yellow-200 text-yellow-800">
+                                    ⚠️ {plan.conflicts} {t('velden zijn na deze import opnieuw gewijzigd en blijven zoals ze zijn')}
+                                </div>
+                            )}
+
+                            {plan.restoredGuests.length > 0 && (
+                                <table className="table text-sm">
+                                    <thead>
+                                        <tr>
+                                            <th>{t('Gast')}</th>
+                                            <th>{t('Wijzigingen')}</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {plan.restoredGuests.map(guest => (
+                                            <tr key={guest.id}>
+                                                <td className="font-medium align-top">{guest.full_name}</td>
+                                                <td className="space-y-0.5">
+                                                    {guest.changes.map(change => (
+                                                        <div key={change.field} className={change.status === 'conflict' ? 'text-yellow-700' : ''}>
+                                                            {t(FIELD_LABELS[change.field])}: {change.current || '-'} → {change.status === 'conflict'
+                                                                ? t('blijft (later gewijzigd)')
+                                                                : (change.restoreTo || t('leeg'))}
+                                                        </div>
+                                                    ))}
+                                                    {guest.stays && (
+                                                        <div>{t('Verblijven')}: {guest.stays.current} → {guest.stays.restoreTo}</div>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </>
+                    )}
+                </div>
+
+                <div className="p-6 border-t border-[var(--color-border)] flex justify-end gap-2 bg-[var(--color-bg-secondary)]">
+                    <button onClick={onClose} className="btn btn-secondary">{t('Annuleren')}</button>
+                    <button onClick={handleRollback} disabled={busy || !plan} className="btn btn-primary bg-red-600 hover:bg-red-700">
+                        {busy ? t('Bezig...') : `↩️ ${t('Terugdraaien')}`}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default RollbackPreview;
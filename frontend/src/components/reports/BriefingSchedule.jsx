@@ -0,0 +1,183 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../../utils/api';
+import { useLanguage } from '../../contexts/LanguageContext';
+
+const STATUS_STYLES = {
+    running: 'bg-purple-50 text-purple-700',
+    completed: 'bg-green-50 text-green-700',
+    failed: 'bg-red-50 text-red-700'
+};
+
+function BriefingSchedule() {
+    const { t } = useLanguage();
+    const [config, setConfig] = useState(null);
+    const [recipientsText, setRecipientsText] = useState('');
+    const [runs, setRuns] = useState([]);
+    const [openRun, setOpenRun] = useState(null);
+    const [message, setMessage] = useState(null);
+
+    const [reloadKey, setReloadKey] = useState(0);
+    const reload = () => setReloadKey(key => key + 1);
+
+    useEffect(() => {
+        apiFetch('/api/reports/briefings/config')
+            .then(data => {
+                setConfig(data);
+                setRecipientsText((data.recipients || []).join(', '));
+            })
+            .catch(error => setMessage({ type: 'error', text: error.message }));
+        apiFetch('/api/reports/briefings/runs?limit=10')
+            .then(setRuns)
+            .catch(error => console.error('Briefings ophalen mislukt:', error));
+    }, [reloadKey]);
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setMessage(null);
+        try {
+            await apiFetch('/api/reports/briefings/config', {
+                method: 'PUT',
+                body: JSON.stringify({
+                    enabled: config.enabled,
+                    time: config.time,
+                    leadDays: parseInt(config.leadDays),
+                    recipients: recipientsText.split(/[,;\s]+/).filter(Boolean)
+                })
+            });
+            setMessage({ type: 'success', text: t('Briefing opgeslagen') });
+            reload();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const handleRunNow = async () => {
+        setMessage(null);
+        try {
+            await apiFetch('/api/reports/briefings/run', { method: 'POST' });
+            setMessage({ type: 'success', text: t('Briefing gestart') });
+            setTimeout(reload, 2000);
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const toggleRun = async (runId) => {
+        if (openRun?.id === runId) {
+            setOpenRun(null);
+            return;
+        }
+        try {
+            setOpenRun(await apiFetch(`/api/reports/briefings/runs/${runId}`));
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    if (!config) return null;
+
+    return (
+        <div className="card">
+            <div className="p-6 border-b border-[var(--color-border)] flex items-center justify-between">
+                <div>
+                    <h3 className="font-heading text-xl font-semibold">🛎️ {t('Aankomstbriefing')}</h3>
+                    <p className="text-sm text-[var(--color-text-secondary)] mt-1">
+                        {t('Onderzoekt aankomende gasten en mailt elke ochtend het aankomstrapport')}
+                    </p>
+                </div>
+                <button onClick={handleRunNow} className="btn btn-secondary text-sm">
+                    {t('Nu uitvoeren')}
+                </button>
+            </div>
+
+            <form onSubmit={handleSave} className="p-6 grid grid-cols-1 md:grid-cols-5 gap-4 items-end border-b border-[var(--color-border)]">
+                <label className="flex items-center gap-2 text-sm">
+                    <input
+                        type="checkbox"
+                        checked={!!config.enabled}
+                        onChange={(e) => setConfig({ ...config, enabled: e.target.checked })}
+                    />
+                    {t('Dagelijks versturen')}
+                </label>
+                <div>
+                    <span className="text-xs text-[var(--color-text-secondary)] uppercase tracking-wide block mb-1">{t('Tijdstip')}</span>
+                    <input
+                        type="time"
+                        className="input"
+                        value={config.time}
+                        onChange={(e) => setConfig({ ...config, time: e.target.value })}
+                        required
+                    />
+                </div>
+                <div>
+                    <span className="text-xs text-[var(--color-text-secondary)] uppercase tracking-wide block mb-1">{t('Dagen vooruit')}</span>
+                    <input
+                        type="number"
+                        min="0"
+                        max="14"
+                        className="input"
+                        value={config.leadDays}
+                        onChange={(e) => setConfig({ ...config, leadDays: e.target.value })}
+                        required
+                    />
+                </div>
+                <div>
+                    <span className="text-xs text-[var(--color-text-secondary)] uppercase tracking-wide block mb-1">{t('Ontvangers')}</span>
+                    <input
+                        type="text"
+                        className="input"
+                        value={recipientsText}
+                        placeholder={t('Standaard (NOTIFICATION_EMAIL)')}
+                        onChange={(e) => setRecipientsText(e.target.value)}
+                    />
+                </div>
+                <button type="submit" className="btn btn-primary">{t('Opslaan')}</button>
+            </form>
+
+            {message && (
+                <div className={`mx-6 mt-4 p-3 rounded-lg text-sm ${message.type === 'success' ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'}`}>
+                    {message.type === 'success' ? '✅' : '❌'} {message.text}
+                </div>
+            )}
+
+            <div className="p-6">
+                <h4 className="font-semibold mb-3 text-sm">{t('Laatste runs')}</h4>
+                {runs.length === 0 ? (
+                    <p className="text-sm text-[var(--color-text-secondary)]">{t('Nog geen briefings uitgevoerd')}</p>
+                ) : (
+                    <div className="space-y-2">
+                        {runs.map(run => (
+                            <div key={run.id} className="border border-[var(--color-border)] rounded-lg">
+                                <button
+                                    onClick={() => toggleRun(run.id)}
+                                    className="w-full flex items-center justify-between gap-3 p-3 text-left text-sm"
+                                >
+                                    <span className="flex items-center gap-2">
+                                        <span className={`text-[10px] px-2 py-0.5 rounded-full font-medium ${STATUS_STYLES[run.status] || ''}`}>
+                                            {run.status}
+                                        </span>
+                                        <span>{run.started_at}</span>
+                                        <span className="text-xs text-[var(--color-text-secondary)]">
+                                            ({run.trigger === 'schedule' ? t('gepland') : run.started_by})
+                                        </span>
+                                    </span>
+                                    <span className="text-xs text-[var(--color-text-secondary)]">
+                                        {run.guests_total} {t('aankomsten')} · {run.researched} {t('onderzocht')}
+                                        {run.email_sent ? ' · 📧' : ''}
+                                    </span>
+                                </button>
+                                {openRun?.id === run.id && (
+                                    <pre className="px-3 pb-3 text-[11px] whitespace-pre-wrap text-[var(--color-text-secondary)]">
+                                        {openRun.log.join('\n')}
+                                    </pre>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default BriefingSchedule;
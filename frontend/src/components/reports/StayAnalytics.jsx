@@ -0,0 +1,203 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../../utils/api';
+import { useLanguage } from '../../contexts/LanguageContext';
+
+const PERIODS = [
+    { value: 30, label: 'Laatste 30 dagen' },
+    { value: 90, label: 'Laatste 90 dagen' },
+    { value: 365, label: 'Laatste 12 maanden' },
+    { value: 0, label: 'Alle tijd' }
+];
+
+const CATEGORY_COLORS = ['bg-blue-500', 'bg-teal-500', 'bg-orange-500', 'bg-purple-500', 'bg-pink-500', 'bg-cyan-600', 'bg-yellow-500'];
+
+const formatMoney = (amount) => amount === null || amount === undefined
+    ? '-'
+    : `€${amount.toLocaleString('nl-NL', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`;
+
+const periodQuery = (days, country) => {
+    const params = new URLSearchParams();
+    if (days > 0) {
+        const from = new Date();
+        from.setDate(from.getDate() - days);
+        params.set('from', from.toISOString().split('T')[0]);
+    }
+    if (country) params.set('country', country);
+    return params.toString();
+};
+
+/**
+ * Revenue, nights and repeat guests from the reservations, with room mix per VIP tier and the highest-value guests
+ */
+function StayAnalytics() {
+    const { t } = useLanguage();
+    const [days, setDays] = useState(365);
+    const [country, setCountry] = useState('');
+    const [countries, setCountries] = useState([]);
+    const [data, setData] = useState(null);
+    const [leaderboard, setLeaderboard] = useState([]);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        apiFetch('/api/guests/countries/list')
+            .then(setCountries)
+            .catch(err => console.error('Landen ophalen mislukt:', err));
+    }, []);
+
+    useEffect(() => {
+        const query = periodQuery(days, country);
+        Promise.all([
+            apiFetch(`/api/reports/stays?${query}`),
+            apiFetch(`/api/reports/stays/leaderboard?${query}&limit=10`)
+        ])
+            .then(([stays, top]) => {
+                setData(stays);
+                setLeaderboard(top.guests);
+                setError(null);
+            })
+            .catch(err => setError(err.message));
+    }, [days, country]);
+
+    if (error) {
+        return <div className="card text-sm text-red-600">❌ {error}</div>;
+    }
+    if (!data) return null;
+
+    const { summary, monthly, roomMix } = data;
+    const maxRevenue = Math.max(...monthly.map(month => month.revenue), 0);
+    const categories = [...new Set(roomMix.flatMap(tier => tier.categories.map(row => row.room_category)))];
+    const colorOf = (category) => CATEGORY_COLORS[categories.indexOf(category) % CATEGORY_COLORS.length];
+
+    return (
+        <div className="card space-y-6">
+            <div className="flex flex-wrap items-end justify-between gap-4">
+                <div>
+                    <h3 className="font-heading text-xl font-semibold">{t('Verblijven & omzet')}</h3>
+                    <p className="text-sm text-[var(--color-text-secondary)]">
+                        {t('Omzet, nachten en terugkerende gasten uit de reserveringen')}
+                    </p>
+                </div>
+                <div className="flex gap-2">
+                    <select className="input w-auto" value={days} onChange={(e) => setDays(parseInt(e.target.value))}>
+                        {PERIODS.map(period => <option key={period.value} value={period.value}>{t(period.label)}</option>)}
+                    </select>
+                    <select className="input w-auto" value={country} onChange={(e) => setCountry(e.target.value)}>
+                        <option value="">{t('Alle landen')}</option>
+                        {countries.map(name => <option key={name} value={name}>{name}</option>)}
+                    </select>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                <div className="stat-card">
+                    <div className="stat-value">{formatMoney(summary.revenue)}</div>
+                    <div className="stat-label">{t('Omzet')}</div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-value">{summary.nights}</div>
+                    <div className="stat-label">{t('Nachten')}</div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-value">{formatMoney(summary.averageRate)}</div>
+                    <div className="stat-label">{t('Gem. prijs per nacht')}</div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-value">{formatMoney(summary.revenuePerGuest)}</div>
+                    <div className="stat-label">{t('Omzet per gast')}</div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-value">{summary.repeatGuestRate === null ? '-' : `${summary.repeatGuestRate}%`}</div>
+                    <div className="stat-label">{t('Terugkerende gasten')}</div>
+                </div>
+            </div>
+
+            {summary.reservations === 0 ? (
+                <p className="text-sm text-[var(--color-text-secondary)]">{t('Geen reserveringen in deze periode')}</p>
+            ) : (
+                <>
+                    <div>
+                        <h4 className="font-semibold mb-3">{t('Omzet per maand')}</h4>
+                        <div className="flex items-end gap-1 h-40">
+                            {monthly.map(month => (
+                                <div
+                                    key={month.month}
+                                    className="flex-1 bg-[var(--color-accent-gold)] rounded-t min-w-[4px]"
+                                    style={{ height: `${maxRevenue > 0 ? (month.revenue / maxRevenue) * 100 : 0}%` }}
+                                    title={`${month.month}: ${formatMoney(month.revenue)} · ${month.nights} ${t('nachten')} · ${month.guests} ${t('gasten')}`}
+                                />
+                            ))}
+                        </div>
+                        {monthly.length > 0 && (
+                            <div className="flex justify-between text-[10px] text-[var(--color-text-secondary)] mt-1">
+                                <span>{monthly[0].month}</span>
+                                <span>{monthly[monthly.length - 1].month}</span>
+                            </div>
+                        )}
+                    </div>
+
+                    <div>
+                        <h4 className="font-semibold mb-3">{t('Kamertypes per VIP-niveau')}</h4>
+                        <div className="space-y-2">
+                            {roomMix.map(tier => (
+                                <div key={tier.tier} className="flex items-center gap-3">
+                                    <span className="w-32 text-xs">{t(tier.tier)} ({tier.reservations})</span>
+                                    <div className="flex-1 flex h-5 rounded overflow-hidden bg-[var(--color-bg-secondary)]">
+                                        {tier.categories.map(row => (
+                                            <div
+                                                key={row.room_category}
+                                                className={colorOf(row.room_category)}
+                                                style={{ width: `${row.share}%` }}
+                                                title={`${row.room_category}: ${row.reservations} (${row.share}%) · ${formatMoney(row.revenue)}`}
+                                            />
+                                        ))}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                        <div className="flex flex-wrap gap-4 mt-3 text-xs">
+                            {categories.map(category => (
+                                <span key={category} className="flex items-center gap-1">
+                                    <span className={`inline-block w-3 h-3 rounded ${colorOf(category)}`} />
+                                    {category}
+                                </span>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div>
+                        <h4 className="font-semibold mb-3">{t('Gasten met de hoogste waarde')}</h4>
+                        <table className="table">
+                            <thead>
+                                <tr>
+                                    <th>{t('Gast')}</th>
+                                    <th>{t('Land')}</th>
+                                    <th>{t('Verblijven')}</th>
+                                    <th>{t('Nachten')}</th>
+                                    <th>{t('Gem. prijs per nacht')}</th>
+                                    <th>{t('Omzet')}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {leaderboard.map(guest => (
+                                    <tr key={guest.id}>
+                                        <td>
+                                            {guest.full_name}
+                                            {guest.vip_score && <span className="ml-2 text-xs text-[var(--color-accent-gold)]">★ {guest.vip_score}</span>}
+                                        </td>
+                                        <td>{guest.country || '-'}</td>
+                                        <td>{guest.stays}</td>
+                                        <td>{guest.nights}</td>
+                                        <td>{formatMoney(guest.averageRate)}</td>
+                                        <td className="font-medium">{formatMoney(guest.revenue)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default StayAnalytics;
@@ -0,0 +1,132 @@
+import { useState, useRef, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { apiFetch } from '../../utils/api';
+import { useLanguage } from '../../contexts/LanguageContext';
+
+const FIELD_LABELS = {
+    name: 'Naam',
+    work: 'Werk',
+    contact: 'Contact',
+    notes: 'Notities',
+    bio: 'Bio',
+    research: 'Onderzoek'
+};
+
+function Highlighted({ segments }) {
+    return segments.map((segment, index) => segment.match
+        ? <mark key={index} className="bg-yellow-200 rounded px-0.5">{segment.text}</mark>
+        : <span key={index}>{segment.text}</span>);
+}
+
+/**
+ * Search box in the header: full-text search over names, work, contact details, notes, bios and research reports
+ */
+function GlobalSearch() {
+    const { t } = useLanguage();
+    const navigate = useNavigate();
+    const [query, setQuery] = useState('');
+    const [data, setData] = useState(null);
+    const [open, setOpen] = useState(false);
+    const [error, setError] = useState(null);
+    const timerRef = useRef(null);
+    const requestRef = useRef(0);
+
+    useEffect(() => () => clearTimeout(timerRef.current), []);
+
+    const runSearch = async (value) => {
+        const requestId = ++requestRef.current;
+        try {
+            const result = await apiFetch(`/api/search?q=${encodeURIComponent(value)}&limit=8`);
+            // Ignore answers to older keystrokes
+            if (requestId === requestRef.current) {
+                setData(result);
+                setError(null);
+            }
+        } catch (err) {
+            if (requestId === requestRef.current) setError(err.message);
+        }
+    };
+
+    const handleChange = (e) => {
+        const value = e.target.value;
+        setQuery(value);
+        setOpen(true);
+        clearTimeout(timerRef.current);
+        if (value.trim().length < 2) {
+            requestRef.current++;
+            setData(null);
+            return;
+        }
+        timerRef.current = setTimeout(() => runSearch(value), 250);
+    };
+
+    const openGuest = (guestId) => {
+        setOpen(false);
+        navigate('/guests', { state: { openGuestId: guestId } });
+    };
+
+    return (
+        <div className="relative">
+            <input
+                type="search"
+                value={query}
+                onChange={handleChange}
+                onFocus={() => setOpen(true)}
+                onBlur={() => setOpen(false)}
+                onKeyDown={(e) => {
+                    if (e.key === 'Escape') setOpen(false);
+                    if (e.key === 'Enter' && data?.results?.length) openGuest(data.results[0].id);
+                }}
+                placeholder={t('Zoek overal...')}
+                className="input py-1 text-xs w-56"
+            />
+
+            {open && (data || error) && (
+                <div className="absolute right-0 mt-2 w-[28rem] max-h-[70vh] overflow-y-auto bg-white border border-[var(--color-border)] rounded-lg shadow-lg z-50">
+                    {error && <p className="p-3 text-xs text-red-600">❌ {error}</p>}
+                    {data && data.results.length === 0 && (
+                        <p className="p-3 text-xs text-[var(--color-text-secondary)]">{t('Niets gevonden')}</p>
+                    )}
+                    {data?.results.map(result => (
+                        <button
+                            key={result.id}
+                            // Keep the focus in the search box so the list stays open for the click
+                            onMouseDown={(e) => e.preventDefault()}
+                            onClick={() => openGuest(result.id)}
+                            className="w-full text-left p-3 border-b border-[var(--color-border)] last:border-0 hover:bg-[var(--color-bg-secondary)]"
+                        >
+                            <div className="flex items-center justify-between gap-2">
+                                <span className="font-medium text-sm"><Highlighted segments={result.name} /></span>
+                                {result.vip_score && <span className="text-xs text-[var(--color-accent-gold)]">★ {result.vip_score}</span>}
+                            </div>
+                            {(result.job_title || result.company) && (
+                                <div className="text-xs text-[var(--color-text-secondary)]">
+                                    {[result.job_title, result.company].filter(Boolean).join(' · ')}
+                                </div>
+                            )}
+                            {result.snippet.length > 0 && !(result.fields.length === 1 && result.fields[0] === 'name') && (
+                                <p className="text-xs mt-1 text-[var(--color-text-secondary)] line-clamp-2">
+                                    <Highlighted segments={result.snippet} />
+                                </p>
+                            )}
+                            <div className="flex flex-wrap gap-1 mt-1">
+                                {result.fields.map(field => (
+                                    <span key={field} className="px-1.5 py-0.5 text-[10px] rounded-full bg-[var(--color-bg-secondary)] text-[var(--color-text-secondary)]">
+                                        {t(FIELD_LABELS[field])}
+                                    </span>
+                                ))}
+                            </div>
+                        </button>
+                    ))}
+                    {data && data.total > data.results.length && (
+                        <p className="p-2 text-[10px] text-center text-[var(--color-text-secondary)]">
+                            {data.results.length} {t('van')} {data.total} {t('resultaten')}
+                        </p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default GlobalSearch;
@@ -0,0 +1,47 @@
+import { useState, useEffect } from 'react';
+import { apiFetch, getPropertyId, setPropertyId } from '../../utils/api';
+import { useAuth } from '../../contexts/useAuth';
+import { useLanguage } from '../../contexts/LanguageContext';
+
+function PropertySwitcher() {
+    const { t } = useLanguage();
+    const { user } = useAuth();
+    const [properties, setProperties] = useState([]);
+
+    useEffect(() => {
+        apiFetch('/api/properties')
+            .then(setProperties)
+            .catch(error => console.error('Hotels ophalen mislukt:', error));
+    }, []);
+
+    // Users bound to one property only see its name
+    if (user.property_id) {
+        const own = properties.find(p => p.id === user.property_id);
+        return own ? <span className="text-xs font-medium">🏨 {own.name}</span> : null;
+    }
+
+    // A single property needs no switcher
+    if (properties.length < 2) return null;
+
+    const handleChange = (e) => {
+        setPropertyId(e.target.value);
+        // Every page loads its data per property, so start fresh
+        window.location.reload();
+    };
+
+    return (
+        <select
+            value={getPropertyId()}
+            onChange={handleChange}
+            className="input py-1 text-xs w-auto"
+            title={t('Hotel')}
+        >
+            <option value="">🏨 {t('Alle hotels')}</option>
+            {properties.map(p => (
+                <option key={p.id} value={p.id}>{p.name}</option>
+            ))}
+        </select>
+    );
+}
+
+export default PropertySwitcher;
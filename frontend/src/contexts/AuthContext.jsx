@@ -0,0 +1,58 @@
+import { useState, useEffect } from 'react';
+import { apiFetch, getAuthToken, setAuthToken, setPropertyId } from '../utils/api';
+import { AuthContext } from './useAuth';
+
+// Roles in ascending order of rights
+const ROLES = ['front_desk', 'manager', 'admin'];
+
+export function AuthProvider({ children }) {
+    const [user, setUser] = useState(null);
+    const [checking, setChecking] = useState(!!getAuthToken());
+
+    // Restore the session from a stored token
+    useEffect(() => {
+        if (!getAuthToken()) return;
+
+        apiFetch('/api/auth/me')
+            .then(setUser)
+            .catch(() => setAuthToken(null))
+            .finally(() => setChecking(false));
+    }, []);
+
+    // apiFetch signals an expired session
+    useEffect(() => {
+        const onLogout = () => setUser(null);
+        window.addEventListener('auth:logout', onLogout);
+        return () => window.removeEventListener('auth:logout', onLogout);
+    }, []);
+
+    const login = async (username, password) => {
+        const session = await apiFetch('/api/auth/login', {
+            method: 'POST',
+            body: JSON.stringify({ username, password })
+        });
+        setAuthToken(session.token);
+        setUser(session.user);
+        return session.user;
+    };
+
+    const logout = async () => {
+        try {
+            await apiFetch('/api/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Uitloggen mislukt:', error);
+        }
+        setAuthToken(null);
+        setPropertyId(null);
+        setUser(null);
+    };
+
+    // hasRole('manager') is true for managers and admins
+    const hasRole = (minimumRole) => !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(minimumRole);
+
+    return (
+        <AuthContext.Provider value={{ user, checking, login, logout, hasRole }}>
+            {children}
+        </AuthContext.Provider>
+    );
+}
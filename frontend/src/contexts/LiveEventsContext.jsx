@@ -0,0 +1,46 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { openEventStream } from '../utils/api';
+import { LiveEventsContext } from './useLiveEvents';
+
+// A completed queue is still shown this long after it finished
+const COMPLETED_QUEUE_MS = 5000;
+
+// One live connection for the whole app; pages subscribe with useLiveEvents
+export function LiveEventsProvider({ children }) {
+    const listenersRef = useRef(new Set());
+    const lastQueueRef = useRef(null);
+    const [connected, setConnected] = useState(false);
+
+    useEffect(() => openEventStream({
+        onEvent: (type, data) => {
+            if (type === 'queue.updated') {
+                lastQueueRef.current = { data, receivedAt: Date.now() };
+            }
+            listenersRef.current.forEach(listener => listener(type, data));
+        },
+        onStatus: setConnected
+    }), []);
+
+    const subscribe = useCallback((listener) => {
+        listenersRef.current.add(listener);
+
+        // A page opened later still gets the current queue
+        const lastQueue = lastQueueRef.current;
+        const expired = lastQueue?.data.status === 'completed' && Date.now() - lastQueue.receivedAt > COMPLETED_QUEUE_MS;
+        if (lastQueue && !expired) {
+            queueMicrotask(() => {
+                if (listenersRef.current.has(listener)) listener('queue.updated', lastQueue.data);
+            });
+        }
+
+        return () => listenersRef.current.delete(listener);
+    }, []);
+
+    const value = useMemo(() => ({ connected, subscribe }), [connected, subscribe]);
+
+    return (
+        <LiveEventsContext.Provider value={value}>
+            {children}
+        </LiveEventsContext.Provider>
+    );
+}
@@ -0,0 +1,22 @@
+import { createContext, useContext, useEffect, useRef } from 'react';
+
+export const LiveEventsContext = createContext();
+
+// Calls handler(type, data) for every live event from GET /api/events while the component is mounted.
+// Returns whether the stream is connected.
+export function useLiveEvents(handler) {
+    const context = useContext(LiveEventsContext);
+    if (!context) {
+        throw new Error('useLiveEvents must be used within a LiveEventsProvider');
+    }
+
+    const handlerRef = useRef(handler);
+    useEffect(() => {
+        handlerRef.current = handler;
+    });
+
+    const { subscribe } = context;
+    useEffect(() => subscribe((type, data) => handlerRef.current(type, data)), [subscribe]);
+
+    return context.connected;
+}
@@ -0,0 +1,271 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../utils/api';
+import { useAuth } from '../contexts/useAuth';
+import { useLanguage } from '../contexts/LanguageContext';
+
+const PROVIDER_COLORS = {
+    brightdata: 'bg-blue-500',
+    brave: 'bg-orange-500',
+    perplexity: 'bg-teal-500',
+    sonar: 'bg-cyan-600',
+    openai: 'bg-purple-500'
+};
+
+const PROVIDER_LABELS = {
+    total: 'Totaal',
+    brightdata: 'Bright Data',
+    brave: 'Brave',
+    perplexity: 'Perplexity Search',
+    sonar: 'Perplexity Sonar',
+    openai: 'OpenAI'
+};
+
+const formatCost = (cost) => `$${(cost || 0).toFixed(cost >= 10 ? 2 : 4)}`;
+
+function Costs() {
+    const { t } = useLanguage();
+    const { hasRole } = useAuth();
+    const [days, setDays] = useState(30);
+    const [summary, setSummary] = useState(null);
+    const [budgetInputs, setBudgetInputs] = useState({});
+    const [message, setMessage] = useState(null);
+
+    const [reloadKey, setReloadKey] = useState(0);
+    const reload = () => setReloadKey(key => key + 1);
+
+    useEffect(() => {
+        apiFetch(`/api/usage/summary?days=${days}`)
+            .then(setSummary)
+            .catch(error => setMessage({ type: 'error', text: error.message }));
+    }, [days, reloadKey]);
+
+    const handleSaveBudget = async (provider) => {
+        setMessage(null);
+        const value = budgetInputs[provider];
+        try {
+            await apiFetch(`/api/usage/budgets/${provider}`, {
+                method: 'PUT',
+                body: JSON.stringify({ monthlyBudget: value === '' ? null : value })
+            });
+            setBudgetInputs(inputs => {
+                const next = { ...inputs };
+                delete next[provider];
+                return next;
+            });
+            setMessage({ type: 'success', text: t('Budget opgeslagen') });
+            reload();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    if (!summary) {
+        return <div className="p-12 text-center text-[var(--color-text-secondary)]">{t('Laden...')}</div>;
+    }
+
+    // Daily bars, stacked per provider
+    const dayTotals = {};
+    for (const row of summary.perDay) {
+        dayTotals[row.day] = dayTotals[row.day] || { total: 0, providers: [] };
+        dayTotals[row.day].total += row.cost;
+        dayTotals[row.day].providers.push(row);
+    }
+    const dayList = Object.entries(dayTotals);
+    const maxDay = Math.max(...dayList.map(([, day]) => day.total), 0);
+
+    return (
+        <div className="space-y-8">
+            <div className="flex items-end justify-between">
+                <div>
+                    <h2 className="font-heading text-3xl font-semibold">{t('Kosten')}</h2>
+                    <p className="text-[var(--color-text-secondary)] mt-2">
+                        {t('Geschatte kosten van zoek- en AI diensten per dag, gast en wachtrij')}
+                    </p>
+                </div>
+                <select className="input w-auto" value={days} onChange={(e) => setDays(parseInt(e.target.value))}>
+                    <option value={7}>{t('Laatste 7 dagen')}</option>
+                    <option value={30}>{t('Laatste 30 dagen')}</option>
+                    <option value={90}>{t('Laatste 90 dagen')}</option>
+                </select>
+            </div>
+
+            {message && (
+                <div className={`p-3 rounded-lg text-sm ${message.type === 'success' ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'}`}>
+                    {message.type === 'success' ? '✅' : '❌'} {message.text}
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div className="stat-card">
+                    <div className="stat-value">{formatCost(summary.totalCost)}</div>
+                    <div className="stat-label">{t('Totale kosten')}</div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-value">{summary.totalRequests}</div>
+                    <div className="stat-label">{t('API aanroepen')}</div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-value">{formatCost(summary.averagePerGuest)}</div>
+                    <div className="stat-label">{t('Gemiddeld per gast')}</div>
+                </div>
+            </div>
+
+            {/* Spend per day */}
+            <div className="card p-6">
+                <h3 className="font-heading text-xl font-semibold mb-4">{t('Kosten per dag')}</h3>
+                {dayList.length === 0 ? (
+                    <p className="text-sm text-[var(--color-text-secondary)]">{t('Nog geen API gebruik in deze periode')}</p>
+                ) : (
+                    <>
+                        <div className="flex items-end gap-1 h-40">
+                            {dayList.map(([day, data]) => (
+                                <div
+                                    key={day}
+                                    className="flex-1 flex flex-col-reverse min-w-[4px]"
+                                    style={{ height: `${maxDay > 0 ? (data.total / maxDay) * 100 : 0}%` }}
+                                    title={`${day}: ${formatCost(data.total)}`}
+                                >
+                                    {data.providers.map(row => (
+                                        <div
+                                            key={row.provider}
+                                            className={PROVIDER_COLORS[row.provider] || 'bg-gray-400'}
+                                            style={{ height: `${data.total > 0 ? (row.cost / data.total) * 100 : 0}%` }}
+                                        />
+                                    ))}
+                                </div>
+                            ))}
+                        </div>
+                        <div className="flex justify-between text-[10px] text-[var(--color-text-secondary)] mt-1">
+                            <span>{dayList[0][0]}</span>
+                            <span>{dayList[dayList.length - 1][0]}</span>
+                        </div>
+                        <div className="flex flex-wrap gap-4 mt-4 text-xs">
+                            {summary.perProvider.map(row => (
+                                <span key={row.provider} className="flex items-center gap-1">
+                                    <span className={`w-3 h-3 rounded-sm ${PROVIDER_COLORS[row.provider] || 'bg-gray-400'}`} />
+                                    {PROVIDER_LABELS[row.provider] || row.provider}: {formatCost(row.cost)} ({row.requests}×)
+                                </span>
+                            ))}
+                        </div>
+                    </>
+                )}
+            </div>
+
+            {/* Monthly budgets */}
+            <div className="card p-6">
+                <h3 className="font-heading text-xl font-semibold mb-1">{t('Maandbudgetten')}</h3>
+                <p className="text-sm text-[var(--color-text-secondary)] mb-4">
+                    {t('Lopende onderzoekswachtrijen pauzeren automatisch zodra een budget is bereikt')}
+                </p>
+                <table className="table">
+                    <thead>
+                        <tr>
+                            <th>{t('Dienst')}</th>
+                            <th>{t('Deze maand')}</th>
+                            <th>{t('Budget (USD)')}</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {summary.budgets.map(budget => (
+                            <tr key={budget.provider}>
+                                <td className="font-medium">{t(PROVIDER_LABELS[budget.provider] || budget.provider)}</td>
+                                <td className={budget.exceeded ? 'text-red-600 font-semibold' : ''}>
+                                    {formatCost(budget.month_to_date)}
+                                    {budget.exceeded && ` · ${t('overschreden')}`}
+                                </td>
+                                <td>
+                                    {hasRole('admin') ? (
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            step="0.01"
+                                            className="input py-1 w-32"
+                                            placeholder={t('Geen')}
+                                            value={budgetInputs[budget.provider] ?? budget.monthly_budget ?? ''}
+                                            onChange={(e) => setBudgetInputs({ ...budgetInputs, [budget.provider]: e.target.value })}
+                                        />
+                                    ) : (
+                                        budget.monthly_budget !== null ? formatCost(budget.monthly_budget) : '-'
+                                    )}
+                                </td>
+                                <td className="text-right">
+                                    {hasRole('admin') && budgetInputs[budget.provider] !== undefined && (
+                                        <button onClick={() => handleSaveBudget(budget.provider)} className="btn btn-secondary text-sm">
+                                            {t('Opslaan')}
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                {/* Most expensive guests */}
+                <div className="card">
+                    <div className="p-6 border-b border-[var(--color-border)]">
+                        <h3 className="font-heading text-xl font-semibold">{t('Duurste gasten')}</h3>
+                    </div>
+                    {summary.topGuests.length === 0 ? (
+                        <p className="p-6 text-sm text-[var(--color-text-secondary)]">{t('Nog geen API gebruik in deze periode')}</p>
+                    ) : (
+                        <table className="table">
+                            <thead>
+                                <tr>
+                                    <th>{t('Gast')}</th>
+                                    <th>{t('Aanroepen')}</th>
+                                    <th>{t('Kosten')}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {summary.topGuests.map(guest => (
+                                    <tr key={guest.guest_id}>
+                                        <td className="font-medium">{guest.full_name || `#${guest.guest_id}`}</td>
+                                        <td>{guest.requests}</td>
+                                        <td>{formatCost(guest.cost)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+
+                {/* Queues */}
+                <div className="card">
+                    <div className="p-6 border-b border-[var(--color-border)]">
+                        <h3 className="font-heading text-xl font-semibold">{t('Wachtrijen')}</h3>
+                    </div>
+                    {summary.queues.length === 0 ? (
+                        <p className="p-6 text-sm text-[var(--color-text-secondary)]">{t('Nog geen API gebruik in deze periode')}</p>
+                    ) : (
+                        <table className="table">
+                            <thead>
+                                <tr>
+                                    <th>{t('Wachtrij')}</th>
+                                    <th>{t('Gasten')}</th>
+                                    <th>{t('Kosten')}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {summary.queues.map(queue => (
+                                    <tr key={queue.queue_id}>
+                                        <td>
+                                            <div className="font-medium">{queue.queue_id}</div>
+                                            <div className="text-xs text-[var(--color-text-secondary)]">{queue.first_call_at}</div>
+                                        </td>
+                                        <td>{queue.guests}</td>
+                                        <td>{formatCost(queue.cost)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default Costs;
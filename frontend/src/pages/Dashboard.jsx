@@ -1,9 +1,14 @@
-import { useState, useEffect } from 'react';
-import { apiFetch } from '../utils/api';
+import { useState, useEffect, useRef } from 'react';
+import { apiFetch, authHeaders } from '../utils/api';
 import { useLanguage } from '../contexts/LanguageContext';
+import { useAuth } from '../contexts/useAuth';
+import { useLiveEvents } from '../contexts/useLiveEvents';
+import BriefingSchedule from '../components/reports/BriefingSchedule';
+import StayAnalytics from '../components/reports/StayAnalytics';
 
 function Dashboard({ onUpdate }) {
     const { t } = useLanguage();
+    const { hasRole } = useAuth();
     const [stats, setStats] = useState({
         totalGuests: 0,
         vipGuests: 0,
@@ -14,41 +19,38 @@ function Dashboard({ onUpdate }) {
     const [loading, setLoading] = useState(true);
     const [enrichmentProgress, setEnrichmentProgress] = useState(null);
 
+    const refreshTimerRef = useRef(null);
+    const hideQueueTimerRef = useRef(null);
+
     useEffect(() => {
         fetchData();
-
-        // Initial check for active queue
-        checkActiveQueue();
-
-        // Poll for active queue
-        const interval = setInterval(checkActiveQueue, 3000);
-        return () => clearInterval(interval);
+        return () => {
+            clearTimeout(refreshTimerRef.current);
+            clearTimeout(hideQueueTimerRef.current);
+        };
     }, []);
 
-    // Refresh data if research is ongoing
-    useEffect(() => {
-        if (enrichmentProgress && enrichmentProgress.status === 'running') {
-            const interval = setInterval(() => {
-                fetchData();
-                if (onUpdate) onUpdate();
-            }, 5000);
-            return () => clearInterval(interval);
-        }
-    }, [enrichmentProgress]);
+    // Several events often arrive together (a queue finishing a guest); refresh once
+    const scheduleRefresh = () => {
+        clearTimeout(refreshTimerRef.current);
+        refreshTimerRef.current = setTimeout(() => {
+            fetchData();
+            if (onUpdate) onUpdate();
+        }, 1000);
+    };
 
-    const checkActiveQueue = async () => {
-        try {
-            const data = await apiFetch('/api/research/queue/active');
-            if (data.active) {
-                setEnrichmentProgress(data);
-            } else if (enrichmentProgress) {
-                setEnrichmentProgress(null);
-                fetchData(); // One last fetch when it finishes
+    useLiveEvents((type, data) => {
+        if (type === 'queue.updated') {
+            clearTimeout(hideQueueTimerRef.current);
+            setEnrichmentProgress(data.active ? data : null);
+            if (data.status === 'completed' || data.status === 'stopped') {
+                scheduleRefresh(); // One last fetch when it finishes
+                hideQueueTimerRef.current = setTimeout(() => setEnrichmentProgress(null), 5000);
             }
-        } catch (err) {
-            console.error('Fout bij checken actieve queue:', err);
+        } else if (['research.finished', 'guest.score_changed', 'guest.created', 'guest.updated', 'guest.deleted', 'import.completed'].includes(type)) {
+            scheduleRefresh();
         }
-    };
+    });
 
     const fetchData = async () => {
         try {
@@ -79,7 +81,7 @@ function Dashboard({ onUpdate }) {
         const targetDate = date || selectedDate;
         try {
             const API_BASE_URL = import.meta.env.VITE_API_URL || '';
-            const response = await fetch(`${API_BASE_URL}/api/reports/daily/pdf?date=${targetDate}`);
+            const response = await fetch(`${API_BASE_URL}/api/reports/daily/pdf?date=${targetDate}`, { headers: authHeaders() });
             if (response.ok) {
                 const blob = await response.blob();
                 const url = window.URL.createObjectURL(blob);
@@ -115,6 +117,9 @@ function Dashboard({ onUpdate }) {
             await apiFetch(`/api/research/queue/${enrichmentProgress.queueId}/resume`, { method: 'POST' });
         } catch (error) {
             console.error('Hervatten mislukt:', error);
+            // Refused while a monthly budget is exceeded
+            setEnrichmentProgress(prev => ({ ...prev, status: 'paused' }));
+            alert(error.message);
         }
     };
 
@@ -196,6 +201,9 @@ function Dashboard({ onUpdate }) {
                                                 ? `${t('Onderzoeken:')} ${enrichmentProgress.currentName}`
                                                 : `${enrichmentProgress.completed} ${t('van')} ${enrichmentProgress.total} ${t('gasten verrijkt')}`}
                                     </p>
+                                    {enrichmentProgress.status === 'paused' && enrichmentProgress.pauseReason && (
+                                        <p className="text-xs text-red-600 mt-1">💸 {enrichmentProgress.pauseReason}</p>
+                                    )}
                                 </div>
                             </div>
                             <div className="flex items-center gap-4">
@@ -339,6 +347,12 @@ function Dashboard({ onUpdate }) {
                 )}
             </div>
 
+            {/* Stay analytics */}
+            {hasRole('manager') && <StayAnalytics />}
+
+            {/* Pre-arrival briefing */}
+            {hasRole('manager') && <BriefingSchedule />}
+
             {/* Quick Actions */}
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
                 <a href="/import" className="card p-6 hover:border-[var(--color-accent-gold)] transition-colors block">
@@ -1,25 +1,51 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import GuestModal from '../components/guests/GuestModal';
 import AddGuestForm from '../components/guests/AddGuestForm';
+import DuplicateReview from '../components/guests/DuplicateReview';
+import ExportDialog from '../components/guests/ExportDialog';
+import SegmentPanel from '../components/guests/SegmentPanel';
 import TypingAnimation from '../components/ui/TypingAnimation';
-import { apiFetch } from '../utils/api';
+import { apiFetch, authHeaders } from '../utils/api';
 import { useLanguage } from '../contexts/LanguageContext';
-
+import { useAuth } from '../contexts/useAuth';
+import { useLiveEvents } from '../contexts/useLiveEvents';
+
+
+// Query string for the list filters, shared by the guest list and the export
+const filterQuery = (search, filter, advancedFilters, sortOrder) => {
+    let query = `sort=${sortOrder}`;
+    if (search) query += `&search=${encodeURIComponent(search)}`;
+    if (filter === 'vip') query += `&vipOnly=true`;
+    if (filter === 'pending') query += `&hasResearch=false`;
+    for (const [key, value] of Object.entries(advancedFilters)) {
+        query += `&${key}=${encodeURIComponent(Array.isArray(value) ? value.join(',') : value)}`;
+    }
+    return query;
+};
 
 function Guests({ onUpdate }) {
     const { t } = useLanguage();
+    const { hasRole } = useAuth();
     const [guests, setGuests] = useState([]);
     const [loading, setLoading] = useState(true);
     const [search, setSearch] = useState('');
     const [filter, setFilter] = useState('all'); // all, vip, pending
     const [sortOrder, setSortOrder] = useState('newest'); // newest, oldest
+    // Advanced filters (see SegmentPanel) and the saved segment they came from
+    const [advancedFilters, setAdvancedFilters] = useState({});
+    const [activeSegment, setActiveSegment] = useState(null);
     const [selectedGuest, setSelectedGuest] = useState(null);
     const [showAddForm, setShowAddForm] = useState(false);
+    const [showDuplicates, setShowDuplicates] = useState(false);
+    const [showExport, setShowExport] = useState(false);
     const [total, setTotal] = useState(0);
     const [selectedIds, setSelectedIds] = useState([]);
     const [downloadingSelected, setDownloadingSelected] = useState(false);
     const [deletingSelected, setDeletingSelected] = useState(false);
     const [researchingIds, setResearchingIds] = useState([]);
+    // Research started elsewhere (another user, the queue) while this page is open
+    const [liveResearchIds, setLiveResearchIds] = useState([]);
     const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
     const [enrichmentProgress, setEnrichmentProgress] = useState(null);
     const [showErrorDetails, setShowErrorDetails] = useState(false);
@@ -29,18 +55,15 @@ function Guests({ onUpdate }) {
     const [itemsPerPage, setItemsPerPage] = useState(10);
 
     // Ref to track previous filter/sort values for smart page reset
-    const prevFiltersRef = useRef({ search, filter, sortOrder, itemsPerPage });
+    const advancedKey = JSON.stringify(advancedFilters);
+    const prevFiltersRef = useRef({ search, filter, sortOrder, itemsPerPage, advancedKey });
 
     // Fetch gasten functie met useCallback voor stabiele referentie
     const fetchGuests = useCallback(async () => {
         setLoading(true);
         try {
             const offset = (currentPage - 1) * itemsPerPage;
-            let url = `/api/guests?limit=${itemsPerPage}&offset=${offset}&sort=${sortOrder}`;
-            if (search) url += `&search=${encodeURIComponent(search)}`;
-            if (filter === 'vip') url += `&vipOnly=true`;
-            if (filter === 'pending') url += `&hasResearch=false`;
-
+            const url = `/api/guests?limit=${itemsPerPage}&offset=${offset}&${filterQuery(search, filter, advancedFilters, sortOrder)}`;
             const data = await apiFetch(url);
             setGuests(data.guests || []);
             setTotal(data.total || 0);
@@ -49,7 +72,7 @@ function Guests({ onUpdate }) {
         } finally {
             setLoading(false);
         }
-    }, [currentPage, itemsPerPage, sortOrder, search, filter]);
+    }, [currentPage, itemsPerPage, sortOrder, search, filter, advancedFilters]);
 
     useEffect(() => {
         fetchGuests();
@@ -63,70 +86,70 @@ function Guests({ onUpdate }) {
             prevFilters.search !== search ||
             prevFilters.filter !== filter ||
             prevFilters.sortOrder !== sortOrder ||
-            prevFilters.itemsPerPage !== itemsPerPage;
+            prevFilters.itemsPerPage !== itemsPerPage ||
+            prevFilters.advancedKey !== advancedKey;
 
         if (filtersChanged) {
             setCurrentPage(1);
-            prevFiltersRef.current = { search, filter, sortOrder, itemsPerPage };
+            prevFiltersRef.current = { search, filter, sortOrder, itemsPerPage, advancedKey };
         }
-    }, [search, filter, sortOrder, itemsPerPage]);
-
-    // Track previous completed count for auto-refresh
-    const prevCompletedRef = useRef(0);
+    }, [search, filter, sortOrder, itemsPerPage, advancedKey]);
 
-    // Check voor actieve enrichment queue
+    // A guest picked in the header search opens here
+    const location = useLocation();
+    const navigate = useNavigate();
     useEffect(() => {
-        const checkActiveQueue = async () => {
-            try {
-                const data = await apiFetch('/api/research/queue/active');
-                if (data.active) {
-                    // Check if a new guest was completed - trigger refresh
-                    if (data.completed > prevCompletedRef.current) {
-                        console.log(`✅ Guest completed! Refreshing list... (${prevCompletedRef.current} -> ${data.completed})`);
-                        fetchGuests();
-                        if (onUpdate) onUpdate();
-                    }
-                    prevCompletedRef.current = data.completed;
-
-                    setEnrichmentProgress(data);
+        const guestId = location.state?.openGuestId;
+        if (!guestId) return;
+        navigate(location.pathname, { replace: true, state: null });
+        apiFetch(`/api/guests/${guestId}`)
+            .then(setSelectedGuest)
+            .catch(error => console.error('Fout bij ophalen gastdetails:', error));
+    }, [location.state, location.pathname, navigate]);
+
+    const refreshTimerRef = useRef(null);
+    const hideQueueTimerRef = useRef(null);
+
+    useEffect(() => () => {
+        clearTimeout(refreshTimerRef.current);
+        clearTimeout(hideQueueTimerRef.current);
+    }, []);
+
+    // Several events often arrive together (a queue finishing a guest); refresh once
+    const scheduleRefresh = () => {
+        clearTimeout(refreshTimerRef.current);
+        refreshTimerRef.current = setTimeout(() => {
+            fetchGuests();
+            if (onUpdate) onUpdate();
+        }, 1000);
+    };
 
-                    // Auto-dismiss after completion (5 seconds after completed)
-                    if (data.status === 'completed') {
-                        // Final refresh when queue completes
-                        fetchGuests();
-                        if (onUpdate) onUpdate();
-                        setTimeout(() => {
-                            setEnrichmentProgress(null);
-                        }, 5000);
-                    }
-                } else {
-                    // No active queue - reset counter and clear progress if it was showing completed
-                    prevCompletedRef.current = 0;
-                    if (enrichmentProgress?.status === 'completed') {
-                        setEnrichmentProgress(null);
-                    }
-                }
-            } catch (err) {
-                console.error('Fout bij checken actieve queue:', err);
+    // Live updates of the enrichment queue, research and guests
+    useLiveEvents((type, data) => {
+        if (type === 'queue.updated') {
+            clearTimeout(hideQueueTimerRef.current);
+            if (!data.active) {
+                setEnrichmentProgress(null);
+                return;
             }
-        };
-
-        checkActiveQueue();
-        // Poll every 2 seconds for faster updates
-        const interval = setInterval(checkActiveQueue, 2000);
-        return () => clearInterval(interval);
-    }, [fetchGuests, onUpdate]);
+            setEnrichmentProgress(data);
 
-    // Indien enrichment bezig is, ververs gastenlijst periodiek (backup refresh)
-    useEffect(() => {
-        if (enrichmentProgress && enrichmentProgress.status === 'running') {
-            const interval = setInterval(() => {
-                fetchGuests();
-                if (onUpdate) onUpdate();
-            }, 3000); // Faster refresh: 3 seconds instead of 5
-            return () => clearInterval(interval);
+            // Auto-dismiss after completion (5 seconds after completed)
+            if (data.status === 'completed' || data.status === 'stopped') {
+                // Final refresh when queue completes
+                scheduleRefresh();
+                hideQueueTimerRef.current = setTimeout(() => setEnrichmentProgress(null), 5000);
+            }
+        } else if (type === 'research.started') {
+            setLiveResearchIds(prev => prev.includes(data.guestId) ? prev : [...prev, data.guestId]);
+        } else if (type === 'research.finished' || type === 'research.failed') {
+            setLiveResearchIds(prev => prev.filter(id => id !== data.guestId));
+            setResearchingIds(prev => prev.filter(id => id !== data.guestId));
+            scheduleRefresh();
+        } else if (['guest.score_changed', 'guest.created', 'guest.updated', 'guest.deleted', 'import.completed'].includes(type)) {
+            scheduleRefresh();
         }
-    }, [enrichmentProgress, fetchGuests, onUpdate]);
+    });
 
     const totalPages = Math.ceil(total / itemsPerPage);
 
@@ -152,7 +175,7 @@ function Guests({ onUpdate }) {
             const API_BASE_URL = import.meta.env.VITE_API_URL || '';
             const response = await fetch(`${API_BASE_URL}/api/reports/selected/pdf`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: { 'Content-Type': 'application/json', ...authHeaders() },
                 body: JSON.stringify({ guestIds: selectedIds })
             });
 
@@ -206,6 +229,7 @@ function Guests({ onUpdate }) {
             setSelectedIds([]);
         } catch (error) {
             console.error('Bulk research mislukt:', error);
+            alert(error.message);
         }
     };
 
@@ -226,6 +250,9 @@ function Guests({ onUpdate }) {
             await apiFetch(`/api/research/queue/${enrichmentProgress.queueId}/resume`, { method: 'POST' });
         } catch (error) {
             console.error('Hervatten mislukt:', error);
+            // Refused while a monthly budget is exceeded
+            setEnrichmentProgress(prev => ({ ...prev, status: 'paused' }));
+            alert(error.message);
         }
     };
 
@@ -249,6 +276,25 @@ function Guests({ onUpdate }) {
         }
     };
 
+    const handleRetryJob = async (jobId) => {
+        if (!enrichmentProgress?.queueId) return;
+        try {
+            await apiFetch(`/api/research/queue/${enrichmentProgress.queueId}/retry`, {
+                method: 'POST',
+                body: JSON.stringify({ jobId })
+            });
+            // Requeued jobs leave the error list; live updates bring the new progress
+            setEnrichmentProgress(prev => ({
+                ...prev,
+                status: 'running',
+                errors: jobId ? prev.errors.filter(err => err.jobId !== jobId) : []
+            }));
+        } catch (error) {
+            console.error('Opnieuw proberen mislukt:', error);
+            alert(error.message);
+        }
+    };
+
     const handleResearch = async (guestId) => {
         if (researchingIds.includes(guestId)) return;
 
@@ -273,7 +319,7 @@ function Guests({ onUpdate }) {
     const handleDownloadPDF = async (guestId, guestName) => {
         try {
             const API_BASE_URL = import.meta.env.VITE_API_URL || '';
-            const response = await fetch(`${API_BASE_URL}/api/reports/${guestId}/pdf`);
+            const response = await fetch(`${API_BASE_URL}/api/reports/${guestId}/pdf`, { headers: authHeaders() });
             if (response.ok) {
                 const blob = await response.blob();
                 const url = window.URL.createObjectURL(blob);
@@ -311,8 +357,8 @@ function Guests({ onUpdate }) {
             return 'onderzocht';
         }
 
-        // Individueel onderzoek bezig (via handleResearch)
-        if (researchingIds.includes(guest.id)) {
+        // Individueel onderzoek bezig (via handleResearch of elders gestart)
+        if (researchingIds.includes(guest.id) || liveResearchIds.includes(guest.id)) {
             return 'bezig';
         }
 
@@ -323,13 +369,9 @@ function Guests({ onUpdate }) {
                 enrichmentProgress.currentProcessing?.some(p => p.guestId === guest.id);
             if (isProcessing) return 'bezig';
 
-            // Is it in the queue for later?
-            const isInQueue = enrichmentProgress.guestIds?.includes(guest.id);
-            if (isInQueue) {
-                const guestIndex = enrichmentProgress.guestIds.indexOf(guest.id);
-                if (guestIndex >= (enrichmentProgress.nextIndex || 0)) {
-                    return 'wachtrij';
-                }
+            // Is it in the queue for later (including retries)?
+            if (enrichmentProgress.pendingGuestIds?.includes(guest.id)) {
+                return 'wachtrij';
             }
         }
 
@@ -344,37 +386,8 @@ function Guests({ onUpdate }) {
 
         // If a new guest was added with auto-research, track it
         if (newGuestId && isResearching) {
+            // Cleared by the research.finished / research.failed event
             setResearchingIds(prev => [...prev, newGuestId]);
-
-            // Poll for completion and auto-refresh
-            const checkCompletion = async () => {
-                try {
-                    const guest = await apiFetch(`/api/guests/${newGuestId}`);
-                    if (guest.research?.vip_score) {
-                        // Research complete - remove from researching and refresh
-                        setResearchingIds(prev => prev.filter(id => id !== newGuestId));
-                        fetchGuests();
-                        if (onUpdate) onUpdate();
-                        return true; // Done
-                    }
-                    return false; // Still researching
-                } catch (err) {
-                    console.error('Check completion error:', err);
-                    return false;
-                }
-            };
-
-            // Poll every 2 seconds until complete (max 3 minutes)
-            let attempts = 0;
-            const maxAttempts = 90; // 3 minutes
-            const pollInterval = setInterval(async () => {
-                attempts++;
-                const isDone = await checkCompletion();
-                if (isDone || attempts >= maxAttempts) {
-                    clearInterval(pollInterval);
-                    setResearchingIds(prev => prev.filter(id => id !== newGuestId));
-                }
-            }, 2000);
         }
     };
 
@@ -417,6 +430,22 @@ function Guests({ onUpdate }) {
                             </button>
                         </>
                     )}
+                    {hasRole('manager') && (
+                        <button
+                            onClick={() => setShowDuplicates(true)}
+                            className="btn btn-secondary"
+                        >
+                            🔗 {t('Dubbele gasten')}
+                        </button>
+                    )}
+                    {hasRole('manager') && (
+                        <button
+                            onClick={() => setShowExport(true)}
+                            className="btn btn-secondary"
+                        >
+                            📤 {t('Exporteren')}
+                        </button>
+                    )}
                     <button
                         onClick={() => setShowAddForm(true)}
                         className="btn btn-primary"
@@ -455,6 +484,12 @@ function Guests({ onUpdate }) {
                                                 ? `${t('Onderzoeken:')} ${enrichmentProgress.currentName}`
                                                 : `${enrichmentProgress.completed} ${t('van')} ${enrichmentProgress.total} ${t('gasten verrijkt')}`}
                                     </p>
+                                    {enrichmentProgress.retrying > 0 && (
+                                        <p className="text-xs text-purple-500 mt-1">🔁 {enrichmentProgress.retrying} {t('gasten wachten op een nieuwe poging')}</p>
+                                    )}
+                                    {enrichmentProgress.status === 'paused' && enrichmentProgress.pauseReason && (
+                                        <p className="text-xs text-red-600 mt-1">💸 {enrichmentProgress.pauseReason}</p>
+                                    )}
                                 </div>
                             </div>
                             <div className="flex items-center gap-4">
@@ -527,12 +562,22 @@ function Guests({ onUpdate }) {
                                 <span className="text-xs text-red-600 font-medium italic">
                                     ⚠️ {enrichmentProgress.errors.length} gasten overgeslagen door onderzoeksfouten.
                                 </span>
-                                <button
-                                    onClick={() => setShowErrorDetails(!showErrorDetails)}
-                                    className="text-[10px] text-red-500 underline hover:text-red-700"
-                                >
-                                    {showErrorDetails ? 'Details Verbergen' : 'Details Tonen'}
-                                </button>
+                                <div className="flex items-center gap-3">
+                                    {hasRole('manager') && (
+                                        <button
+                                            onClick={() => handleRetryJob()}
+                                            className="text-[10px] text-red-500 underline hover:text-red-700"
+                                        >
+                                            {t('Alles opnieuw proberen')}
+                                        </button>
+                                    )}
+                                    <button
+                                        onClick={() => setShowErrorDetails(!showErrorDetails)}
+                                        className="text-[10px] text-red-500 underline hover:text-red-700"
+                                    >
+                                        {showErrorDetails ? 'Details Verbergen' : 'Details Tonen'}
+                                    </button>
+                                </div>
                             </div>
 
                             {showErrorDetails && (
@@ -540,7 +585,15 @@ function Guests({ onUpdate }) {
                                     {enrichmentProgress.errors.map((err, idx) => (
                                         <div key={idx} className="flex justify-between items-start text-[10px] py-1 border-b border-red-100 last:border-0">
                                             <span className="font-semibold text-red-700">{err.name || 'Onbekende gast'}:</span>
-                                            <span className="text-red-500 text-right ml-2">{err.error}</span>
+                                            <span className="text-red-500 text-right ml-2 flex-1">{err.error}</span>
+                                            {err.jobId && hasRole('manager') && (
+                                                <button
+                                                    onClick={() => handleRetryJob(err.jobId)}
+                                                    className="ml-2 text-red-500 underline hover:text-red-700"
+                                                >
+                                                    {t('Opnieuw')}
+                                                </button>
+                                            )}
                                         </div>
                                     ))}
                                 </div>
@@ -610,6 +663,10 @@ function Guests({ onUpdate }) {
                             <option value="country_asc">{t('Land A-Z')}</option>
                             <option value="country_desc">{t('Land Z-A')}</option>
                         </optgroup>
+                        <optgroup label={t('Verblijven')}>
+                            <option value="stays_high">{t('Meeste verblijven eerst')}</option>
+                            <option value="last_stay">{t('Laatste verblijf eerst')}</option>
+                        </optgroup>
                     </select>
 
                     {/* Per pagina dropdown */}
@@ -627,6 +684,13 @@ function Guests({ onUpdate }) {
                 </div>
             </div>
 
+            <SegmentPanel
+                filters={advancedFilters}
+                onFiltersChange={setAdvancedFilters}
+                activeSegment={activeSegment}
+                onSegmentChange={setActiveSegment}
+            />
+
             {/* Guest Table */}
             <div className="card overflow-hidden">
                 {loading ? (
@@ -714,6 +778,13 @@ function Guests({ onUpdate }) {
                                                                 {guest.email}
                                                             </div>
                                                         )}
+                                                        {guest.tags?.length > 0 && (
+                                                            <div className="flex flex-wrap gap-1 mt-1">
+                                                                {guest.tags.map(tag => (
+                                                                    <span key={tag} className="px-1.5 py-0.5 text-[10px] rounded-full bg-[var(--color-bg-secondary)] text-[var(--color-text-secondary)]">#{tag}</span>
+                                                                ))}
+                                                            </div>
+                                                        )}
                                                     </div>
                                                     <div className="flex gap-1" onClick={(e) => e.stopPropagation()}>
                                                         {guest.linkedin_url && (
@@ -976,6 +1047,10 @@ function Guests({ onUpdate }) {
                     guest={selectedGuest}
                     onClose={() => setSelectedGuest(null)}
                     onUpdate={handleGuestUpdated}
+                    onReload={() => {
+                        setSelectedGuest(null);
+                        handleGuestClick(selectedGuest);
+                    }}
                     onResearch={handleResearch}
                     onDownloadPDF={handleDownloadPDF}
                 />
@@ -988,6 +1063,25 @@ function Guests({ onUpdate }) {
                     onSuccess={handleGuestUpdated}
                 />
             )}
+
+            {/* Export */}
+            {showExport && (
+                <ExportDialog
+                    query={filterQuery(search, filter, advancedFilters, sortOrder)}
+                    onClose={() => setShowExport(false)}
+                />
+            )}
+
+            {/* Duplicate Review */}
+            {showDuplicates && (
+                <DuplicateReview
+                    onClose={() => setShowDuplicates(false)}
+                    onMerged={() => {
+                        fetchGuests();
+                        if (onUpdate) onUpdate();
+                    }}
+                />
+            )}
         </div>
     );
 }
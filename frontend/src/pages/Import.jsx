@@ -1,16 +1,36 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import AddGuestForm from '../components/guests/AddGuestForm';
-import { apiFetch, apiPostFile } from '../utils/api';
+import MewsSync from '../components/import/MewsSync';
+import ColumnMapping from '../components/import/ColumnMapping';
+import { FieldChanges, ColumnChoices } from '../components/import/FieldChanges';
+import RollbackPreview from '../components/import/RollbackPreview';
+import { apiFetch, apiPostFile, authHeaders } from '../utils/api';
 import { useLanguage } from '../contexts/LanguageContext';
+import { useAuth } from '../contexts/useAuth';
+import { useLiveEvents } from '../contexts/useLiveEvents';
+
+// A running import started here is also checked on this interval, in case the live events drop
+const IMPORT_POLL_MS = 3000;
+
+// Badge for batches that did not finish normally
+const BATCH_STATUS = {
+    running: { label: 'Bezig', className: 'bg-blue-100 text-blue-700' },
+    cancelled: { label: 'Geannuleerd', className: 'bg-yellow-100 text-yellow-800' },
+    failed: { label: 'Mislukt', className: 'bg-red-100 text-red-700' }
+};
 
 function Import({ onUpdate }) {
     const { t } = useLanguage();
+    const { hasRole } = useAuth();
     const navigate = useNavigate();
     const [file, setFile] = useState(null);
     const [importing, setImporting] = useState(false);
     const [previewing, setPreviewing] = useState(false);
     const [preview, setPreview] = useState(null);
+    const [analysis, setAnalysis] = useState(null);
+    const [mapping, setMapping] = useState(null);
+    const [profileId, setProfileId] = useState(null);
     const [result, setResult] = useState(null);
     const [error, setError] = useState(null);
     const [dragging, setDragging] = useState(false);
@@ -18,31 +38,47 @@ function Import({ onUpdate }) {
     const [autoEnrich, setAutoEnrich] = useState(true);
     const [batches, setBatches] = useState([]);
     const [showBatches, setShowBatches] = useState(false);
-    const [deletingBatch, setDeletingBatch] = useState(null);
+    const [rollbackBatch, setRollbackBatch] = useState(null);
     const [enrichmentProgress, setEnrichmentProgress] = useState(null);
     const [selectedIndices, setSelectedIndices] = useState([]);
+    // Keep existing or take new values, per column and per row (index -> field -> choice)
+    const [decisions, setDecisions] = useState({ columns: {}, rows: {} });
+    const [importProgress, setImportProgress] = useState(null);
+    const hideQueueTimerRef = useRef(null);
+    // Background import started from this tab: { id, autoEnrich }
+    const importJobRef = useRef(null);
+    const importPollRef = useRef(null);
 
     // Load batches on mount
     useEffect(() => {
         loadBatches();
-
-        // Check for active enrichment queue
-        const checkActiveQueue = async () => {
-            try {
-                const data = await apiFetch('/api/research/queue/active');
-                if (data.active) {
-                    setEnrichmentProgress(data);
-                }
-            } catch (err) {
-                console.error('Fout bij checken actieve queue:', err);
-            }
+        return () => {
+            clearTimeout(hideQueueTimerRef.current);
+            clearTimeout(importPollRef.current);
+            importJobRef.current = null;
         };
-
-        checkActiveQueue();
-        const interval = setInterval(checkActiveQueue, 3000);
-        return () => clearInterval(interval);
     }, []);
 
+    // Live updates of the enrichment queue and of imports (also those of colleagues and Mews)
+    useLiveEvents((type, data) => {
+        if (type === 'queue.updated') {
+            clearTimeout(hideQueueTimerRef.current);
+            setEnrichmentProgress(data.active ? data : null);
+            if (data.status === 'completed') {
+                if (onUpdate) onUpdate();
+                // Keep showing completed for 3 seconds then hide
+                hideQueueTimerRef.current = setTimeout(() => setEnrichmentProgress(null), 3000);
+            }
+        } else if (type === 'import.started' || type === 'import.progress') {
+            setImportProgress(data);
+        } else if (type === 'import.completed') {
+            setImportProgress(null);
+            loadBatches();
+            if (onUpdate) onUpdate();
+            if (data.jobId && data.jobId === importJobRef.current?.id) followImportJob(data.jobId);
+        }
+    });
+
     const loadBatches = async () => {
         try {
             const data = await apiFetch('/api/import/batches');
@@ -63,6 +99,7 @@ function Import({ onUpdate }) {
         if (droppedFile && /\.(csv|xlsx|xls|xlxs|xlsm)$/i.test(droppedFile.name)) {
             setFile(droppedFile);
             setError(null);
+            setAnalysis(null);
             setPreview(null);
             setResult(null);
         } else {
@@ -75,12 +112,14 @@ function Import({ onUpdate }) {
         if (selectedFile) {
             setFile(selectedFile);
             setError(null);
+            setAnalysis(null);
             setPreview(null);
             setResult(null);
         }
     };
 
-    const handlePreview = async () => {
+    // Columns of the file with the recognised profile or a suggested mapping
+    const handleAnalyze = async () => {
         if (!file) return;
 
         setPreviewing(true);
@@ -90,21 +129,39 @@ function Import({ onUpdate }) {
         formData.append('file', file);
 
         try {
-            const endpoint = isExcelFile(file.name) ? '/api/import/excel/preview' : '/api/import/csv';
-            const data = await apiPostFile(endpoint, formData);
-
-            if (isExcelFile(file.name)) {
-                setPreview(data);
-                // Select all by default
-                if (data.sampleGuests) {
-                    setSelectedIndices(data.sampleGuests.map(g => g.index));
-                }
-            } else {
-                // CSV directly imports, show result
-                setResult(data);
-                setFile(null);
-                if (onUpdate) onUpdate();
-                loadBatches();
+            const data = await apiPostFile('/api/import/analyze', formData);
+            setAnalysis(data);
+            setMapping(data.mapping);
+            setProfileId(data.profile?.id || null);
+        } catch (err) {
+            setError(err.message || 'Preview mislukt');
+        } finally {
+            setPreviewing(false);
+        }
+    };
+
+    // Excel and CSV both go through the Excel endpoints with the chosen column mapping
+    const mappingFormData = () => {
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('mapping', JSON.stringify(mapping));
+        if (profileId) formData.append('profileId', profileId);
+        return formData;
+    };
+
+    const handlePreview = async () => {
+        if (!file) return;
+
+        setPreviewing(true);
+        setError(null);
+
+        try {
+            const data = await apiPostFile('/api/import/excel/preview', mappingFormData());
+            setPreview(data);
+            setDecisions({ columns: {}, rows: {} });
+            // Select all by default
+            if (data.sampleGuests) {
+                setSelectedIndices(data.sampleGuests.map(g => g.index));
             }
         } catch (err) {
             setError(err.message || 'Preview mislukt');
@@ -113,15 +170,42 @@ function Import({ onUpdate }) {
         }
     };
 
+    // The reviewed plan: matched guest and field choices of every selected row
+    const approvedPlan = () => ({
+        columns: decisions.columns,
+        rows: Object.fromEntries(preview.sampleGuests
+            .filter(guest => selectedIndices.includes(guest.index))
+            .map(guest => [guest.index, {
+                guestId: guest.match?.guestId || null,
+                newFromRow: guest.match?.newFromRow ?? null,
+                fields: decisions.rows[guest.index] || {}
+            }]))
+    });
+
+    const handleFieldChoice = (index, field, choice) => {
+        setDecisions(prev => ({ ...prev, rows: { ...prev.rows, [index]: { ...prev.rows[index], [field]: choice } } }));
+    };
+
+    // A column choice replaces the row choices for that field
+    const handleColumnChoice = (field, choice) => {
+        setDecisions(prev => ({
+            columns: { ...prev.columns, [field]: choice },
+            rows: Object.fromEntries(Object.entries(prev.rows).map(([index, fields]) => {
+                const { [field]: _removed, ...rest } = fields;
+                return [index, rest];
+            }))
+        }));
+    };
+
     const handleImport = async () => {
         if (!file) return;
 
         setImporting(true);
         setError(null);
 
-        const formData = new FormData();
-        formData.append('file', file);
+        const formData = mappingFormData();
         formData.append('autoEnrich', autoEnrich);
+        formData.append('decisions', JSON.stringify(approvedPlan()));
 
         // Add selected indices
         if (selectedIndices.length > 0) {
@@ -129,27 +213,99 @@ function Import({ onUpdate }) {
         }
 
         try {
-            const endpoint = isExcelFile(file.name) ? '/api/import/excel' : '/api/import/csv';
-            const data = await apiPostFile(endpoint, formData);
-
-            setResult(data);
+            // The import runs in the background; progress follows through the live import events (and a poll)
+            const data = await apiPostFile('/api/import/excel', formData);
+            importJobRef.current = { id: data.jobId, autoEnrich };
+            setImportProgress({ jobId: data.jobId, batchId: data.batchId });
             setFile(null);
+            setAnalysis(null);
             setPreview(null);
+
+            // A small file can be done before this answer arrives
+            await followImportJob(data.jobId);
+        } catch (err) {
+            setError(err.message || 'Import mislukt');
+        } finally {
+            setImporting(false);
+        }
+    };
+
+    // Show the result of a finished import started here, then enrich its new guests
+    const followImportJob = async (jobId) => {
+        clearTimeout(importPollRef.current);
+        try {
+            const job = await apiFetch(`/api/import/jobs/${jobId}`);
+            // The live event, the upload answer and the poll can all get here; the first one handles it
+            if (importJobRef.current?.id !== jobId) return;
+            if (job.status === 'running') {
+                setImportProgress(progress => progress && { ...progress, processed: job.processed_rows, total: job.total_rows });
+                clearTimeout(importPollRef.current);
+                importPollRef.current = setTimeout(() => followImportJob(jobId), IMPORT_POLL_MS);
+                return;
+            }
+            const enrich = importJobRef.current.autoEnrich;
+            importJobRef.current = null;
+
+            setImportProgress(null);
+            setResult({
+                ...job.result,
+                jobId: job.id,
+                batchId: job.batch_id,
+                status: job.status,
+                error: job.error,
+                totalRows: job.total_rows,
+                processed: job.processed_rows,
+                newGuests: job.new_guests,
+                updatedGuests: job.updated_guests,
+                recognizedGuests: job.recognized_guests,
+                errors: job.error_count
+            });
             if (onUpdate) onUpdate();
             loadBatches();
 
-            if (autoEnrich && data.newGuestIds && data.newGuestIds.length > 0) {
-                await startEnrichment(data.newGuestIds, data.batchId);
+            if (enrich && job.result?.newGuestIds?.length > 0) {
+                await startEnrichment(job.result.newGuestIds, job.batch_id);
             }
 
-            // Redirect to guests page after successful import
-            setTimeout(() => {
-                navigate('/guests');
-            }, 500);
+            // Redirect to guests page after a complete import without errors; otherwise the result stays
+            if (job.status === 'completed' && job.error_count === 0) {
+                setTimeout(() => {
+                    navigate('/guests');
+                }, 500);
+            }
         } catch (err) {
-            setError(err.message || 'Import mislukt');
-        } finally {
-            setImporting(false);
+            setError(err.message);
+        }
+    };
+
+    // Stop a running import after the chunk it is on; the rows imported so far stay
+    const handleCancelImport = async () => {
+        if (!importProgress?.jobId) return;
+        try {
+            await apiFetch(`/api/import/jobs/${importProgress.jobId}/cancel`, { method: 'POST' });
+            setImportProgress(prev => prev && { ...prev, cancelling: true });
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleDownloadErrors = async (jobId) => {
+        try {
+            const API_BASE_URL = import.meta.env.VITE_API_URL || '';
+            const response = await fetch(`${API_BASE_URL}/api/import/jobs/${jobId}/errors`, { headers: authHeaders() });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || t('Downloaden mislukt'));
+            }
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `import-fouten-${jobId}.csv`;
+            a.click();
+            window.URL.revokeObjectURL(url);
+        } catch (err) {
+            setError(err.message);
         }
     };
 
@@ -160,33 +316,16 @@ function Import({ onUpdate }) {
                 body: JSON.stringify({ guestIds, batchId })
             });
 
-            // Start polling for progress
-            pollEnrichmentProgress(data.queueId);
+            // Progress follows through the live queue.updated events
+            setEnrichmentProgress(prev => prev?.queueId === data.queueId
+                ? prev
+                : { queueId: data.queueId, status: 'running', completed: 0, total: guestIds.length, progress: 0 });
         } catch (err) {
             console.error('Failed to start enrichment:', err);
+            setError(err.message);
         }
     };
 
-    const pollEnrichmentProgress = (queueId) => {
-        setEnrichmentProgress({ status: 'running', completed: 0, total: 0, progress: 0 });
-
-        const interval = setInterval(async () => {
-            try {
-                const data = await apiFetch(`/api/research/queue/${queueId}`);
-                setEnrichmentProgress(data);
-
-                if (data.status === 'completed') {
-                    clearInterval(interval);
-                    if (onUpdate) onUpdate();
-                    // Keep showing completed for 3 seconds then hide
-                    setTimeout(() => setEnrichmentProgress(null), 3000);
-                }
-            } catch (err) {
-                clearInterval(interval);
-            }
-        }, 1000);
-    };
-
     const handlePauseQueue = async () => {
         if (!enrichmentProgress?.queueId) return;
         setEnrichmentProgress(prev => ({ ...prev, status: 'paused' }));
@@ -226,23 +365,10 @@ function Import({ onUpdate }) {
         }
     };
 
-    const handleDeleteBatch = async (batchId) => {
-        if (!confirm('Weet je zeker dat je deze batch wilt verwijderen? Alle gasten en reserveringen worden verwijderd.')) {
-            return;
-        }
-
-        setDeletingBatch(batchId);
-        try {
-            await apiFetch(`/api/import/batches/${batchId}`, {
-                method: 'DELETE'
-            });
-            loadBatches();
-            if (onUpdate) onUpdate();
-        } catch (err) {
-            setError(err.message || 'Verwijderen mislukt');
-        } finally {
-            setDeletingBatch(null);
-        }
+    const handleRolledBack = () => {
+        setRollbackBatch(null);
+        loadBatches();
+        if (onUpdate) onUpdate();
     };
 
     const handleGuestAdded = () => {
@@ -331,7 +457,14 @@ function Import({ onUpdate }) {
                                 {batches.map((batch) => (
                                     <tr key={batch.id}>
                                         <td className="text-sm">{formatDate(batch.importedAt)}</td>
-                                        <td className="font-medium">{batch.filename || batch.id}</td>
+                                        <td className="font-medium">
+                                            {batch.filename || batch.id}
+                                            {BATCH_STATUS[batch.status] && (
+                                                <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${BATCH_STATUS[batch.status].className}`}>
+                                                    {t(BATCH_STATUS[batch.status].label)}
+                                                </span>
+                                            )}
+                                        </td>
                                         <td>{batch.totalRows || '-'}</td>
                                         <td>
                                             <span className="text-xs px-2 py-1 bg-green-100 text-green-700 rounded-full">
@@ -345,11 +478,11 @@ function Import({ onUpdate }) {
                                         </td>
                                         <td>
                                             <button
-                                                onClick={() => handleDeleteBatch(batch.id)}
-                                                disabled={deletingBatch === batch.id}
-                                                className="text-red-600 hover:text-red-800 text-sm"
+                                                onClick={() => setRollbackBatch(batch)}
+                                                disabled={batch.status === 'running'}
+                                                className="text-red-600 hover:text-red-800 text-sm disabled:opacity-40"
                                             >
-                                                {deletingBatch === batch.id ? 'Verwijderen...' : '🗑️ Verwijderen'}
+                                                ↩️ {t('Terugdraaien')}
                                             </button>
                                         </td>
                                     </tr>
@@ -360,6 +493,35 @@ function Import({ onUpdate }) {
                 </div>
             )}
 
+            {/* Running import (this tab, a colleague or the Mews connector) */}
+            {importProgress && (
+                <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg text-blue-700 text-sm flex items-center gap-2">
+                    <span className="animate-pulse">⏳</span>
+                    <span>
+                        {t('Import bezig')}
+                        {importProgress.total ? ` — ${importProgress.processed || 0} ${t('van')} ${importProgress.total} ${t('rijen')}` : ''}
+                        {importProgress.message ? ` — ${importProgress.message}` : ''}
+                        {importProgress.by ? ` (${importProgress.by})` : ''}
+                        {importProgress.cancelling ? ` — ${t('Annuleren...')}` : ''}
+                    </span>
+                    {importProgress.jobId && hasRole('manager') && !importProgress.cancelling && (
+                        <button onClick={handleCancelImport} className="ml-auto text-red-600 hover:text-red-800">
+                            ✕ {t('Import annuleren')}
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {/* Mews connector */}
+            {hasRole('manager') && (
+                <MewsSync
+                    onSynced={() => {
+                        loadBatches();
+                        if (onUpdate) onUpdate();
+                    }}
+                />
+            )}
+
             {/* Upload Zone */}
             <div
                 className={`upload-zone ${dragging ? 'dragging' : ''}`}
@@ -402,15 +564,15 @@ function Import({ onUpdate }) {
                 </div>
             )}
 
-            {/* Preview/Import Button */}
-            {file && !preview && (
+            {/* Column mapping Button */}
+            {file && !analysis && (
                 <div className="flex justify-center gap-4">
                     <button
-                        onClick={handlePreview}
+                        onClick={handleAnalyze}
                         disabled={previewing}
                         className="btn btn-primary px-8"
                     >
-                        {previewing ? 'Laden...' : isExcelFile(file.name) ? '👁️ Preview' : 'Importeren'}
+                        {previewing ? 'Laden...' : `🔗 ${t('Kolommen koppelen')}`}
                     </button>
                     <button
                         onClick={() => { setFile(null); setPreview(null); }}
@@ -421,6 +583,20 @@ function Import({ onUpdate }) {
                 </div>
             )}
 
+            {/* Column mapping */}
+            {file && analysis && !preview && (
+                <ColumnMapping
+                    analysis={analysis}
+                    mapping={mapping}
+                    onChange={setMapping}
+                    profileId={profileId}
+                    onProfileChange={setProfileId}
+                    onContinue={handlePreview}
+                    onCancel={() => { setFile(null); setAnalysis(null); }}
+                    busy={previewing}
+                />
+            )}
+
             {/* Preview Results */}
             {preview && (
                 <div className="card">
@@ -429,7 +605,7 @@ function Import({ onUpdate }) {
                             📊 Import Preview
                         </h3>
                         <p className="text-blue-700 mt-1">
-                            {preview.filename} - {preview.sheetName}
+                            {preview.filename}{preview.sheetName ? ` - ${preview.sheetName}` : ''}
                         </p>
                     </div>
 
@@ -445,6 +621,11 @@ function Import({ onUpdate }) {
                         <div className="text-center">
                             <div className="text-3xl font-bold text-blue-600">{preview.existingGuests}</div>
                             <div className="text-sm text-[var(--color-text-secondary)]">{t('Bestaande gasten')}</div>
+                            {preview.recognizedGuests > 0 && (
+                                <div className="text-xs text-indigo-600 mt-1">
+                                    🏨 {preview.recognizedGuests} {t('bekend bij ander hotel')}
+                                </div>
+                            )}
                         </div>
                         <div className="text-center">
                             <div className="text-3xl font-bold text-orange-600">{preview.skipped}</div>
@@ -463,6 +644,12 @@ function Import({ onUpdate }) {
                         </div>
                     )}
 
+                    {preview.overwrites && (
+                        <div className="px-6 pb-4">
+                            <ColumnChoices overwrites={preview.overwrites} decisions={decisions} onChange={handleColumnChoice} />
+                        </div>
+                    )}
+
                     {preview.sampleGuests && preview.sampleGuests.length > 0 && (
                         <div className="px-6 pb-4">
                             <h4 className="font-semibold mb-2">{t('Selecteer gasten om te importeren')}:</h4>
@@ -501,7 +688,10 @@ function Import({ onUpdate }) {
                                                         className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
                                                     />
                                                 </td>
-                                                <td className="font-medium">{guest.fullName}</td>
+                                                <td>
+                                                    <div className="font-medium">{guest.fullName}</div>
+                                                    <FieldChanges guest={guest} decisions={decisions} onToggle={handleFieldChoice} />
+                                                </td>
                                                 <td className="text-xs text-gray-500">{guest.email || '-'}</td>
                                                 <td>{guest.country || '-'}</td>
                                                 <td>{guest.roomCategory || '-'}</td>
@@ -537,10 +727,10 @@ function Import({ onUpdate }) {
 
                         <div className="flex gap-3">
                             <button
-                                onClick={() => { setPreview(null); setFile(null); }}
+                                onClick={() => setPreview(null)}
                                 className="btn btn-secondary"
                             >
-                                {t('Annuleren')}
+                                {t('Terug naar koppelen')}
                             </button>
                             <button
                                 onClick={handleImport}
@@ -557,14 +747,42 @@ function Import({ onUpdate }) {
             {/* Format Help */}
             {result && (
                 <div className="card">
-                    <div className="p-6 border-b border-[var(--color-border)] bg-green-50">
-                        <h3 className="font-heading text-xl font-semibold text-green-800">
-                            ✓ Import Succesvol
-                        </h3>
+                    <div className={`p-6 border-b border-[var(--color-border)] ${result.status === 'completed' ? 'bg-green-50' : result.status === 'cancelled' ? 'bg-yellow-50' : 'bg-red-50'}`}>
+                        {result.status === 'completed' && (
+                            <h3 className="font-heading text-xl font-semibold text-green-800">
+                                ✓ Import Succesvol
+                            </h3>
+                        )}
+                        {result.status === 'cancelled' && (
+                            <h3 className="font-heading text-xl font-semibold text-yellow-800">
+                                ⏹ {t('Import geannuleerd')}
+                            </h3>
+                        )}
+                        {result.status === 'failed' && (
+                            <h3 className="font-heading text-xl font-semibold text-red-800">
+                                ❌ {t('Import mislukt')}{result.error ? `: ${result.error}` : ''}
+                            </h3>
+                        )}
                         <p className="text-green-700 mt-1">
                             {result.newGuests || result.imported || 0} nieuwe gasten, {result.updatedGuests || 0} bijgewerkt
+                            {result.recognizedGuests > 0 && `, ${result.recognizedGuests} ${t('bekend bij ander hotel')}`}
                             {result.errors > 0 && ` (${result.errors} fouten)`}
                         </p>
+                        {result.status !== 'completed' && (
+                            <p className="text-sm text-[var(--color-text-secondary)] mt-2">
+                                {result.processed} {t('van')} {result.totalRows} {t('rijen verwerkt')}. {t('De geïmporteerde rijen blijven staan en kun je terugdraaien via de importgeschiedenis.')}
+                            </p>
+                        )}
+                        {result.errors > 0 && (
+                            <button onClick={() => handleDownloadErrors(result.jobId)} className="btn btn-secondary text-sm mt-3">
+                                ⬇️ {t('Foutenrapport downloaden')}
+                            </button>
+                        )}
+                        {result.possibleDuplicates?.length > 0 && (
+                            <p className="text-sm text-purple-700 mt-2">
+                                🔗 {result.possibleDuplicates.length} {t('mogelijke dubbelen, niet automatisch verrijkt')}. {t('Controleer ze via Gasten → Dubbele gasten')}
+                            </p>
+                        )}
                     </div>
 
                     {result.guests && result.guests.length > 0 && (
@@ -633,14 +851,23 @@ function Import({ onUpdate }) {
                         </p>
                     </div>
                     <div>
-                        <h5 className="font-medium text-sm mb-2">📄 CSV</h5>
+                        <h5 className="font-medium text-sm mb-2">📄 {t('CSV en andere PMS exports')}</h5>
                         <p className="text-sm text-[var(--color-text-secondary)]">
-                            {t('Kolommen: guest_name, email, phone, country, company')}
+                            {t('Koppel de kolommen één keer en bewaar ze als profiel; het profiel wordt bij de volgende upload herkend.')}
                         </p>
                     </div>
                 </div>
             </div>
 
+            {/* Rollback preview */}
+            {rollbackBatch && (
+                <RollbackPreview
+                    batch={rollbackBatch}
+                    onClose={() => setRollbackBatch(null)}
+                    onDone={handleRolledBack}
+                />
+            )}
+
             {/* Add Guest Modal */}
             {showAddForm && (
                 <AddGuestForm
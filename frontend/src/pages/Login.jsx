@@ -0,0 +1,84 @@
+import { useState } from 'react';
+import { useAuth } from '../contexts/useAuth';
+import { useLanguage } from '../contexts/LanguageContext';
+import LanguageSwitcher from '../components/ui/LanguageSwitcher';
+
+function Login() {
+    const { t } = useLanguage();
+    const { login } = useAuth();
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError(null);
+        setSubmitting(true);
+        try {
+            await login(username, password);
+        } catch (err) {
+            setError(err.message || t('Inloggen mislukt'));
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-[var(--color-bg-secondary)] flex items-center justify-center px-6">
+            <div className="card w-full max-w-sm p-8">
+                <div className="flex items-start justify-between mb-6">
+                    <div>
+                        <h1 className="font-heading text-2xl font-semibold tracking-tight">
+                            {t('VIP Guest Research')}
+                        </h1>
+                        <p className="text-sm text-[var(--color-text-secondary)] mt-1">
+                            {t('Log in om verder te gaan')}
+                        </p>
+                    </div>
+                    <LanguageSwitcher />
+                </div>
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label className="text-xs text-[var(--color-text-secondary)] uppercase tracking-wide block mb-1">
+                            {t('Gebruikersnaam')}
+                        </label>
+                        <input
+                            type="text"
+                            value={username}
+                            onChange={(e) => setUsername(e.target.value)}
+                            className="input"
+                            autoComplete="username"
+                            autoFocus
+                            required
+                        />
+                    </div>
+                    <div>
+                        <label className="text-xs text-[var(--color-text-secondary)] uppercase tracking-wide block mb-1">
+                            {t('Wachtwoord')}
+                        </label>
+                        <input
+                            type="password"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            className="input"
+                            autoComplete="current-password"
+                            required
+                        />
+                    </div>
+
+                    {error && (
+                        <div className="p-3 rounded-lg text-xs bg-red-50 text-red-700">❌ {error}</div>
+                    )}
+
+                    <button type="submit" disabled={submitting} className="btn btn-primary w-full">
+                        {submitting ? t('Bezig met inloggen...') : t('Inloggen')}
+                    </button>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+export default Login;
@@ -0,0 +1,362 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../utils/api';
+import { useLanguage } from '../contexts/LanguageContext';
+
+const BLEND_MODES = {
+    ai: 'AI score als die er is, anders de regels',
+    rules: 'Alleen de regels',
+    weighted: 'Gewogen gemiddelde van AI en regels',
+    max: 'Hoogste van AI en regels'
+};
+
+const PRESENCE_LABELS = {
+    linkedinProfile: 'LinkedIn profiel',
+    companyOrWebsite: 'Bedrijf of website bekend',
+    notableInfo: 'Opmerkelijke info',
+    notableInfoMinLength: 'Opmerkelijke info vanaf (tekens)',
+    pressMentions: 'Persvermeldingen',
+    owner: 'Eigenaar van het bedrijf'
+};
+
+const CAP_LABELS = {
+    title: 'Functietitel',
+    presence: 'Online aanwezigheid',
+    social: 'Bereik',
+    keywords: 'Trefwoorden'
+};
+
+// Keywords are edited as "a, b, c"; empty entries are dropped when saving
+const cleanKeywordRules = (rules) => rules.map(rule => ({
+    ...rule,
+    keywords: rule.keywords.map(k => k.trim()).filter(Boolean)
+}));
+
+function KeywordRuleList({ rules, onChange, t }) {
+    const update = (index, changes) => onChange(rules.map((rule, i) => i === index ? { ...rule, ...changes } : rule));
+    return (
+        <div className="space-y-2">
+            {rules.map((rule, index) => (
+                <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                    <input
+                        className="input col-span-3"
+                        placeholder={t('Naam')}
+                        value={rule.label}
+                        onChange={(e) => update(index, { label: e.target.value })}
+                    />
+                    <input
+                        className="input col-span-7"
+                        placeholder={t('Trefwoorden, met komma gescheiden')}
+                        value={rule.keywords.join(', ')}
+                        onChange={(e) => update(index, { keywords: e.target.value.split(',').map(k => k.trimStart()) })}
+                    />
+                    <input
+                        type="number"
+                        className="input col-span-1"
+                        value={rule.points}
+                        onChange={(e) => update(index, { points: Number(e.target.value) })}
+                    />
+                    <button
+                        onClick={() => onChange(rules.filter((_, i) => i !== index))}
+                        className="col-span-1 text-red-600 text-sm hover:underline"
+                    >
+                        {t('Verwijderen')}
+                    </button>
+                </div>
+            ))}
+            <button
+                onClick={() => onChange([...rules, { label: '', keywords: [], points: 1 }])}
+                className="btn btn-secondary text-sm"
+            >
+                + {t('Regel toevoegen')}
+            </button>
+        </div>
+    );
+}
+
+function TierList({ tiers, onChange, t }) {
+    const update = (index, changes) => onChange(tiers.map((tier, i) => i === index ? { ...tier, ...changes } : tier));
+    return (
+        <div className="space-y-2">
+            {tiers.map((tier, index) => (
+                <div key={index} className="flex items-center gap-2 text-sm">
+                    <span>{t('vanaf')}</span>
+                    <input
+                        type="number"
+                        className="input w-32"
+                        value={tier.min}
+                        onChange={(e) => update(index, { min: Number(e.target.value) })}
+                    />
+                    <span>→</span>
+                    <input
+                        type="number"
+                        className="input w-20"
+                        value={tier.points}
+                        onChange={(e) => update(index, { points: Number(e.target.value) })}
+                    />
+                    <span>{t('punten')}</span>
+                    <button onClick={() => onChange(tiers.filter((_, i) => i !== index))} className="text-red-600 hover:underline">
+                        {t('Verwijderen')}
+                    </button>
+                </div>
+            ))}
+            <button onClick={() => onChange([...tiers, { min: 0, points: 1 }])} className="btn btn-secondary text-sm">
+                + {t('Drempel toevoegen')}
+            </button>
+        </div>
+    );
+}
+
+function Scoring() {
+    const { t } = useLanguage();
+    const [data, setData] = useState(null);
+    const [rules, setRules] = useState(null);
+    const [message, setMessage] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [includeManual, setIncludeManual] = useState(false);
+    const [rescoring, setRescoring] = useState(false);
+    const [rescoreResult, setRescoreResult] = useState(null);
+
+    const applyResponse = (response) => {
+        setData(response);
+        setRules(response.rules);
+    };
+
+    useEffect(() => {
+        apiFetch('/api/scoring/rules')
+            .then(applyResponse)
+            .catch(error => setMessage({ type: 'error', text: error.message }));
+    }, []);
+
+    const setField = (key, value) => setRules(current => ({ ...current, [key]: value }));
+    const setNested = (key, field, value) => setRules(current => ({ ...current, [key]: { ...current[key], [field]: value } }));
+
+    const handleSave = async () => {
+        setSaving(true);
+        setMessage(null);
+        try {
+            const response = await apiFetch('/api/scoring/rules', {
+                method: 'PUT',
+                body: JSON.stringify({
+                    ...rules,
+                    titleTiers: cleanKeywordRules(rules.titleTiers),
+                    keywordRules: cleanKeywordRules(rules.keywordRules)
+                })
+            });
+            applyResponse(response);
+            setMessage({ type: 'success', text: t('Regels opgeslagen. Scoor iedereen opnieuw om ze op bestaande gasten toe te passen.') });
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleReset = async () => {
+        if (!window.confirm(t('Alle regels terugzetten naar de standaard?'))) return;
+        try {
+            applyResponse(await apiFetch('/api/scoring/rules', { method: 'DELETE' }));
+            setMessage({ type: 'success', text: t('Standaardregels hersteld') });
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const handleRescore = async () => {
+        if (!window.confirm(t('Alle onderzochte gasten opnieuw scoren met de opgeslagen regels? Er worden geen nieuwe zoekopdrachten gedaan.'))) return;
+        setRescoring(true);
+        setMessage(null);
+        try {
+            setRescoreResult(await apiFetch('/api/scoring/rescore', {
+                method: 'POST',
+                body: JSON.stringify({ includeManual })
+            }));
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setRescoring(false);
+        }
+    };
+
+    if (!rules) {
+        return <div className="p-12 text-center text-[var(--color-text-secondary)]">{message?.text || t('Laden...')}</div>;
+    }
+
+    return (
+        <div className="space-y-8">
+            <div>
+                <h2 className="font-heading text-3xl font-semibold">{t('Scoreregels')}</h2>
+                <p className="text-[var(--color-text-secondary)] mt-2">
+                    {t('Bepaal hoe de VIP score van gasten van dit hotel wordt berekend')}
+                    {data.rules.updatedBy && ` · ${t('laatst gewijzigd door')} ${data.rules.updatedBy}`}
+                </p>
+            </div>
+
+            {message && (
+                <div className={`p-3 rounded-lg text-sm ${message.type === 'success' ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'}`}>
+                    {message.type === 'success' ? '✅' : '❌'} {message.text}
+                </div>
+            )}
+
+            {/* Score and AI blend */}
+            <div className="card p-6 space-y-4">
+                <h3 className="font-heading text-xl font-semibold">{t('Score en AI')}</h3>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+                    <label className="space-y-1">
+                        <span className="block font-medium">{t('Basisscore')}</span>
+                        <input type="number" className="input" value={rules.base} onChange={(e) => setField('base', Number(e.target.value))} />
+                    </label>
+                    <label className="space-y-1">
+                        <span className="block font-medium">{t('Minimum')}</span>
+                        <input type="number" className="input" value={rules.minScore} onChange={(e) => setField('minScore', Number(e.target.value))} />
+                    </label>
+                    <label className="space-y-1">
+                        <span className="block font-medium">{t('Maximum')}</span>
+                        <input type="number" className="input" value={rules.maxScore} onChange={(e) => setField('maxScore', Number(e.target.value))} />
+                    </label>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                    <label className="space-y-1">
+                        <span className="block font-medium">{t('Combinatie met de AI score')}</span>
+                        <select className="input" value={rules.blend.mode} onChange={(e) => setNested('blend', 'mode', e.target.value)}>
+                            {Object.entries(BLEND_MODES).map(([mode, label]) => (
+                                <option key={mode} value={mode}>{t(label)}</option>
+                            ))}
+                        </select>
+                    </label>
+                    {rules.blend.mode === 'weighted' && (
+                        <label className="space-y-1">
+                            <span className="block font-medium">{t('Gewicht AI')} ({Math.round(rules.blend.aiWeight * 100)}%)</span>
+                            <input
+                                type="range"
+                                min="0"
+                                max="1"
+                                step="0.05"
+                                className="w-full"
+                                value={rules.blend.aiWeight}
+                                onChange={(e) => setNested('blend', 'aiWeight', Number(e.target.value))}
+                            />
+                        </label>
+                    )}
+                </div>
+                <div className="flex flex-wrap gap-4 text-sm items-center">
+                    <span className="font-medium">{t('Invloed vanaf score')}:</span>
+                    {['VIP', 'Hoog', 'Gemiddeld'].map(level => (
+                        <label key={level} className="flex items-center gap-2">
+                            {t(level)}
+                            <input
+                                type="number"
+                                className="input w-20"
+                                value={rules.influenceLevels[level]}
+                                onChange={(e) => setNested('influenceLevels', level, Number(e.target.value))}
+                            />
+                        </label>
+                    ))}
+                </div>
+            </div>
+
+            {/* Job title */}
+            <div className="card p-6 space-y-4">
+                <div>
+                    <h3 className="font-heading text-xl font-semibold">{t('Functietitel')}</h3>
+                    <p className="text-sm text-[var(--color-text-secondary)]">{t('De eerste regel met een trefwoord in de functietitel telt')}</p>
+                </div>
+                <KeywordRuleList rules={rules.titleTiers} onChange={(value) => setField('titleTiers', value)} t={t} />
+            </div>
+
+            {/* Presence */}
+            <div className="card p-6 space-y-4">
+                <h3 className="font-heading text-xl font-semibold">{t('Online aanwezigheid')}</h3>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+                    {Object.entries(PRESENCE_LABELS).map(([key, label]) => (
+                        <label key={key} className="space-y-1">
+                            <span className="block font-medium">{t(label)}</span>
+                            <input
+                                type="number"
+                                className="input"
+                                value={rules.presence[key]}
+                                onChange={(e) => setNested('presence', key, Number(e.target.value))}
+                            />
+                        </label>
+                    ))}
+                </div>
+            </div>
+
+            {/* Reach */}
+            <div className="card p-6 space-y-4">
+                <h3 className="font-heading text-xl font-semibold">{t('Bereik')}</h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <div className="space-y-2">
+                        <div className="text-sm font-medium">{t('Volgers (Instagram + Twitter)')}</div>
+                        <TierList tiers={rules.followerTiers} onChange={(value) => setField('followerTiers', value)} t={t} />
+                    </div>
+                    <div className="space-y-2">
+                        <div className="text-sm font-medium">{t('LinkedIn connecties')}</div>
+                        <TierList tiers={rules.connectionTiers} onChange={(value) => setField('connectionTiers', value)} t={t} />
+                    </div>
+                </div>
+            </div>
+
+            {/* Extra keywords */}
+            <div className="card p-6 space-y-4">
+                <div>
+                    <h3 className="font-heading text-xl font-semibold">{t('Trefwoorden')}</h3>
+                    <p className="text-sm text-[var(--color-text-secondary)]">{t('Extra punten voor trefwoorden in functie, bedrijf, branche of opmerkelijke info')}</p>
+                </div>
+                <KeywordRuleList rules={rules.keywordRules} onChange={(value) => setField('keywordRules', value)} t={t} />
+            </div>
+
+            {/* Caps */}
+            <div className="card p-6 space-y-4">
+                <div>
+                    <h3 className="font-heading text-xl font-semibold">{t('Maximum per categorie')}</h3>
+                    <p className="text-sm text-[var(--color-text-secondary)]">{t('Leeg = geen maximum')}</p>
+                </div>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                    {Object.entries(CAP_LABELS).map(([category, label]) => (
+                        <label key={category} className="space-y-1">
+                            <span className="block font-medium">{t(label)}</span>
+                            <input
+                                type="number"
+                                className="input"
+                                value={rules.caps[category] ?? ''}
+                                onChange={(e) => setNested('caps', category, e.target.value === '' ? null : Number(e.target.value))}
+                            />
+                        </label>
+                    ))}
+                </div>
+            </div>
+
+            <div className="flex flex-wrap gap-3">
+                <button onClick={handleSave} disabled={saving} className="btn btn-primary">
+                    {saving ? t('Opslaan...') : t('Regels opslaan')}
+                </button>
+                <button onClick={handleReset} className="btn btn-secondary">{t('Standaardregels')}</button>
+            </div>
+
+            {/* Re-score */}
+            <div className="card p-6 space-y-4">
+                <div>
+                    <h3 className="font-heading text-xl font-semibold">{t('Iedereen opnieuw scoren')}</h3>
+                    <p className="text-sm text-[var(--color-text-secondary)]">
+                        {t('Past de opgeslagen regels toe op alle onderzochte gasten met het bestaande onderzoek, zonder nieuwe zoekopdrachten.')}
+                    </p>
+                </div>
+                <label className="flex items-center gap-2 text-sm">
+                    <input type="checkbox" checked={includeManual} onChange={(e) => setIncludeManual(e.target.checked)} />
+                    {t('Ook handmatig ingestelde scores overschrijven')}
+                </label>
+                <button onClick={handleRescore} disabled={rescoring} className="btn btn-primary">
+                    {rescoring ? t('Bezig...') : `🎯 ${t('Iedereen opnieuw scoren')}`}
+                </button>
+                {rescoreResult && (
+                    <div className="p-3 rounded-lg bg-green-50 text-green-700 text-sm">
+                        ✅ {rescoreResult.rescored} {t('gasten opnieuw gescoord')}, {rescoreResult.changed.length} {t('met een andere score')}
+                        {rescoreResult.skippedManual > 0 && `, ${rescoreResult.skippedManual} ${t('handmatige scores behouden')}`}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default Scoring;
@@ -0,0 +1,359 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../utils/api';
+import { useAuth } from '../contexts/useAuth';
+import { useLanguage } from '../contexts/LanguageContext';
+
+const ROLE_LABELS = {
+    front_desk: 'Receptie',
+    manager: 'Manager',
+    admin: 'Beheerder'
+};
+
+const emptyForm = { username: '', display_name: '', password: '', role: 'front_desk', property_id: '' };
+const emptyPropertyForm = { code: '', name: '', notification_email: '' };
+
+function Users() {
+    const { t } = useLanguage();
+    const { user: currentUser } = useAuth();
+    const [users, setUsers] = useState([]);
+    const [properties, setProperties] = useState([]);
+    const [audit, setAudit] = useState({ total: 0, entries: [] });
+    const [gdprRequests, setGdprRequests] = useState([]);
+    const [form, setForm] = useState(emptyForm);
+    const [propertyForm, setPropertyForm] = useState(emptyPropertyForm);
+    const [message, setMessage] = useState(null);
+
+    const [reloadKey, setReloadKey] = useState(0);
+    const reload = () => setReloadKey(key => key + 1);
+
+    useEffect(() => {
+        apiFetch('/api/users')
+            .then(setUsers)
+            .catch(error => setMessage({ type: 'error', text: error.message }));
+        apiFetch('/api/properties?includeInactive=true')
+            .then(setProperties)
+            .catch(error => console.error('Hotels ophalen mislukt:', error));
+        apiFetch('/api/users/audit?limit=100')
+            .then(setAudit)
+            .catch(error => console.error('Audit log ophalen mislukt:', error));
+        apiFetch('/api/guests/gdpr/requests?limit=50')
+            .then(setGdprRequests)
+            .catch(error => console.error('AVG verzoeken ophalen mislukt:', error));
+    }, [reloadKey]);
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setMessage(null);
+        try {
+            await apiFetch('/api/users', {
+                method: 'POST',
+                body: JSON.stringify({ ...form, property_id: form.property_id ? parseInt(form.property_id) : null })
+            });
+            setForm(emptyForm);
+            setMessage({ type: 'success', text: t('Gebruiker aangemaakt') });
+            reload();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const handleUpdate = async (id, changes) => {
+        setMessage(null);
+        try {
+            await apiFetch(`/api/users/${id}`, { method: 'PUT', body: JSON.stringify(changes) });
+            reload();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const handleCreateProperty = async (e) => {
+        e.preventDefault();
+        setMessage(null);
+        try {
+            await apiFetch('/api/properties', { method: 'POST', body: JSON.stringify(propertyForm) });
+            setPropertyForm(emptyPropertyForm);
+            setMessage({ type: 'success', text: t('Hotel aangemaakt') });
+            reload();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const handleUpdateProperty = async (id, changes) => {
+        setMessage(null);
+        try {
+            await apiFetch(`/api/properties/${id}`, { method: 'PUT', body: JSON.stringify(changes) });
+            reload();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const handleResetPassword = (id) => {
+        const password = window.prompt(t('Nieuw wachtwoord (minstens 8 tekens)'));
+        if (password) handleUpdate(id, { password });
+    };
+
+    return (
+        <div className="space-y-8">
+            {message && (
+                <div className={`p-3 rounded-lg text-sm ${message.type === 'success' ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'}`}>
+                    {message.type === 'success' ? '✅' : '❌'} {message.text}
+                </div>
+            )}
+
+            {/* Properties */}
+            <div className="card p-6">
+                <h2 className="font-heading text-xl font-semibold mb-4">{t('Hotels')}</h2>
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-left text-xs uppercase text-[var(--color-text-secondary)] border-b border-[var(--color-border)]">
+                            <th className="py-2">{t('Code')}</th>
+                            <th className="py-2">{t('Naam')}</th>
+                            <th className="py-2">{t('Notificatie e-mail')}</th>
+                            <th className="py-2"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {properties.map(p => (
+                            <tr key={p.id} className={`border-b border-[var(--color-border)] ${p.active ? '' : 'opacity-50'}`}>
+                                <td className="py-2 font-mono text-xs">{p.code}</td>
+                                <td className="py-2">{p.name}</td>
+                                <td className="py-2">
+                                    <input
+                                        className="input py-1 text-sm"
+                                        type="email"
+                                        defaultValue={p.notification_email || ''}
+                                        placeholder={t('Standaard (NOTIFICATION_EMAIL)')}
+                                        onBlur={(e) => {
+                                            if (e.target.value !== (p.notification_email || '')) {
+                                                handleUpdateProperty(p.id, { notification_email: e.target.value });
+                                            }
+                                        }}
+                                    />
+                                </td>
+                                <td className="py-2 text-right">
+                                    <button
+                                        onClick={() => handleUpdateProperty(p.id, { active: !p.active })}
+                                        className="btn btn-secondary text-xs py-1 px-3"
+                                    >
+                                        {p.active ? t('Deactiveren') : t('Activeren')}
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+
+                <form onSubmit={handleCreateProperty} className="mt-6 grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+                    <input
+                        className="input"
+                        placeholder={t('Code')}
+                        value={propertyForm.code}
+                        onChange={(e) => setPropertyForm({ ...propertyForm, code: e.target.value })}
+                        required
+                    />
+                    <input
+                        className="input"
+                        placeholder={t('Naam')}
+                        value={propertyForm.name}
+                        onChange={(e) => setPropertyForm({ ...propertyForm, name: e.target.value })}
+                        required
+                    />
+                    <input
+                        className="input"
+                        type="email"
+                        placeholder={t('Notificatie e-mail')}
+                        value={propertyForm.notification_email}
+                        onChange={(e) => setPropertyForm({ ...propertyForm, notification_email: e.target.value })}
+                    />
+                    <button type="submit" className="btn btn-primary">{t('Hotel toevoegen')}</button>
+                </form>
+            </div>
+
+            {/* Users */}
+            <div className="card p-6">
+                <h2 className="font-heading text-xl font-semibold mb-4">{t('Gebruikers')}</h2>
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-left text-xs uppercase text-[var(--color-text-secondary)] border-b border-[var(--color-border)]">
+                            <th className="py-2">{t('Gebruikersnaam')}</th>
+                            <th className="py-2">{t('Naam')}</th>
+                            <th className="py-2">{t('Rol')}</th>
+                            <th className="py-2">{t('Hotel')}</th>
+                            <th className="py-2">{t('Laatst ingelogd')}</th>
+                            <th className="py-2"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {users.map(u => (
+                            <tr key={u.id} className={`border-b border-[var(--color-border)] ${u.active ? '' : 'opacity-50'}`}>
+                                <td className="py-2 font-mono text-xs">{u.username}</td>
+                                <td className="py-2">{u.display_name}</td>
+                                <td className="py-2">
+                                    <select
+                                        value={u.role}
+                                        onChange={(e) => handleUpdate(u.id, { role: e.target.value })}
+                                        disabled={u.id === currentUser.id}
+                                        className="input py-1 text-sm"
+                                    >
+                                        {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                                            <option key={role} value={role}>{t(label)}</option>
+                                        ))}
+                                    </select>
+                                </td>
+                                <td className="py-2">
+                                    <select
+                                        value={u.property_id || ''}
+                                        onChange={(e) => handleUpdate(u.id, { property_id: e.target.value ? parseInt(e.target.value) : null })}
+                                        disabled={u.role === 'admin'}
+                                        className="input py-1 text-sm"
+                                    >
+                                        <option value="">{t('Alle hotels')}</option>
+                                        {properties.map(p => (
+                                            <option key={p.id} value={p.id}>{p.name}</option>
+                                        ))}
+                                    </select>
+                                </td>
+                                <td className="py-2 text-xs text-[var(--color-text-secondary)]">{u.last_login_at || '-'}</td>
+                                <td className="py-2 text-right space-x-2 whitespace-nowrap">
+                                    <button onClick={() => handleResetPassword(u.id)} className="btn btn-secondary text-xs py-1 px-3">
+                                        {t('Wachtwoord resetten')}
+                                    </button>
+                                    {u.id !== currentUser.id && (
+                                        <button
+                                            onClick={() => handleUpdate(u.id, { active: !u.active })}
+                                            className="btn btn-secondary text-xs py-1 px-3"
+                                        >
+                                            {u.active ? t('Deactiveren') : t('Activeren')}
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+
+                <form onSubmit={handleCreate} className="mt-6 grid grid-cols-1 md:grid-cols-6 gap-3 items-end">
+                    <input
+                        className="input"
+                        placeholder={t('Gebruikersnaam')}
+                        value={form.username}
+                        onChange={(e) => setForm({ ...form, username: e.target.value })}
+                        required
+                    />
+                    <input
+                        className="input"
+                        placeholder={t('Naam')}
+                        value={form.display_name}
+                        onChange={(e) => setForm({ ...form, display_name: e.target.value })}
+                    />
+                    <input
+                        className="input"
+                        type="password"
+                        placeholder={t('Wachtwoord')}
+                        value={form.password}
+                        onChange={(e) => setForm({ ...form, password: e.target.value })}
+                        required
+                    />
+                    <select className="input" value={form.role} onChange={(e) => setForm({ ...form, role: e.target.value })}>
+                        {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                            <option key={role} value={role}>{t(label)}</option>
+                        ))}
+                    </select>
+                    <select
+                        className="input"
+                        value={form.role === 'admin' ? '' : form.property_id}
+                        onChange={(e) => setForm({ ...form, property_id: e.target.value })}
+                        disabled={form.role === 'admin'}
+                    >
+                        <option value="">{t('Alle hotels')}</option>
+                        {properties.map(p => (
+                            <option key={p.id} value={p.id}>{p.name}</option>
+                        ))}
+                    </select>
+                    <button type="submit" className="btn btn-primary">{t('Gebruiker toevoegen')}</button>
+                </form>
+            </div>
+
+            {/* GDPR requests */}
+            <div className="card p-6">
+                <div className="flex items-center justify-between mb-4">
+                    <h2 className="font-heading text-xl font-semibold">{t('AVG verzoeken')}</h2>
+                    <span className="text-xs text-[var(--color-text-secondary)]">{gdprRequests.length} {t('verzoeken')}</span>
+                </div>
+                {gdprRequests.length === 0 ? (
+                    <p className="text-sm text-[var(--color-text-secondary)]">{t('Nog geen AVG verzoeken')}</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-xs">
+                            <thead>
+                                <tr className="text-left uppercase text-[var(--color-text-secondary)] border-b border-[var(--color-border)]">
+                                    <th className="py-2 pr-3">{t('Tijdstip')}</th>
+                                    <th className="py-2 pr-3">{t('Gebruiker')}</th>
+                                    <th className="py-2 pr-3">{t('Type')}</th>
+                                    <th className="py-2 pr-3">{t('Gast')}</th>
+                                    <th className="py-2 pr-3">{t('Status')}</th>
+                                    <th className="py-2">{t('Details')}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {gdprRequests.map(request => (
+                                    <tr key={request.id} className="border-b border-[var(--color-border)] align-top">
+                                        <td className="py-2 pr-3 whitespace-nowrap">{request.created_at}</td>
+                                        <td className="py-2 pr-3">{request.requested_by || '-'}</td>
+                                        <td className="py-2 pr-3">{request.type === 'erase' ? `🧽 ${t('Anonimiseren')}` : `📦 ${t('AVG export')}`}</td>
+                                        <td className="py-2 pr-3">#{request.guest_id}</td>
+                                        <td className={`py-2 pr-3 ${request.status === 'failed' ? 'text-red-600' : 'text-green-700'}`}>{request.status}</td>
+                                        <td className="py-2 font-mono text-[10px] text-[var(--color-text-secondary)]">
+                                            {request.error || (request.summary ? Object.entries(request.summary).map(([key, value]) => `${key}: ${value}`).join(', ') : '')}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            {/* Audit log */}
+            <div className="card p-6">
+                <div className="flex items-center justify-between mb-4">
+                    <h2 className="font-heading text-xl font-semibold">{t('Audit log')}</h2>
+                    <span className="text-xs text-[var(--color-text-secondary)]">{audit.total} {t('acties')}</span>
+                </div>
+                <div className="overflow-x-auto">
+                    <table className="w-full text-xs">
+                        <thead>
+                            <tr className="text-left uppercase text-[var(--color-text-secondary)] border-b border-[var(--color-border)]">
+                                <th className="py-2 pr-3">{t('Tijdstip')}</th>
+                                <th className="py-2 pr-3">{t('Gebruiker')}</th>
+                                <th className="py-2 pr-3">{t('Actie')}</th>
+                                <th className="py-2 pr-3">{t('Object')}</th>
+                                <th className="py-2 pr-3">{t('Status')}</th>
+                                <th className="py-2">{t('Details')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {audit.entries.map(entry => (
+                                <tr key={entry.id} className="border-b border-[var(--color-border)] align-top">
+                                    <td className="py-2 pr-3 whitespace-nowrap">{entry.created_at}</td>
+                                    <td className="py-2 pr-3">{entry.username || '-'}</td>
+                                    <td className="py-2 pr-3 font-mono">{entry.action}</td>
+                                    <td className="py-2 pr-3">{entry.entity_type ? `${entry.entity_type} ${entry.entity_id || ''}` : '-'}</td>
+                                    <td className={`py-2 pr-3 ${entry.status_code >= 400 ? 'text-red-600' : 'text-green-700'}`}>{entry.status_code}</td>
+                                    <td className="py-2 font-mono text-[10px] text-[var(--color-text-secondary)] max-w-xs truncate" title={entry.details || ''}>
+                                        {entry.details || ''}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default Users;
@@ -0,0 +1,340 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../utils/api';
+import { useLanguage } from '../contexts/LanguageContext';
+
+const EVENT_LABELS = {
+    'research.completed': 'Onderzoek voltooid',
+    'guest.vip_detected': 'Nieuwe VIP gedetecteerd',
+    'import.completed': 'Import voltooid',
+    'queue.finished': 'Wachtrij afgerond'
+};
+
+const STATUS_STYLES = {
+    delivered: 'bg-green-100 text-green-700',
+    pending: 'bg-yellow-100 text-yellow-700',
+    failed: 'bg-red-100 text-red-700'
+};
+
+const EMPTY_FORM = { url: '', description: '', events: [] };
+
+function Webhooks() {
+    const { t } = useLanguage();
+    const [data, setData] = useState(null);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [message, setMessage] = useState(null);
+    const [secret, setSecret] = useState(null);
+    const [selectedId, setSelectedId] = useState(null);
+    const [deliveryFilter, setDeliveryFilter] = useState('');
+    const [deliveries, setDeliveries] = useState([]);
+
+    const [reloadKey, setReloadKey] = useState(0);
+    const reload = () => setReloadKey(key => key + 1);
+
+    useEffect(() => {
+        apiFetch('/api/webhooks')
+            .then(setData)
+            .catch(error => setMessage({ type: 'error', text: error.message }));
+    }, [reloadKey]);
+
+    useEffect(() => {
+        if (!selectedId) return;
+        apiFetch(`/api/webhooks/${selectedId}/deliveries?limit=100${deliveryFilter ? `&status=${deliveryFilter}` : ''}`)
+            .then(setDeliveries)
+            .catch(error => setMessage({ type: 'error', text: error.message }));
+    }, [selectedId, deliveryFilter, reloadKey]);
+
+    const toggleFormEvent = (event) => {
+        setForm(current => ({
+            ...current,
+            events: current.events.includes(event)
+                ? current.events.filter(e => e !== event)
+                : [...current.events, event]
+        }));
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setMessage(null);
+        try {
+            const webhook = await apiFetch('/api/webhooks', {
+                method: 'POST',
+                body: JSON.stringify(form)
+            });
+            setSecret({ webhookId: webhook.id, value: webhook.secret });
+            setForm(EMPTY_FORM);
+            setMessage({ type: 'success', text: t('Webhook toegevoegd') });
+            reload();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const handleUpdate = async (webhook, changes) => {
+        setMessage(null);
+        try {
+            await apiFetch(`/api/webhooks/${webhook.id}`, {
+                method: 'PUT',
+                body: JSON.stringify(changes)
+            });
+            reload();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const handleToggleEvent = (webhook, event) => {
+        const events = webhook.events.includes(event)
+            ? webhook.events.filter(e => e !== event)
+            : [...webhook.events, event];
+        handleUpdate(webhook, { events });
+    };
+
+    const handleDelete = async (webhook) => {
+        if (!window.confirm(`${t('Webhook verwijderen?')} ${webhook.url}`)) return;
+        try {
+            await apiFetch(`/api/webhooks/${webhook.id}`, { method: 'DELETE' });
+            if (selectedId === webhook.id) setSelectedId(null);
+            reload();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const handleRotate = async (webhook) => {
+        if (!window.confirm(t('Nieuw geheim aanmaken? Het huidige geheim werkt direct niet meer.'))) return;
+        try {
+            const updated = await apiFetch(`/api/webhooks/${webhook.id}/rotate-secret`, { method: 'POST' });
+            setSecret({ webhookId: webhook.id, value: updated.secret });
+            reload();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const handleTest = async (webhook) => {
+        setMessage(null);
+        try {
+            await apiFetch(`/api/webhooks/${webhook.id}/test`, { method: 'POST' });
+            setMessage({ type: 'success', text: t('Testbericht verstuurd') });
+            setSelectedId(webhook.id);
+            // Give the dispatcher a moment before showing the result
+            setTimeout(reload, 1500);
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const handleRedeliver = async (delivery) => {
+        try {
+            await apiFetch(`/api/webhooks/deliveries/${delivery.id}/redeliver`, { method: 'POST' });
+            setTimeout(reload, 1500);
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    if (!data) {
+        return <div className="p-12 text-center text-[var(--color-text-secondary)]">{t('Laden...')}</div>;
+    }
+
+    const selected = data.webhooks.find(webhook => webhook.id === selectedId);
+
+    return (
+        <div className="space-y-8">
+            <div>
+                <h2 className="font-heading text-3xl font-semibold">{t('Webhooks')}</h2>
+                <p className="text-[var(--color-text-secondary)] mt-2">
+                    {t('Stuur onderzoek-, VIP-, import- en wachtrij-events naar je CRM of andere systemen')}
+                </p>
+            </div>
+
+            {message && (
+                <div className={`p-3 rounded-lg text-sm ${message.type === 'success' ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'}`}>
+                    {message.type === 'success' ? '✅' : '❌'} {message.text}
+                </div>
+            )}
+
+            {secret && (
+                <div className="p-4 rounded-lg bg-yellow-50 border border-yellow-200 text-sm">
+                    <div className="font-semibold text-yellow-800 mb-1">🔑 {t('Geheim voor het controleren van de handtekening')}</div>
+                    <code className="block bg-white p-2 rounded border border-yellow-200 break-all">{secret.value}</code>
+                    <p className="text-yellow-700 mt-2">
+                        {t('Bewaar dit geheim nu: het wordt niet opnieuw getoond.')} {t('Controleer X-KYV-Signature als sha256 HMAC van "timestamp.body".')}
+                    </p>
+                    <button onClick={() => setSecret(null)} className="btn btn-secondary text-sm mt-2">{t('Sluiten')}</button>
+                </div>
+            )}
+
+            {/* New webhook */}
+            <form onSubmit={handleCreate} className="card p-6 space-y-4">
+                <h3 className="font-heading text-xl font-semibold">{t('Webhook toevoegen')}</h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <input
+                        type="url"
+                        required
+                        className="input"
+                        placeholder="https://crm.example.com/webhooks/kyv"
+                        value={form.url}
+                        onChange={(e) => setForm({ ...form, url: e.target.value })}
+                    />
+                    <input
+                        type="text"
+                        className="input"
+                        placeholder={t('Omschrijving (optioneel)')}
+                        value={form.description}
+                        onChange={(e) => setForm({ ...form, description: e.target.value })}
+                    />
+                </div>
+                <div className="flex flex-wrap gap-4 text-sm">
+                    {data.events.map(event => (
+                        <label key={event} className="flex items-center gap-2">
+                            <input
+                                type="checkbox"
+                                checked={form.events.includes(event)}
+                                onChange={() => toggleFormEvent(event)}
+                            />
+                            {t(EVENT_LABELS[event] || event)} <code className="text-xs text-[var(--color-text-secondary)]">{event}</code>
+                        </label>
+                    ))}
+                </div>
+                <button type="submit" className="btn btn-primary" disabled={!form.url || form.events.length === 0}>
+                    {t('Toevoegen')}
+                </button>
+            </form>
+
+            {/* Registered webhooks */}
+            <div className="card">
+                <div className="p-6 border-b border-[var(--color-border)]">
+                    <h3 className="font-heading text-xl font-semibold">{t('Geregistreerde webhooks')}</h3>
+                </div>
+                {data.webhooks.length === 0 ? (
+                    <p className="p-6 text-sm text-[var(--color-text-secondary)]">{t('Nog geen webhooks')}</p>
+                ) : (
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>{t('URL')}</th>
+                                <th>{t('Events')}</th>
+                                <th>{t('Leveringen')}</th>
+                                <th>{t('Actief')}</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {data.webhooks.map(webhook => (
+                                <tr key={webhook.id} className={selectedId === webhook.id ? 'bg-[var(--color-bg-secondary)]' : ''}>
+                                    <td>
+                                        <div className="font-medium break-all">{webhook.url}</div>
+                                        <div className="text-xs text-[var(--color-text-secondary)]">
+                                            {webhook.description && `${webhook.description} · `}{t('geheim')} {webhook.secret_hint}
+                                        </div>
+                                    </td>
+                                    <td>
+                                        <div className="flex flex-col gap-1 text-xs">
+                                            {data.events.map(event => (
+                                                <label key={event} className="flex items-center gap-1">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={webhook.events.includes(event)}
+                                                        onChange={() => handleToggleEvent(webhook, event)}
+                                                    />
+                                                    {event}
+                                                </label>
+                                            ))}
+                                        </div>
+                                    </td>
+                                    <td className="text-xs">
+                                        <div className="text-green-700">{webhook.deliveries.delivered} {t('afgeleverd')}</div>
+                                        {webhook.deliveries.pending > 0 && <div className="text-yellow-700">{webhook.deliveries.pending} {t('in wachtrij')}</div>}
+                                        {webhook.deliveries.failed > 0 && <div className="text-red-600">{webhook.deliveries.failed} {t('mislukt')}</div>}
+                                    </td>
+                                    <td>
+                                        <input
+                                            type="checkbox"
+                                            checked={webhook.active}
+                                            onChange={() => handleUpdate(webhook, { active: !webhook.active })}
+                                        />
+                                    </td>
+                                    <td className="text-right whitespace-nowrap space-x-2">
+                                        <button onClick={() => setSelectedId(webhook.id)} className="btn btn-secondary text-sm">{t('Log')}</button>
+                                        <button onClick={() => handleTest(webhook)} className="btn btn-secondary text-sm">{t('Test')}</button>
+                                        <button onClick={() => handleRotate(webhook)} className="btn btn-secondary text-sm">{t('Nieuw geheim')}</button>
+                                        <button onClick={() => handleDelete(webhook)} className="btn btn-secondary text-sm text-red-600">{t('Verwijderen')}</button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            {/* Delivery log */}
+            {selected && (
+                <div className="card">
+                    <div className="p-6 border-b border-[var(--color-border)] flex items-center justify-between">
+                        <div>
+                            <h3 className="font-heading text-xl font-semibold">{t('Leveringslog')}</h3>
+                            <p className="text-xs text-[var(--color-text-secondary)] break-all">{selected.url}</p>
+                        </div>
+                        <select className="input w-auto" value={deliveryFilter} onChange={(e) => setDeliveryFilter(e.target.value)}>
+                            <option value="">{t('Alle')}</option>
+                            <option value="delivered">{t('afgeleverd')}</option>
+                            <option value="pending">{t('in wachtrij')}</option>
+                            <option value="failed">{t('mislukt')}</option>
+                        </select>
+                    </div>
+                    {deliveries.length === 0 ? (
+                        <p className="p-6 text-sm text-[var(--color-text-secondary)]">{t('Nog geen leveringen')}</p>
+                    ) : (
+                        <table className="table">
+                            <thead>
+                                <tr>
+                                    <th>{t('Tijdstip')}</th>
+                                    <th>{t('Event')}</th>
+                                    <th>{t('Status')}</th>
+                                    <th>{t('Pogingen')}</th>
+                                    <th>{t('Antwoord')}</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {deliveries.map(delivery => (
+                                    <tr key={delivery.id}>
+                                        <td className="text-xs whitespace-nowrap">{delivery.created_at}</td>
+                                        <td>
+                                            <div className="font-medium text-sm">{delivery.event}</div>
+                                            <div className="text-[10px] text-[var(--color-text-secondary)]">{delivery.event_id}</div>
+                                        </td>
+                                        <td>
+                                            <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_STYLES[delivery.status]}`}>
+                                                {t(delivery.status === 'delivered' ? 'afgeleverd' : delivery.status === 'pending' ? 'in wachtrij' : 'mislukt')}
+                                            </span>
+                                            {delivery.status === 'pending' && delivery.attempts > 0 && (
+                                                <div className="text-[10px] text-[var(--color-text-secondary)] mt-1">{t('volgende poging')} {delivery.next_attempt_at}</div>
+                                            )}
+                                        </td>
+                                        <td>{delivery.attempts}</td>
+                                        <td className="text-xs">
+                                            {delivery.response_status && <span className="font-mono">{delivery.response_status}</span>}
+                                            {delivery.error && <span className="text-red-600 ml-1">{delivery.error}</span>}
+                                            {delivery.duration_ms !== null && <span className="text-[var(--color-text-secondary)] ml-1">({delivery.duration_ms} ms)</span>}
+                                        </td>
+                                        <td className="text-right">
+                                            {delivery.status !== 'pending' && (
+                                                <button onClick={() => handleRedeliver(delivery)} className="btn btn-secondary text-sm">
+                                                    {t('Opnieuw versturen')}
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default Webhooks;
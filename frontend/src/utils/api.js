@@ -1,6 +1,42 @@
 // Use VITE_API_URL if set, otherwise use relative URLs (which will be proxied by Vercel)
 const API_BASE_URL = import.meta.env.VITE_API_URL || '';
 
+const TOKEN_KEY = 'authToken';
+const PROPERTY_KEY = 'propertyId';
+
+export const getAuthToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const setAuthToken = (token) => {
+    if (token) localStorage.setItem(TOKEN_KEY, token);
+    else localStorage.removeItem(TOKEN_KEY);
+};
+
+// Selected property for group-level users (empty = all properties)
+export const getPropertyId = () => localStorage.getItem(PROPERTY_KEY) || '';
+
+export const setPropertyId = (propertyId) => {
+    if (propertyId) localStorage.setItem(PROPERTY_KEY, String(propertyId));
+    else localStorage.removeItem(PROPERTY_KEY);
+};
+
+// Authorization and property headers for requests that do not go through apiFetch (e.g. PDF downloads)
+export const authHeaders = () => {
+    const token = getAuthToken();
+    const propertyId = getPropertyId();
+    return {
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(propertyId ? { 'X-Property-Id': propertyId } : {}),
+    };
+};
+
+// Session expired or revoked: drop the token and let AuthContext show the login screen
+const handleUnauthorized = (response) => {
+    if (response.status === 401 && getAuthToken()) {
+        setAuthToken(null);
+        window.dispatchEvent(new Event('auth:logout'));
+    }
+};
+
 export const apiFetch = async (endpoint, options = {}) => {
     // If endpoint already starts with http, use it directly
     // Otherwise, prepend API_BASE_URL if set, or use relative URL
@@ -20,11 +56,13 @@ export const apiFetch = async (endpoint, options = {}) => {
         headers: {
             'Content-Type': 'application/json',
             'Accept-Language': currentLanguage,
+            ...authHeaders(),
             ...options.headers,
         },
     });
 
     if (!response.ok) {
+        handleUnauthorized(response);
         const errorData = await response.json().catch(() => ({}));
         console.error('API Error:', response.status, errorData); // Debug log
         throw new Error(errorData.error || `API error: ${response.status}`);
@@ -44,11 +82,13 @@ export const apiPostFile = async (endpoint, formData) => {
 
     const response = await fetch(url, {
         method: 'POST',
+        headers: authHeaders(),
         body: formData,
         // Do NOT set Content-Type header for FormData, browser does it automatically with boundary
     });
 
     if (!response.ok) {
+        handleUnauthorized(response);
         const errorData = await response.json().catch(() => ({}));
         console.error('API Error:', response.status, errorData); // Debug log
         throw new Error(errorData.error || `API error: ${response.status}`);
@@ -56,3 +96,81 @@ export const apiPostFile = async (endpoint, formData) => {
 
     return response.json();
 };
+
+// Live updates from GET /api/events. EventSource cannot send the Authorization header,
+// so the server-sent events are read from a fetch stream. Reconnects with Last-Event-ID.
+export const openEventStream = ({ onEvent, onStatus }) => {
+    const url = `${API_BASE_URL}/api/events`;
+    let controller = null;
+    let closed = false;
+    let lastEventId = null;
+    let retryDelay = 1000;
+    let retryTimer = null;
+
+    const dispatch = (block) => {
+        let type = 'message';
+        let data = '';
+        for (const line of block.split('\n')) {
+            if (line.startsWith('id:')) lastEventId = line.slice(3).trim();
+            else if (line.startsWith('event:')) type = line.slice(6).trim();
+            else if (line.startsWith('data:')) data += line.slice(5).trim();
+        }
+        if (!data) return;
+        try {
+            onEvent(type, JSON.parse(data));
+        } catch (err) {
+            console.error('Ongeldig event:', err);
+        }
+    };
+
+    const connect = async () => {
+        controller = new AbortController();
+        try {
+            const response = await fetch(url, {
+                headers: {
+                    Accept: 'text/event-stream',
+                    ...authHeaders(),
+                    ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {}),
+                },
+                signal: controller.signal,
+            });
+            if (!response.ok) {
+                handleUnauthorized(response);
+                throw new Error(`API error: ${response.status}`);
+            }
+
+            onStatus?.(true);
+            retryDelay = 1000;
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += decoder.decode(value, { stream: true });
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    dispatch(buffer.slice(0, boundary));
+                    buffer = buffer.slice(boundary + 2);
+                }
+            }
+        } catch (err) {
+            if (closed) return;
+            console.warn('Live updates onderbroken:', err.message);
+        }
+
+        onStatus?.(false);
+        if (!closed && getAuthToken()) {
+            retryTimer = setTimeout(connect, retryDelay);
+            retryDelay = Math.min(retryDelay * 2, 30000);
+        }
+    };
+
+    connect();
+
+    return () => {
+        closed = true;
+        clearTimeout(retryTimer);
+        controller?.abort();
+    };
+};
@@ -517,6 +517,471 @@ const translations = {
         'Name is required': 'Naam is verplicht',
         'Opslaan mislukt': 'Opslaan mislukt',
         'Save failed': 'Opslaan mislukt',
+
+        // Field provenance
+        'Bron': 'Bron',
+        'Zoekprovider': 'Zoekprovider',
+        'Betrouwbaarheid': 'Betrouwbaarheid',
+        'Gastgegevens': 'Gastgegevens',
+        'Handmatig (medewerker)': 'Handmatig (medewerker)',
+        'E-maildomein': 'E-maildomein',
+        'Webzoekresultaat': 'Webzoekresultaat',
+        'AI-analyse': 'AI-analyse',
+        'AI-inschatting': 'AI-inschatting',
+
+        // Research revisions
+        'Versiegeschiedenis': 'Versiegeschiedenis',
+        'Versie herstellen': 'Versie herstellen',
+        'Nog geen eerdere versies': 'Nog geen eerdere versies',
+        'Laatste': 'Laatste',
+        'Vergelijk': 'Vergelijk',
+        'Herstel': 'Herstel',
+        'Geen verschillen met de huidige versie': 'Geen verschillen met de huidige versie',
+        'Veld': 'Veld',
+        'Huidig': 'Huidig',
+        'Onderzoek': 'Onderzoek',
+        'Opnieuw onderzocht': 'Opnieuw onderzocht',
+        'Onderzoek (wachtrij)': 'Onderzoek (wachtrij)',
+        'LinkedIn selectie': 'LinkedIn selectie',
+        'VIP score aangepast': 'VIP score aangepast',
+        'Handmatige wijziging': 'Handmatige wijziging',
+        'Hersteld': 'Hersteld',
+        'Stand vóór wijziging': 'Stand vóór wijziging',
+        'Oude backup': 'Oude backup',
+
+        // Authentication & users
+        'Inloggen mislukt': 'Inloggen mislukt',
+        'Log in om verder te gaan': 'Log in om verder te gaan',
+        'Gebruikersnaam': 'Gebruikersnaam',
+        'Wachtwoord': 'Wachtwoord',
+        'Bezig met inloggen...': 'Bezig met inloggen...',
+        'Inloggen': 'Inloggen',
+        'Uitloggen': 'Uitloggen',
+        'Receptie': 'Receptie',
+        'Manager': 'Manager',
+        'Beheerder': 'Beheerder',
+        'Gebruikers': 'Gebruikers',
+        'Gebruiker aangemaakt': 'Gebruiker aangemaakt',
+        'Nieuw wachtwoord (minstens 8 tekens)': 'Nieuw wachtwoord (minstens 8 tekens)',
+        'Laatst ingelogd': 'Laatst ingelogd',
+        'Wachtwoord resetten': 'Wachtwoord resetten',
+        'Deactiveren': 'Deactiveren',
+        'Activeren': 'Activeren',
+        'Gebruiker toevoegen': 'Gebruiker toevoegen',
+        'Audit log': 'Audit log',
+        'acties': 'acties',
+        'Tijdstip': 'Tijdstip',
+        'Gebruiker': 'Gebruiker',
+        'Actie': 'Actie',
+        'Object': 'Object',
+        'Details': 'Details',
+
+        // Properties
+        'Hotel': 'Hotel',
+        'Hotels': 'Hotels',
+        'Alle hotels': 'Alle hotels',
+        'Ook gezien bij': 'Ook gezien bij',
+        'Code': 'Code',
+        'Notificatie e-mail': 'Notificatie e-mail',
+        'Standaard (NOTIFICATION_EMAIL)': 'Standaard (NOTIFICATION_EMAIL)',
+        'Hotel toevoegen': 'Hotel toevoegen',
+        'Hotel aangemaakt': 'Hotel aangemaakt',
+        'bekend bij ander hotel': 'bekend bij ander hotel',
+
+        // Pre-arrival briefing
+        'Aankomstbriefing': 'Aankomstbriefing',
+        'Onderzoekt aankomende gasten en mailt elke ochtend het aankomstrapport': 'Onderzoekt aankomende gasten en mailt elke ochtend het aankomstrapport',
+        'Nu uitvoeren': 'Nu uitvoeren',
+        'Dagelijks versturen': 'Dagelijks versturen',
+        'Dagen vooruit': 'Dagen vooruit',
+        'Ontvangers': 'Ontvangers',
+        'Briefing opgeslagen': 'Briefing opgeslagen',
+        'Briefing gestart': 'Briefing gestart',
+        'Laatste runs': 'Laatste runs',
+        'Nog geen briefings uitgevoerd': 'Nog geen briefings uitgevoerd',
+        'gepland': 'gepland',
+        'aankomsten': 'aankomsten',
+        'onderzocht': 'onderzocht',
+
+        // Duplicates
+        'Dubbele gasten': 'Dubbele gasten',
+        'Mogelijke dubbele gasten': 'Mogelijke dubbele gasten',
+        'Voeg dubbele gasten samen: reserveringen, historie en onderzoek gaan mee': 'Voeg dubbele gasten samen: reserveringen, historie en onderzoek gaan mee',
+        'Geen mogelijke dubbele gasten gevonden': 'Geen mogelijke dubbele gasten gevonden',
+        'Zelfde e-mail': 'Zelfde e-mail',
+        'Zelfde telefoon': 'Zelfde telefoon',
+        'Zelfde adres': 'Zelfde adres',
+        'Zelfde naam': 'Zelfde naam',
+        'Vergelijkbare naam': 'Vergelijkbare naam',
+        'reserveringen': 'reserveringen',
+        'Score': 'Score',
+        'Onderzoek behouden van': 'Onderzoek behouden van',
+        'Samengevoegde gast': 'Samengevoegde gast',
+        'Geen dubbel': 'Geen dubbel',
+        'Samenvoegen in': 'Samenvoegen in',
+        'mogelijke dubbelen, niet automatisch verrijkt': 'mogelijke dubbelen, niet automatisch verrijkt',
+        'Controleer ze via Gasten → Dubbele gasten': 'Controleer ze via Gasten → Dubbele gasten',
+
+        // Mews connector
+        'Mews koppeling': 'Mews koppeling',
+        'Haalt reserveringen automatisch op, elke': 'Haalt reserveringen automatisch op, elke',
+        'minuten': 'minuten',
+        'Haal reserveringen en gasten direct uit Mews in plaats van een Excel export': 'Haal reserveringen en gasten direct uit Mews in plaats van een Excel export',
+        'Laatste synchronisatie': 'Laatste synchronisatie',
+        'MEWS_CLIENT_TOKEN ontbreekt op de server': 'MEWS_CLIENT_TOKEN ontbreekt op de server',
+        'Nu synchroniseren': 'Nu synchroniseren',
+        'Automatisch synchroniseren': 'Automatisch synchroniseren',
+        'Interval (minuten)': 'Interval (minuten)',
+        'Access token': 'Access token',
+        'Mews koppeling opgeslagen': 'Mews koppeling opgeslagen',
+        'Synchronisatie gestart': 'Synchronisatie gestart',
+        'Laatste synchronisaties': 'Laatste synchronisaties',
+        'Nog niet gesynchroniseerd': 'Nog niet gesynchroniseerd',
+
+        // GDPR
+        'Geanonimiseerd': 'Geanonimiseerd',
+        'AVG export': 'AVG export',
+        'Anonimiseren': 'Anonimiseren',
+        'Alle gegevens van deze gast exporteren (AVG inzageverzoek)': 'Alle gegevens van deze gast exporteren (AVG inzageverzoek)',
+        'Persoonsgegevens wissen (AVG verwijderverzoek)': 'Persoonsgegevens wissen (AVG verwijderverzoek)',
+        'Alle persoonsgegevens, onderzoek en historie van deze gast worden definitief verwijderd. Verblijven blijven anoniem bewaard voor statistieken. Doorgaan?': 'Alle persoonsgegevens, onderzoek en historie van deze gast worden definitief verwijderd. Verblijven blijven anoniem bewaard voor statistieken. Doorgaan?',
+        'AVG verzoeken': 'AVG verzoeken',
+        'verzoeken': 'verzoeken',
+        'Nog geen AVG verzoeken': 'Nog geen AVG verzoeken',
+
+        // API costs
+        'Kosten': 'Kosten',
+        'Geschatte kosten van zoek- en AI diensten per dag, gast en wachtrij': 'Geschatte kosten van zoek- en AI diensten per dag, gast en wachtrij',
+        'Laatste 7 dagen': 'Laatste 7 dagen',
+        'Laatste 30 dagen': 'Laatste 30 dagen',
+        'Laatste 90 dagen': 'Laatste 90 dagen',
+        'Budget opgeslagen': 'Budget opgeslagen',
+        'Totale kosten': 'Totale kosten',
+        'API aanroepen': 'API aanroepen',
+        'Gemiddeld per gast': 'Gemiddeld per gast',
+        'Kosten per dag': 'Kosten per dag',
+        'Nog geen API gebruik in deze periode': 'Nog geen API gebruik in deze periode',
+        'Maandbudgetten': 'Maandbudgetten',
+        'Lopende onderzoekswachtrijen pauzeren automatisch zodra een budget is bereikt': 'Lopende onderzoekswachtrijen pauzeren automatisch zodra een budget is bereikt',
+        'Dienst': 'Dienst',
+        'Deze maand': 'Deze maand',
+        'Budget (USD)': 'Budget (USD)',
+        'overschreden': 'overschreden',
+        'Geen': 'Geen',
+        'Duurste gasten': 'Duurste gasten',
+        'Gast': 'Gast',
+        'Aanroepen': 'Aanroepen',
+        'Wachtrijen': 'Wachtrijen',
+        'Wachtrij': 'Wachtrij',
+        'Onderzoekskosten': 'Onderzoekskosten',
+
+        // Enrichment jobs
+        'gasten wachten op een nieuwe poging': 'gasten wachten op een nieuwe poging',
+        'Alles opnieuw proberen': 'Alles opnieuw proberen',
+        'Opnieuw': 'Opnieuw',
+
+        // Webhooks
+        'Webhooks': 'Webhooks',
+        'Stuur onderzoek-, VIP-, import- en wachtrij-events naar je CRM of andere systemen': 'Stuur onderzoek-, VIP-, import- en wachtrij-events naar je CRM of andere systemen',
+        'Onderzoek voltooid': 'Onderzoek voltooid',
+        'Nieuwe VIP gedetecteerd': 'Nieuwe VIP gedetecteerd',
+        'Import voltooid': 'Import voltooid',
+        'Wachtrij afgerond': 'Wachtrij afgerond',
+        'Webhook toegevoegd': 'Webhook toegevoegd',
+        'Webhook verwijderen?': 'Webhook verwijderen?',
+        'Nieuw geheim aanmaken? Het huidige geheim werkt direct niet meer.': 'Nieuw geheim aanmaken? Het huidige geheim werkt direct niet meer.',
+        'Testbericht verstuurd': 'Testbericht verstuurd',
+        'Geheim voor het controleren van de handtekening': 'Geheim voor het controleren van de handtekening',
+        'Bewaar dit geheim nu: het wordt niet opnieuw getoond.': 'Bewaar dit geheim nu: het wordt niet opnieuw getoond.',
+        'Controleer X-KYV-Signature als sha256 HMAC van "timestamp.body".': 'Controleer X-KYV-Signature als sha256 HMAC van "timestamp.body".',
+        'Webhook toevoegen': 'Webhook toevoegen',
+        'Omschrijving (optioneel)': 'Omschrijving (optioneel)',
+        'Toevoegen': 'Toevoegen',
+        'Geregistreerde webhooks': 'Geregistreerde webhooks',
+        'Nog geen webhooks': 'Nog geen webhooks',
+        'URL': 'URL',
+        'Events': 'Events',
+        'Leveringen': 'Leveringen',
+        'Actief': 'Actief',
+        'geheim': 'geheim',
+        'afgeleverd': 'afgeleverd',
+        'in wachtrij': 'in wachtrij',
+        'mislukt': 'mislukt',
+        'Log': 'Log',
+        'Test': 'Test',
+        'Nieuw geheim': 'Nieuw geheim',
+        'Leveringslog': 'Leveringslog',
+        'Nog geen leveringen': 'Nog geen leveringen',
+        'Event': 'Event',
+        'Pogingen': 'Pogingen',
+        'Antwoord': 'Antwoord',
+        'volgende poging': 'volgende poging',
+        'Opnieuw versturen': 'Opnieuw versturen',
+
+        // Live updates
+        'Live updates actief': 'Live updates actief',
+        'Live updates niet verbonden': 'Live updates niet verbonden',
+        'Import bezig': 'Import bezig',
+        'rijen': 'rijen',
+        'Deze gast is zojuist bewerkt door': 'Deze gast is zojuist bewerkt door',
+        'Deze gast is zojuist verwijderd door': 'Deze gast is zojuist verwijderd door',
+        'Herladen': 'Herladen',
+
+        // Scoring rules
+        'Scoreregels': 'Scoreregels',
+        'Bepaal hoe de VIP score van gasten van dit hotel wordt berekend': 'Bepaal hoe de VIP score van gasten van dit hotel wordt berekend',
+        'laatst gewijzigd door': 'laatst gewijzigd door',
+        'Score en AI': 'Score en AI',
+        'Basisscore': 'Basisscore',
+        'Minimum': 'Minimum',
+        'Maximum': 'Maximum',
+        'Combinatie met de AI score': 'Combinatie met de AI score',
+        'AI score als die er is, anders de regels': 'AI score als die er is, anders de regels',
+        'Alleen de regels': 'Alleen de regels',
+        'Gewogen gemiddelde van AI en regels': 'Gewogen gemiddelde van AI en regels',
+        'Hoogste van AI en regels': 'Hoogste van AI en regels',
+        'Gewicht AI': 'Gewicht AI',
+        'Invloed vanaf score': 'Invloed vanaf score',
+        'Functietitel': 'Functietitel',
+        'De eerste regel met een trefwoord in de functietitel telt': 'De eerste regel met een trefwoord in de functietitel telt',
+        'Trefwoorden, met komma gescheiden': 'Trefwoorden, met komma gescheiden',
+        'Regel toevoegen': 'Regel toevoegen',
+        'Online aanwezigheid': 'Online aanwezigheid',
+        'LinkedIn profiel': 'LinkedIn profiel',
+        'Bedrijf of website bekend': 'Bedrijf of website bekend',
+        'Opmerkelijke info': 'Opmerkelijke info',
+        'Opmerkelijke info vanaf (tekens)': 'Opmerkelijke info vanaf (tekens)',
+        'Persvermeldingen': 'Persvermeldingen',
+        'Eigenaar van het bedrijf': 'Eigenaar van het bedrijf',
+        'Bereik': 'Bereik',
+        'Volgers (Instagram + Twitter)': 'Volgers (Instagram + Twitter)',
+        'LinkedIn connecties': 'LinkedIn connecties',
+        'vanaf': 'vanaf',
+        'punten': 'punten',
+        'Drempel toevoegen': 'Drempel toevoegen',
+        'Trefwoorden': 'Trefwoorden',
+        'Extra punten voor trefwoorden in functie, bedrijf, branche of opmerkelijke info': 'Extra punten voor trefwoorden in functie, bedrijf, branche of opmerkelijke info',
+        'Maximum per categorie': 'Maximum per categorie',
+        'Leeg = geen maximum': 'Leeg = geen maximum',
+        'Regels opslaan': 'Regels opslaan',
+        'Standaardregels': 'Standaardregels',
+        'Alle regels terugzetten naar de standaard?': 'Alle regels terugzetten naar de standaard?',
+        'Standaardregels hersteld': 'Standaardregels hersteld',
+        'Regels opgeslagen. Scoor iedereen opnieuw om ze op bestaande gasten toe te passen.': 'Regels opgeslagen. Scoor iedereen opnieuw om ze op bestaande gasten toe te passen.',
+        'Iedereen opnieuw scoren': 'Iedereen opnieuw scoren',
+        'Past de opgeslagen regels toe op alle onderzochte gasten met het bestaande onderzoek, zonder nieuwe zoekopdrachten.': 'Past de opgeslagen regels toe op alle onderzochte gasten met het bestaande onderzoek, zonder nieuwe zoekopdrachten.',
+        'Alle onderzochte gasten opnieuw scoren met de opgeslagen regels? Er worden geen nieuwe zoekopdrachten gedaan.': 'Alle onderzochte gasten opnieuw scoren met de opgeslagen regels? Er worden geen nieuwe zoekopdrachten gedaan.',
+        'Ook handmatig ingestelde scores overschrijven': 'Ook handmatig ingestelde scores overschrijven',
+        'Bezig...': 'Bezig...',
+        'gasten opnieuw gescoord': 'gasten opnieuw gescoord',
+        'met een andere score': 'met een andere score',
+        'handmatige scores behouden': 'handmatige scores behouden',
+        'Opnieuw gescoord': 'Opnieuw gescoord',
+        'Waarom deze score?': 'Waarom deze score?',
+        'Handmatig ingesteld': 'Handmatig ingesteld',
+        'door': 'door',
+        'Score volgens regels': 'Score volgens regels',
+        'AI score': 'AI score',
+        'Score met de huidige regels': 'Score met de huidige regels',
+        'C-level/Eigenaar': 'C-level/Eigenaar',
+        'Director/Partner': 'Director/Partner',
+        'Manager/Lead': 'Manager/Lead',
+        'LinkedIn Profiel': 'LinkedIn Profiel',
+        'Bedrijf/Website': 'Bedrijf/Website',
+        'Eigenaar': 'Eigenaar',
+        'LinkedIn Connecties': 'LinkedIn Connecties',
+
+        // Segments
+        'Geen segment': 'Geen segment',
+        'Filters': 'Filters',
+        'Gedeeld door': 'Gedeeld door',
+        'Segment onderzoeken': 'Segment onderzoeken',
+        'PDF': 'PDF',
+        'Segment bijwerken': 'Segment bijwerken',
+        'Delen met collega’s': 'Delen met collega’s',
+        'Gedeeld': 'Gedeeld',
+        'Privé': 'Privé',
+        'De filters wijken af van het opgeslagen segment': 'De filters wijken af van het opgeslagen segment',
+        'Segment opgeslagen': 'Segment opgeslagen',
+        'Segment bijgewerkt': 'Segment bijgewerkt',
+        'Segment verwijderen': 'Segment verwijderen',
+        'Onderzoek gestart voor': 'Onderzoek gestart voor',
+        'gasten': 'gasten',
+        'PDF genereren mislukt': 'PDF genereren mislukt',
+        'Ja': 'Ja',
+        'Min': 'Min',
+        'Max': 'Max',
+        'Verblijven': 'Verblijven',
+        'Totale besteding (€)': 'Totale besteding (€)',
+        'Volgers (Instagram + X)': 'Volgers (Instagram + X)',
+        'Laatste verblijf': 'Laatste verblijf',
+        'Aankomst': 'Aankomst',
+        'Review nodig': 'Review nodig',
+        'Zoeken': 'Zoeken',
+        'Onderzocht': 'Onderzocht',
+        'VIP Score vanaf': 'VIP Score vanaf',
+        'VIP Score tot': 'VIP Score tot',
+        'Verblijven vanaf': 'Verblijven vanaf',
+        'Verblijven tot': 'Verblijven tot',
+        'Besteding vanaf': 'Besteding vanaf',
+        'Besteding tot': 'Besteding tot',
+        'Laatste verblijf vanaf': 'Laatste verblijf vanaf',
+        'Laatste verblijf tot': 'Laatste verblijf tot',
+        'Aankomst vanaf': 'Aankomst vanaf',
+        'Aankomst tot': 'Aankomst tot',
+        'Volgers vanaf': 'Volgers vanaf',
+        'Volgers tot': 'Volgers tot',
+        'Tags': 'Tags',
+        'gast moet alle gekozen tags hebben': 'gast moet alle gekozen tags hebben',
+        'Naam van het segment': 'Naam van het segment',
+        'Opslaan als segment': 'Opslaan als segment',
+        'Meeste verblijven eerst': 'Meeste verblijven eerst',
+        'Laatste verblijf eerst': 'Laatste verblijf eerst',
+        'Tag toevoegen...': 'Tag toevoegen...',
+
+        // Full-text search
+        'Zoek overal...': 'Zoek overal...',
+        'Niets gevonden': 'Niets gevonden',
+        'resultaten': 'resultaten',
+        'Werk': 'Werk',
+        'Contact': 'Contact',
+        'Bio': 'Bio',
+        'van': 'van',
+
+        // Stay analytics
+        'Laatste 12 maanden': 'Laatste 12 maanden',
+        'Alle tijd': 'Alle tijd',
+        'Alle landen': 'Alle landen',
+        'Verblijven & omzet': 'Verblijven & omzet',
+        'Omzet, nachten en terugkerende gasten uit de reserveringen': 'Omzet, nachten en terugkerende gasten uit de reserveringen',
+        'Omzet': 'Omzet',
+        'Nachten': 'Nachten',
+        'Gem. prijs per nacht': 'Gem. prijs per nacht',
+        'Omzet per gast': 'Omzet per gast',
+        'Terugkerende gasten': 'Terugkerende gasten',
+        'Geen reserveringen in deze periode': 'Geen reserveringen in deze periode',
+        'Omzet per maand': 'Omzet per maand',
+        'nachten': 'nachten',
+        'Kamertypes per VIP-niveau': 'Kamertypes per VIP-niveau',
+        'Gasten met de hoogste waarde': 'Gasten met de hoogste waarde',
+        'Totale waarde': 'Totale waarde',
+        'per nacht': 'per nacht',
+
+        // Reservation remarks
+        'Wensen & opmerkingen': 'Wensen & opmerkingen',
+        'Allergieën': 'Allergieën',
+        'Dieet': 'Dieet',
+        'Viering': 'Viering',
+
+        // Export
+        'Exporteren': 'Exporteren',
+        'Kies de kolommen; de huidige filters worden toegepast': 'Kies de kolommen; de huidige filters worden toegepast',
+        'Niets': 'Niets',
+        'Alles': 'Alles',
+        'Excel (.xlsx)': 'Excel (.xlsx)',
+        'CSV (.csv)': 'CSV (.csv)',
+        'Exporteren mislukt': 'Exporteren mislukt',
+        'Reserveringen': 'Reserveringen',
+        'Rapport': 'Rapport',
+        'Adres': 'Adres',
+        'Aantal verblijven': 'Aantal verblijven',
+        'Eerste bezoek': 'Eerste bezoek',
+        'Marketing toestemming': 'Marketing toestemming',
+        'VIP score': 'VIP score',
+        'Bedrijfsgrootte': 'Bedrijfsgrootte',
+        'Instagram volgers': 'Instagram volgers',
+        'Twitter volgers': 'Twitter volgers',
+        'Onderzocht op': 'Onderzocht op',
+        'Eerste aankomst': 'Eerste aankomst',
+        'Laatste aankomst': 'Laatste aankomst',
+        'Kamertypes': 'Kamertypes',
+        'Wensen': 'Wensen',
+        'Rapport: samenvatting': 'Rapport: samenvatting',
+        'Rapport: loopbaan': 'Rapport: loopbaan',
+        'Rapport: bedrijf': 'Rapport: bedrijf',
+        'Rapport: VIP indicatoren': 'Rapport: VIP indicatoren',
+        'Rapport: service aanbevelingen': 'Rapport: service aanbevelingen',
+        'Rapport: overige': 'Rapport: overige',
+
+        // Import mapping
+        'Kolommen koppelen': 'Kolommen koppelen',
+        'Profiel herkend': 'Profiel herkend',
+        'Profiel lijkt te passen': 'Profiel lijkt te passen',
+        'Profiel': 'Profiel',
+        'Geen profiel': 'Geen profiel',
+        'Datumformaat': 'Datumformaat',
+        'Profiel verwijderen': 'Profiel verwijderen',
+        'Kolom in bestand': 'Kolom in bestand',
+        'Bewerking': 'Bewerking',
+        'Voorbeeld': 'Voorbeeld',
+        'Zoek': 'Zoek',
+        'Vervang door': 'Vervang door',
+        'Naam van het profiel, bijv. Opera export': 'Naam van het profiel, bijv. Opera export',
+        'Opslaan als profiel': 'Opslaan als profiel',
+        'Profiel bijwerken': 'Profiel bijwerken',
+        'Profiel opgeslagen': 'Profiel opgeslagen',
+        'Preview': 'Preview',
+        'Terug naar koppelen': 'Terug naar koppelen',
+        'CSV en andere PMS exports': 'CSV en andere PMS exports',
+        'Koppel de kolommen één keer en bewaar ze als profiel; het profiel wordt bij de volgende upload herkend.': 'Koppel de kolommen één keer en bewaar ze als profiel; het profiel wordt bij de volgende upload herkend.',
+        'Voornaam': 'Voornaam',
+        'Achternaam': 'Achternaam',
+        'Reserveringsnummer': 'Reserveringsnummer',
+        'Kamernummer': 'Kamernummer',
+        'Kamertype': 'Kamertype',
+        'Vertrek': 'Vertrek',
+        'Aantal personen': 'Aantal personen',
+        'Totaal bedrag': 'Totaal bedrag',
+        'Producten': 'Producten',
+        'Opmerkingen': 'Opmerkingen',
+        'Opmerkingen van gast': 'Opmerkingen van gast',
+        'Automatisch': 'Automatisch',
+        'DD-MM-JJJJ': 'DD-MM-JJJJ',
+        'MM-DD-JJJJ': 'MM-DD-JJJJ',
+        'JJJJ-MM-DD': 'JJJJ-MM-DD',
+        'kleine letters': 'kleine letters',
+        'HOOFDLETTERS': 'HOOFDLETTERS',
+        'Hoofdletter Per Woord': 'Hoofdletter Per Woord',
+        'Eerste woord': 'Eerste woord',
+        'Alles na het eerste woord': 'Alles na het eerste woord',
+        'Tekst voor de komma': 'Tekst voor de komma',
+        'Tekst na de komma': 'Tekst na de komma',
+        '"Achternaam, Voornaam" omdraaien': '"Achternaam, Voornaam" omdraaien',
+        'Alleen cijfers (en +)': 'Alleen cijfers (en +)',
+        'Vervangen': 'Vervangen',
+
+        // Import review
+        'e-mail': 'e-mail',
+        'naam': 'naam',
+        'eerder in dit bestand': 'eerder in dit bestand',
+        'Bestaande waarde blijft; klik om de nieuwe te nemen': 'Bestaande waarde blijft; klik om de nieuwe te nemen',
+        'Nieuwe waarde wordt genomen; klik om de bestaande te houden': 'Nieuwe waarde wordt genomen; klik om de bestaande te houden',
+        'Bestaande gegevens die overschreven worden': 'Bestaande gegevens die overschreven worden',
+        'Bestaande houden': 'Bestaande houden',
+        'Nieuwe nemen': 'Nieuwe nemen',
+
+        // Import rollback
+        'Import terugdraaien': 'Import terugdraaien',
+        'reserveringen worden verwijderd': 'reserveringen worden verwijderd',
+        'gasten die deze import aanmaakte worden verwijderd': 'gasten die deze import aanmaakte worden verwijderd',
+        'bestaande gasten krijgen hun vorige gegevens terug': 'bestaande gasten krijgen hun vorige gegevens terug',
+        'velden zijn na deze import opnieuw gewijzigd en blijven zoals ze zijn': 'velden zijn na deze import opnieuw gewijzigd en blijven zoals ze zijn',
+        'Wijzigingen': 'Wijzigingen',
+        'blijft (later gewijzigd)': 'blijft (later gewijzigd)',
+        'leeg': 'leeg',
+        'Terugdraaien': 'Terugdraaien',
+
+        // Import jobs
+        'Import annuleren': 'Import annuleren',
+        'Annuleren...': 'Annuleren...',
+        'Import geannuleerd': 'Import geannuleerd',
+        'Import mislukt': 'Import mislukt',
+        'rijen verwerkt': 'rijen verwerkt',
+        'De geïmporteerde rijen blijven staan en kun je terugdraaien via de importgeschiedenis.': 'De geïmporteerde rijen blijven staan en kun je terugdraaien via de importgeschiedenis.',
+        'Foutenrapport downloaden': 'Foutenrapport downloaden',
+        'Downloaden mislukt': 'Downloaden mislukt',
+        'Geannuleerd': 'Geannuleerd',
+        'Mislukt': 'Mislukt',
     },
 
     en: {
@@ -1022,6 +1487,471 @@ const translations = {
         'Name is required': 'Name is required',
         'Opslaan mislukt': 'Save failed',
         'Save failed': 'Save failed',
+
+        // Field provenance
+        'Bron': 'Source',
+        'Zoekprovider': 'Search provider',
+        'Betrouwbaarheid': 'Confidence',
+        'Gastgegevens': 'Guest details',
+        'Handmatig (medewerker)': 'Manual (staff)',
+        'E-maildomein': 'Email domain',
+        'Webzoekresultaat': 'Web search result',
+        'AI-analyse': 'AI analysis',
+        'AI-inschatting': 'AI estimate',
+
+        // Research revisions
+        'Versiegeschiedenis': 'Version history',
+        'Versie herstellen': 'Restore version',
+        'Nog geen eerdere versies': 'No earlier versions yet',
+        'Laatste': 'Latest',
+        'Vergelijk': 'Compare',
+        'Herstel': 'Restore',
+        'Geen verschillen met de huidige versie': 'No differences with the current version',
+        'Veld': 'Field',
+        'Huidig': 'Current',
+        'Onderzoek': 'Research',
+        'Opnieuw onderzocht': 'Researched again',
+        'Onderzoek (wachtrij)': 'Research (queue)',
+        'LinkedIn selectie': 'LinkedIn selection',
+        'VIP score aangepast': 'VIP score changed',
+        'Handmatige wijziging': 'Manual change',
+        'Hersteld': 'Restored',
+        'Stand vóór wijziging': 'State before change',
+        'Oude backup': 'Old backup',
+
+        // Authentication & users
+        'Inloggen mislukt': 'Login failed',
+        'Log in om verder te gaan': 'Log in to continue',
+        'Gebruikersnaam': 'Username',
+        'Wachtwoord': 'Password',
+        'Bezig met inloggen...': 'Logging in...',
+        'Inloggen': 'Log in',
+        'Uitloggen': 'Log out',
+        'Receptie': 'Front desk',
+        'Manager': 'Manager',
+        'Beheerder': 'Administrator',
+        'Gebruikers': 'Users',
+        'Gebruiker aangemaakt': 'User created',
+        'Nieuw wachtwoord (minstens 8 tekens)': 'New password (at least 8 characters)',
+        'Laatst ingelogd': 'Last login',
+        'Wachtwoord resetten': 'Reset password',
+        'Deactiveren': 'Deactivate',
+        'Activeren': 'Activate',
+        'Gebruiker toevoegen': 'Add user',
+        'Audit log': 'Audit log',
+        'acties': 'actions',
+        'Tijdstip': 'Time',
+        'Gebruiker': 'User',
+        'Actie': 'Action',
+        'Object': 'Object',
+        'Details': 'Details',
+
+        // Properties
+        'Hotel': 'Property',
+        'Hotels': 'Properties',
+        'Alle hotels': 'All properties',
+        'Ook gezien bij': 'Also seen at',
+        'Code': 'Code',
+        'Notificatie e-mail': 'Notification email',
+        'Standaard (NOTIFICATION_EMAIL)': 'Default (NOTIFICATION_EMAIL)',
+        'Hotel toevoegen': 'Add property',
+        'Hotel aangemaakt': 'Property created',
+        'bekend bij ander hotel': 'known at another property',
+
+        // Pre-arrival briefing
+        'Aankomstbriefing': 'Pre-arrival briefing',
+        'Onderzoekt aankomende gasten en mailt elke ochtend het aankomstrapport': 'Researches upcoming arrivals and emails the arrivals report every morning',
+        'Nu uitvoeren': 'Run now',
+        'Dagelijks versturen': 'Send daily',
+        'Dagen vooruit': 'Days ahead',
+        'Ontvangers': 'Recipients',
+        'Briefing opgeslagen': 'Briefing saved',
+        'Briefing gestart': 'Briefing started',
+        'Laatste runs': 'Recent runs',
+        'Nog geen briefings uitgevoerd': 'No briefings run yet',
+        'gepland': 'scheduled',
+        'aankomsten': 'arrivals',
+        'onderzocht': 'researched',
+
+        // Duplicates
+        'Dubbele gasten': 'Duplicate guests',
+        'Mogelijke dubbele gasten': 'Possible duplicate guests',
+        'Voeg dubbele gasten samen: reserveringen, historie en onderzoek gaan mee': 'Merge duplicate guests: reservations, history and research are kept',
+        'Geen mogelijke dubbele gasten gevonden': 'No possible duplicate guests found',
+        'Zelfde e-mail': 'Same email',
+        'Zelfde telefoon': 'Same phone',
+        'Zelfde adres': 'Same address',
+        'Zelfde naam': 'Same name',
+        'Vergelijkbare naam': 'Similar name',
+        'reserveringen': 'reservations',
+        'Score': 'Score',
+        'Onderzoek behouden van': 'Keep research of',
+        'Samengevoegde gast': 'Merged guest',
+        'Geen dubbel': 'Not a duplicate',
+        'Samenvoegen in': 'Merge into',
+        'mogelijke dubbelen, niet automatisch verrijkt': 'possible duplicates, not enriched automatically',
+        'Controleer ze via Gasten → Dubbele gasten': 'Review them via Guests → Duplicate guests',
+
+        // Mews connector
+        'Mews koppeling': 'Mews connection',
+        'Haalt reserveringen automatisch op, elke': 'Pulls reservations automatically, every',
+        'minuten': 'minutes',
+        'Haal reserveringen en gasten direct uit Mews in plaats van een Excel export': 'Pull reservations and guests straight from Mews instead of an Excel export',
+        'Laatste synchronisatie': 'Last sync',
+        'MEWS_CLIENT_TOKEN ontbreekt op de server': 'MEWS_CLIENT_TOKEN is missing on the server',
+        'Nu synchroniseren': 'Sync now',
+        'Automatisch synchroniseren': 'Sync automatically',
+        'Interval (minuten)': 'Interval (minutes)',
+        'Access token': 'Access token',
+        'Mews koppeling opgeslagen': 'Mews connection saved',
+        'Synchronisatie gestart': 'Sync started',
+        'Laatste synchronisaties': 'Recent syncs',
+        'Nog niet gesynchroniseerd': 'Not synced yet',
+
+        // GDPR
+        'Geanonimiseerd': 'Anonymised',
+        'AVG export': 'GDPR export',
+        'Anonimiseren': 'Anonymise',
+        'Alle gegevens van deze gast exporteren (AVG inzageverzoek)': 'Export all data about this guest (GDPR access request)',
+        'Persoonsgegevens wissen (AVG verwijderverzoek)': 'Erase personal data (GDPR erasure request)',
+        'Alle persoonsgegevens, onderzoek en historie van deze gast worden definitief verwijderd. Verblijven blijven anoniem bewaard voor statistieken. Doorgaan?': 'All personal data, research and history of this guest will be permanently removed. Stays are kept anonymously for statistics. Continue?',
+        'AVG verzoeken': 'GDPR requests',
+        'verzoeken': 'requests',
+        'Nog geen AVG verzoeken': 'No GDPR requests yet',
+
+        // API costs
+        'Kosten': 'Costs',
+        'Geschatte kosten van zoek- en AI diensten per dag, gast en wachtrij': 'Estimated cost of search and AI services per day, guest and queue',
+        'Laatste 7 dagen': 'Last 7 days',
+        'Laatste 30 dagen': 'Last 30 days',
+        'Laatste 90 dagen': 'Last 90 days',
+        'Budget opgeslagen': 'Budget saved',
+        'Totale kosten': 'Total cost',
+        'API aanroepen': 'API calls',
+        'Gemiddeld per gast': 'Average per guest',
+        'Kosten per dag': 'Cost per day',
+        'Nog geen API gebruik in deze periode': 'No API usage in this period yet',
+        'Maandbudgetten': 'Monthly budgets',
+        'Lopende onderzoekswachtrijen pauzeren automatisch zodra een budget is bereikt': 'Running research queues pause automatically once a budget is reached',
+        'Dienst': 'Service',
+        'Deze maand': 'This month',
+        'Budget (USD)': 'Budget (USD)',
+        'overschreden': 'exceeded',
+        'Geen': 'None',
+        'Duurste gasten': 'Most expensive guests',
+        'Gast': 'Guest',
+        'Aanroepen': 'Calls',
+        'Wachtrijen': 'Queues',
+        'Wachtrij': 'Queue',
+        'Onderzoekskosten': 'Research cost',
+
+        // Enrichment jobs
+        'gasten wachten op een nieuwe poging': 'guests waiting for another attempt',
+        'Alles opnieuw proberen': 'Retry all',
+        'Opnieuw': 'Retry',
+
+        // Webhooks
+        'Webhooks': 'Webhooks',
+        'Stuur onderzoek-, VIP-, import- en wachtrij-events naar je CRM of andere systemen': 'Send research, VIP, import and queue events to your CRM or other systems',
+        'Onderzoek voltooid': 'Research completed',
+        'Nieuwe VIP gedetecteerd': 'New VIP detected',
+        'Import voltooid': 'Import completed',
+        'Wachtrij afgerond': 'Queue finished',
+        'Webhook toegevoegd': 'Webhook added',
+        'Webhook verwijderen?': 'Delete webhook?',
+        'Nieuw geheim aanmaken? Het huidige geheim werkt direct niet meer.': 'Create a new secret? The current secret stops working immediately.',
+        'Testbericht verstuurd': 'Test event sent',
+        'Geheim voor het controleren van de handtekening': 'Secret for verifying the signature',
+        'Bewaar dit geheim nu: het wordt niet opnieuw getoond.': 'Store this secret now: it will not be shown again.',
+        'Controleer X-KYV-Signature als sha256 HMAC van "timestamp.body".': 'Verify X-KYV-Signature as the sha256 HMAC of "timestamp.body".',
+        'Webhook toevoegen': 'Add webhook',
+        'Omschrijving (optioneel)': 'Description (optional)',
+        'Toevoegen': 'Add',
+        'Geregistreerde webhooks': 'Registered webhooks',
+        'Nog geen webhooks': 'No webhooks yet',
+        'URL': 'URL',
+        'Events': 'Events',
+        'Leveringen': 'Deliveries',
+        'Actief': 'Active',
+        'geheim': 'secret',
+        'afgeleverd': 'delivered',
+        'in wachtrij': 'queued',
+        'mislukt': 'failed',
+        'Log': 'Log',
+        'Test': 'Test',
+        'Nieuw geheim': 'New secret',
+        'Leveringslog': 'Delivery log',
+        'Nog geen leveringen': 'No deliveries yet',
+        'Event': 'Event',
+        'Pogingen': 'Attempts',
+        'Antwoord': 'Response',
+        'volgende poging': 'next attempt',
+        'Opnieuw versturen': 'Resend',
+
+        // Live updates
+        'Live updates actief': 'Live updates active',
+        'Live updates niet verbonden': 'Live updates not connected',
+        'Import bezig': 'Import running',
+        'rijen': 'rows',
+        'Deze gast is zojuist bewerkt door': 'This guest was just edited by',
+        'Deze gast is zojuist verwijderd door': 'This guest was just deleted by',
+        'Herladen': 'Reload',
+
+        // Scoring rules
+        'Scoreregels': 'Scoring rules',
+        'Bepaal hoe de VIP score van gasten van dit hotel wordt berekend': 'Decide how the VIP score of guests of this hotel is calculated',
+        'laatst gewijzigd door': 'last changed by',
+        'Score en AI': 'Score and AI',
+        'Basisscore': 'Base score',
+        'Minimum': 'Minimum',
+        'Maximum': 'Maximum',
+        'Combinatie met de AI score': 'Combination with the AI score',
+        'AI score als die er is, anders de regels': 'AI score when available, otherwise the rules',
+        'Alleen de regels': 'Rules only',
+        'Gewogen gemiddelde van AI en regels': 'Weighted average of AI and rules',
+        'Hoogste van AI en regels': 'Highest of AI and rules',
+        'Gewicht AI': 'AI weight',
+        'Invloed vanaf score': 'Influence from score',
+        'Functietitel': 'Job title',
+        'De eerste regel met een trefwoord in de functietitel telt': 'The first rule with a keyword in the job title counts',
+        'Trefwoorden, met komma gescheiden': 'Keywords, comma separated',
+        'Regel toevoegen': 'Add rule',
+        'Online aanwezigheid': 'Online presence',
+        'LinkedIn profiel': 'LinkedIn profile',
+        'Bedrijf of website bekend': 'Company or website known',
+        'Opmerkelijke info': 'Notable info',
+        'Opmerkelijke info vanaf (tekens)': 'Notable info from (characters)',
+        'Persvermeldingen': 'Press mentions',
+        'Eigenaar van het bedrijf': 'Owner of the company',
+        'Bereik': 'Reach',
+        'Volgers (Instagram + Twitter)': 'Followers (Instagram + Twitter)',
+        'LinkedIn connecties': 'LinkedIn connections',
+        'vanaf': 'from',
+        'punten': 'points',
+        'Drempel toevoegen': 'Add threshold',
+        'Trefwoorden': 'Keywords',
+        'Extra punten voor trefwoorden in functie, bedrijf, branche of opmerkelijke info': 'Extra points for keywords in job title, company, industry or notable info',
+        'Maximum per categorie': 'Maximum per category',
+        'Leeg = geen maximum': 'Empty = no maximum',
+        'Regels opslaan': 'Save rules',
+        'Standaardregels': 'Default rules',
+        'Alle regels terugzetten naar de standaard?': 'Reset all rules to the defaults?',
+        'Standaardregels hersteld': 'Default rules restored',
+        'Regels opgeslagen. Scoor iedereen opnieuw om ze op bestaande gasten toe te passen.': 'Rules saved. Re-score everyone to apply them to existing guests.',
+        'Iedereen opnieuw scoren': 'Re-score everyone',
+        'Past de opgeslagen regels toe op alle onderzochte gasten met het bestaande onderzoek, zonder nieuwe zoekopdrachten.': 'Applies the saved rules to all researched guests using the existing research, without new searches.',
+        'Alle onderzochte gasten opnieuw scoren met de opgeslagen regels? Er worden geen nieuwe zoekopdrachten gedaan.': 'Re-score all researched guests with the saved rules? No new searches are made.',
+        'Ook handmatig ingestelde scores overschrijven': 'Also overwrite manually set scores',
+        'Bezig...': 'Working...',
+        'gasten opnieuw gescoord': 'guests re-scored',
+        'met een andere score': 'with a different score',
+        'handmatige scores behouden': 'manual scores kept',
+        'Opnieuw gescoord': 'Re-scored',
+        'Waarom deze score?': 'Why this score?',
+        'Handmatig ingesteld': 'Set manually',
+        'door': 'by',
+        'Score volgens regels': 'Score by the rules',
+        'AI score': 'AI score',
+        'Score met de huidige regels': 'Score with the current rules',
+        'C-level/Eigenaar': 'C-level/Owner',
+        'Director/Partner': 'Director/Partner',
+        'Manager/Lead': 'Manager/Lead',
+        'LinkedIn Profiel': 'LinkedIn Profile',
+        'Bedrijf/Website': 'Company/Website',
+        'Eigenaar': 'Owner',
+        'LinkedIn Connecties': 'LinkedIn Connections',
+
+        // Segments
+        'Geen segment': 'No segment',
+        'Filters': 'Filters',
+        'Gedeeld door': 'Shared by',
+        'Segment onderzoeken': 'Research segment',
+        'PDF': 'PDF',
+        'Segment bijwerken': 'Update segment',
+        'Delen met collega’s': 'Share with colleagues',
+        'Gedeeld': 'Shared',
+        'Privé': 'Private',
+        'De filters wijken af van het opgeslagen segment': 'The filters differ from the saved segment',
+        'Segment opgeslagen': 'Segment saved',
+        'Segment bijgewerkt': 'Segment updated',
+        'Segment verwijderen': 'Delete segment',
+        'Onderzoek gestart voor': 'Research started for',
+        'gasten': 'guests',
+        'PDF genereren mislukt': 'PDF generation failed',
+        'Ja': 'Yes',
+        'Min': 'Min',
+        'Max': 'Max',
+        'Verblijven': 'Stays',
+        'Totale besteding (€)': 'Total spend (€)',
+        'Volgers (Instagram + X)': 'Followers (Instagram + X)',
+        'Laatste verblijf': 'Last stay',
+        'Aankomst': 'Arrival',
+        'Review nodig': 'Needs review',
+        'Zoeken': 'Search',
+        'Onderzocht': 'Researched',
+        'VIP Score vanaf': 'VIP score from',
+        'VIP Score tot': 'VIP score to',
+        'Verblijven vanaf': 'Stays from',
+        'Verblijven tot': 'Stays to',
+        'Besteding vanaf': 'Spend from',
+        'Besteding tot': 'Spend to',
+        'Laatste verblijf vanaf': 'Last stay from',
+        'Laatste verblijf tot': 'Last stay to',
+        'Aankomst vanaf': 'Arrival from',
+        'Aankomst tot': 'Arrival to',
+        'Volgers vanaf': 'Followers from',
+        'Volgers tot': 'Followers to',
+        'Tags': 'Tags',
+        'gast moet alle gekozen tags hebben': 'guest needs every selected tag',
+        'Naam van het segment': 'Segment name',
+        'Opslaan als segment': 'Save as segment',
+        'Meeste verblijven eerst': 'Most stays first',
+        'Laatste verblijf eerst': 'Most recent stay first',
+        'Tag toevoegen...': 'Add tag...',
+
+        // Full-text search
+        'Zoek overal...': 'Search everything...',
+        'Niets gevonden': 'Nothing found',
+        'resultaten': 'results',
+        'Werk': 'Work',
+        'Contact': 'Contact',
+        'Bio': 'Bio',
+        'van': 'of',
+
+        // Stay analytics
+        'Laatste 12 maanden': 'Last 12 months',
+        'Alle tijd': 'All time',
+        'Alle landen': 'All countries',
+        'Verblijven & omzet': 'Stays & revenue',
+        'Omzet, nachten en terugkerende gasten uit de reserveringen': 'Revenue, nights and repeat guests from reservations',
+        'Omzet': 'Revenue',
+        'Nachten': 'Nights',
+        'Gem. prijs per nacht': 'Avg. rate per night',
+        'Omzet per gast': 'Revenue per guest',
+        'Terugkerende gasten': 'Repeat guests',
+        'Geen reserveringen in deze periode': 'No reservations in this period',
+        'Omzet per maand': 'Revenue per month',
+        'nachten': 'nights',
+        'Kamertypes per VIP-niveau': 'Room types per VIP tier',
+        'Gasten met de hoogste waarde': 'Highest-value guests',
+        'Totale waarde': 'Lifetime value',
+        'per nacht': 'per night',
+
+        // Reservation remarks
+        'Wensen & opmerkingen': 'Requests & remarks',
+        'Allergieën': 'Allergies',
+        'Dieet': 'Diet',
+        'Viering': 'Celebration',
+
+        // Export
+        'Exporteren': 'Export',
+        'Kies de kolommen; de huidige filters worden toegepast': 'Pick the columns; the current filters are applied',
+        'Niets': 'None',
+        'Alles': 'All',
+        'Excel (.xlsx)': 'Excel (.xlsx)',
+        'CSV (.csv)': 'CSV (.csv)',
+        'Exporteren mislukt': 'Export failed',
+        'Reserveringen': 'Reservations',
+        'Rapport': 'Report',
+        'Adres': 'Address',
+        'Aantal verblijven': 'Number of stays',
+        'Eerste bezoek': 'First visit',
+        'Marketing toestemming': 'Marketing consent',
+        'VIP score': 'VIP score',
+        'Bedrijfsgrootte': 'Company size',
+        'Instagram volgers': 'Instagram followers',
+        'Twitter volgers': 'Twitter followers',
+        'Onderzocht op': 'Researched on',
+        'Eerste aankomst': 'First arrival',
+        'Laatste aankomst': 'Last arrival',
+        'Kamertypes': 'Room types',
+        'Wensen': 'Requests',
+        'Rapport: samenvatting': 'Report: summary',
+        'Rapport: loopbaan': 'Report: career',
+        'Rapport: bedrijf': 'Report: company',
+        'Rapport: VIP indicatoren': 'Report: VIP indicators',
+        'Rapport: service aanbevelingen': 'Report: service recommendations',
+        'Rapport: overige': 'Report: other',
+
+        // Import mapping
+        'Kolommen koppelen': 'Map columns',
+        'Profiel herkend': 'Profile recognised',
+        'Profiel lijkt te passen': 'Profile seems to match',
+        'Profiel': 'Profile',
+        'Geen profiel': 'No profile',
+        'Datumformaat': 'Date format',
+        'Profiel verwijderen': 'Delete profile',
+        'Kolom in bestand': 'Column in file',
+        'Bewerking': 'Transform',
+        'Voorbeeld': 'Example',
+        'Zoek': 'Find',
+        'Vervang door': 'Replace with',
+        'Naam van het profiel, bijv. Opera export': 'Profile name, e.g. Opera export',
+        'Opslaan als profiel': 'Save as profile',
+        'Profiel bijwerken': 'Update profile',
+        'Profiel opgeslagen': 'Profile saved',
+        'Preview': 'Preview',
+        'Terug naar koppelen': 'Back to mapping',
+        'CSV en andere PMS exports': 'CSV and other PMS exports',
+        'Koppel de kolommen één keer en bewaar ze als profiel; het profiel wordt bij de volgende upload herkend.': 'Map the columns once and save them as a profile; the profile is recognised on the next upload.',
+        'Voornaam': 'First name',
+        'Achternaam': 'Last name',
+        'Reserveringsnummer': 'Reservation number',
+        'Kamernummer': 'Room number',
+        'Kamertype': 'Room type',
+        'Vertrek': 'Departure',
+        'Aantal personen': 'Number of guests',
+        'Totaal bedrag': 'Total amount',
+        'Producten': 'Products',
+        'Opmerkingen': 'Remarks',
+        'Opmerkingen van gast': 'Guest remarks',
+        'Automatisch': 'Automatic',
+        'DD-MM-JJJJ': 'DD-MM-YYYY',
+        'MM-DD-JJJJ': 'MM-DD-YYYY',
+        'JJJJ-MM-DD': 'YYYY-MM-DD',
+        'kleine letters': 'lowercase',
+        'HOOFDLETTERS': 'UPPERCASE',
+        'Hoofdletter Per Woord': 'Capitalise Each Word',
+        'Eerste woord': 'First word',
+        'Alles na het eerste woord': 'Everything after the first word',
+        'Tekst voor de komma': 'Text before the comma',
+        'Tekst na de komma': 'Text after the comma',
+        '"Achternaam, Voornaam" omdraaien': 'Swap "Last name, First name"',
+        'Alleen cijfers (en +)': 'Digits only (and +)',
+        'Vervangen': 'Replace',
+
+        // Import review
+        'e-mail': 'email',
+        'naam': 'name',
+        'eerder in dit bestand': 'earlier in this file',
+        'Bestaande waarde blijft; klik om de nieuwe te nemen': 'Existing value is kept; click to take the new one',
+        'Nieuwe waarde wordt genomen; klik om de bestaande te houden': 'New value is taken; click to keep the existing one',
+        'Bestaande gegevens die overschreven worden': 'Existing data that will be overwritten',
+        'Bestaande houden': 'Keep existing',
+        'Nieuwe nemen': 'Take new',
+
+        // Import rollback
+        'Import terugdraaien': 'Roll back import',
+        'reserveringen worden verwijderd': 'reservations will be removed',
+        'gasten die deze import aanmaakte worden verwijderd': 'guests created by this import will be removed',
+        'bestaande gasten krijgen hun vorige gegevens terug': 'existing guests get their previous data back',
+        'velden zijn na deze import opnieuw gewijzigd en blijven zoals ze zijn': 'fields were changed again after this import and stay as they are',
+        'Wijzigingen': 'Changes',
+        'blijft (later gewijzigd)': 'stays (changed later)',
+        'leeg': 'empty',
+        'Terugdraaien': 'Roll back',
+
+        // Import jobs
+        'Import annuleren': 'Cancel import',
+        'Annuleren...': 'Cancelling...',
+        'Import geannuleerd': 'Import cancelled',
+        'Import mislukt': 'Import failed',
+        'rijen verwerkt': 'rows processed',
+        'De geïmporteerde rijen blijven staan en kun je terugdraaien via de importgeschiedenis.': 'The imported rows stay and can be rolled back from the import history.',
+        'Foutenrapport downloaden': 'Download error report',
+        'Downloaden mislukt': 'Download failed',
+        'Geannuleerd': 'Cancelled',
+        'Mislukt': 'Failed',
     }
 };
 